@@ -7,7 +7,7 @@
 // Configuration
 const DOCUMENT_ID = '1DiRcu3pLpCXuYlJ7r19tzsHxI89YWw2BfNFkvOdchsM';
 const webhookUrl = 'https://mulabot-web-production.up.railway.app/webhook';
-const HMAC_SECRET = 'your-secret-key-here'; // Change this to a secure secret
+const HMAC_SECRET = 'your-secret-key-here'; // Must match WEBHOOK_SECRET on the webhook server
 
 /**
  * Main function to extract and send document content
@@ -26,7 +26,7 @@ function sendCurrentDocumentContent() {
     console.log(`📊 Total characters: ${fullText.length}`);
     
     // Extract sections
-    const sections = extractSections(body);
+    const sections = extractSections(body, getHeadingIds(DOCUMENT_ID));
     
     console.log(`✅ Extracted ${sections.length} content sections`);
     
@@ -37,6 +37,7 @@ function sendCurrentDocumentContent() {
     
     // Prepare payload
     const payload = {
+      type: 'document_update',
       document_id: DOCUMENT_ID,
       document_title: docTitle,
       sections: sections,
@@ -62,10 +63,40 @@ function sendCurrentDocumentContent() {
   }
 }
 
+/**
+ * Map heading text to Google Docs heading IDs so summary citations can link to the section.
+ * Needs the Docs advanced service; without it citations link to the top of the document.
+ */
+function getHeadingIds(documentId) {
+  const headingIds = {};
+  
+  try {
+    const document = Docs.Documents.get(documentId);
+    
+    document.body.content.forEach(element => {
+      const paragraph = element.paragraph;
+      if (!paragraph || !paragraph.paragraphStyle || !paragraph.paragraphStyle.headingId) return;
+      
+      const text = paragraph.elements
+        .map(part => part.textRun ? part.textRun.content : '')
+        .join('')
+        .trim();
+      
+      if (text && !headingIds[text]) {
+        headingIds[text] = paragraph.paragraphStyle.headingId;
+      }
+    });
+  } catch (error) {
+    console.log('ℹ️ Docs advanced service unavailable - sending sections without heading IDs');
+  }
+  
+  return headingIds;
+}
+
 /**
  * Extract sections from document body
  */
-function extractSections(body) {
+function extractSections(body, headingIds = {}) {
   const sections = [];
   const paragraphs = body.getParagraphs();
   
@@ -91,7 +122,8 @@ function extractSections(body) {
         sections.push({
           title: currentSection.title,
           content: currentSection.content.trim(),
-          section_number: currentSection.section_number
+          section_number: currentSection.section_number,
+          heading_id: headingIds[currentSection.title] || null
         });
       }
       
@@ -105,13 +137,13 @@ function extractSections(body) {
       
     } else if (currentSection) {
       // Add content to current section
-      currentSection.content += text + '\n\n';
+      currentSection.content += formatParagraphText(paragraph, text) + '\n\n';
     } else {
       // Content before first header - create initial section
       sectionNumber++;
       currentSection = {
         title: `Introduction`,
-        content: text + '\n\n',
+        content: formatParagraphText(paragraph, text) + '\n\n',
         section_number: sectionNumber
       };
     }
@@ -122,13 +154,27 @@ function extractSections(body) {
     sections.push({
       title: currentSection.title,
       content: currentSection.content.trim(),
-      section_number: currentSection.section_number
+      section_number: currentSection.section_number,
+      heading_id: headingIds[currentSection.title] || null
     });
   }
   
   return sections;
 }
 
+/**
+ * Keep list items recognizable as bullets: getText() drops the bullet glyph, and the
+ * webhook uses bullets to keep publisher notes together when splitting sections
+ */
+function formatParagraphText(paragraph, text) {
+  if (paragraph.getType() !== DocumentApp.ElementType.LIST_ITEM) {
+    return text;
+  }
+  
+  const indent = '  '.repeat(paragraph.asListItem().getNestingLevel());
+  return indent + '- ' + text;
+}
+
 /**
  * Send payload to webhook with HMAC signature
  */
@@ -235,6 +235,59 @@ function extractNewContent() {
   }
 }
 
+/**
+ * Parse a digest header ("Monday, March 3", "3/3/2025", "March 3rd, 2025") into an ISO date.
+ * Headers without a year get the year closest to the reference date whose weekday matches;
+ * a bare weekday is the latest one on or before the reference. Returns null if unparseable.
+ * Same rules as services/digest-dates.js on the server.
+ */
+function normalizeSectionDate(header, reference) {
+  const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+  const weekdays = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+  const monthPattern = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+  const text = String(header || '');
+  const toIso = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+  };
+  const expandYear = year => (year ? (year.length === 2 ? 2000 + parseInt(year, 10) : parseInt(year, 10)) : null);
+
+  const weekdayMatch = text.match(/\b(sun|mon|tue|wed|thu|fri|sat)(?:day|sday|nesday|rsday|urday|s|rs)?\b/i);
+  const weekday = weekdayMatch ? weekdays.indexOf(weekdayMatch[1].toLowerCase()) : null;
+  let match;
+  let month = null;
+  let day = null;
+  let year = null;
+
+  if ((match = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/))) {
+    [year, month, day] = [parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10)];
+  } else if ((match = text.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b/))) {
+    [month, day, year] = [parseInt(match[1], 10), parseInt(match[2], 10), expandYear(match[3])];
+  } else if ((match = text.match(new RegExp('\\b' + monthPattern + '\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?', 'i')))) {
+    [month, day, year] = [months.indexOf(match[1].substring(0, 3).toLowerCase()) + 1, parseInt(match[2], 10), expandYear(match[3])];
+  } else if ((match = text.match(new RegExp('\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?' + monthPattern + '(?:,?\\s+(\\d{4}))?', 'i')))) {
+    [month, day, year] = [months.indexOf(match[2].substring(0, 3).toLowerCase()) + 1, parseInt(match[1], 10), expandYear(match[3])];
+  }
+
+  let date = null;
+  if (month !== null && year !== null) {
+    date = toIso(year, month, day);
+  } else if (month !== null) {
+    const referenceYear = reference.getUTCFullYear();
+    const candidates = [referenceYear - 1, referenceYear, referenceYear + 1]
+      .map(candidateYear => toIso(candidateYear, month, day))
+      .filter(Boolean);
+    const onWeekday = candidates.filter(candidate => candidate.getUTCDay() === weekday);
+    const distance = candidate => Math.abs(candidate.getTime() - reference.getTime());
+    date = (onWeekday.length > 0 ? onWeekday : candidates).sort((a, b) => distance(a) - distance(b))[0] || null;
+  } else if (weekday !== null) {
+    const daysBack = (reference.getUTCDay() - weekday + 7) % 7;
+    date = new Date(reference.getTime() - daysBack * 24 * 60 * 60 * 1000);
+  }
+
+  return date ? date.toISOString().split('T')[0] : null;
+}
+
 /**
  * Extract daily sections from content based on date patterns
  */
@@ -252,7 +305,9 @@ function extractDailySections(content) {
     
     const sections = [];
     const lines = content.split('\n');
+    const extractedAt = new Date();
     let currentSection = '';
+    let sectionHeader = null;
     let sectionDate = null;
     
     for (const line of lines) {
@@ -265,13 +320,15 @@ function extractDailySections(content) {
           if (currentSection.trim()) {
             sections.push({
               date: sectionDate,
+              title: sectionHeader,
               content: currentSection.trim(),
-              timestamp: new Date().toISOString()
+              timestamp: extractedAt.toISOString()
             });
           }
-          // Start new section
+          // Start new section; the header is sent as an ISO date when it can be parsed
           currentSection = line + '\n';
-          sectionDate = line.trim();
+          sectionHeader = line.trim();
+          sectionDate = normalizeSectionDate(sectionHeader, extractedAt) || sectionHeader;
           break;
         }
       }
@@ -285,8 +342,9 @@ function extractDailySections(content) {
     if (currentSection.trim()) {
       sections.push({
         date: sectionDate,
+        title: sectionHeader,
         content: currentSection.trim(),
-        timestamp: new Date().toISOString()
+        timestamp: extractedAt.toISOString()
       });
     }
     
@@ -204,16 +204,18 @@ class WorkflowDemo {
       return null;
     }
 
-    // Combine content from search results
-    const combinedContent = searchResults.matches
-      .map(match => `Date: ${match.metadata?.date}\nContent: ${match.metadata?.content || 'Content not available'}`)
-      .join('\n\n---\n\n');
+    // Dated items let long windows be summarized per day or week
+    const items = searchResults.matches.map(match => ({
+      id: match.id,
+      date: match.metadata?.date,
+      content: match.metadata?.content || 'Content not available'
+    }));
 
     console.log(`📄 Combined ${searchResults.matches.length} content pieces for summarization`);
 
     // Generate summary using OpenAI
     const summaryResult = await this.openaiService.generatePublisherSummary(
-      combinedContent,
+      items,
       {
         publisher,
         timeframe: `${days} days`,
@@ -0,0 +1,340 @@
+/**
+ * Local Vector Store
+ * In-process stand-in for the Pinecone client, so PineconeService can run without a
+ * Pinecone account (VECTOR_STORE=local). Implements the client, index and namespace
+ * calls the service makes, with Pinecone's metadata filter operators.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_NAMESPACE = '';
+
+/**
+ * Compare a metadata value against one filter operator
+ */
+function compare(value, operator, operand) {
+  const values = Array.isArray(value) ? value : [value];
+
+  switch (operator) {
+    case '$eq':
+      return values.some(item => item === operand);
+    case '$ne':
+      return values.every(item => item !== operand);
+    case '$in':
+      return values.some(item => operand.includes(item));
+    case '$nin':
+      return values.every(item => !operand.includes(item));
+    case '$exists':
+      return (value !== undefined) === Boolean(operand);
+    case '$gt':
+    case '$gte':
+    case '$lt':
+    case '$lte': {
+      // Numbers compare numerically; ISO date strings compare lexically
+      if (value === undefined || value === null || typeof value !== typeof operand) return false;
+      if (operator === '$gt') return value > operand;
+      if (operator === '$gte') return value >= operand;
+      if (operator === '$lt') return value < operand;
+      return value <= operand;
+    }
+    default:
+      throw new Error(`Unsupported filter operator: ${operator}`);
+  }
+}
+
+/**
+ * Evaluate a Pinecone metadata filter, e.g.
+ * { publisher: 'brit+co', date: { $gte: '2024-01-01' }, $or: [{ priority: { $in: [1, 2] } }] }
+ */
+function matchesFilter(metadata = {}, filter = {}) {
+  return Object.entries(filter || {}).every(([key, condition]) => {
+    if (key === '$and') return condition.every(clause => matchesFilter(metadata, clause));
+    if (key === '$or') return condition.some(clause => matchesFilter(metadata, clause));
+
+    // A bare value is shorthand for $eq
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+      return compare(metadata[key], '$eq', condition);
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => compare(metadata[key], operator, operand));
+  });
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * Score a stored vector against the query. Cosine and dot product rank higher-is-closer;
+ * euclidean returns squared distance, lower-is-closer, as Pinecone does.
+ */
+function score(metric, query, values) {
+  if (metric === 'dotproduct') {
+    return dot(query, values);
+  }
+
+  if (metric === 'euclidean') {
+    let sum = 0;
+    for (let i = 0; i < query.length; i++) sum += (query[i] - values[i]) ** 2;
+    return sum;
+  }
+
+  const norms = Math.sqrt(dot(query, query)) * Math.sqrt(dot(values, values));
+  return norms === 0 ? 0 : dot(query, values) / norms;
+}
+
+/**
+ * Namespace handle, as returned by index.namespace(name)
+ */
+class LocalNamespace {
+  constructor(store, indexName, namespace = DEFAULT_NAMESPACE) {
+    this.store = store;
+    this.indexName = indexName;
+    this.namespaceName = namespace;
+  }
+
+  get definition() {
+    const definition = this.store.indexes.get(this.indexName);
+    if (!definition) {
+      throw new Error(`Index not found: ${this.indexName}`);
+    }
+    return definition;
+  }
+
+  records(create = false) {
+    const namespaces = this.definition.namespaces;
+    if (create && !namespaces.has(this.namespaceName)) namespaces.set(this.namespaceName, new Map());
+    return namespaces.get(this.namespaceName) || new Map();
+  }
+
+  async upsert(vectors) {
+    const { dimension } = this.definition;
+
+    for (const vector of vectors) {
+      if (vector.values.length !== dimension) {
+        throw new Error(`Vector dimension ${vector.values.length} does not match the dimension of the index ${dimension}`);
+      }
+    }
+
+    const records = this.records(true);
+    for (const vector of vectors) {
+      records.set(vector.id, {
+        id: vector.id,
+        values: [...vector.values],
+        metadata: vector.metadata ? { ...vector.metadata } : undefined
+      });
+    }
+
+    this.store.save();
+  }
+
+  async query({ vector, id, topK, includeMetadata = false, includeValues = false, filter }) {
+    const records = this.records();
+
+    if (!vector && id) {
+      const record = records.get(id);
+      if (!record) return { matches: [], namespace: this.namespaceName };
+      vector = record.values;
+    }
+
+    if (!vector) {
+      throw new Error('Query requires a vector or an id');
+    }
+
+    const { metric } = this.definition;
+    const ascending = metric === 'euclidean';
+
+    const matches = [...records.values()]
+      .filter(record => matchesFilter(record.metadata, filter))
+      .map(record => ({ record, score: score(metric, vector, record.values) }))
+      .sort((a, b) => (ascending ? a.score - b.score : b.score - a.score))
+      .slice(0, topK)
+      .map(({ record, score: matchScore }) => ({
+        id: record.id,
+        score: matchScore,
+        ...(includeValues ? { values: record.values } : {}),
+        ...(includeMetadata && record.metadata ? { metadata: record.metadata } : {})
+      }));
+
+    return { matches, namespace: this.namespaceName };
+  }
+
+  async fetch(ids) {
+    const records = this.records();
+    const fetched = {};
+
+    for (const id of ids) {
+      if (records.has(id)) fetched[id] = records.get(id);
+    }
+
+    return { records: fetched, namespace: this.namespaceName };
+  }
+
+  /**
+   * Ids in id order, a page at a time
+   */
+  async listPaginated({ prefix = '', limit = 100, paginationToken } = {}) {
+    const ids = [...this.records().keys()].filter(recordId => recordId.startsWith(prefix)).sort();
+    const start = paginationToken ? Number(paginationToken) : 0;
+    const next = start + limit < ids.length ? String(start + limit) : undefined;
+
+    return {
+      vectors: ids.slice(start, start + limit).map(recordId => ({ id: recordId })),
+      pagination: next ? { next } : undefined,
+      namespace: this.namespaceName
+    };
+  }
+
+  async deleteOne(id) {
+    return this.deleteMany([id]);
+  }
+
+  /**
+   * Delete by a list of ids or by a metadata filter
+   */
+  async deleteMany(idsOrFilter) {
+    const records = this.records();
+
+    if (Array.isArray(idsOrFilter)) {
+      idsOrFilter.forEach(id => records.delete(id));
+    } else {
+      for (const record of [...records.values()]) {
+        if (matchesFilter(record.metadata, idsOrFilter)) records.delete(record.id);
+      }
+    }
+
+    this.store.save();
+  }
+
+  async deleteAll() {
+    this.records().clear();
+    this.store.save();
+  }
+}
+
+/**
+ * Index handle. Like the SDK's, its own record operations use the default namespace.
+ */
+class LocalIndex extends LocalNamespace {
+  namespace(namespace) {
+    return new LocalNamespace(this.store, this.indexName, namespace);
+  }
+
+  async describeIndexStats({ filter } = {}) {
+    const namespaces = {};
+    let totalRecordCount = 0;
+
+    for (const [name, records] of this.definition.namespaces) {
+      const recordCount = [...records.values()].filter(record => matchesFilter(record.metadata, filter)).length;
+      if (recordCount === 0) continue;
+
+      namespaces[name] = { recordCount };
+      totalRecordCount += recordCount;
+    }
+
+    return {
+      namespaces,
+      dimension: this.definition.dimension,
+      indexFullness: 0,
+      totalRecordCount
+    };
+  }
+}
+
+/**
+ * Client with the Pinecone client's index management calls. With persistPath set,
+ * indexes are loaded from a JSON file and written back after each change.
+ */
+class LocalVectorStore {
+  constructor(options = {}) {
+    this.persistPath = options.persistPath || null;
+    this.indexes = new Map();
+    this.load();
+  }
+
+  load() {
+    if (!this.persistPath || !fs.existsSync(this.persistPath)) {
+      return;
+    }
+
+    const snapshot = JSON.parse(fs.readFileSync(this.persistPath, 'utf8'));
+    for (const [name, { namespaces, ...definition }] of Object.entries(snapshot.indexes || {})) {
+      this.indexes.set(name, {
+        ...definition,
+        namespaces: new Map(Object.entries(namespaces).map(([namespace, records]) => [
+          namespace,
+          new Map(records.map(record => [record.id, record]))
+        ]))
+      });
+    }
+  }
+
+  save() {
+    if (!this.persistPath) return;
+
+    const indexes = {};
+    for (const [name, { namespaces, ...definition }] of this.indexes) {
+      indexes[name] = {
+        ...definition,
+        namespaces: Object.fromEntries([...namespaces].map(([namespace, records]) => [namespace, [...records.values()]]))
+      };
+    }
+
+    fs.mkdirSync(path.dirname(this.persistPath), { recursive: true });
+    fs.writeFileSync(this.persistPath, JSON.stringify({ indexes }));
+  }
+
+  async listIndexes() {
+    return {
+      indexes: [...this.indexes.keys()].map(name => this.indexModel(name))
+    };
+  }
+
+  async createIndex({ name, dimension, metric = 'cosine', spec, suppressConflicts = false }) {
+    if (this.indexes.has(name)) {
+      if (suppressConflicts) return;
+      throw new Error(`Index already exists: ${name}`);
+    }
+
+    this.indexes.set(name, { dimension, metric, spec, namespaces: new Map() });
+    this.save();
+  }
+
+  async describeIndex(name) {
+    if (!this.indexes.has(name)) {
+      throw new Error(`Index not found: ${name}`);
+    }
+
+    return this.indexModel(name);
+  }
+
+  async deleteIndex(name) {
+    this.indexes.delete(name);
+    this.save();
+  }
+
+  index(name) {
+    return new LocalIndex(this, name);
+  }
+
+  indexModel(name) {
+    const { dimension, metric, spec } = this.indexes.get(name);
+
+    return {
+      name,
+      dimension,
+      metric,
+      host: 'local',
+      spec,
+      status: { ready: true, state: 'Ready' }
+    };
+  }
+}
+
+module.exports = {
+  LocalVectorStore,
+  matchesFilter
+};
@@ -9,7 +9,8 @@
  * - Token counting and cost optimization
  */
 
-const OpenAI = require('openai');
+const { createLLMProvider } = require('../services/llm-provider');
+const { summarizeHierarchically, createMemoryCache } = require('../services/hierarchical-summarizer');
 
 class OpenAIService {
   constructor(config = {}) {
@@ -22,9 +23,19 @@ class OpenAIService {
       embeddingModel: config.embeddingModel || 'text-embedding-3-small',
       maxRetries: config.maxRetries || 3,
       timeoutMs: config.timeoutMs || 60000,
+      provider: config.provider || process.env.LLM_PROVIDER,
+      maxContextTokens: config.maxContextTokens || 6000,
+      partialMaxTokens: config.partialMaxTokens || 600,
       ...config
     };
 
+    // Partial summaries for map-reduce mode, bounded and expiring; pass config.summaryCache
+    // (the hierarchical summarizer's { get, set }) to share them across processes
+    this.summaryCache = config.summaryCache || createMemoryCache({
+      maxEntries: config.summaryCacheEntries,
+      ttlMs: config.summaryCacheTtlMs
+    });
+
     this.client = null;
     this.isInitialized = false;
     this.costTracking = {
@@ -36,23 +47,24 @@ class OpenAIService {
   }
 
   /**
-   * Initialize OpenAI client
+   * Initialize the LLM provider (OpenAI unless config.provider / LLM_PROVIDER says otherwise)
    */
   async initialize() {
     try {
       this.logger.info('Initializing OpenAI service...');
 
-      if (!this.config.apiKey) {
-        throw new Error('OpenAI API key is required');
-      }
-
-      this.client = new OpenAI({
+      this.client = this.config.client || createLLMProvider({
+        provider: this.config.provider,
         apiKey: this.config.apiKey,
         organization: this.config.organization,
         timeout: this.config.timeoutMs,
         maxRetries: this.config.maxRetries
       });
 
+      if (!this.client) {
+        throw new Error('OpenAI API key is required');
+      }
+
       // Test the connection
       await this.testConnection();
 
@@ -92,9 +104,25 @@ class OpenAIService {
   }
 
   /**
-   * Generate comprehensive summary from publisher content
+   * Generate comprehensive summary from publisher content.
+   * content is a string, or an array of { date, content } items; items that do not fit
+   * one prompt (or options.mode === 'hierarchical') are summarized per day or week first.
    */
   async generatePublisherSummary(content, options = {}) {
+    if (Array.isArray(content)) {
+      const text = this.formatDatedItems(content);
+      const hierarchical = options.mode === 'hierarchical' ||
+        (options.mode !== 'single' && this.countTokens(text) > this.config.maxContextTokens);
+
+      // Citations are checked against the IDs of the items that were actually sent
+      const sourceIds = content.map(item => item.id).filter(Boolean).map(String);
+      const summaryOptions = sourceIds.length > 0 ? { sourceIds, ...options } : options;
+
+      return hierarchical
+        ? this.generateHierarchicalSummary(content, summaryOptions)
+        : this.generatePublisherSummary(text, summaryOptions);
+    }
+
     const startTime = Date.now();
 
     try {
@@ -144,6 +172,10 @@ class OpenAIService {
       // Parse and structure the summary
       const structuredSummary = this.parseSummaryResponse(rawSummary, options);
 
+      if (includeCitations && options.sourceIds) {
+        this.validateCitations(structuredSummary, options.sourceIds);
+      }
+
       // Track costs and performance
       this.trackUsage(tokens, Date.now() - startTime);
 
@@ -170,6 +202,85 @@ class OpenAIService {
     }
   }
 
+  /**
+   * Map-reduce summary: summarize each day or week, then combine the partial summaries
+   * (services/hierarchical-summarizer.js). Partials are cached by their exact input, so
+   * extending the window only processes new periods.
+   */
+  async generateHierarchicalSummary(items, options = {}) {
+    const startTime = Date.now();
+    this.validateInitialization();
+
+    const publisher = options.publisher || 'Unknown Publisher';
+    this.logger.info(`Generating hierarchical summary for ${publisher}: ${items.length} items`);
+
+    const summarize = async (text, label) => ({ summary: await this.summarizePeriod(text, { publisher, label }) });
+
+    const hierarchy = await summarizeHierarchically(items, publisher, {
+      period: options.period || null,
+      contextTokenBudget: this.config.maxContextTokens,
+      cache: this.summaryCache,
+      assemble: periodItems => ({ text: this.formatDatedItems(periodItems), dropped: 0 }),
+      summarizePartial: (text, { label }) => summarize(text, label),
+      combine: (text, { labels }) => summarize(text, `${labels[0]} to ${labels[labels.length - 1]}`),
+      finish: async (text, { period }) => ({
+        summary: await this.generatePublisherSummary(
+          `The following are summaries of consecutive ${period === 'week' ? 'weeks' : 'days'}, oldest first.\n\n${text}`,
+          options
+        )
+      })
+    });
+
+    const result = hierarchy.summary;
+    result.metadata.hierarchical = {
+      period: hierarchy.period,
+      partials: hierarchy.partials,
+      cachedPartials: hierarchy.cachedPartials,
+      processingTime: Date.now() - startTime
+    };
+
+    return result;
+  }
+
+  /**
+   * Summarize one period of content as plain-text bullet points
+   */
+  async summarizePeriod(content, { publisher, label }) {
+    const startTime = Date.now();
+
+    const response = await this.client.chat.completions.create({
+      model: this.config.model,
+      messages: [
+        {
+          role: 'system',
+          content: this.getSystemPrompt('summarizer')
+        },
+        {
+          role: 'user',
+          content: `Summarize the key developments about ${publisher} in the content below from ${label}.
+Keep exact numbers, percentages, dates and names. Use concise bullet points, each ending
+with the source IDs in square brackets of the items it comes from.
+If nothing concerns ${publisher}, reply "Nothing relevant".
+
+---
+${content}
+---`
+        }
+      ],
+      max_tokens: this.config.partialMaxTokens,
+      temperature: 0.2
+    });
+
+    this.trackUsage(response.usage, Date.now() - startTime);
+    return response.choices[0].message.content;
+  }
+
+  formatDatedItems(items) {
+    return items
+      .map(item => `${item.id ? `[${item.id}] ` : ''}Date: ${item.date || 'unknown'}\nContent: ${item.content || ''}`)
+      .join('\n\n---\n\n');
+  }
+
   /**
    * Create dynamic summary prompt based on content and requirements
    */
@@ -205,7 +316,7 @@ Requirements:
 
     if (includeCitations) {
       prompt += `
-- Include source references or content snippets to support key points`;
+- Each content item starts with a source ID in square brackets. Every section's "citations" must list the IDs (without brackets) of the items it is based on, and only IDs that appear in the content`;
     }
 
     prompt += `
@@ -229,6 +340,37 @@ Format the response as JSON with the following structure:
     return prompt;
   }
 
+  /**
+   * Drop citations of IDs that were not in the prompt and flag sections left without a source.
+   * Adds summary.citationCheck = { cited, removed, uncitedSections }.
+   */
+  validateCitations(summary, sourceIds) {
+    const allowed = new Set(sourceIds.map(String));
+    const cited = new Set();
+    const removed = new Set();
+    let uncitedSections = 0;
+
+    for (const section of summary.sections || []) {
+      const citations = (section.citations || []).map(citation => String(citation).replace(/^\[|\]$/g, '').trim());
+
+      section.citations = citations.filter(citation => allowed.has(citation));
+      citations.filter(citation => !allowed.has(citation)).forEach(citation => removed.add(citation));
+      section.citations.forEach(citation => cited.add(citation));
+
+      if (section.citations.length === 0) {
+        section.uncited = true;
+        uncitedSections++;
+      }
+    }
+
+    if (removed.size > 0) {
+      this.logger.warn(`Removed ${removed.size} citations to sources that were not provided: ${[...removed].join(', ')}`);
+    }
+
+    summary.citationCheck = { cited: [...cited], removed: [...removed], uncitedSections };
+    return summary;
+  }
+
   /**
    * Get system prompts for different AI roles
    */
@@ -3,10 +3,12 @@
  * Weekly Publisher Digest Assistant
  */
 
-const { PineconeClient } = require('@pinecone-database/pinecone');
-const OpenAI = require('openai');
+const { createLLMProvider } = require('../services/llm-provider');
+const { parseDigestDate, dayRange } = require('../services/digest-dates');
+const { LocalVectorStore } = require('./local-vector-store');
 const {
   PINECONE_CONFIG,
+  VECTOR_STORE_CONFIG,
   INDEX_CONFIG,
   NAMESPACE_CONFIG,
   QUERY_CONFIG,
@@ -43,30 +45,27 @@ class PineconeService {
    */
   async initialize() {
     try {
-      this.logger.info('Initializing Pinecone client...');
+      this.logger.info(`Initializing ${VECTOR_STORE_CONFIG.backend} vector store client...`);
 
-      // Initialize Pinecone client
-      this.client = new PineconeClient();
-      await this.client.init({
-        apiKey: PINECONE_CONFIG.apiKey,
-        environment: PINECONE_CONFIG.environment
-      });
+      // Initialize Pinecone client, or the in-process store with the same interface
+      this.client = this.createClient();
 
-      this.logger.info('Pinecone client initialized successfully');
+      this.logger.info('Vector store client initialized successfully');
 
-      // Initialize OpenAI client
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-        organization: process.env.OPENAI_ORG_ID || undefined
-      });
+      // Embeddings come from the configured LLM provider (OpenAI, or LLM_PROVIDER=mock offline)
+      this.openai = createLLMProvider();
 
-      this.logger.info('OpenAI client initialized successfully');
+      if (this.openai) {
+        this.logger.info(`Embedding provider initialized: ${this.openai.name}`);
+      } else {
+        this.logger.warn('No embedding provider configured - set OPENAI_API_KEY or LLM_PROVIDER');
+      }
 
       // Check if index exists, create if not
       await this.ensureIndex();
 
-      // Get index reference
-      this.index = this.client.Index(PINECONE_CONFIG.indexName);
+      // Get index reference; operations target a namespace handle from this.namespace()
+      this.index = this.client.index(PINECONE_CONFIG.indexName);
 
       // Start health monitoring
       this.startHealthMonitoring();
@@ -85,6 +84,23 @@ class PineconeService {
     }
   }
 
+  /**
+   * Create the client for the configured backend. The Pinecone SDK is only loaded
+   * when it is used, so the local backend runs without it.
+   */
+  createClient() {
+    switch (VECTOR_STORE_CONFIG.backend) {
+      case 'pinecone': {
+        const { Pinecone } = require('@pinecone-database/pinecone');
+        return new Pinecone({ apiKey: PINECONE_CONFIG.apiKey });
+      }
+      case 'local':
+        return new LocalVectorStore({ persistPath: VECTOR_STORE_CONFIG.persistPath });
+      default:
+        throw new Error(`Unknown vector store backend: ${VECTOR_STORE_CONFIG.backend}`);
+    }
+  }
+
   /**
    * Ensure index exists, create if necessary
    */
@@ -93,8 +109,8 @@ class PineconeService {
       this.logger.info('Checking if index exists...');
 
       // List existing indexes
-      const indexList = await this.client.listIndexes();
-      const indexExists = indexList.includes(PINECONE_CONFIG.indexName);
+      const { indexes = [] } = await this.client.listIndexes();
+      const indexExists = indexes.some(index => index.name === PINECONE_CONFIG.indexName);
 
       if (!indexExists) {
         this.logger.info('Index does not exist, creating...');
@@ -112,14 +128,15 @@ class PineconeService {
   }
 
   /**
-   * Create new Pinecone index
+   * Create new serverless Pinecone index
    */
   async createIndex() {
     try {
       this.logger.info('Creating Pinecone index with configuration:', INDEX_CONFIG);
 
       await this.client.createIndex({
-        createRequest: INDEX_CONFIG
+        ...INDEX_CONFIG,
+        suppressConflicts: true
       });
 
       this.logger.info('Index created successfully');
@@ -144,11 +161,9 @@ class PineconeService {
 
     while (Date.now() - startTime < maxWaitTime) {
       try {
-        const indexStats = await this.client.describeIndex({
-          indexName: PINECONE_CONFIG.indexName
-        });
+        const indexDescription = await this.client.describeIndex(PINECONE_CONFIG.indexName);
 
-        if (indexStats.status?.ready) {
+        if (indexDescription.status?.ready) {
           this.logger.info('Index is ready');
           return true;
         }
@@ -170,19 +185,17 @@ class PineconeService {
    */
   async verifyIndexConfiguration() {
     try {
-      const indexStats = await this.client.describeIndex({
-        indexName: PINECONE_CONFIG.indexName
-      });
+      const indexDescription = await this.client.describeIndex(PINECONE_CONFIG.indexName);
 
       const expectedDimension = INDEX_CONFIG.dimension;
-      const actualDimension = indexStats.database?.dimension;
+      const actualDimension = indexDescription.dimension;
 
       if (actualDimension !== expectedDimension) {
         this.logger.warn(`Index dimension mismatch: expected ${expectedDimension}, got ${actualDimension}`);
       }
 
       const expectedMetric = INDEX_CONFIG.metric;
-      const actualMetric = indexStats.database?.metric;
+      const actualMetric = indexDescription.metric;
 
       if (actualMetric !== expectedMetric) {
         this.logger.warn(`Index metric mismatch: expected ${expectedMetric}, got ${actualMetric}`);
@@ -196,6 +209,13 @@ class PineconeService {
     }
   }
 
+  /**
+   * Namespace handle on the index
+   */
+  namespace(namespace) {
+    return this.index.namespace(namespace);
+  }
+
   /**
    * Upsert vectors to Pinecone
    */
@@ -215,12 +235,7 @@ class PineconeService {
 
       // Single batch upsert
       const response = await this.executeWithRetry(async () => {
-        return await this.index.upsert({
-          upsertRequest: {
-            vectors: vectors,
-            namespace: namespace
-          }
-        });
+        return await this.namespace(namespace).upsert(vectors);
       });
 
       const duration = Date.now() - startTime;
@@ -283,12 +298,7 @@ class PineconeService {
       this.logger.debug(`Upserting batch ${batchIndex + 1} with ${batch.length} vectors`);
 
       const response = await this.executeWithRetry(async () => {
-        return await this.index.upsert({
-          upsertRequest: {
-            vectors: batch,
-            namespace: namespace
-          }
-        });
+        return await this.namespace(namespace).upsert(batch);
       });
 
       return response;
@@ -313,17 +323,20 @@ class PineconeService {
 
       this.logger.info(`Querying vectors with topK: ${queryOptions.topK}, namespace: ${queryOptions.namespace}`);
 
+      const queryRequest = {
+        vector: vector,
+        topK: queryOptions.topK,
+        includeMetadata: queryOptions.includeMetadata,
+        includeValues: queryOptions.includeValues
+      };
+
+      // The API rejects an empty filter object
+      if (queryOptions.filter && Object.keys(queryOptions.filter).length > 0) {
+        queryRequest.filter = queryOptions.filter;
+      }
+
       const response = await this.executeWithRetry(async () => {
-        return await this.index.query({
-          queryRequest: {
-            vector: vector,
-            topK: queryOptions.topK,
-            includeMetadata: queryOptions.includeMetadata,
-            includeValues: queryOptions.includeValues,
-            namespace: queryOptions.namespace,
-            filter: queryOptions.filter
-          }
-        });
+        return await this.namespace(queryOptions.namespace).query(queryRequest);
       });
 
       const duration = Date.now() - startTime;
@@ -350,12 +363,7 @@ class PineconeService {
       this.logger.info(`Deleting ${ids.length} vectors from namespace: ${namespace}`);
 
       const response = await this.executeWithRetry(async () => {
-        return await this.index.delete1({
-          deleteRequest: {
-            ids: ids,
-            namespace: namespace
-          }
-        });
+        return await this.namespace(namespace).deleteMany(ids);
       });
 
       const duration = Date.now() - startTime;
@@ -372,6 +380,77 @@ class PineconeService {
     }
   }
 
+  /**
+   * Delete every vector whose metadata matches a filter
+   */
+  async deleteVectorsByFilter(filter, namespace = NAMESPACE_CONFIG.daily_digests) {
+    const startTime = Date.now();
+
+    try {
+      if (!filter || Object.keys(filter).length === 0) {
+        throw new Error('Delete filter must not be empty');
+      }
+
+      this.logger.info(`Deleting vectors matching ${JSON.stringify(filter)} from namespace: ${namespace}`);
+
+      const response = await this.executeWithRetry(async () => {
+        return await this.namespace(namespace).deleteMany(filter);
+      });
+
+      const duration = Date.now() - startTime;
+      this.recordMetric('delete_by_filter', duration);
+
+      this.logger.info(`Deleted vectors by filter in ${duration}ms`);
+      return response;
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      this.recordError('delete_by_filter', error, duration);
+      this.logger.error('Error deleting vectors by filter:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List vector IDs that start with a prefix, following pagination,
+   * e.g. "brit+co-2024-01-15" for every chunk of one digest
+   */
+  async listVectorIds(prefix, namespace = NAMESPACE_CONFIG.daily_digests) {
+    const startTime = Date.now();
+
+    try {
+      this.logger.info(`Listing vector ids with prefix "${prefix}" in namespace: ${namespace}`);
+
+      const ids = [];
+      let paginationToken;
+
+      do {
+        const page = await this.executeWithRetry(async () => {
+          return await this.namespace(namespace).listPaginated({
+            prefix,
+            limit: BATCH_CONFIG.listPageSize,
+            paginationToken
+          });
+        });
+
+        ids.push(...(page.vectors || []).map(vector => vector.id));
+        paginationToken = page.pagination?.next;
+      } while (paginationToken);
+
+      const duration = Date.now() - startTime;
+      this.recordMetric('list', duration, ids.length);
+
+      this.logger.info(`Listed ${ids.length} vector ids in ${duration}ms`);
+      return ids;
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      this.recordError('list', error, duration);
+      this.logger.error('Error listing vector ids:', error);
+      throw error;
+    }
+  }
+
   /**
    * Fetch vectors by IDs
    */
@@ -382,19 +461,17 @@ class PineconeService {
       this.logger.info(`Fetching ${ids.length} vectors from namespace: ${namespace}`);
 
       const response = await this.executeWithRetry(async () => {
-        return await this.index.fetch({
-          fetchRequest: {
-            ids: ids,
-            namespace: namespace
-          }
-        });
+        return await this.namespace(namespace).fetch(ids);
       });
 
+      // The SDK returns "records"; callers read "vectors"
+      const vectors = response.records || {};
+
       const duration = Date.now() - startTime;
-      this.recordMetric('fetch', duration, Object.keys(response.vectors || {}).length);
+      this.recordMetric('fetch', duration, Object.keys(vectors).length);
 
-      this.logger.info(`Fetched ${Object.keys(response.vectors || {}).length} vectors in ${duration}ms`);
-      return response;
+      this.logger.info(`Fetched ${Object.keys(vectors).length} vectors in ${duration}ms`);
+      return { vectors, namespace: response.namespace };
 
     } catch (error) {
       const duration = Date.now() - startTime;
@@ -410,13 +487,23 @@ class PineconeService {
   async getIndexStats() {
     try {
       const response = await this.executeWithRetry(async () => {
-        return await this.index.describeIndexStats({
-          describeIndexStatsRequest: {}
-        });
+        return await this.index.describeIndexStats();
       });
 
       this.logger.info('Retrieved index statistics');
-      return response;
+
+      // Report counts as vectorCount, as callers of this method always have
+      const namespaces = {};
+      for (const [name, stats] of Object.entries(response.namespaces || {})) {
+        namespaces[name] = { vectorCount: stats.recordCount };
+      }
+
+      return {
+        dimension: response.dimension,
+        indexFullness: response.indexFullness,
+        totalVectorCount: response.totalRecordCount,
+        namespaces
+      };
 
     } catch (error) {
       this.logger.error('Error getting index stats:', error);
@@ -457,13 +544,11 @@ class PineconeService {
     try {
       this.logger.info(`Searching content between ${startDate} and ${endDate}`);
 
+      // Range operators only compare numbers, so the window is matched on epoch seconds
       const searchOptions = {
         ...options,
         filter: {
-          date: {
-            $gte: startDate,
-            $lte: endDate
-          },
+          timestamp: dayRange(startDate, endDate),
           ...options.filter
         }
       };
@@ -553,6 +638,12 @@ class PineconeService {
       // Normalize publisher name
       const normalizedPublisher = this.normalizePublisherName(metadata.publisher);
 
+      // Digest headers ("Monday, March 3") become an ISO date plus epoch seconds for range filters
+      const digestDate = parseDigestDate(metadata.date);
+      if (!digestDate) {
+        throw new Error(`Unrecognized digest date: ${metadata.date}`);
+      }
+
       // Generate content chunks if text is too long
       const chunks = this.chunkContentForEmbedding(content);
       
@@ -563,11 +654,13 @@ class PineconeService {
 
       // Create vectors with metadata
       const vectors = chunks.map((chunk, index) => ({
-        id: `${normalizedPublisher}-${metadata.date}-chunk-${index}`,
+        id: `${normalizedPublisher}-${digestDate.date}-chunk-${index}`,
         values: embeddings[index],
         metadata: {
           ...metadata,
           publisher: normalizedPublisher,
+          date: digestDate.date,
+          timestamp: digestDate.timestamp,
           content_type: 'daily_digest',
           section: `chunk_${index}`,
           content_length: chunk.length,
@@ -734,6 +827,15 @@ class PineconeService {
         }
       }
 
+      // Date filters rely on these formats; a string timestamp would never match a range
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(metadata.date)) {
+        throw new Error(`Metadata date must be an ISO date (YYYY-MM-DD): ${metadata.date}`);
+      }
+
+      if (metadata.timestamp !== undefined && typeof metadata.timestamp !== 'number') {
+        throw new Error('Metadata timestamp must be a number (epoch seconds)');
+      }
+
       // Check for extra fields if not allowed
       if (!VALIDATION_CONFIG.allowExtraFields) {
         const allowedFields = Object.keys(require('./pinecone-config').VECTOR_METADATA_SCHEMA);
@@ -777,10 +879,7 @@ class PineconeService {
 
     for (let attempt = 0; attempt < ERROR_CONFIG.maxRetries; attempt++) {
       try {
-        return await Promise.race([
-          operation(),
-          this.timeoutPromise(ERROR_CONFIG.timeoutMs)
-        ]);
+        return await this.withTimeout(operation(), ERROR_CONFIG.timeoutMs);
 
       } catch (error) {
         lastError = error;
@@ -800,22 +899,30 @@ class PineconeService {
   }
 
   /**
-   * Create timeout promise
+   * Race a promise against a timeout, clearing the timer once either settles so a pending
+   * timeout does not keep the process alive
    */
-  timeoutPromise(ms) {
-    return new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Operation timeout')), ms);
+  async withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('Operation timeout')), ms);
     });
+
+    try {
+      return await Promise.race([promise, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
   /**
-   * Start health monitoring
+   * Start health monitoring. The interval is unref'd so it does not keep the process alive.
    */
   startHealthMonitoring() {
     if (HEALTH_CONFIG.checkInterval > 0) {
       setInterval(() => {
         this.performHealthCheck();
-      }, HEALTH_CONFIG.checkInterval);
+      }, HEALTH_CONFIG.checkInterval).unref();
       
       this.logger.info('Health monitoring started');
     }
@@ -829,10 +936,7 @@ class PineconeService {
       const startTime = Date.now();
       
       // Simple health check - get index stats
-      await Promise.race([
-        this.getIndexStats(),
-        this.timeoutPromise(HEALTH_CONFIG.timeoutMs)
-      ]);
+      await this.withTimeout(this.getIndexStats(), HEALTH_CONFIG.timeoutMs);
 
       const duration = Date.now() - startTime;
       
@@ -860,13 +964,13 @@ class PineconeService {
   }
 
   /**
-   * Start metrics collection
+   * Start metrics collection. The interval is unref'd so it does not keep the process alive.
    */
   startMetricsCollection() {
     if (PERFORMANCE_CONFIG.enableMetrics && PERFORMANCE_CONFIG.metricsInterval > 0) {
       setInterval(() => {
         this.collectMetrics();
-      }, PERFORMANCE_CONFIG.metricsInterval);
+      }, PERFORMANCE_CONFIG.metricsInterval).unref();
       
       this.logger.info('Metrics collection started');
     }
@@ -6,35 +6,29 @@
 // Pinecone Configuration
 const PINECONE_CONFIG = {
   apiKey: process.env.PINECONE_API_KEY || 'your-pinecone-api-key-here',
-  environment: process.env.PINECONE_ENVIRONMENT || 'us-east-1',
+  cloud: process.env.PINECONE_CLOUD || 'aws', // Serverless cloud: aws, gcp or azure
+  region: process.env.PINECONE_REGION || 'us-east-1', // Serverless region within the cloud
   indexName: process.env.PINECONE_INDEX_NAME || 'mulabot-csm',
-  projectId: process.env.PINECONE_PROJECT_ID || 'your-project-id-here',
   dimensions: 1536, // OpenAI text-embedding-3-small dimensions
-  metric: 'cosine', // Similarity metric
-  pods: 1,
-  podType: 'serverless', // Using serverless mode
-  replicas: 1,
-  shards: 1
+  metric: 'cosine' // Similarity metric
 };
 
-// Index Configuration
+// Vector Store Backend: "pinecone", or "local" for the in-process store (no Pinecone account)
+const VECTOR_STORE_CONFIG = {
+  backend: (process.env.VECTOR_STORE || 'pinecone').toLowerCase(),
+  persistPath: process.env.LOCAL_VECTOR_STORE_PATH || null // JSON snapshot; memory only when unset
+};
+
+// Index Configuration (serverless indexes index all metadata fields)
 const INDEX_CONFIG = {
   name: PINECONE_CONFIG.indexName,
   dimension: PINECONE_CONFIG.dimensions,
   metric: PINECONE_CONFIG.metric,
-  pod_type: PINECONE_CONFIG.podType,
-  pods: PINECONE_CONFIG.pods,
-  replicas: PINECONE_CONFIG.replicas,
-  shards: PINECONE_CONFIG.shards,
-  metadata_config: {
-    indexed: [
-      'publisher',
-      'date',
-      'content_type',
-      'source',
-      'section',
-      'timestamp'
-    ]
+  spec: {
+    serverless: {
+      cloud: PINECONE_CONFIG.cloud,
+      region: PINECONE_CONFIG.region
+    }
   }
 };
 
@@ -50,13 +44,13 @@ const NAMESPACE_CONFIG = {
 const VECTOR_METADATA_SCHEMA = {
   // Required fields
   publisher: 'string',           // Publisher name (e.g., "TechCrunch", "Brit+Co")
-  date: 'string',               // Date in ISO format
+  date: 'string',               // Digest date, ISO format (YYYY-MM-DD)
   content_type: 'string',       // Type of content (e.g., "daily_digest", "article")
   source: 'string',             // Source document/URL
   
   // Optional fields
   section: 'string',            // Section within the digest
-  timestamp: 'number',          // Unix timestamp
+  timestamp: 'number',          // Digest date as epoch seconds (UTC midnight); date range filters use this
   content_length: 'number',     // Length of original content
   confidence_score: 'number',   // AI confidence score
   summary: 'string',            // Brief summary
@@ -64,6 +58,8 @@ const VECTOR_METADATA_SCHEMA = {
   sentiment: 'string',          // Sentiment analysis result
   category: 'string',           // Content category
   priority: 'number',           // Priority score (1-10)
+  chunk_index: 'number',        // Position of this chunk in the digest
+  total_chunks: 'number',       // Number of chunks the digest was split into
   
   // System fields
   created_at: 'string',         // When vector was created
@@ -85,6 +81,7 @@ const QUERY_CONFIG = {
 const BATCH_CONFIG = {
   maxBatchSize: 100,           // Maximum vectors per batch
   maxConcurrentBatches: 5,     // Maximum concurrent batch operations
+  listPageSize: 100,           // Ids per page when listing by prefix
   retryAttempts: 3,            // Number of retry attempts
   retryDelay: 1000,            // Delay between retries (ms)
   timeoutMs: 30000             // Request timeout
@@ -169,6 +166,7 @@ const PUBLISHER_CONFIG = {
 // Export all configurations
 module.exports = {
   PINECONE_CONFIG,
+  VECTOR_STORE_CONFIG,
   INDEX_CONFIG,
   NAMESPACE_CONFIG,
   VECTOR_METADATA_SCHEMA,
@@ -184,7 +182,11 @@ module.exports = {
 
 // Environment validation
 function validateEnvironment() {
-  const required = ['PINECONE_API_KEY', 'PINECONE_ENVIRONMENT'];
+  if (VECTOR_STORE_CONFIG.backend === 'local') {
+    return true;
+  }
+
+  const required = ['PINECONE_API_KEY'];
   const missing = required.filter(key => !process.env[key]);
   
   if (missing.length > 0) {
@@ -199,8 +201,13 @@ function validateEnvironment() {
 function validateConfig() {
   const errors = [];
   
+  // Validate backend
+  if (!['pinecone', 'local'].includes(VECTOR_STORE_CONFIG.backend)) {
+    errors.push('Invalid VECTOR_STORE: must be pinecone or local');
+  }
+
   // Validate API key
-  if (!PINECONE_CONFIG.apiKey || PINECONE_CONFIG.apiKey === 'your-pinecone-api-key-here') {
+  if (VECTOR_STORE_CONFIG.backend === 'pinecone' && (!PINECONE_CONFIG.apiKey || PINECONE_CONFIG.apiKey === 'your-pinecone-api-key-here')) {
     errors.push('PINECONE_API_KEY is not set');
   }
   
@@ -215,6 +222,16 @@ function validateConfig() {
     errors.push('Invalid metric: must be one of ' + validMetrics.join(', '));
   }
   
+  // Validate serverless spec
+  const validClouds = ['aws', 'gcp', 'azure'];
+  if (!validClouds.includes(PINECONE_CONFIG.cloud)) {
+    errors.push('Invalid PINECONE_CLOUD: must be one of ' + validClouds.join(', '));
+  }
+
+  if (!PINECONE_CONFIG.region) {
+    errors.push('PINECONE_REGION is required');
+  }
+
   // Validate index name
   if (!PINECONE_CONFIG.indexName || PINECONE_CONFIG.indexName.length < 1) {
     errors.push('Index name is required');
@@ -240,8 +257,9 @@ function initializeConfig() {
   }
   
   console.log('Pinecone configuration initialized successfully');
+  console.log('Backend:', VECTOR_STORE_CONFIG.backend);
   console.log('Index:', PINECONE_CONFIG.indexName);
-  console.log('Environment:', PINECONE_CONFIG.environment);
+  console.log('Serverless:', `${PINECONE_CONFIG.cloud}/${PINECONE_CONFIG.region}`);
   console.log('Dimensions:', PINECONE_CONFIG.dimensions);
   console.log('Metric:', PINECONE_CONFIG.metric);
   
@@ -0,0 +1,169 @@
+/**
+ * Test Suite for the Local Vector Store Backend
+ * Weekly Publisher Digest Assistant
+ */
+
+process.env.VECTOR_STORE = 'local';
+process.env.LLM_PROVIDER = 'mock';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalVectorStore, matchesFilter } = require('../local-vector-store');
+const PineconeService = require('../pinecone-client');
+const { PINECONE_CONFIG, NAMESPACE_CONFIG } = require('../pinecone-config');
+
+function vector(id, values, metadata) {
+  return { id, values, metadata };
+}
+
+describe('LocalVectorStore', () => {
+  let store;
+  let index;
+  let digests;
+
+  beforeEach(async () => {
+    store = new LocalVectorStore();
+    await store.createIndex({ name: 'test', dimension: 3, metric: 'cosine', spec: { serverless: { cloud: 'aws', region: 'us-east-1' } } });
+    index = store.index('test');
+    digests = index.namespace('digests');
+
+    await digests.upsert([
+      vector('a', [1, 0, 0], { publisher: 'techcrunch', date: '2024-01-10', priority: 8, keywords: ['ai', 'funding'] }),
+      vector('b', [0.9, 0.1, 0], { publisher: 'brit+co', date: '2024-01-20', priority: 5, keywords: ['diy'] }),
+      vector('c', [0, 1, 0], { publisher: 'techcrunch', date: '2024-02-01', priority: 2 })
+    ]);
+  });
+
+  test('should describe indexes like the Pinecone client', async () => {
+    const { indexes } = await store.listIndexes();
+
+    expect(indexes).toEqual([expect.objectContaining({ name: 'test', dimension: 3, metric: 'cosine', status: { ready: true, state: 'Ready' } })]);
+    expect((await store.describeIndex('test')).spec).toEqual({ serverless: { cloud: 'aws', region: 'us-east-1' } });
+    await expect(store.createIndex({ name: 'test', dimension: 3, suppressConflicts: true })).resolves.toBeUndefined();
+  });
+
+  test('should rank matches by cosine similarity within a namespace', async () => {
+    const response = await digests.query({ vector: [1, 0, 0], topK: 2, includeMetadata: true });
+
+    expect(response.matches.map(match => match.id)).toEqual(['a', 'b']);
+    expect(response.matches[0].score).toBeCloseTo(1);
+    expect(response.matches[0].metadata.publisher).toBe('techcrunch');
+    expect(response.matches[0].values).toBeUndefined();
+
+    const other = await index.namespace('profiles').query({ vector: [1, 0, 0], topK: 2 });
+    expect(other.matches).toEqual([]);
+  });
+
+  test('should apply $eq, $in, $gte and $lte filters', async () => {
+    const query = filter => digests.query({ vector: [1, 0, 0], topK: 10, filter })
+      .then(response => response.matches.map(match => match.id).sort());
+
+    expect(await query({ publisher: 'techcrunch' })).toEqual(['a', 'c']);
+    expect(await query({ publisher: { $eq: 'brit+co' } })).toEqual(['b']);
+    expect(await query({ keywords: { $in: ['funding', 'diy'] } })).toEqual(['a', 'b']);
+    expect(await query({ date: { $gte: '2024-01-15', $lte: '2024-01-31' } })).toEqual(['b']);
+    expect(await query({ priority: { $gte: 5 }, publisher: 'techcrunch' })).toEqual(['a']);
+    expect(await query({ $or: [{ priority: { $lte: 2 } }, { publisher: 'brit+co' }] })).toEqual(['b', 'c']);
+  });
+
+  test('should fetch, delete by id and filter, and report per-namespace counts', async () => {
+    const fetched = await digests.fetch(['a', 'missing']);
+    expect(Object.keys(fetched.records)).toEqual(['a']);
+
+    await digests.deleteMany(['a']);
+    await digests.deleteMany({ publisher: 'brit+co' });
+
+    const stats = await index.describeIndexStats();
+    expect(stats).toEqual({ namespaces: { digests: { recordCount: 1 } }, dimension: 3, indexFullness: 0, totalRecordCount: 1 });
+  });
+
+  test('should list ids by prefix a page at a time', async () => {
+    await digests.upsert([vector('brit-1', [0, 0, 1]), vector('brit-2', [0, 0, 1]), vector('brit-3', [0, 0, 1])]);
+
+    const first = await digests.listPaginated({ prefix: 'brit-', limit: 2 });
+    const second = await digests.listPaginated({ prefix: 'brit-', limit: 2, paginationToken: first.pagination.next });
+
+    expect(first.vectors).toEqual([{ id: 'brit-1' }, { id: 'brit-2' }]);
+    expect(second.vectors).toEqual([{ id: 'brit-3' }]);
+    expect(second.pagination).toBeUndefined();
+  });
+
+  test('should reject vectors that do not match the index dimension', async () => {
+    await expect(index.upsert([vector('d', [1, 0])]))
+      .rejects.toThrow('Vector dimension 2 does not match the dimension of the index 3');
+  });
+
+  test('should persist indexes to a snapshot file', async () => {
+    const persistPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'vectors-')), 'store.json');
+    const persisted = new LocalVectorStore({ persistPath });
+    await persisted.createIndex({ name: 'test', dimension: 3 });
+    await persisted.index('test').namespace('digests').upsert([vector('a', [1, 0, 0], { publisher: 'wired' })]);
+
+    const reloaded = new LocalVectorStore({ persistPath });
+    const fetched = await reloaded.index('test').namespace('digests').fetch(['a']);
+
+    expect((await reloaded.listIndexes()).indexes.map(index => index.name)).toEqual(['test']);
+    expect(fetched.records.a.metadata).toEqual({ publisher: 'wired' });
+  });
+
+  test('should treat missing metadata as not matching range filters', () => {
+    expect(matchesFilter({}, { date: { $gte: '2024-01-01' } })).toBe(false);
+    expect(matchesFilter({ date: 20240101 }, { date: { $gte: '2024-01-01' } })).toBe(false);
+    expect(matchesFilter({ tag: 'x' }, { tag: { $nin: ['y'] }, missing: { $exists: false } })).toBe(true);
+  });
+});
+
+describe('PineconeService with the local backend', () => {
+  let service;
+
+  beforeEach(async () => {
+    jest.spyOn(PineconeService.prototype, 'startHealthMonitoring').mockImplementation(() => {});
+    jest.spyOn(PineconeService.prototype, 'startMetricsCollection').mockImplementation(() => {});
+
+    service = new PineconeService();
+    service.logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+    await service.initialize();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should create the index and search processed digests offline', async () => {
+    await service.processAndUpsertDigestContent('Brit+Co RPM up 12% after the homepage redesign', {
+      publisher: 'britco',
+      date: '2024-01-15',
+      source: 'daily-digest'
+    });
+
+    const queryVector = await service.generateQueryEmbedding('Brit+Co RPM homepage');
+    const results = await service.searchContentByDateRange(queryVector, '2024-01-01', '2024-01-31', {
+      filter: { publisher: 'brit+co' }
+    });
+    const stats = await service.getIndexStats();
+
+    expect((await service.client.describeIndex(PINECONE_CONFIG.indexName)).spec).toEqual({
+      serverless: { cloud: PINECONE_CONFIG.cloud, region: PINECONE_CONFIG.region }
+    });
+    expect(results.matches).toHaveLength(1);
+    expect(results.matches[0].id).toBe('brit+co-2024-01-15-chunk-0');
+    expect(results.matches[0].metadata.date).toBe('2024-01-15');
+    expect(results.matches[0].metadata.timestamp).toBe(Date.UTC(2024, 0, 15) / 1000);
+    expect(stats.namespaces[NAMESPACE_CONFIG.daily_digests].vectorCount).toBe(1);
+    expect(stats.totalVectorCount).toBe(1);
+  });
+
+  test('should list digest chunks by prefix and delete them by filter', async () => {
+    await service.processAndUpsertDigestContent('Brit+Co RPM up 12%', { publisher: 'britco', date: '2024-01-15', source: 'daily-digest' });
+    await service.processAndUpsertDigestContent('Wired CPMs flat', { publisher: 'wired', date: '2024-01-15', source: 'daily-digest' });
+
+    expect(await service.listVectorIds('brit+co-2024-01-15')).toEqual(['brit+co-2024-01-15-chunk-0']);
+
+    await service.deleteVectorsByFilter({ publisher: 'brit+co' });
+    const fetched = await service.fetchVectors(['brit+co-2024-01-15-chunk-0', 'wired-2024-01-15-chunk-0']);
+
+    expect(Object.keys(fetched.vectors)).toEqual(['wired-2024-01-15-chunk-0']);
+    await expect(service.deleteVectorsByFilter({})).rejects.toThrow('Delete filter must not be empty');
+  });
+});
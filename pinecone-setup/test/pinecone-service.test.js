@@ -7,7 +7,9 @@ const PineconeService = require('../pinecone-client');
 const { 
   PINECONE_CONFIG, 
   NAMESPACE_CONFIG,
-  VALIDATION_CONFIG 
+  VALIDATION_CONFIG,
+  ERROR_CONFIG,
+  HEALTH_CONFIG
 } = require('../pinecone-config');
 
 // Mock dependencies
@@ -17,38 +19,47 @@ describe('PineconeService', () => {
   let pineconeService;
   let mockPineconeClient;
   let mockIndex;
+  let mockNamespace;
 
   beforeEach(() => {
     // Reset mocks
     jest.clearAllMocks();
     
-    // Mock Pinecone client
-    mockIndex = {
+    // Mock namespace handle and index
+    mockNamespace = {
       upsert: jest.fn().mockResolvedValue({ success: true }),
       query: jest.fn().mockResolvedValue({ matches: [] }),
-      delete1: jest.fn().mockResolvedValue({ success: true }),
-      fetch: jest.fn().mockResolvedValue({ vectors: {} }),
+      deleteMany: jest.fn().mockResolvedValue({ success: true }),
+      fetch: jest.fn().mockResolvedValue({ records: {} }),
+      listPaginated: jest.fn().mockResolvedValue({ vectors: [] })
+    };
+
+    mockIndex = {
+      namespace: jest.fn().mockReturnValue(mockNamespace),
       describeIndexStats: jest.fn().mockResolvedValue({ 
         dimension: 1536,
         indexFullness: 0.1,
+        totalRecordCount: 0,
         namespaces: {}
       })
     };
 
+    // Mock Pinecone client
     mockPineconeClient = {
-      init: jest.fn().mockResolvedValue(true),
-      listIndexes: jest.fn().mockResolvedValue(['weekly-publisher-digest']),
-      createIndex: jest.fn().mockResolvedValue(true),
+      listIndexes: jest.fn().mockResolvedValue({ indexes: [{ name: PINECONE_CONFIG.indexName }] }),
+      createIndex: jest.fn().mockResolvedValue(undefined),
       describeIndex: jest.fn().mockResolvedValue({
-        status: { ready: true },
-        database: { dimension: 1536, metric: 'cosine' }
+        name: PINECONE_CONFIG.indexName,
+        dimension: 1536,
+        metric: 'cosine',
+        status: { ready: true }
       }),
-      Index: jest.fn().mockReturnValue(mockIndex)
+      index: jest.fn().mockReturnValue(mockIndex)
     };
 
     // Mock constructor
-    const { PineconeClient } = require('@pinecone-database/pinecone');
-    PineconeClient.mockImplementation(() => mockPineconeClient);
+    const { Pinecone } = require('@pinecone-database/pinecone');
+    Pinecone.mockImplementation(() => mockPineconeClient);
 
     pineconeService = new PineconeService();
   });
@@ -59,33 +70,43 @@ describe('PineconeService', () => {
       
       expect(result).toBe(true);
       expect(pineconeService.isInitialized).toBe(true);
-      expect(mockPineconeClient.init).toHaveBeenCalledWith({
-        apiKey: PINECONE_CONFIG.apiKey,
-        environment: PINECONE_CONFIG.environment
-      });
+
+      const { Pinecone } = require('@pinecone-database/pinecone');
+      expect(Pinecone).toHaveBeenCalledWith({ apiKey: PINECONE_CONFIG.apiKey });
+      expect(mockPineconeClient.index).toHaveBeenCalledWith(PINECONE_CONFIG.indexName);
     });
 
     test('should handle initialization failure', async () => {
-      mockPineconeClient.init.mockRejectedValue(new Error('API key invalid'));
+      mockPineconeClient.listIndexes.mockRejectedValue(new Error('API key invalid'));
       
       await expect(pineconeService.initialize()).rejects.toThrow('API key invalid');
       expect(pineconeService.isInitialized).toBe(false);
     });
 
     test('should create index if it does not exist', async () => {
-      mockPineconeClient.listIndexes.mockResolvedValue([]);
+      mockPineconeClient.listIndexes.mockResolvedValue({ indexes: [] });
       
       await pineconeService.initialize();
       
-      expect(mockPineconeClient.createIndex).toHaveBeenCalled();
+      expect(mockPineconeClient.createIndex).toHaveBeenCalledWith({
+        name: PINECONE_CONFIG.indexName,
+        dimension: PINECONE_CONFIG.dimensions,
+        metric: PINECONE_CONFIG.metric,
+        spec: {
+          serverless: {
+            cloud: PINECONE_CONFIG.cloud,
+            region: PINECONE_CONFIG.region
+          }
+        },
+        suppressConflicts: true
+      });
     });
 
     test('should verify existing index configuration', async () => {
       await pineconeService.initialize();
       
-      expect(mockPineconeClient.describeIndex).toHaveBeenCalledWith({
-        indexName: PINECONE_CONFIG.indexName
-      });
+      expect(mockPineconeClient.describeIndex).toHaveBeenCalledWith(PINECONE_CONFIG.indexName);
+      expect(mockPineconeClient.createIndex).not.toHaveBeenCalled();
     });
   });
 
@@ -122,12 +143,8 @@ describe('PineconeService', () => {
         const result = await pineconeService.upsertVectors(testVectors);
         
         expect(result).toEqual({ success: true });
-        expect(mockIndex.upsert).toHaveBeenCalledWith({
-          upsertRequest: {
-            vectors: testVectors,
-            namespace: NAMESPACE_CONFIG.daily_digests
-          }
-        });
+        expect(mockIndex.namespace).toHaveBeenCalledWith(NAMESPACE_CONFIG.daily_digests);
+        expect(mockNamespace.upsert).toHaveBeenCalledWith(testVectors);
       });
 
       test('should validate vectors before upserting', async () => {
@@ -158,29 +175,25 @@ describe('PineconeService', () => {
         await pineconeService.upsertVectors(largeVectorSet);
         
         // Should be called twice for 150 vectors (100 + 50)
-        expect(mockIndex.upsert).toHaveBeenCalledTimes(2);
+        expect(mockNamespace.upsert).toHaveBeenCalledTimes(2);
       });
 
       test('should use custom namespace when provided', async () => {
         await pineconeService.upsertVectors(testVectors, 'custom-namespace');
         
-        expect(mockIndex.upsert).toHaveBeenCalledWith({
-          upsertRequest: {
-            vectors: testVectors,
-            namespace: 'custom-namespace'
-          }
-        });
+        expect(mockIndex.namespace).toHaveBeenCalledWith('custom-namespace');
+        expect(mockNamespace.upsert).toHaveBeenCalledWith(testVectors);
       });
 
       test('should handle upsert failures with retry', async () => {
-        mockIndex.upsert
+        mockNamespace.upsert
           .mockRejectedValueOnce(new Error('Network error'))
           .mockResolvedValue({ success: true });
 
         const result = await pineconeService.upsertVectors(testVectors);
         
         expect(result).toEqual({ success: true });
-        expect(mockIndex.upsert).toHaveBeenCalledTimes(2);
+        expect(mockNamespace.upsert).toHaveBeenCalledTimes(2);
       });
     });
 
@@ -194,20 +207,18 @@ describe('PineconeService', () => {
             { id: 'test-2', score: 0.85, metadata: { publisher: 'brit+co' } }
           ]
         };
-        mockIndex.query.mockResolvedValue(mockResponse);
+        mockNamespace.query.mockResolvedValue(mockResponse);
 
         const result = await pineconeService.queryVectors(testQueryVector);
         
         expect(result).toEqual(mockResponse);
-        expect(mockIndex.query).toHaveBeenCalledWith({
-          queryRequest: {
-            vector: testQueryVector,
-            topK: 10,
-            includeMetadata: true,
-            includeValues: false,
-            namespace: NAMESPACE_CONFIG.daily_digests,
-            filter: {}
-          }
+        expect(mockIndex.namespace).toHaveBeenCalledWith(NAMESPACE_CONFIG.daily_digests);
+        // An empty filter is left out of the request
+        expect(mockNamespace.query).toHaveBeenCalledWith({
+          vector: testQueryVector,
+          topK: 10,
+          includeMetadata: true,
+          includeValues: false
         });
       });
 
@@ -220,26 +231,22 @@ describe('PineconeService', () => {
 
         await pineconeService.queryVectors(testQueryVector, customOptions);
         
-        expect(mockIndex.query).toHaveBeenCalledWith({
-          queryRequest: {
-            vector: testQueryVector,
-            topK: 5,
-            includeMetadata: true,
-            includeValues: false,
-            namespace: 'custom-namespace',
-            filter: { publisher: 'techcrunch' }
-          }
+        expect(mockIndex.namespace).toHaveBeenCalledWith('custom-namespace');
+        expect(mockNamespace.query).toHaveBeenCalledWith({
+          vector: testQueryVector,
+          topK: 5,
+          includeMetadata: true,
+          includeValues: false,
+          filter: { publisher: 'techcrunch' }
         });
       });
 
       test('should search publisher content with normalized names', async () => {
         await pineconeService.searchPublisherContent(testQueryVector, 'Brit');
         
-        expect(mockIndex.query).toHaveBeenCalledWith({
-          queryRequest: expect.objectContaining({
-            filter: { publisher: 'brit+co' }
-          })
-        });
+        expect(mockNamespace.query).toHaveBeenCalledWith(expect.objectContaining({
+          filter: { publisher: 'brit+co' }
+        }));
       });
 
       test('should search content by date range', async () => {
@@ -249,31 +256,27 @@ describe('PineconeService', () => {
           '2023-12-07'
         );
         
-        expect(mockIndex.query).toHaveBeenCalledWith({
-          queryRequest: expect.objectContaining({
-            filter: {
-              date: {
-                $gte: '2023-12-01',
-                $lte: '2023-12-07'
-              }
+        expect(mockNamespace.query).toHaveBeenCalledWith(expect.objectContaining({
+          filter: {
+            timestamp: {
+              $gte: Date.UTC(2023, 11, 1) / 1000,
+              $lt: Date.UTC(2023, 11, 8) / 1000
             }
-          })
-        });
+          }
+        }));
       });
 
       test('should search recent content', async () => {
         await pineconeService.searchRecentContent(testQueryVector, 7);
         
-        expect(mockIndex.query).toHaveBeenCalledWith({
-          queryRequest: expect.objectContaining({
-            filter: expect.objectContaining({
-              date: expect.objectContaining({
-                $gte: expect.any(String),
-                $lte: expect.any(String)
-              })
+        expect(mockNamespace.query).toHaveBeenCalledWith(expect.objectContaining({
+          filter: expect.objectContaining({
+            timestamp: expect.objectContaining({
+              $gte: expect.any(Number),
+              $lt: expect.any(Number)
             })
           })
-        });
+        }));
       });
     });
 
@@ -284,12 +287,8 @@ describe('PineconeService', () => {
         const result = await pineconeService.deleteVectors(testIds);
         
         expect(result).toEqual({ success: true });
-        expect(mockIndex.delete1).toHaveBeenCalledWith({
-          deleteRequest: {
-            ids: testIds,
-            namespace: NAMESPACE_CONFIG.daily_digests
-          }
-        });
+        expect(mockIndex.namespace).toHaveBeenCalledWith(NAMESPACE_CONFIG.daily_digests);
+        expect(mockNamespace.deleteMany).toHaveBeenCalledWith(testIds);
       });
 
       test('should use custom namespace for deletion', async () => {
@@ -297,11 +296,44 @@ describe('PineconeService', () => {
         
         await pineconeService.deleteVectors(testIds, 'custom-namespace');
         
-        expect(mockIndex.delete1).toHaveBeenCalledWith({
-          deleteRequest: {
-            ids: testIds,
-            namespace: 'custom-namespace'
-          }
+        expect(mockIndex.namespace).toHaveBeenCalledWith('custom-namespace');
+        expect(mockNamespace.deleteMany).toHaveBeenCalledWith(testIds);
+      });
+
+      test('should delete vectors by metadata filter', async () => {
+        const filter = { publisher: 'techcrunch', date: { $lte: '2023-12-01' } };
+
+        await pineconeService.deleteVectorsByFilter(filter);
+
+        expect(mockIndex.namespace).toHaveBeenCalledWith(NAMESPACE_CONFIG.daily_digests);
+        expect(mockNamespace.deleteMany).toHaveBeenCalledWith(filter);
+      });
+
+      test('should refuse to delete by an empty filter', async () => {
+        await expect(pineconeService.deleteVectorsByFilter({}))
+          .rejects.toThrow('Delete filter must not be empty');
+        expect(mockNamespace.deleteMany).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('List Vector IDs', () => {
+      test('should list ids by prefix across pages', async () => {
+        mockNamespace.listPaginated
+          .mockResolvedValueOnce({ vectors: [{ id: 'techcrunch-2023-12-01-chunk-0' }], pagination: { next: 'page-2' } })
+          .mockResolvedValueOnce({ vectors: [{ id: 'techcrunch-2023-12-01-chunk-1' }] });
+
+        const ids = await pineconeService.listVectorIds('techcrunch-2023-12-01');
+
+        expect(ids).toEqual(['techcrunch-2023-12-01-chunk-0', 'techcrunch-2023-12-01-chunk-1']);
+        expect(mockNamespace.listPaginated).toHaveBeenNthCalledWith(1, {
+          prefix: 'techcrunch-2023-12-01',
+          limit: 100,
+          paginationToken: undefined
+        });
+        expect(mockNamespace.listPaginated).toHaveBeenNthCalledWith(2, {
+          prefix: 'techcrunch-2023-12-01',
+          limit: 100,
+          paginationToken: 'page-2'
         });
       });
     });
@@ -309,23 +341,17 @@ describe('PineconeService', () => {
     describe('Fetch Vectors', () => {
       test('should fetch vectors successfully', async () => {
         const testIds = ['test-1', 'test-2'];
-        const mockResponse = {
-          vectors: {
-            'test-1': { id: 'test-1', values: [], metadata: {} },
-            'test-2': { id: 'test-2', values: [], metadata: {} }
-          }
+        const records = {
+          'test-1': { id: 'test-1', values: [], metadata: {} },
+          'test-2': { id: 'test-2', values: [], metadata: {} }
         };
-        mockIndex.fetch.mockResolvedValue(mockResponse);
+        mockNamespace.fetch.mockResolvedValue({ records, namespace: NAMESPACE_CONFIG.daily_digests });
 
         const result = await pineconeService.fetchVectors(testIds);
         
-        expect(result).toEqual(mockResponse);
-        expect(mockIndex.fetch).toHaveBeenCalledWith({
-          fetchRequest: {
-            ids: testIds,
-            namespace: NAMESPACE_CONFIG.daily_digests
-          }
-        });
+        expect(result).toEqual({ vectors: records, namespace: NAMESPACE_CONFIG.daily_digests });
+        expect(mockIndex.namespace).toHaveBeenCalledWith(NAMESPACE_CONFIG.daily_digests);
+        expect(mockNamespace.fetch).toHaveBeenCalledWith(testIds);
       });
     });
   });
@@ -372,6 +398,20 @@ describe('PineconeService', () => {
       expect(() => pineconeService.validateVectors([invalidVector]))
         .toThrow('Required metadata field missing');
     });
+
+    test('should reject dates and timestamps that range filters cannot match', () => {
+      const vector = metadata => ({
+        id: 'test',
+        values: new Array(1536).fill(0.1),
+        metadata: { publisher: 'techcrunch', content_type: 'daily_digest', source: 'test', ...metadata }
+      });
+
+      expect(() => pineconeService.validateVectors([vector({ date: 'Monday, March 3' })]))
+        .toThrow('Metadata date must be an ISO date (YYYY-MM-DD): Monday, March 3');
+      expect(() => pineconeService.validateVectors([vector({ date: '2025-03-03', timestamp: '2025-03-03T00:00:00Z' })]))
+        .toThrow('Metadata timestamp must be a number (epoch seconds)');
+      expect(() => pineconeService.validateVectors([vector({ date: '2025-03-03', timestamp: 1740960000 })])).not.toThrow();
+    });
   });
 
   describe('Publisher Name Normalization', () => {
@@ -398,7 +438,10 @@ describe('PineconeService', () => {
     });
 
     test('should perform health check successfully', async () => {
-      await pineconeService.performHealthCheck();
+      // The service only reports healthy after enough consecutive successful checks
+      for (let check = 0; check < HEALTH_CONFIG.healthyThreshold; check++) {
+        await pineconeService.performHealthCheck();
+      }
       
       expect(pineconeService.getHealthStatus().isHealthy).toBe(true);
       expect(mockIndex.describeIndexStats).toHaveBeenCalled();
@@ -490,12 +533,23 @@ describe('PineconeService', () => {
     });
 
     test('should handle operation timeout', async () => {
-      const operation = jest.fn().mockImplementation(() => 
-        new Promise(resolve => setTimeout(resolve, 70000)) // 70 seconds
-      );
+      jest.useFakeTimers();
 
-      await expect(pineconeService.executeWithRetry(operation))
-        .rejects.toThrow('Operation timeout');
+      try {
+        const operation = jest.fn().mockImplementation(() =>
+          new Promise(resolve => setTimeout(resolve, ERROR_CONFIG.timeoutMs + 10000))
+        );
+
+        const result = expect(pineconeService.executeWithRetry(operation))
+          .rejects.toThrow('Operation timeout');
+
+        // Every attempt times out, with a backoff sleep between attempts
+        await jest.advanceTimersByTimeAsync(ERROR_CONFIG.maxRetries * (ERROR_CONFIG.timeoutMs + ERROR_CONFIG.maxDelay));
+        await result;
+        expect(operation).toHaveBeenCalledTimes(ERROR_CONFIG.maxRetries);
+      } finally {
+        jest.useRealTimers();
+      }
     });
   });
 
@@ -527,18 +581,25 @@ describe('PineconeService', () => {
     });
 
     test('should retrieve index statistics', async () => {
-      const mockStats = {
+      mockIndex.describeIndexStats.mockResolvedValue({
         dimension: 1536,
         indexFullness: 0.1,
+        totalRecordCount: 1000,
         namespaces: {
-          'daily-digests': { vectorCount: 1000 }
+          'daily-digests': { recordCount: 1000 }
         }
-      };
-      mockIndex.describeIndexStats.mockResolvedValue(mockStats);
+      });
 
       const result = await pineconeService.getIndexStats();
       
-      expect(result).toEqual(mockStats);
+      expect(result).toEqual({
+        dimension: 1536,
+        indexFullness: 0.1,
+        totalVectorCount: 1000,
+        namespaces: {
+          'daily-digests': { vectorCount: 1000 }
+        }
+      });
     });
   });
 
@@ -550,7 +611,7 @@ describe('PineconeService', () => {
     test('should handle network errors gracefully', async () => {
       const networkError = new Error('Network error');
       networkError.code = 'ECONNRESET';
-      mockIndex.query.mockRejectedValue(networkError);
+      mockNamespace.query.mockRejectedValue(networkError);
 
       await expect(pineconeService.queryVectors(new Array(1536).fill(0.1)))
         .rejects.toThrow('Network error');
@@ -559,7 +620,7 @@ describe('PineconeService', () => {
     test('should handle API rate limit errors', async () => {
       const rateLimitError = new Error('Rate limit exceeded');
       rateLimitError.status = 429;
-      mockIndex.upsert.mockRejectedValue(rateLimitError);
+      mockNamespace.upsert.mockRejectedValue(rateLimitError);
 
       await expect(pineconeService.upsertVectors([{
         id: 'test',
@@ -687,7 +748,8 @@ describe('PineconeService', () => {
       });
 
       test('should chunk long content', async () => {
-        const longContent = 'A'.repeat(10000); // Long content that needs chunking
+        // Sentences past the 8000-character chunk size, since chunks break on sentence boundaries
+        const longContent = Array.from({ length: 200 }, (_, i) => `Sentence ${i} covers publisher traffic and revenue trends.`).join(' ');
         const metadata = {
           publisher: 'TechCrunch',
           date: '2023-12-01',
@@ -722,6 +784,25 @@ describe('PineconeService', () => {
         expect(result[0].id).toContain('brit+co');
       });
 
+      test('should store digest header dates as an ISO date and epoch seconds', async () => {
+        const metadata = {
+          publisher: 'TechCrunch',
+          date: 'Friday, December 1, 2023',
+          source: 'daily-digest-email'
+        };
+
+        const result = await pineconeService.processDigestContent('Test content', metadata);
+
+        expect(result[0].id).toBe('techcrunch-2023-12-01-chunk-0');
+        expect(result[0].metadata.date).toBe('2023-12-01');
+        expect(result[0].metadata.timestamp).toBe(Date.UTC(2023, 11, 1) / 1000);
+      });
+
+      test('should reject digest dates that cannot be parsed', async () => {
+        await expect(pineconeService.processDigestContent('Test content', { publisher: 'TechCrunch', date: 'last week', source: 'test' }))
+          .rejects.toThrow('Unrecognized digest date: last week');
+      });
+
       test('should require publisher and date in metadata', async () => {
         const content = 'Test content';
         const invalidMetadata = { source: 'test' };
@@ -794,12 +875,8 @@ describe('PineconeService', () => {
           processingTime: expect.any(Number)
         });
 
-        expect(mockIndex.upsert).toHaveBeenCalledWith({
-          upsertRequest: {
-            vectors: result.vectors,
-            namespace: NAMESPACE_CONFIG.daily_digests
-          }
-        });
+        expect(mockIndex.namespace).toHaveBeenCalledWith(NAMESPACE_CONFIG.daily_digests);
+        expect(mockNamespace.upsert).toHaveBeenCalledWith(result.vectors);
       });
 
       test('should use custom namespace when provided', async () => {
@@ -812,12 +889,8 @@ describe('PineconeService', () => {
 
         await pineconeService.processAndUpsertDigestContent(content, metadata, 'custom-namespace');
 
-        expect(mockIndex.upsert).toHaveBeenCalledWith({
-          upsertRequest: {
-            vectors: expect.any(Array),
-            namespace: 'custom-namespace'
-          }
-        });
+        expect(mockIndex.namespace).toHaveBeenCalledWith('custom-namespace');
+        expect(mockNamespace.upsert).toHaveBeenCalledWith(expect.any(Array));
       });
     });
   });
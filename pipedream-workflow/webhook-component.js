@@ -198,6 +198,10 @@ export default defineComponent({
           const embeddingResult = await this.generateEmbeddings(openai, section.content);
           totalCost.embedding += embeddingResult.cost;
           
+          // The Apps Script sends ISO dates; timestamp is that day in epoch seconds, the field
+          // date range filters use. Unparsed headers are stored without one.
+          const digestDay = /^\d{4}-\d{2}-\d{2}$/.test(section.date || '') ? section.date : null;
+          
           // Upsert to Pinecone
           await this.upsertToPinecone(pinecone, {
             id: `section_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
@@ -205,7 +209,7 @@ export default defineComponent({
             metadata: {
               content: section.content,
               date: section.date,
-              timestamp: section.timestamp,
+              ...(digestDay ? { timestamp: Date.parse(digestDay) / 1000 } : {}),
               documentId: requestData.documentId,
               type: 'daily_digest_section'
             }
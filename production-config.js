@@ -47,12 +47,39 @@ const PRODUCTION_CONFIG = {
     }
   },
 
+  // AI Summarization
+  ai: {
+    model: 'gpt-3.5-turbo',
+    maxCompletionTokens: 1000,
+    // Leaves room for the prompt and completion within gpt-3.5-turbo's 16k context
+    contextTokenBudget: parseInt(process.env.AI_CONTEXT_TOKEN_BUDGET) || 12000,
+    recencyHalfLifeDays: 14,
+    relevanceWeight: 0.6, // Recency gets the remaining weight when ranking sections
+    partialSummaryTtlHours: 90 * 24 // Per-day/week partials of the map-reduce summary
+  },
+
   // Search & Analytics
   search: {
-    enableFuzzySearch: true,
     maxResults: 10,
     minQueryLength: 2,
-    highlightResults: true
+    rrfK: 60, // Reciprocal rank fusion constant; higher flattens the weight of top ranks
+    candidatesPerRanker: 50,
+    embeddingModel: 'text-embedding-3-small',
+    vectorCandidateLimit: 2000, // Most recent embedded sections passing the filters scored per vector query
+    minVectorSimilarity: 0.25
+  },
+
+  // Scheduled digest subscriptions (/mula subscribe)
+  subscriptions: {
+    checkIntervalMs: parseInt(process.env.SUBSCRIPTION_CHECK_INTERVAL_MS) || 60 * 1000,
+    enabled: process.env.SUBSCRIPTION_SCHEDULER !== 'false'
+  },
+
+  // Status items tracked across digests (/mula open)
+  statusTracking: {
+    similarityThreshold: 0.6, // Word overlap (Dice) at which a bullet continues an earlier item
+    lookbackDays: 90, // Items not seen for longer are not continued
+    staleDays: parseInt(process.env.STATUS_STALE_DAYS) || 7
   },
 
   // Rate Limiting & Security
@@ -60,7 +87,8 @@ const PRODUCTION_CONFIG = {
     rateLimitRequests: 100,
     rateLimitWindowMs: 15 * 60 * 1000, // 15 minutes
     maxSectionSize: 50000, // 50KB per section
-    maxTotalSections: 1000
+    maxTotalSections: 1000,
+    webhookTimestampToleranceMs: 5 * 60 * 1000 // Reject webhooks signed more than 5 minutes ago
   },
 
   // Monitoring & Logging
@@ -72,88 +100,6 @@ const PRODUCTION_CONFIG = {
   }
 };
 
-/**
- * Enhanced search functionality for production
- */
-function enhancedSearch(sections, query, options = {}) {
-  const config = PRODUCTION_CONFIG.search;
-  const businessConfig = PRODUCTION_CONFIG.businessIntelligence;
-  
-  if (!query || query.length < config.minQueryLength) {
-    return { results: [], summary: 'Query too short' };
-  }
-
-  const queryLower = query.toLowerCase();
-  const results = [];
-  
-  // Search through sections
-  sections.forEach((section, index) => {
-    const titleMatch = section.title.toLowerCase().includes(queryLower);
-    const contentMatch = section.content.toLowerCase().includes(queryLower);
-    
-    // Check for partnership relevance
-    const isPartnershipRelated = businessConfig.partnershipKeywords.some(
-      keyword => section.content.toLowerCase().includes(keyword)
-    );
-    
-    // Check for priority publisher
-    const priorityPublisher = businessConfig.priorityPublishers.find(
-      publisher => section.content.toLowerCase().includes(publisher)
-    );
-    
-    if (titleMatch || contentMatch) {
-      results.push({
-        ...section,
-        relevanceScore: (titleMatch ? 2 : 1) + (isPartnershipRelated ? 1 : 0),
-        isPartnershipRelated,
-        priorityPublisher: priorityPublisher || null,
-        matchType: titleMatch ? 'title' : 'content'
-      });
-    }
-  });
-  
-  // Sort by relevance score
-  results.sort((a, b) => b.relevanceScore - a.relevanceScore);
-  
-  // Limit results
-  const limitedResults = results.slice(0, config.maxResults);
-  
-  return {
-    results: limitedResults,
-    totalFound: results.length,
-    query: query,
-    summary: generateSearchSummary(limitedResults, query),
-    analytics: {
-      partnershipRelated: results.filter(r => r.isPartnershipRelated).length,
-      priorityPublishers: [...new Set(results.map(r => r.priorityPublisher).filter(Boolean))]
-    }
-  };
-}
-
-/**
- * Generate search summary for results
- */
-function generateSearchSummary(results, query) {
-  if (results.length === 0) {
-    return `No results found for "${query}"`;
-  }
-  
-  const partnershipCount = results.filter(r => r.isPartnershipRelated).length;
-  const publishers = [...new Set(results.map(r => r.priorityPublisher).filter(Boolean))];
-  
-  let summary = `Found ${results.length} result(s) for "${query}"`;
-  
-  if (partnershipCount > 0) {
-    summary += ` (${partnershipCount} partnership-related)`;
-  }
-  
-  if (publishers.length > 0) {
-    summary += `. Publishers: ${publishers.join(', ')}`;
-  }
-  
-  return summary;
-}
-
 /**
  * Analytics tracking for production
  */
@@ -202,7 +148,7 @@ function getHealthStatus(sections) {
     },
     services: {
       webhook: 'active',
-      search: 'enhanced',
+      search: 'hybrid',
       analytics: PRODUCTION_CONFIG.monitoring.enableAnalytics ? 'active' : 'disabled',
       storage: 'in-memory-enhanced'
     },
@@ -216,8 +162,6 @@ function getHealthStatus(sections) {
 
 module.exports = {
   PRODUCTION_CONFIG,
-  enhancedSearch,
-  generateSearchSummary,
   trackSearchQuery,
   getHealthStatus
 }; 
\ No newline at end of file
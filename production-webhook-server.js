@@ -6,6 +6,28 @@ const cors = require('cors');
 const winston = require('winston');
 const Sentry = require('@sentry/node');
 const crypto = require('crypto');
+const { WebClient } = require('@slack/web-api');
+const { PRODUCTION_CONFIG } = require('./production-config');
+const CompanyRegistry = require('./services/company-registry');
+const { splitIntoPassages } = require('./services/passage-splitter');
+const { assembleContext, formatSection, queryTerms } = require('./services/context-assembler');
+const { summarizeHierarchically } = require('./services/hierarchical-summarizer');
+const { buildSources, validateCitations, renderCitations } = require('./services/citations');
+const { verifyFigures, markUnverified } = require('./services/fact-verifier');
+const { createLLMProvider } = require('./services/llm-provider');
+const { createHybridSearch } = require('./services/hybrid-search');
+const { parseDigestDate } = require('./services/digest-dates');
+const { createSlackRouter } = require('./routes/slack');
+const { createSlackCommands } = require('./slack-bot/commands');
+const { createAdminRouter } = require('./routes/admin');
+const { createSubscriptionStore } = require('./services/subscriptions');
+const { createPortfolioStore } = require('./services/portfolios');
+const { createSubscriptionScheduler } = require('./services/subscription-scheduler');
+const { createSubscriptionRunner } = require('./slack-bot/commands/subscriptions');
+const { createBriefingRunner } = require('./slack-bot/commands/portfolio');
+const { createAlertRuleStore } = require('./services/alert-rules');
+const { createAlertNotifier } = require('./slack-bot/commands/alerts');
+const { createTrackedItemStore } = require('./services/tracked-items');
 
 // Initialize Sentry for error tracking
 if (process.env.SENTRY_DSN) {
@@ -45,8 +67,13 @@ app.set('trust proxy', 1);
 // Security middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Keep the exact bytes that were signed; re-serializing req.body does not reproduce them
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf.toString('utf8');
+};
+
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: captureRawBody }));
 
 // Rate limiting
 const limiter = rateLimit({
@@ -62,67 +89,188 @@ const slackLimiter = rateLimit({
 });
 
 app.use('/webhook', limiter);
+app.use('/admin', limiter);
 app.use('/slack', slackLimiter);
 
-// OpenAI integration
-const openai = process.env.OPENAI_API_KEY ? new (require('openai').OpenAI)({
-  apiKey: process.env.OPENAI_API_KEY,
-}) : null;
-
-// Slack integration
-const slack = process.env.SLACK_BOT_TOKEN ? new (require('@slack/bolt').App)({
-  token: process.env.SLACK_BOT_TOKEN,
-  signingSecret: process.env.SLACK_SIGNING_SECRET,
-}) : null;
-
-// Company registry for filtering
-const companyRegistry = {
-  'on3': {
-    name: 'On3',
-    patterns: [/on3/i, /on\s*3/i],
-    aliases: ['on3', 'on 3'],
-    domains: ['on3.com']
-  },
-  'swimming_world': {
-    name: 'Swimming World',
-    patterns: [/swimming\s*world/i, /swimmingworld/i],
-    aliases: ['swimming world', 'swimmingworld'],
-    domains: ['swimmingworld.com']
-  },
-  'she_media': {
-    name: 'She Media',
-    patterns: [/she\s*media/i, /shemedia/i],
-    aliases: ['she media', 'shemedia'],
-    domains: ['shemedia.com']
-  },
-  'rev_content': {
-    name: 'Rev Content',
-    patterns: [/rev\s*content/i, /revcontent/i],
-    aliases: ['rev content', 'revcontent'],
-    domains: ['revcontent.com']
-  },
-  'brit_co': {
-    name: 'Brit+Co',
-    patterns: [/brit\.co/i, /brit\+co/i, /brit\s+co/i, /britco/i],
-    aliases: ['brit.co', 'brit+co', 'brit co', 'britco'],
-    domains: ['brit.co']
-  }
-};
+// LLM provider: OpenAI when OPENAI_API_KEY is set, or LLM_PROVIDER=mock for offline use
+const llm = createLLMProvider();
+
+// Slack integration: commands arrive at /slack/commands, and also over Socket Mode when
+// SLACK_SOCKET_MODE=true (started with the server)
+const slack = process.env.SLACK_BOT_TOKEN && process.env.SLACK_SOCKET_MODE === 'true'
+  ? new (require('@slack/bolt').App)({
+    token: process.env.SLACK_BOT_TOKEN,
+    signingSecret: process.env.SLACK_SIGNING_SECRET,
+    socketMode: true,
+    appToken: process.env.SLACK_APP_TOKEN
+  })
+  : null;
+
+// Company registry for filtering, loaded from the companies table
+const companyRegistry = new CompanyRegistry(pool, { logger });
+
+// Full-text + embedding search over sections; keyword-only when no LLM provider is configured
+const hybridSearch = createHybridSearch({ pool, llm, logger, options: PRODUCTION_CONFIG.search });
 
 // Database functions
-async function storeDocument(date, content, company, sectionNumber) {
-  const query = `
-    INSERT INTO documents (date, content, company, section_number)
-    VALUES ($1, $2, $3, $4)
-    RETURNING id
-  `;
+function hashContent(content) {
+  // Whitespace-insensitive so re-sent sections with reflowed text count as unchanged
+  return crypto.createHash('sha256').update(content.trim().replace(/\s+/g, ' ')).digest('hex');
+}
+
+async function storeDocument({ date, title, content, company, companies = [], passages = [], sectionNumber, documentId, headingId = null }) {
+  const contentHash = hashContent(content);
+  const client = await pool.connect();
   
   try {
-    const result = await pool.query(query, [date, content, company, sectionNumber]);
-    return result.rows[0].id;
+    await client.query('BEGIN');
+    
+    // Lock the current version so concurrent deliveries of the same section serialize
+    const current = await client.query(`
+      SELECT id, content_hash FROM documents
+      WHERE document_id = $1 AND section_number = $2 AND is_current = TRUE
+      ORDER BY id DESC
+      LIMIT 1
+      FOR UPDATE
+    `, [documentId, sectionNumber]);
+    const previous = current.rows[0];
+    let stored;
+    
+    if (previous && previous.content_hash === contentHash) {
+      // Company tags are still refreshed so registry changes reach unchanged sections
+      await client.query('UPDATE documents SET last_seen_at = NOW(), company = $2, heading_id = $3 WHERE id = $1', [previous.id, company, headingId]);
+      stored = { id: previous.id, status: 'unchanged', previousVersionId: null };
+    } else {
+      // Keep the prior version for history, but take it out of the current view
+      if (previous) {
+        await client.query(`
+          UPDATE documents SET is_current = FALSE, superseded_at = NOW(), updated_at = NOW()
+          WHERE id = $1
+        `, [previous.id]);
+      }
+      
+      // A section reverting to an earlier text revives that version instead of duplicating it.
+      // The revived row keeps its own previous_version_id: pointing it at the version it
+      // replaces, which already points back at it, would make the history a cycle.
+      const inserted = await client.query(`
+        INSERT INTO documents (date, title, content, company, section_number, document_id, content_hash, previous_version_id, heading_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (document_id, section_number, content_hash) DO UPDATE SET
+          is_current = TRUE,
+          superseded_at = NULL,
+          company = EXCLUDED.company,
+          heading_id = EXCLUDED.heading_id,
+          last_seen_at = NOW(),
+          updated_at = NOW()
+        RETURNING id
+      `, [date, title, content, company, sectionNumber, documentId, contentHash, previous ? previous.id : null, headingId]);
+      
+      stored = {
+        id: inserted.rows[0].id,
+        status: previous ? 'modified' : 'new',
+        previousVersionId: previous ? previous.id : null
+      };
+    }
+    
+    await tagDocumentCompanies(client, stored.id, companies);
+    await storePassages(client, stored.id, passages);
+    await client.query('COMMIT');
+    
+    return stored;
   } catch (error) {
+    await client.query('ROLLBACK');
     logger.error('Database error storing document:', error);
     throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Replace a document's company tags with one row per company and match type
+async function tagDocumentCompanies(client, documentId, companies) {
+  await client.query('DELETE FROM document_companies WHERE document_id = $1', [documentId]);
+  
+  for (const mention of companies) {
+    const positionsByType = {};
+    
+    for (const match of mention.matches) {
+      (positionsByType[match.type] = positionsByType[match.type] || []).push({
+        field: match.field,
+        start: match.start,
+        end: match.end,
+        text: match.text
+      });
+    }
+    
+    for (const [matchType, positions] of Object.entries(positionsByType)) {
+      await client.query(`
+        INSERT INTO document_companies (document_id, company_key, match_type, match_positions)
+        VALUES ($1, $2, $3, $4)
+      `, [documentId, mention.key, matchType, JSON.stringify(positions)]);
+    }
+  }
+}
+
+// Replace a section's passages; passages are the unit of retrieval for publisher queries
+async function storePassages(client, sectionId, passages) {
+  await client.query('DELETE FROM passages WHERE section_id = $1', [sectionId]);
+  
+  for (const [index, passage] of passages.entries()) {
+    await client.query(`
+      INSERT INTO passages (section_id, passage_index, company_key, content, spans)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [sectionId, index, passage.company, passage.content, JSON.stringify(passage.spans)]);
+  }
+}
+
+async function getPassages(filters = {}) {
+  let query = `
+    SELECT p.id AS passage_id, p.section_id, p.company_key AS company, p.content,
+           d.id, d.date, d.title, d.section_number, d.document_id, d.heading_id, d.timestamp,
+           FLOOR(EXTRACT(EPOCH FROM d.updated_at) * 1000) AS stored_at
+    FROM passages p
+    JOIN documents d ON d.id = p.section_id
+    WHERE 1=1`;
+  const params = [];
+  let paramCount = 0;
+
+  if (!filters.includeHistory) {
+    query += ' AND d.is_current = TRUE';
+  }
+
+  if (filters.company) {
+    paramCount++;
+    query += ` AND p.company_key = $${paramCount}`;
+    params.push(filters.company);
+  }
+
+  if (filters.dateFrom) {
+    paramCount++;
+    query += ` AND d.date >= $${paramCount}`;
+    params.push(filters.dateFrom);
+  }
+
+  if (filters.dateTo) {
+    paramCount++;
+    query += ` AND d.date <= $${paramCount}`;
+    params.push(filters.dateTo);
+  }
+
+  // Sections stored or revived after stored_at, in epoch milliseconds, of an earlier result
+  if (filters.storedAfter !== null && filters.storedAfter !== undefined) {
+    paramCount++;
+    query += ` AND FLOOR(EXTRACT(EPOCH FROM d.updated_at) * 1000) > $${paramCount}`;
+    params.push(filters.storedAfter);
+  }
+
+  query += ' ORDER BY d.timestamp DESC, p.passage_index';
+
+  try {
+    const result = await pool.query(query, params);
+    return result.rows;
+  } catch (error) {
+    logger.error('Database error getting passages:', error);
+    throw error;
   }
 }
 
@@ -131,9 +279,14 @@ async function getDocuments(filters = {}) {
   const params = [];
   let paramCount = 0;
 
+  if (!filters.includeHistory) {
+    query += ' AND is_current = TRUE';
+  }
+
+  // Any section that mentions the company, not only those where it was the first match
   if (filters.company) {
     paramCount++;
-    query += ` AND company = $${paramCount}`;
+    query += ` AND EXISTS (SELECT 1 FROM document_companies dc WHERE dc.document_id = documents.id AND dc.company_key = $${paramCount})`;
     params.push(filters.company);
   }
 
@@ -160,19 +313,19 @@ async function getDocuments(filters = {}) {
   }
 }
 
-async function cacheAISummary(queryHash, summary, cost) {
+async function cacheAISummary(queryHash, summary, cost, ttlHours = 24) {
   const query = `
     INSERT INTO ai_summaries (query_hash, summary, cost, expires_at)
-    VALUES ($1, $2, $3, NOW() + INTERVAL '24 hours')
+    VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))
     ON CONFLICT (query_hash) DO UPDATE SET
       summary = EXCLUDED.summary,
       cost = EXCLUDED.cost,
       created_at = NOW(),
-      expires_at = NOW() + INTERVAL '24 hours'
+      expires_at = EXCLUDED.expires_at
   `;
   
   try {
-    await pool.query(query, [queryHash, summary, cost]);
+    await pool.query(query, [queryHash, summary, cost, ttlHours]);
   } catch (error) {
     logger.error('Database error caching AI summary:', error);
   }
@@ -193,89 +346,264 @@ async function getCachedAISummary(queryHash) {
   }
 }
 
-// Company matching function
+// Company matching function (call companyRegistry.ensureFresh() first)
 function matchCompany(content, query) {
   const searchText = (content + ' ' + query).toLowerCase();
   
-  for (const [key, company] of Object.entries(companyRegistry)) {
-    if (company.patterns.some(pattern => pattern.test(searchText))) {
-      return { key, ...company };
+  return companyRegistry.match(searchText);
+}
+
+// Section ingestion
+function resolveSectionDate(section, fallbackTimestamp) {
+  // Headers without a year ("Monday, March 3") are placed in the year closest to when the webhook was sent
+  const sent = parseDigestDate(fallbackTimestamp);
+  const reference = sent ? new Date(sent.timestamp * 1000) : new Date();
+  const resolved = parseDigestDate(section.date, { reference }) || sent;
+
+  return resolved ? resolved.date : new Date().toISOString().split('T')[0];
+}
+
+async function ingestSections(payload) {
+  const documentId = payload.documentId || payload.document_id || PRODUCTION_CONFIG.googleAppsScript.documentId;
+  const maxSectionSize = PRODUCTION_CONFIG.security.maxSectionSize;
+  const result = { stored: [], skipped: [], failed: [] };
+  const changedSections = [];
+
+  await companyRegistry.ensureFresh();
+
+  for (const [index, section] of payload.sections.entries()) {
+    if (!section || typeof section !== 'object') {
+      result.skipped.push({ section_number: index + 1, title: null, reason: 'Invalid section' });
+      continue;
+    }
+
+    const sectionNumber = Number.isInteger(section.section_number) ? section.section_number : index + 1;
+    const title = typeof section.title === 'string' ? section.title.trim() : null;
+    const content = typeof section.content === 'string' ? section.content.trim() : '';
+
+    if (!content) {
+      result.skipped.push({ section_number: sectionNumber, title, reason: 'Empty content' });
+      continue;
+    }
+
+    if (content.length > maxSectionSize) {
+      result.skipped.push({ section_number: sectionNumber, title, reason: `Content exceeds ${maxSectionSize} characters` });
+      continue;
+    }
+
+    try {
+      const companies = companyRegistry.matchSection({ title, content });
+      const company = companies.length > 0 ? companies[0].key : null;
+      const passages = splitIntoPassages(content, companyRegistry);
+      const date = resolveSectionDate(section, payload.timestamp);
+      const stored = await storeDocument({
+        date,
+        title,
+        content,
+        company,
+        companies,
+        passages,
+        sectionNumber,
+        documentId,
+        headingId: section.heading_id || null
+      });
+
+      result.stored.push({
+        id: stored.id,
+        section_number: sectionNumber,
+        title,
+        company,
+        companies: companies.map(mention => mention.key),
+        passages: passages.length,
+        status: stored.status,
+        previous_version_id: stored.previousVersionId
+      });
+
+      if (stored.status !== 'unchanged') {
+        changedSections.push({
+          id: stored.id,
+          title,
+          content,
+          date,
+          companies: companies.map(mention => mention.key),
+          passages,
+          documentId,
+          headingId: section.heading_id || null
+        });
+      }
+    } catch (error) {
+      result.failed.push({ section_number: sectionNumber, title, error: error.message });
     }
   }
-  
-  return null;
+
+  // Sections stay searchable by keyword if embedding fails; the next delivery retries them
+  try {
+    const embedded = await hybridSearch.embedSections(result.stored.map(section => section.id));
+    if (embedded > 0) {
+      logger.info(`Embedded ${embedded} section(s) for search`);
+    }
+  } catch (error) {
+    logger.warn('Failed to embed sections for search:', error);
+  }
+
+  // Alerting never fails the delivery; sections it misses are not alerted later
+  if (notifyAlerts) {
+    try {
+      const alerts = await notifyAlerts(changedSections);
+      if (alerts.posted > 0 || alerts.limited > 0) {
+        logger.info(`Alerts posted: ${alerts.posted}, held back by rate limits: ${alerts.limited}`);
+      }
+    } catch (error) {
+      logger.warn('Failed to send alerts:', error);
+    }
+  }
+
+  // Status bullets are followed across digests for /mula open
+  try {
+    const tracked = await trackedItems.track(changedSections);
+    if (tracked.created > 0 || tracked.updated > 0) {
+      logger.info(`Tracked items - New: ${tracked.created}, Updated: ${tracked.updated}`);
+    }
+  } catch (error) {
+    logger.warn('Failed to track status items:', error);
+  }
+
+  return result;
+}
+
+/**
+ * The query with publisher mentions removed, e.g. "brit.co rpm drop" -> "rpm drop".
+ * Empty when the query names a publisher and nothing else.
+ */
+function topicalQuery(query) {
+  const spans = companyRegistry.matchAll(query).flatMap(mention => mention.matches);
+  let topic = query;
+
+  for (const { start, end } of spans.sort((a, b) => b.start - a.start)) {
+    topic = topic.substring(0, start) + ' ' + topic.substring(end);
+  }
+
+  return queryTerms(topic).length > 0 ? topic.trim() : '';
 }
 
 // OpenAI integration
-async function generateAISummary(content, query) {
-  if (!openai) {
+// Recorded with fact verification results; bump when the summary prompts change
+const SUMMARY_PROMPT_VERSION = 'summary-v2';
+const HIERARCHICAL_PROMPT_VERSION = 'hierarchical-v1';
+
+const SUMMARY_SYSTEM_PROMPT = 'You are an AI assistant that analyzes specific publishing content. CRITICAL REQUIREMENTS: 1) ONLY use information from the provided content below - never add external knowledge. 2) Quote EXACT numbers, percentages, and metrics from the source. 3) If the content mentions specific companies, revenue, growth rates, or performance metrics, include them exactly as stated. 4) Structure your response clearly with the actual data points from the content. 5) If asked about something not in the content, say "not mentioned in the provided content". 6) Each content section starts with a source ID such as [S12]. End every bullet or claim with the IDs of the sections it comes from, in square brackets exactly as given (e.g. [S12] or [S12, S15]). Never cite an ID that is not in the content.';
+
+async function createCompletion(userPrompt) {
+  const response = await llm.chat.completions.create({
+    model: PRODUCTION_CONFIG.ai.model,
+    messages: [
+      { role: 'system', content: SUMMARY_SYSTEM_PROMPT },
+      { role: 'user', content: userPrompt }
+    ],
+    temperature: 0.1,
+    max_tokens: PRODUCTION_CONFIG.ai.maxCompletionTokens
+  });
+
+  return {
+    summary: response.choices[0].message.content,
+    cost: (response.usage.total_tokens / 1000) * 0.002 // Approximate cost
+  };
+}
+
+async function generateAISummary(content, query, { droppedSections = 0 } = {}) {
+  if (!llm) {
     return { summary: 'AI summarization not available', cost: 0 };
   }
 
-  const queryHash = crypto.createHash('md5').update(content + query).digest('hex');
+  const queryHash = crypto.createHash('md5').update(content + query + droppedSections).digest('hex');
+  const coverageNote = droppedSections > 0
+    ? `\n\nNOTE: ${droppedSections} older or less relevant sections were left out to fit the context window. Say so briefly in your answer.`
+    : '';
   
   // Check cache first
   const cached = await getCachedAISummary(queryHash);
   if (cached) {
-    return { summary: cached.summary, cost: 0 };
+    return { summary: cached.summary, cost: 0, promptVersion: SUMMARY_PROMPT_VERSION };
   }
 
   try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an AI assistant that analyzes specific publishing content. CRITICAL REQUIREMENTS: 1) ONLY use information from the provided content below - never add external knowledge. 2) Quote EXACT numbers, percentages, and metrics from the source. 3) If the content mentions specific companies, revenue, growth rates, or performance metrics, include them exactly as stated. 4) Structure your response clearly with the actual data points from the content. 5) If asked about something not in the content, say "not mentioned in the provided content".'
-        },
-        {
-          role: 'user',
-          content: `QUERY: "${query}"\n\n--- CONTENT TO ANALYZE ---\n${content}\n--- END CONTENT ---\n\nAnalyze the above content and provide insights related to the query. Use ONLY the specific information from the content above. Include exact numbers, percentages, and metrics as stated. Format as markdown with clear sections.`
-        }
-      ],
-      temperature: 0.1,
-      max_tokens: 1000
-    });
-
-    const summary = response.choices[0].message.content;
-    const cost = (response.usage.total_tokens / 1000) * 0.002; // Approximate cost
+    const { summary, cost } = await createCompletion(
+      `QUERY: "${query}"\n\n--- CONTENT TO ANALYZE ---\n${content}\n--- END CONTENT ---\n\nAnalyze the above content and provide insights related to the query. Use ONLY the specific information from the content above. Include exact numbers, percentages, and metrics as stated. Format as markdown with clear sections.${coverageNote}`
+    );
 
     // Cache the result
     await cacheAISummary(queryHash, summary, cost);
 
-    return { summary, cost };
+    return { summary, cost, promptVersion: SUMMARY_PROMPT_VERSION };
   } catch (error) {
     logger.error('OpenAI API error:', error);
     return { summary: 'Error generating AI summary', cost: 0 };
   }
 }
 
+// Partial summaries are keyed by their exact input, so they stay valid until the content changes
+const partialSummaryCache = {
+  get: (key) => getCachedAISummary(key),
+  set: (key, summary, cost) => cacheAISummary(key, summary, cost, PRODUCTION_CONFIG.ai.partialSummaryTtlHours)
+};
+
+// Map-reduce summary for windows that do not fit one prompt
+async function generateHierarchicalSummary(documents, query) {
+  if (!llm) {
+    return { summary: 'AI summarization not available', cost: 0, documents: [] };
+  }
+
+  try {
+    const result = await summarizeHierarchically(documents, query, {
+      ...PRODUCTION_CONFIG.ai,
+      cache: partialSummaryCache,
+      summarizePartial: (content, { label }) => createCompletion(
+        `QUERY: "${query}"\n\n--- CONTENT FROM ${label} ---\n${content}\n--- END CONTENT ---\n\nSummarize what this content says that is relevant to the query. Keep exact numbers, percentages, dates and company names. Use concise bullet points, each ending with its source IDs such as [S12]. If nothing is relevant, reply "Nothing relevant".`
+      ),
+      combine: (content, { labels }) => createCompletion(
+        `QUERY: "${query}"\n\n--- SUMMARIES BY PERIOD (${labels[0]} to ${labels[labels.length - 1]}) ---\n${content}\n--- END SUMMARIES ---\n\nCombine these period summaries into one answer to the query. Use ONLY the information above, keep exact numbers as stated, carry over the source IDs such as [S12] for every point, and call out trends across periods. Format as markdown with clear sections.`
+      )
+    });
+    
+    return { ...result, promptVersion: HIERARCHICAL_PROMPT_VERSION };
+  } catch (error) {
+    logger.error('OpenAI API error during hierarchical summary:', error);
+    return { summary: 'Error generating AI summary', cost: 0, period: 'day', partials: 0, cachedPartials: 0, droppedSections: 0, documents: [] };
+  }
+}
+
+// Record how many figures in a summary could not be found in its sources
+async function recordFactVerification(promptVersion, verification) {
+  try {
+    await pool.query(`
+      INSERT INTO fact_verifications (model, prompt_version, figures_total, figures_unverified, unverified_figures)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [
+      PRODUCTION_CONFIG.ai.model,
+      promptVersion,
+      verification.total,
+      verification.unverified.length,
+      JSON.stringify(verification.unverified.map(figure => ({ kind: figure.kind, text: figure.text })))
+    ]);
+  } catch (error) {
+    logger.error('Database error recording fact verification:', error);
+  }
+}
+
 // Webhook signature validation
 function validateWebhookSignature(payload, signature, secret) {
   try {
-    const hmac = crypto.createHmac('sha256', secret);
-    hmac.update(payload);
-    const expectedSignature = hmac.digest('hex');
-    
-    // Normalize both signatures to lowercase hex strings
+    const expectedSignature = crypto.createHmac('sha256', secret).update(payload).digest('hex');
     const normalizedSignature = signature.toLowerCase();
-    const normalizedExpected = expectedSignature.toLowerCase();
     
-    // Check if lengths match
-    if (normalizedSignature.length !== normalizedExpected.length) {
-      logger.error(`Signature length mismatch - received: ${normalizedSignature.length}, expected: ${normalizedExpected.length}`);
-      logger.error(`Received signature: ${normalizedSignature.substring(0, 20)}...`);
-      logger.error(`Expected signature: ${normalizedExpected.substring(0, 20)}...`);
+    if (!/^[0-9a-f]+$/.test(normalizedSignature) || normalizedSignature.length !== expectedSignature.length) {
       return false;
     }
     
-    logger.info(`Signature lengths match: ${normalizedSignature.length} characters`);
-    logger.info(`Signatures match: ${normalizedSignature === normalizedExpected}`);
-    
     // Use constant-time comparison
     return crypto.timingSafeEqual(
       Buffer.from(normalizedSignature, 'hex'),
-      Buffer.from(normalizedExpected, 'hex')
+      Buffer.from(expectedSignature, 'hex')
     );
   } catch (error) {
     logger.error('Signature validation error:', error);
@@ -283,6 +611,95 @@ function validateWebhookSignature(payload, signature, secret) {
   }
 }
 
+function getWebhookSecrets() {
+  // WEBHOOK_SECRET_PREVIOUS stays valid while the Apps Script side is switched to a rotated secret
+  return [process.env.WEBHOOK_SECRET, process.env.WEBHOOK_SECRET_PREVIOUS].filter(Boolean);
+}
+
+// Digests of accepted webhook bodies, kept until their timestamp leaves the tolerance window.
+// The signed body includes the timestamp, so a body seen again in that window is a replay.
+// Like the rate limiters, this is per process.
+const seenWebhookBodies = new Map();
+
+/**
+ * Record a verified webhook body; returns its digest, or null when it was already accepted
+ */
+function claimWebhookBody(rawBody, sentAt, now = Date.now()) {
+  for (const [digest, expiresAt] of seenWebhookBodies) {
+    if (expiresAt <= now) seenWebhookBodies.delete(digest);
+  }
+  
+  const digest = crypto.createHash('sha256').update(rawBody).digest('hex');
+  if (seenWebhookBodies.has(digest)) {
+    return null;
+  }
+  
+  seenWebhookBodies.set(digest, sentAt + PRODUCTION_CONFIG.security.webhookTimestampToleranceMs);
+  return digest;
+}
+
+function verifyWebhookSignature(req, res, next) {
+  const secrets = getWebhookSecrets();
+  
+  if (secrets.length === 0) {
+    if (process.env.NODE_ENV === 'production') {
+      logger.error('WEBHOOK_SECRET is not configured - rejecting webhook');
+      return res.status(503).json({ error: 'Webhook verification not configured' });
+    }
+    
+    logger.warn('WEBHOOK_SECRET is not configured - skipping signature verification');
+    return next();
+  }
+  
+  // doc-monitor-clean.gs sends X-Signature; X-Webhook-Signature is accepted for other senders
+  const signature = req.get('x-signature') || req.get('x-webhook-signature');
+  
+  if (!signature) {
+    logger.error('Webhook rejected - missing signature');
+    return res.status(401).json({ error: 'Missing signature' });
+  }
+  
+  if (!req.rawBody) {
+    logger.error('Webhook rejected - missing request body');
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+  
+  // Extract hex digest from 'sha256=HEXDIGEST' format
+  const signatureHex = signature.startsWith('sha256=') ? signature.substring(7) : signature;
+  
+  if (!secrets.some(secret => validateWebhookSignature(req.rawBody, signatureHex, secret))) {
+    logger.error('Webhook rejected - invalid signature');
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+  
+  // The timestamp is part of the signed body, so a replayed request cannot refresh it
+  const sentAt = Date.parse(req.body && req.body.timestamp);
+  const tolerance = PRODUCTION_CONFIG.security.webhookTimestampToleranceMs;
+  
+  if (isNaN(sentAt)) {
+    logger.error('Webhook rejected - missing or invalid timestamp');
+    return res.status(401).json({ error: 'Missing or invalid timestamp' });
+  }
+  
+  if (Math.abs(Date.now() - sentAt) > tolerance) {
+    logger.error(`Webhook rejected - stale timestamp ${req.body.timestamp}`);
+    return res.status(401).json({ error: 'Stale webhook timestamp' });
+  }
+  
+  const digest = claimWebhookBody(req.rawBody, sentAt);
+  if (!digest) {
+    logger.error(`Webhook rejected - replayed request signed at ${req.body.timestamp}`);
+    return res.status(401).json({ error: 'Replayed webhook' });
+  }
+  
+  // A delivery the server failed to process may be retried as sent
+  res.on('finish', () => {
+    if (res.statusCode >= 500) seenWebhookBodies.delete(digest);
+  });
+  
+  next();
+}
+
 // Simple alive test endpoint
 app.get('/alive', (req, res) => {
   res.json({ 
@@ -325,57 +742,39 @@ app.post('/test-webhook', (req, res) => {
 });
 
 // Main webhook endpoint
-app.post('/webhook', async (req, res) => {
+app.post('/webhook', verifyWebhookSignature, async (req, res) => {
   try {
-    logger.info('Webhook received - Headers:', req.headers);
-    logger.info('Webhook received - Body keys:', Object.keys(req.body));
-    
-    // Temporarily disable signature validation for testing
-    logger.info('⚠️  SIGNATURE VALIDATION DISABLED FOR TESTING - Build: ' + new Date().toISOString());
-    
-    // TODO: Re-enable signature validation once webhook processing is working
-    // if (process.env.WEBHOOK_SECRET) {
-    //   const signature = req.headers['x-webhook-signature'];
-    //   const payload = req.rawBody || JSON.stringify(req.body);
-    //   
-    //   logger.info('Signature validation - Header:', signature);
-    //   
-    //   if (!signature) {
-    //     logger.error('Missing signature');
-    //     return res.status(401).json({ error: 'Missing signature' });
-    //   }
-    //
-    //   // Extract hex digest from 'sha256=HEXDIGEST' format
-    //   const signatureHex = signature.startsWith('sha256=') ? signature.substring(7) : signature;
-    //   
-    //   logger.info('Signature validation - Extracted hex:', signatureHex.substring(0, 20) + '...');
-    //   logger.info('Signature validation - Full length:', signatureHex.length);
-    //   logger.info('Signature validation - Payload length:', payload.length);
-    //   logger.info('Signature validation - Payload source:', req.rawBody ? 'raw body' : 'JSON stringified');
-    //   logger.info('Signature validation - Payload preview:', payload.substring(0, 100) + '...');
-    //   
-    //   if (!validateWebhookSignature(payload, signatureHex, process.env.WEBHOOK_SECRET)) {
-    //     logger.error('Invalid signature');
-    //     return res.status(401).json({ error: 'Invalid signature' });
-    //   }
-    //   
-    //   logger.info('Signature validation - SUCCESS');
-    // }
-
-    const { type, sections, documentId } = req.body;
+    const { type, sections } = req.body;
     
     logger.info(`Webhook received - Type: ${type}, Sections: ${sections ? sections.length : 0}`);
     
     if (type === 'document_update' && sections && Array.isArray(sections)) {
+      if (sections.length > PRODUCTION_CONFIG.security.maxTotalSections) {
+        return res.status(413).json({
+          error: `Too many sections (max ${PRODUCTION_CONFIG.security.maxTotalSections})`
+        });
+      }
+
+      const result = await ingestSections(req.body);
+      
+      const countByStatus = status => result.stored.filter(section => section.status === status).length;
+      
+      logger.info(`Webhook processed - New: ${countByStatus('new')}, Modified: ${countByStatus('modified')}, Unchanged: ${countByStatus('unchanged')}, Skipped: ${result.skipped.length}, Failed: ${result.failed.length}`);
       
-      // For now, just return success without processing to isolate the error
-      logger.info(`SUCCESS - Would process ${sections.length} sections`);
+      // Only report an error status when nothing could be written at all
+      const statusCode = result.failed.length > 0 && result.stored.length === 0 ? 500 : 200;
       
-      res.json({
-        success: true,
+      res.status(statusCode).json({
+        success: result.failed.length === 0,
         processed: sections.length,
-        timestamp: new Date().toISOString(),
-        message: 'Webhook received successfully'
+        stored: result.stored.length,
+        new: countByStatus('new'),
+        modified: countByStatus('modified'),
+        unchanged: countByStatus('unchanged'),
+        skipped: result.skipped.length,
+        failed: result.failed.length,
+        results: result,
+        timestamp: new Date().toISOString()
       });
       
     } else {
@@ -389,77 +788,164 @@ app.post('/webhook', async (req, res) => {
   }
 });
 
-// Slack command endpoint
-app.post('/slack/commands', async (req, res) => {
-  try {
-    const { command, text, user_name, response_url } = req.body;
-    
-    if (!command || !text) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+// Slack Web API client: opens modals for requests arriving over HTTP (Socket Mode requests
+// use Bolt's client) and posts scheduled digests
+const slackClient = process.env.SLACK_BOT_TOKEN ? new WebClient(process.env.SLACK_BOT_TOKEN) : null;
 
-    // Immediate response
-    res.json({
-      response_type: 'ephemeral',
-      text: '⏳ Processing your request... Results will appear shortly.'
-    });
+// Channel digest subscriptions and portfolio DM briefings, posted by in-process schedulers
+// started with the server
+const subscriptions = createSubscriptionStore({ pool });
+const portfolios = createPortfolioStore({ pool });
+const schedulers = slackClient && PRODUCTION_CONFIG.subscriptions.enabled
+  ? [
+    createSubscriptionScheduler({
+      pool,
+      store: subscriptions,
+      runSubscription: createSubscriptionRunner({ client: slackClient, getPassages, companyRegistry }),
+      logger,
+      intervalMs: PRODUCTION_CONFIG.subscriptions.checkIntervalMs
+    }),
+    createSubscriptionScheduler({
+      pool,
+      store: portfolios,
+      runSubscription: createBriefingRunner({ store: portfolios, client: slackClient, companyRegistry }),
+      logger,
+      intervalMs: PRODUCTION_CONFIG.subscriptions.checkIntervalMs,
+      label: 'Briefing',
+      lockName: 'mulabot:briefing-scheduler'
+    })
+  ]
+  : [];
 
-    // Process in background
-    processSlackCommand(text, user_name, response_url);
-    
-  } catch (error) {
-    logger.error('Slack command error:', error);
-    Sentry.captureException(error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
+// Alert rules, matched against new and modified sections as ingestSections stores them
+const alertRules = createAlertRuleStore({ pool });
+const notifyAlerts = slackClient
+  ? createAlertNotifier({ store: alertRules, client: slackClient, companyRegistry, logger })
+  : null;
+
+// Status items from digest bullets, tracked by ingestSections
+const trackedItems = createTrackedItemStore({ pool });
+
+// Slack commands, shared with the Slack bot entry points
+const slackCommands = createSlackCommands({
+  answerQuery: answerSlackQuery,
+  logger,
+  transport: process.env.SLACK_SOCKET_MODE === 'true' ? 'express + socket mode' : 'express',
+  client: slackClient,
+  subscriptions,
+  portfolios,
+  alertRules,
+  trackedItems,
+  companyRegistry
 });
 
-async function processSlackCommand(query, userName, responseUrl) {
+app.use('/slack', createSlackRouter({ registry: slackCommands, logger }));
+
+/**
+ * /mula handler: summarize the sections matching the question. The registry has parsed the
+ * command, so quotes, --days/--since and phrases like "last 2 weeks" set the window.
+ */
+async function answerSlackQuery({ args, user, respond }) {
+  const query = args.query;
+  const userName = user.name;
+
   try {
+    const dateFrom = args.since
+      || (args.days ? new Date(Date.now() - args.days * 24 * 60 * 60 * 1000).toISOString().split('T')[0] : null);
+
     // Get relevant documents
+    await companyRegistry.ensureFresh();
     const matchedCompany = matchCompany('', query);
-    const filters = matchedCompany ? { company: matchedCompany.key } : {};
     
-    const documents = await getDocuments(filters);
+    // A topical query is searched, scoped to the publisher if one is named. A bare publisher
+    // query reads only that publisher's passages rather than whole daily sections.
+    const topic = topicalQuery(query);
+    let documents;
+    let searchLine = '';
+
+    if (topic) {
+      documents = await hybridSearch.search(topic, { company: matchedCompany ? matchedCompany.key : null, dateFrom });
+      const matchedBy = type => documents.filter(doc => doc.reasons.some(reason => reason.type === type)).length;
+      searchLine = `\n🔎 *Search:* "${topic}" matched ${matchedBy('keyword')} by keyword, ${matchedBy('vector')} semantically`;
+    } else {
+      documents = matchedCompany
+        ? await getPassages({ company: matchedCompany.key, dateFrom })
+        : await getDocuments({ dateFrom });
+    }
     
     if (documents.length === 0) {
-      await sendSlackResponse(responseUrl, {
+      await respond({
         response_type: 'in_channel',
         text: `📊 *Account Summary for @${userName}*\n\n❌ No relevant content found for "${query}"`
       });
       return;
     }
 
-    // Generate AI summary
-    const contentText = documents.map(doc => doc.content).join('\n\n');
-    const aiResult = await generateAISummary(contentText, query);
+    // Fit the best-ranked sections to the model's context window, or summarize
+    // period by period when they do not all fit
+    const context = assembleContext(documents, query, PRODUCTION_CONFIG.ai);
+    let aiResult;
+    let coverage;
+    let promptDocuments;
+    
+    if (context.dropped > 0 && llm) {
+      aiResult = await generateHierarchicalSummary(documents, query);
+      promptDocuments = aiResult.documents;
+      coverage = `${documents.length} across ${aiResult.partials} ${aiResult.period === 'week' ? 'weekly' : 'daily'} summaries (${aiResult.cachedPartials} cached)`;
+      if (aiResult.droppedSections > 0) {
+        coverage += `, ${aiResult.droppedSections} dropped to fit the token budget`;
+      }
+    } else {
+      aiResult = await generateAISummary(context.text, query, { droppedSections: context.dropped });
+      promptDocuments = context.documents;
+      coverage = context.dropped > 0
+        ? `${context.documents.length} of ${context.total} (${context.dropped} dropped to fit the ${PRODUCTION_CONFIG.ai.contextTokenBudget}-token budget)`
+        : `${context.total}`;
+    }
+    
+    // Only sections that were actually in the prompt may be cited
+    const sources = buildSources(promptDocuments);
+    const citations = validateCitations(aiResult.summary, sources);
+    if (citations.invalid.length > 0) {
+      logger.warn(`Removed citations to sections not in the context: ${citations.invalid.join(', ')}`);
+    }
+    
+    const citationWarning = citations.uncited > 0 ? `\n⚠️ *Uncited points:* ${citations.uncited}` : '';
+    
+    // Every number, percentage, amount and date must appear in the sections the prompt was built
+    // from, headers included, since the model reads each section's date from its header
+    let summaryText = citations.summary;
+    let factWarning = '';
+    if (llm) {
+      const verification = verifyFigures(summaryText, promptDocuments.map(formatSection).join('\n\n'));
+      await recordFactVerification(aiResult.promptVersion, verification);
+      
+      if (verification.unverified.length > 0) {
+        summaryText = markUnverified(summaryText, verification);
+        factWarning = `\n⚠️ *Unverified figures:* ${verification.unverified.length} of ${verification.total} not found in the source sections`;
+      }
+    }
     
     const response = {
       response_type: 'in_channel',
-      text: `📊 *Account Summary for @${userName}*\n\n🤖 *AI Summary:*\n${aiResult.summary}\n\n📋 *Relevant Sections:* ${documents.length}\n💰 *Processing Cost:* $${aiResult.cost.toFixed(6)}\n⏰ *Last Updated:* ${new Date().toISOString()}`
+      text: `📊 *Account Summary for @${userName}*\n\n🤖 *AI Summary:*\n${renderCitations(summaryText, sources)}\n\n📋 *Relevant Sections:* ${coverage}${searchLine}${citationWarning}${factWarning}\n💰 *Processing Cost:* $${aiResult.cost.toFixed(6)}\n⏰ *Last Updated:* ${new Date().toISOString()}`
     };
 
-    await sendSlackResponse(responseUrl, response);
+    await respond(response);
     
   } catch (error) {
     logger.error('Slack command processing error:', error);
     Sentry.captureException(error);
     
-    await sendSlackResponse(responseUrl, {
+    await respond({
       response_type: 'ephemeral',
       text: '❌ Error processing your request. Please try again later.'
     });
   }
 }
 
-async function sendSlackResponse(responseUrl, response) {
-  try {
-    const axios = require('axios');
-    await axios.post(responseUrl, response);
-  } catch (error) {
-    logger.error('Error sending Slack response:', error);
-  }
-}
+// Admin API for managing publishers
+app.use('/admin', createAdminRouter({ pool, logger, companyRegistry, alertRules }));
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
@@ -469,13 +955,14 @@ app.get('/health', async (req, res) => {
     
     res.json({
       status: 'healthy',
-      version: '1.0.1-FIXED',
-      deployment: 'signature-validation-disabled',
+      version: '1.0.1',
       timestamp: new Date().toISOString(),
       services: {
         database: 'connected',
-        openai: openai ? 'enabled' : 'disabled',
-        slack: slack ? 'enabled' : 'disabled'
+        companies: Object.keys(companyRegistry.getCompanies()).length,
+        openai: llm && llm.name === 'openai' ? 'enabled' : 'disabled',
+        llm: llm ? llm.name : 'disabled',
+        slack: slackCommands.transport
       }
     });
   } catch (error) {
@@ -500,18 +987,37 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, () => {
-  const startTime = new Date().toISOString();
-  logger.info(`🚀 Production webhook server running on port ${PORT} - DEPLOY: ${startTime}`);
-  logger.info(`🤖 OpenAI: ${openai ? 'ENABLED' : 'DISABLED'}`);
-  logger.info(`💬 Slack: ${slack ? 'ENABLED' : 'DISABLED'}`);
-  logger.info(`🗄️ Database: ${process.env.DATABASE_URL ? 'CONNECTED' : 'NOT CONFIGURED'}`);
-  logger.info(`⚠️  SIGNATURE VALIDATION IS DISABLED FOR TESTING`);
-});
+if (require.main === module) {
+  app.listen(PORT, () => {
+    const startTime = new Date().toISOString();
+    logger.info(`🚀 Production webhook server running on port ${PORT} - DEPLOY: ${startTime}`);
+    logger.info(`🤖 LLM provider: ${llm ? llm.name.toUpperCase() : 'DISABLED'}`);
+    logger.info(`💬 Slack: ${slackCommands.transport} (${slackCommands.commandNames().join(', ')})`);
+    logger.info(`🗄️ Database: ${process.env.DATABASE_URL ? 'CONNECTED' : 'NOT CONFIGURED'}`);
+    logger.info(`🔐 Webhook signatures: ${getWebhookSecrets().length > 0 ? 'VERIFIED' : 'NOT CONFIGURED'}`);
+  });
+  
+  if (slack) {
+    slackCommands.mountBolt(slack);
+    slack.start()
+      .then(() => logger.info('💬 Slack Socket Mode connected'))
+      .catch(error => logger.error('Slack Socket Mode failed to start:', error));
+  }
+
+  companyRegistry.refresh();
+  companyRegistry.listen();
+
+  if (schedulers.length > 0 && process.env.DATABASE_URL) {
+    schedulers.forEach(scheduler => scheduler.start());
+    logger.info(`📬 Subscription and briefing schedulers checking every ${PRODUCTION_CONFIG.subscriptions.checkIntervalMs / 1000}s`);
+  }
+}
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  companyRegistry.stop();
+  schedulers.forEach(scheduler => scheduler.stop());
   pool.end(() => {
     process.exit(0);
   });
@@ -0,0 +1,523 @@
+/**
+ * Admin REST API
+ * Authenticated management endpoints mounted at /admin
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { createAlertRuleStore, validateAlertRule, serializeAlertRule, hasNestedQuantifier } = require('../services/alert-rules');
+
+const MAX_PATTERN_LENGTH = 200;
+const PREVIEW_DEFAULT_DAYS = 30;
+const PREVIEW_MAX_DOCUMENTS = 500;
+const PREVIEW_DEFAULT_LIMIT = 50;
+
+const COMPANY_COLUMNS = 'id, name, normalized_name, patterns, aliases, domains, deleted_at, created_at, updated_at';
+
+/**
+ * Require ADMIN_API_TOKEN as a bearer token
+ */
+function requireAdminToken(req, res, next) {
+  const expected = process.env.ADMIN_API_TOKEN;
+
+  if (!expected) {
+    return res.status(503).json({ error: 'Admin API not configured' });
+  }
+
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.substring(7) : '';
+
+  // Compare digests so the check takes the same time whatever the token length
+  const provided = crypto.createHash('sha256').update(token).digest();
+  const required = crypto.createHash('sha256').update(expected).digest();
+
+  if (!token || !crypto.timingSafeEqual(provided, required)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+/**
+ * Turn a display name into a registry key, e.g. "Brit+Co" -> "brit_co"
+ */
+function toNormalizedName(name) {
+  return name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+function normalizeList(values) {
+  return [...new Set(values.map(value => value.toLowerCase().trim()).filter(Boolean))];
+}
+
+/**
+ * Validate regex pattern strings the same way CompanyRegistry compiles them
+ */
+function validatePatterns(patterns) {
+  const errors = [];
+
+  if (!Array.isArray(patterns) || patterns.length === 0) {
+    return ['patterns must be a non-empty array of regular expressions'];
+  }
+
+  for (const pattern of patterns) {
+    if (typeof pattern !== 'string' || !pattern.trim()) {
+      errors.push('patterns must be non-empty strings');
+      continue;
+    }
+
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      errors.push(`Pattern exceeds ${MAX_PATTERN_LENGTH} characters: ${pattern.substring(0, 40)}...`);
+      continue;
+    }
+
+    if (hasNestedQuantifier(pattern)) {
+      errors.push(`Pattern "${pattern}" repeats a group that itself repeats, which can take too long to match`);
+      continue;
+    }
+
+    let regex;
+    try {
+      regex = new RegExp(pattern, 'i');
+    } catch (error) {
+      errors.push(`Invalid pattern "${pattern}": ${error.message}`);
+      continue;
+    }
+
+    // A pattern that matches empty text would tag every section with this company
+    if (regex.test('')) {
+      errors.push(`Pattern "${pattern}" matches empty text`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a company payload; partial payloads are allowed for updates
+ */
+function validateCompany(body, { partial = false } = {}) {
+  const errors = [];
+  const company = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 100) {
+      errors.push('name is required and must be at most 100 characters');
+    } else {
+      company.name = body.name.trim();
+    }
+  }
+
+  if (!partial) {
+    const normalizedName = body.normalized_name || (company.name ? toNormalizedName(company.name) : '');
+    if (!/^[a-z0-9_]{1,100}$/.test(normalizedName)) {
+      errors.push('normalized_name must contain only lowercase letters, digits and underscores');
+    } else {
+      company.normalized_name = normalizedName;
+    }
+  }
+
+  if (body.patterns !== undefined || !partial) {
+    const patternErrors = validatePatterns(body.patterns);
+    errors.push(...patternErrors);
+    if (patternErrors.length === 0) {
+      company.patterns = body.patterns;
+    }
+  }
+
+  for (const field of ['aliases', 'domains']) {
+    if (body[field] === undefined) {
+      if (!partial) company[field] = [];
+      continue;
+    }
+
+    if (!Array.isArray(body[field]) || body[field].some(value => typeof value !== 'string')) {
+      errors.push(`${field} must be an array of strings`);
+    } else {
+      company[field] = normalizeList(body[field]);
+    }
+  }
+
+  return { errors, company };
+}
+
+/**
+ * Find aliases or domains already claimed by another active company
+ */
+async function findCollisions(pool, normalizedName, company) {
+  const result = await pool.query(`
+    SELECT normalized_name, aliases, domains FROM companies
+    WHERE deleted_at IS NULL AND normalized_name <> $1
+  `, [normalizedName]);
+
+  const collisions = [];
+
+  for (const other of result.rows) {
+    const otherAliases = normalizeList([other.normalized_name, ...(other.aliases || [])]);
+    const otherDomains = normalizeList(other.domains || []);
+
+    for (const alias of company.aliases || []) {
+      if (otherAliases.includes(alias)) {
+        collisions.push({ field: 'aliases', value: alias, company: other.normalized_name });
+      }
+    }
+
+    for (const domain of company.domains || []) {
+      if (otherDomains.includes(domain)) {
+        collisions.push({ field: 'domains', value: domain, company: other.normalized_name });
+      }
+    }
+  }
+
+  return collisions;
+}
+
+function createSnippet(content, index, length) {
+  const start = Math.max(0, index - 60);
+  const end = Math.min(content.length, index + length + 60);
+  return `${start > 0 ? '...' : ''}${content.substring(start, end)}${end < content.length ? '...' : ''}`;
+}
+
+/**
+ * Build the /admin router
+ * alertRules: alert rule store shared with the webhook's alert step; one is created on pool if omitted
+ */
+function createAdminRouter({ pool, logger, companyRegistry, alertRules = createAlertRuleStore({ pool }) }) {
+  const router = express.Router();
+
+  router.use(requireAdminToken);
+
+  // Apply changes right away even if the NOTIFY listener is down
+  const refreshRegistry = () => companyRegistry && companyRegistry.refresh();
+
+  const getCompany = async (normalizedName) => {
+    const result = await pool.query(`SELECT ${COMPANY_COLUMNS} FROM companies WHERE normalized_name = $1`, [normalizedName]);
+    return result.rows[0] || null;
+  };
+
+  router.get('/companies', async (req, res, next) => {
+    try {
+      const includeDeleted = req.query.includeDeleted === 'true';
+      const result = await pool.query(`
+        SELECT ${COMPANY_COLUMNS} FROM companies
+        ${includeDeleted ? '' : 'WHERE deleted_at IS NULL'}
+        ORDER BY name
+      `);
+
+      res.json({ companies: result.rows });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Registered before /companies/:key so "preview" is not treated as a key
+  router.post('/companies/preview', async (req, res, next) => {
+    try {
+      const patternErrors = validatePatterns(req.body.patterns);
+      if (patternErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid patterns', details: patternErrors });
+      }
+
+      // At most PREVIEW_MAX_DOCUMENTS sections are scanned, so no larger limit is useful
+      const limit = req.body.limit === undefined ? PREVIEW_DEFAULT_LIMIT : Number(req.body.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > PREVIEW_MAX_DOCUMENTS) {
+        return res.status(400).json({ error: 'Invalid limit', details: [`limit must be a whole number from 1 to ${PREVIEW_MAX_DOCUMENTS}`] });
+      }
+
+      const days = parseInt(req.body.days) || PREVIEW_DEFAULT_DAYS;
+      const regexes = req.body.patterns.map(pattern => new RegExp(pattern, 'i'));
+
+      const result = await pool.query(`
+        SELECT id, date, title, content, company, section_number
+        FROM documents
+        WHERE is_current = TRUE AND date >= CURRENT_DATE - $1::int
+        ORDER BY date DESC, id DESC
+        LIMIT $2
+      `, [days, PREVIEW_MAX_DOCUMENTS]);
+
+      const matches = [];
+
+      for (const document of result.rows) {
+        const text = `${document.title || ''}\n${document.content}`;
+
+        for (const regex of regexes) {
+          const found = regex.exec(text);
+          if (found) {
+            matches.push({
+              id: document.id,
+              date: document.date,
+              title: document.title,
+              section_number: document.section_number,
+              current_company: document.company,
+              matched_pattern: regex.source,
+              matched_text: found[0],
+              snippet: createSnippet(text, found.index, found[0].length)
+            });
+            break;
+          }
+        }
+      }
+
+      res.json({
+        days,
+        scanned: result.rows.length,
+        matched: matches.length,
+        matches: matches.slice(0, limit)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/companies/:key', async (req, res, next) => {
+    try {
+      const company = await getCompany(req.params.key);
+      if (!company) {
+        return res.status(404).json({ error: 'Company not found' });
+      }
+
+      res.json({ company });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/companies', async (req, res, next) => {
+    try {
+      const { errors, company } = validateCompany(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid company', details: errors });
+      }
+
+      const existing = await getCompany(company.normalized_name);
+      if (existing) {
+        return res.status(409).json({
+          error: existing.deleted_at
+            ? `Company ${company.normalized_name} was deleted; restore it instead`
+            : `Company ${company.normalized_name} already exists`
+        });
+      }
+
+      const collisions = await findCollisions(pool, company.normalized_name, company);
+      if (collisions.length > 0) {
+        return res.status(409).json({ error: 'Alias collision', collisions });
+      }
+
+      const result = await pool.query(`
+        INSERT INTO companies (name, normalized_name, patterns, aliases, domains)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING ${COMPANY_COLUMNS}
+      `, [company.name, company.normalized_name, company.patterns, company.aliases, company.domains]);
+
+      logger.info(`Admin created company ${company.normalized_name}`);
+      await refreshRegistry();
+
+      res.status(201).json({ company: result.rows[0] });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.patch('/companies/:key', async (req, res, next) => {
+    try {
+      const existing = await getCompany(req.params.key);
+      if (!existing || existing.deleted_at) {
+        return res.status(404).json({ error: 'Company not found' });
+      }
+
+      const { errors, company } = validateCompany(req.body, { partial: true });
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid company', details: errors });
+      }
+
+      const fields = Object.keys(company);
+      if (fields.length === 0) {
+        return res.status(400).json({ error: 'No updatable fields provided' });
+      }
+
+      const collisions = await findCollisions(pool, existing.normalized_name, company);
+      if (collisions.length > 0) {
+        return res.status(409).json({ error: 'Alias collision', collisions });
+      }
+
+      const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+      const result = await pool.query(`
+        UPDATE companies SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE normalized_name = $1
+        RETURNING ${COMPANY_COLUMNS}
+      `, [existing.normalized_name, ...fields.map(field => company[field])]);
+
+      logger.info(`Admin updated company ${existing.normalized_name}: ${fields.join(', ')}`);
+      await refreshRegistry();
+
+      res.json({ company: result.rows[0] });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/companies/:key', async (req, res, next) => {
+    try {
+      const result = await pool.query(`
+        UPDATE companies SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE normalized_name = $1 AND deleted_at IS NULL
+        RETURNING ${COMPANY_COLUMNS}
+      `, [req.params.key]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Company not found' });
+      }
+
+      logger.info(`Admin retired company ${req.params.key}`);
+      await refreshRegistry();
+
+      res.json({ company: result.rows[0] });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/companies/:key/restore', async (req, res, next) => {
+    try {
+      const existing = await getCompany(req.params.key);
+      if (!existing || !existing.deleted_at) {
+        return res.status(404).json({ error: 'Deleted company not found' });
+      }
+
+      // Another company may have claimed these aliases while this one was retired
+      const collisions = await findCollisions(pool, existing.normalized_name, existing);
+      if (collisions.length > 0) {
+        return res.status(409).json({ error: 'Alias collision', collisions });
+      }
+
+      const result = await pool.query(`
+        UPDATE companies SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE normalized_name = $1
+        RETURNING ${COMPANY_COLUMNS}
+      `, [existing.normalized_name]);
+
+      logger.info(`Admin restored company ${existing.normalized_name}`);
+      await refreshRegistry();
+
+      res.json({ company: result.rows[0] });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Alert rules, also managed from Slack with /mula alert
+  const knownCompanies = () => companyRegistry ? Object.keys(companyRegistry.getCompanies()) : null;
+
+  const getAlertRule = async (id) => /^\d+$/.test(id) ? alertRules.get(Number(id)) : null;
+
+  router.get('/alert-rules', async (req, res, next) => {
+    try {
+      const rules = await alertRules.list();
+      res.json({ alert_rules: rules.map(serializeAlertRule) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/alert-rules/:id', async (req, res, next) => {
+    try {
+      const rule = await getAlertRule(req.params.id);
+      if (!rule) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+      }
+
+      res.json({ alert_rule: serializeAlertRule(rule) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/alert-rules', async (req, res, next) => {
+    try {
+      const { errors, rule } = validateAlertRule(req.body, { knownCompanies: knownCompanies() });
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid alert rule', details: errors });
+      }
+
+      const created = await alertRules.create(rule, 'admin-api');
+      logger.info(`Admin created alert rule ${created.id} (${created.name})`);
+
+      res.status(201).json({ alert_rule: serializeAlertRule(created) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Fields left out keep their current values
+  router.patch('/alert-rules/:id', async (req, res, next) => {
+    try {
+      const existing = await getAlertRule(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+      }
+
+      const { errors, rule } = validateAlertRule({ ...serializeAlertRule(existing), ...req.body }, { knownCompanies: knownCompanies() });
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid alert rule', details: errors });
+      }
+
+      const updated = await alertRules.update(existing.id, rule);
+      logger.info(`Admin updated alert rule ${existing.id}: ${Object.keys(req.body).join(', ')}`);
+
+      res.json({ alert_rule: serializeAlertRule(updated) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/alert-rules/:id', async (req, res, next) => {
+    try {
+      const existing = await getAlertRule(req.params.id);
+      if (!existing || !(await alertRules.remove(existing.id))) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+      }
+
+      logger.info(`Admin deleted alert rule ${existing.id} (${existing.name})`);
+      res.json({ alert_rule: serializeAlertRule(existing) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Share of summary figures that could not be found in the source sections
+  router.get('/fact-verification', async (req, res, next) => {
+    try {
+      const days = parseInt(req.query.days) || 30;
+      const result = await pool.query(`
+        SELECT model, prompt_version,
+               COUNT(*)::int AS summaries,
+               COUNT(*) FILTER (WHERE figures_unverified > 0)::int AS summaries_with_unverified,
+               COALESCE(SUM(figures_total), 0)::int AS figures_total,
+               COALESCE(SUM(figures_unverified), 0)::int AS figures_unverified
+        FROM fact_verifications
+        WHERE created_at >= NOW() - make_interval(days => $1)
+        GROUP BY model, prompt_version
+        ORDER BY model, prompt_version
+      `, [days]);
+
+      res.json({
+        days,
+        results: result.rows.map(row => ({
+          ...row,
+          figure_failure_rate: row.figures_total > 0 ? row.figures_unverified / row.figures_total : 0,
+          summary_failure_rate: row.summaries > 0 ? row.summaries_with_unverified / row.summaries : 0
+        }))
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter,
+  requireAdminToken,
+  validateCompany,
+  validatePatterns
+};
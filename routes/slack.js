@@ -0,0 +1,134 @@
+/**
+ * Slack HTTP Endpoints
+ * Mounts a command registry on Express at /slack: slash commands at /slack/commands and
+ * interactive components at /slack/interactive. Replies go to the request's response_url,
+ * which must be a Slack webhook URL.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Older requests are treated as replays, as Slack recommends
+const MAX_SIGNATURE_AGE_SECONDS = 5 * 60;
+
+// Slack's response_urls; anything else would have the server post wherever a request says
+const RESPONSE_URL_HOST = 'hooks.slack.com';
+
+const ACK_MESSAGE = {
+  response_type: 'ephemeral',
+  text: '⏳ Processing your request... Results will appear shortly.'
+};
+
+/**
+ * Check Slack's v0 request signature over the raw body. The app must keep the raw body
+ * in req.rawBody (express.json / express.urlencoded with a verify callback).
+ */
+function verifySlackSignature(req, signingSecret) {
+  const timestamp = req.get('x-slack-request-timestamp');
+  const signature = req.get('x-slack-signature') || '';
+
+  if (!timestamp || Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_SIGNATURE_AGE_SECONDS) {
+    return false;
+  }
+
+  const expected = 'v0=' + crypto.createHmac('sha256', signingSecret)
+    .update(`v0:${timestamp}:${req.rawBody || ''}`)
+    .digest('hex');
+
+  return signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+/**
+ * Whether a response_url is an https URL on Slack's webhook host
+ */
+function isSlackResponseUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' && url.host === RESPONSE_URL_HOST;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Express router for a command registry. Requests are verified when signingSecret is set;
+ * without one, production refuses them, since user IDs decide admin and owner checks.
+ */
+function createSlackRouter({ registry, signingSecret = process.env.SLACK_SIGNING_SECRET, logger = console }) {
+  const router = express.Router();
+
+  if (!signingSecret) {
+    logger.warn('SLACK_SIGNING_SECRET is not set - Slack requests are not verified');
+  }
+
+  const verify = (req, res, next) => {
+    if (!signingSecret && process.env.NODE_ENV === 'production') {
+      logger.error('SLACK_SIGNING_SECRET is not configured - rejecting Slack request');
+      return res.status(503).json({ error: 'Slack verification not configured' });
+    }
+
+    if (signingSecret && !verifySlackSignature(req, signingSecret)) {
+      return res.status(401).json({ error: 'Invalid Slack signature' });
+    }
+    next();
+  };
+
+  const responder = responseUrl => async (message) => {
+    try {
+      await axios.post(responseUrl, message);
+    } catch (error) {
+      logger.error('Error sending Slack response:', error);
+    }
+  };
+
+  router.post('/commands', verify, (req, res) => {
+    const payload = req.body || {};
+
+    if (!payload.command || !payload.response_url) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    if (!isSlackResponseUrl(payload.response_url)) {
+      return res.status(400).json({ error: 'Invalid response_url' });
+    }
+
+    // Slack needs an answer within 3 seconds; results follow through the response_url
+    res.json(ACK_MESSAGE);
+
+    registry.dispatchCommand(payload, responder(payload.response_url)).catch(error => {
+      logger.error('Slack command error:', error);
+    });
+  });
+
+  router.post('/interactive', verify, (req, res) => {
+    let payload;
+    try {
+      payload = JSON.parse(req.body.payload);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid interactive payload' });
+    }
+
+    if (payload.response_url && !isSlackResponseUrl(payload.response_url)) {
+      return res.status(400).json({ error: 'Invalid response_url' });
+    }
+
+    res.status(200).end();
+
+    // Actions inside a modal come without a response_url
+    if (payload.type === 'block_actions') {
+      const respond = payload.response_url ? responder(payload.response_url) : undefined;
+      registry.dispatchAction(payload, respond).catch(error => {
+        logger.error('Slack action error:', error);
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createSlackRouter,
+  verifySlackSignature
+};
@@ -1,5 +1,6 @@
 const { Pool } = require('pg');
 require('dotenv').config();
+const { DEFAULT_COMPANIES } = require('../services/company-registry');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -74,43 +75,7 @@ async function initDatabase() {
     `);
     
     // Insert default companies
-    const companies = [
-      {
-        name: 'On3',
-        normalized_name: 'on3',
-        patterns: ['on3', 'on\\s*3'],
-        aliases: ['on3', 'on 3'],
-        domains: ['on3.com']
-      },
-      {
-        name: 'Swimming World',
-        normalized_name: 'swimming_world',
-        patterns: ['swimming\\s*world', 'swimmingworld'],
-        aliases: ['swimming world', 'swimmingworld'],
-        domains: ['swimmingworld.com']
-      },
-      {
-        name: 'She Media',
-        normalized_name: 'she_media',
-        patterns: ['she\\s*media', 'shemedia'],
-        aliases: ['she media', 'shemedia'],
-        domains: ['shemedia.com']
-      },
-      {
-        name: 'Rev Content',
-        normalized_name: 'rev_content',
-        patterns: ['rev\\s*content', 'revcontent'],
-        aliases: ['rev content', 'revcontent'],
-        domains: ['revcontent.com']
-      },
-      {
-        name: 'Brit+Co',
-        normalized_name: 'brit_co',
-        patterns: ['brit\\.co', 'brit\\+co', 'brit\\s+co', 'britco'],
-        aliases: ['brit.co', 'brit+co', 'brit co', 'britco'],
-        domains: ['brit.co']
-      }
-    ];
+    const companies = DEFAULT_COMPANIES;
     
     for (const company of companies) {
       try {
@@ -59,6 +59,461 @@ const migrations = [
       await pool.query('DROP INDEX IF EXISTS idx_documents_archived');
       await pool.query('ALTER TABLE documents DROP COLUMN IF EXISTS archived');
     }
+  },
+  {
+    version: '1.3.0',
+    description: 'Add section title and source document columns',
+    up: async (pool) => {
+      await pool.query(`
+        ALTER TABLE documents 
+        ADD COLUMN IF NOT EXISTS title TEXT,
+        ADD COLUMN IF NOT EXISTS document_id VARCHAR(100);
+      `);
+      
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_documents_document_section ON documents(document_id, section_number);
+      `);
+    },
+    down: async (pool) => {
+      await pool.query('DROP INDEX IF EXISTS idx_documents_document_section');
+      await pool.query('ALTER TABLE documents DROP COLUMN IF EXISTS document_id');
+      await pool.query('ALTER TABLE documents DROP COLUMN IF EXISTS title');
+    }
+  },
+  {
+    version: '1.4.0',
+    description: 'Add content hashing and section version history',
+    up: async (pool) => {
+      await pool.query(`
+        ALTER TABLE documents 
+        ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS is_current BOOLEAN DEFAULT TRUE,
+        ADD COLUMN IF NOT EXISTS superseded_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS previous_version_id INTEGER REFERENCES documents(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+      `);
+      
+      // Same normalization as hashContent() in production-webhook-server.js
+      await pool.query(`
+        UPDATE documents
+        SET content_hash = encode(sha256(convert_to(btrim(regexp_replace(content, '\\s+', ' ', 'g')), 'UTF8')), 'hex')
+        WHERE content_hash IS NULL;
+      `);
+      
+      // Earlier webhook deliveries stored every re-send; keep only the first copy of each version
+      await pool.query(`
+        DELETE FROM documents a
+        USING documents b
+        WHERE a.id > b.id
+          AND a.document_id = b.document_id
+          AND a.section_number = b.section_number
+          AND a.content_hash = b.content_hash;
+      `);
+      
+      // Rows stored before document IDs were recorded have none, so the query above never pairs
+      // them; a re-send repeated a section's text under the same digest date
+      await pool.query(`
+        DELETE FROM documents a
+        USING documents b
+        WHERE a.id > b.id
+          AND a.document_id IS NULL
+          AND b.document_id IS NULL
+          AND a.date = b.date
+          AND a.content_hash = b.content_hash;
+      `);
+      
+      await pool.query(`
+        UPDATE documents d
+        SET is_current = FALSE, superseded_at = COALESCE(d.superseded_at, NOW())
+        WHERE EXISTS (
+          SELECT 1 FROM documents n
+          WHERE n.document_id = d.document_id
+            AND n.section_number = d.section_number
+            AND n.id > d.id
+        );
+      `);
+      
+      await pool.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_documents_section_version
+        ON documents(document_id, section_number, content_hash);
+      `);
+      
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_documents_current ON documents(is_current);
+      `);
+    },
+    down: async (pool) => {
+      await pool.query('DROP INDEX IF EXISTS idx_documents_current');
+      await pool.query('DROP INDEX IF EXISTS idx_documents_section_version');
+      await pool.query(`
+        ALTER TABLE documents
+        DROP COLUMN IF EXISTS last_seen_at,
+        DROP COLUMN IF EXISTS previous_version_id,
+        DROP COLUMN IF EXISTS superseded_at,
+        DROP COLUMN IF EXISTS is_current,
+        DROP COLUMN IF EXISTS content_hash;
+      `);
+    }
+  },
+  {
+    version: '1.5.0',
+    description: 'Notify the server when companies change',
+    up: async (pool) => {
+      // Channel name must match REFRESH_CHANNEL in services/company-registry.js
+      await pool.query(`
+        CREATE OR REPLACE FUNCTION notify_companies_changed() RETURNS trigger AS $$
+        BEGIN
+          PERFORM pg_notify('companies_changed', COALESCE(NEW.normalized_name, OLD.normalized_name));
+          RETURN NULL;
+        END;
+        $$ LANGUAGE plpgsql;
+      `);
+      
+      await pool.query('DROP TRIGGER IF EXISTS companies_changed ON companies');
+      
+      await pool.query(`
+        CREATE TRIGGER companies_changed
+        AFTER INSERT OR UPDATE OR DELETE ON companies
+        FOR EACH ROW EXECUTE FUNCTION notify_companies_changed();
+      `);
+    },
+    down: async (pool) => {
+      await pool.query('DROP TRIGGER IF EXISTS companies_changed ON companies');
+      await pool.query('DROP FUNCTION IF EXISTS notify_companies_changed()');
+    }
+  },
+  {
+    version: '1.6.0',
+    description: 'Add soft delete for companies',
+    up: async (pool) => {
+      await pool.query(`
+        ALTER TABLE companies 
+        ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+      `);
+      
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_companies_deleted_at ON companies(deleted_at);
+      `);
+    },
+    down: async (pool) => {
+      await pool.query('DROP INDEX IF EXISTS idx_companies_deleted_at');
+      await pool.query('ALTER TABLE companies DROP COLUMN IF EXISTS deleted_at');
+    }
+  },
+  {
+    version: '1.7.0',
+    description: 'Add document to company tagging',
+    up: async (pool) => {
+      // No foreign key to companies: ingestion may tag from the built-in fallback registry
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS document_companies (
+          document_id INTEGER NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+          company_key VARCHAR(100) NOT NULL,
+          match_type VARCHAR(20) NOT NULL,
+          match_positions JSONB NOT NULL DEFAULT '[]',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (document_id, company_key, match_type)
+        )
+      `);
+      
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_document_companies_company ON document_companies(company_key);
+      `);
+      
+      // Carry over existing single-company tags; positions are filled in when sections are re-sent
+      await pool.query(`
+        INSERT INTO document_companies (document_id, company_key, match_type)
+        SELECT id, company, 'pattern' FROM documents WHERE company IS NOT NULL
+        ON CONFLICT DO NOTHING
+      `);
+    },
+    down: async (pool) => {
+      await pool.query('DROP TABLE IF EXISTS document_companies');
+    }
+  },
+  {
+    version: '1.8.0',
+    description: 'Add per-publisher passages',
+    up: async (pool) => {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS passages (
+          id SERIAL PRIMARY KEY,
+          section_id INTEGER NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+          passage_index INTEGER NOT NULL,
+          company_key VARCHAR(100),
+          content TEXT NOT NULL,
+          spans JSONB NOT NULL DEFAULT '[]',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (section_id, passage_index)
+        )
+      `);
+      
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_passages_company ON passages(company_key);
+      `);
+      
+      // Existing sections become a single passage until they are re-sent and split
+      await pool.query(`
+        INSERT INTO passages (section_id, passage_index, company_key, content)
+        SELECT id, 0, company, content FROM documents
+        ON CONFLICT DO NOTHING
+      `);
+    },
+    down: async (pool) => {
+      await pool.query('DROP TABLE IF EXISTS passages');
+    }
+  },
+  {
+    version: '1.9.0',
+    description: 'Add Google Doc heading IDs to documents for citation links',
+    up: async (pool) => {
+      await pool.query(`
+        ALTER TABLE documents ADD COLUMN IF NOT EXISTS heading_id VARCHAR(100);
+      `);
+    },
+    down: async (pool) => {
+      await pool.query('ALTER TABLE documents DROP COLUMN IF EXISTS heading_id');
+    }
+  },
+  {
+    version: '1.10.0',
+    description: 'Add fact verification results for AI summaries',
+    up: async (pool) => {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS fact_verifications (
+          id SERIAL PRIMARY KEY,
+          model VARCHAR(100) NOT NULL,
+          prompt_version VARCHAR(50) NOT NULL,
+          figures_total INTEGER NOT NULL,
+          figures_unverified INTEGER NOT NULL,
+          unverified_figures JSONB NOT NULL DEFAULT '[]',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_fact_verifications_model_prompt ON fact_verifications(model, prompt_version, created_at);
+      `);
+    },
+    down: async (pool) => {
+      await pool.query('DROP TABLE IF EXISTS fact_verifications');
+    }
+  },
+  {
+    version: '1.11.0',
+    description: 'Add full-text search vectors and section embeddings for hybrid search',
+    up: async (pool) => {
+      await pool.query(`
+        ALTER TABLE documents ADD COLUMN IF NOT EXISTS content_tsv tsvector
+          GENERATED ALWAYS AS (to_tsvector('english', coalesce(title, '') || ' ' || coalesce(content, ''))) STORED
+      `);
+      
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_documents_content_tsv ON documents USING GIN (content_tsv);
+      `);
+      
+      // One embedding per section; the model is kept so a model change is not mixed with old vectors
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS document_embeddings (
+          document_id INTEGER PRIMARY KEY REFERENCES documents(id) ON DELETE CASCADE,
+          model VARCHAR(100) NOT NULL,
+          embedding REAL[] NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    },
+    down: async (pool) => {
+      await pool.query('DROP TABLE IF EXISTS document_embeddings');
+      await pool.query('DROP INDEX IF EXISTS idx_documents_content_tsv');
+      await pool.query('ALTER TABLE documents DROP COLUMN IF EXISTS content_tsv');
+    }
+  },
+  {
+    version: '1.12.0',
+    description: 'Add scheduled Slack digest subscriptions',
+    up: async (pool) => {
+      // Schedules are wall-clock times in the subscription's timezone; next_run_at is the UTC instant
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS slack_subscriptions (
+          id SERIAL PRIMARY KEY,
+          publisher VARCHAR(255) NOT NULL,
+          cadence VARCHAR(20) NOT NULL CHECK (cadence IN ('daily', 'weekly')),
+          day_of_week SMALLINT CHECK (day_of_week BETWEEN 0 AND 6),
+          time_of_day VARCHAR(5) NOT NULL DEFAULT '09:00',
+          timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+          channel_id VARCHAR(255) NOT NULL,
+          format VARCHAR(20) NOT NULL DEFAULT 'full',
+          created_by VARCHAR(50),
+          paused BOOLEAN NOT NULL DEFAULT FALSE,
+          next_run_at TIMESTAMPTZ NOT NULL,
+          last_run_at TIMESTAMPTZ,
+          last_posted_at TIMESTAMPTZ,
+          last_content_at BIGINT,
+          last_status VARCHAR(20),
+          last_error TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (publisher, channel_id)
+        )
+      `);
+      
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_slack_subscriptions_due ON slack_subscriptions(next_run_at) WHERE NOT paused;
+      `);
+    },
+    down: async (pool) => {
+      await pool.query('DROP TABLE IF EXISTS slack_subscriptions');
+    }
+  },
+  {
+    version: '1.13.0',
+    description: 'Add account manager portfolios for daily briefings',
+    up: async (pool) => {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS portfolios (
+          slack_user_id VARCHAR(50) PRIMARY KEY,
+          time_of_day VARCHAR(5) NOT NULL DEFAULT '08:00',
+          timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+          next_run_at TIMESTAMPTZ NOT NULL,
+          last_briefed_at TIMESTAMPTZ,
+          last_run_at TIMESTAMPTZ,
+          last_status VARCHAR(20),
+          last_error TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // Company keys as in document_companies; no foreign key, as for the section tags
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS portfolio_publishers (
+          slack_user_id VARCHAR(50) NOT NULL REFERENCES portfolios(slack_user_id) ON DELETE CASCADE,
+          company_key VARCHAR(100) NOT NULL,
+          snoozed_until TIMESTAMPTZ,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (slack_user_id, company_key)
+        )
+      `);
+      
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_portfolios_next_run ON portfolios(next_run_at);
+      `);
+    },
+    down: async (pool) => {
+      await pool.query('DROP TABLE IF EXISTS portfolio_publishers');
+      await pool.query('DROP TABLE IF EXISTS portfolios');
+    }
+  },
+  {
+    version: '1.14.0',
+    description: 'Add alert rules for newly ingested sections',
+    up: async (pool) => {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS alert_rules (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(100) NOT NULL,
+          channel_id VARCHAR(100) NOT NULL,
+          keywords TEXT[] NOT NULL DEFAULT '{}',
+          keyword_sets TEXT[] NOT NULL DEFAULT '{}',
+          patterns TEXT[] NOT NULL DEFAULT '{}',
+          companies TEXT[] NOT NULL DEFAULT '{}',
+          max_alerts INTEGER NOT NULL DEFAULT 5,
+          window_minutes INTEGER NOT NULL DEFAULT 60,
+          enabled BOOLEAN NOT NULL DEFAULT TRUE,
+          suppressed_count INTEGER NOT NULL DEFAULT 0,
+          last_alert_at TIMESTAMPTZ,
+          created_by VARCHAR(50),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      // One row per alert sent; counts against the rule's rate limit and stops repeats
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS alert_deliveries (
+          id SERIAL PRIMARY KEY,
+          rule_id INTEGER NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+          section_id INTEGER NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+          alerted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          UNIQUE (rule_id, section_id)
+        )
+      `);
+      
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_alert_deliveries_rule_time ON alert_deliveries(rule_id, alerted_at);
+      `);
+    },
+    down: async (pool) => {
+      await pool.query('DROP TABLE IF EXISTS alert_deliveries');
+      await pool.query('DROP TABLE IF EXISTS alert_rules');
+    }
+  },
+  {
+    version: '1.15.0',
+    description: 'Add status items tracked across digests',
+    up: async (pool) => {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS tracked_items (
+          id SERIAL PRIMARY KEY,
+          company_key VARCHAR(100) NOT NULL,
+          text TEXT NOT NULL,
+          status VARCHAR(20) NOT NULL,
+          first_seen_date DATE NOT NULL,
+          last_seen_date DATE NOT NULL,
+          last_updated_date DATE NOT NULL,
+          status_since DATE NOT NULL,
+          last_section_id INTEGER REFERENCES documents(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS tracked_item_history (
+          id SERIAL PRIMARY KEY,
+          item_id INTEGER NOT NULL REFERENCES tracked_items(id) ON DELETE CASCADE,
+          status VARCHAR(20) NOT NULL,
+          text TEXT NOT NULL,
+          section_id INTEGER REFERENCES documents(id) ON DELETE SET NULL,
+          seen_date DATE NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_tracked_items_company_status ON tracked_items(company_key, status);
+      `);
+      
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_tracked_items_company_seen ON tracked_items(company_key, last_seen_date);
+      `);
+      
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_tracked_item_history_item ON tracked_item_history(item_id);
+      `);
+    },
+    down: async (pool) => {
+      await pool.query('DROP TABLE IF EXISTS tracked_item_history');
+      await pool.query('DROP TABLE IF EXISTS tracked_items');
+    }
+  },
+  {
+    version: '1.16.0',
+    description: 'Add full-text search vectors to passages for publisher-scoped search',
+    up: async (pool) => {
+      await pool.query(`
+        ALTER TABLE passages ADD COLUMN IF NOT EXISTS content_tsv tsvector
+          GENERATED ALWAYS AS (to_tsvector('english', content)) STORED
+      `);
+
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS idx_passages_content_tsv ON passages USING GIN (content_tsv);
+      `);
+    },
+    down: async (pool) => {
+      await pool.query('DROP INDEX IF EXISTS idx_passages_content_tsv');
+      await pool.query('ALTER TABLE passages DROP COLUMN IF EXISTS content_tsv');
+    }
   }
 ];
 
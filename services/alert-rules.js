@@ -0,0 +1,368 @@
+/**
+ * Alert Rules
+ * Rules matched against sections as the webhook ingests them: keywords, the keyword sets in
+ * PRODUCTION_CONFIG.businessIntelligence, regular expressions and a publisher filter. A matching
+ * section is posted to the rule's Slack channel, at most maxAlerts times per window.
+ */
+
+const { PRODUCTION_CONFIG } = require('../production-config');
+const { findLiteralMatches, findPatternMatches } = require('./company-registry');
+
+// partnership, plus one set per status: in_progress, completed, waiting, info_only
+const KEYWORD_SETS = {
+  partnership: PRODUCTION_CONFIG.businessIntelligence.partnershipKeywords,
+  ...PRODUCTION_CONFIG.businessIntelligence.statusKeywords
+};
+
+const DEFAULT_MAX_ALERTS = 5;
+const DEFAULT_WINDOW_MINUTES = 60;
+const MAX_WINDOW_MINUTES = 7 * 24 * 60;
+const MAX_PATTERN_LENGTH = 200;
+
+// Patterns run against at most this much of a section, bounding the time any one can take
+const MAX_PATTERN_TEXT_LENGTH = 20000;
+
+// Quantifiers that repeat: *, +, {n,} and {n,m}
+const REPEAT = /^(?:[*+]|\{\d+,\d*\})/;
+
+const RULE_COLUMNS = `id, name, channel_id, keywords, keyword_sets, patterns, companies, max_alerts, window_minutes,
+  enabled, suppressed_count, last_alert_at, created_by, created_at, updated_at`;
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    channel: row.channel_id,
+    keywords: row.keywords || [],
+    keywordSets: row.keyword_sets || [],
+    patterns: row.patterns || [],
+    companies: row.companies || [],
+    maxAlerts: row.max_alerts,
+    windowMinutes: row.window_minutes,
+    enabled: row.enabled,
+    suppressedCount: row.suppressed_count,
+    lastAlertAt: row.last_alert_at,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function stringList(value, field, errors) {
+  if (value === undefined || value === null) return [];
+
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    errors.push(`${field} must be an array of strings`);
+    return [];
+  }
+
+  return [...new Set(value.map(item => item.trim()).filter(Boolean))];
+}
+
+/**
+ * Whether a pattern repeats a group that itself repeats, as in (a+)+ or (\w+\s?)*, which can
+ * backtrack exponentially on text that almost matches
+ */
+function hasNestedQuantifier(pattern) {
+  // Per open group, whether it contains a repeat
+  const groups = [false];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Skip the character class; a ] first in it is literal
+      i += pattern[i + 1] === '^' ? 2 : 1;
+      if (pattern[i] === ']') i++;
+      while (i < pattern.length && pattern[i] !== ']') {
+        if (pattern[i] === '\\') i++;
+        i++;
+      }
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const repeats = groups.length > 1 && groups.pop();
+      if (repeats && REPEAT.test(pattern.substring(i + 1))) return true;
+      groups[groups.length - 1] = groups[groups.length - 1] || repeats;
+    } else if (REPEAT.test(pattern.substring(i))) {
+      groups[groups.length - 1] = true;
+    }
+  }
+
+  return false;
+}
+
+function boundedInteger(value, field, { min, max, fallback }, errors) {
+  if (value === undefined || value === null) return fallback;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    errors.push(`${field} must be a whole number from ${min} to ${max}`);
+    return fallback;
+  }
+
+  return number;
+}
+
+/**
+ * Validate a rule given in the admin API's shape (snake_case) or built from a Slack command.
+ * knownCompanies: registry keys a publisher filter may use; unchecked when omitted.
+ * Returns { errors, rule } with the rule in the store's shape.
+ */
+function validateAlertRule(body, { knownCompanies = null } = {}) {
+  const errors = [];
+
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > 100) {
+    errors.push('name is required and must be at most 100 characters');
+  }
+
+  const channel = typeof body.channel_id === 'string' ? body.channel_id.trim() : '';
+  if (!/^(#[\w-]{1,80}|[A-Z0-9]{2,30})$/i.test(channel)) {
+    errors.push('channel_id must be a Slack channel ID or #channel-name');
+  }
+
+  const keywords = stringList(body.keywords, 'keywords', errors).map(keyword => keyword.toLowerCase());
+
+  const keywordSets = stringList(body.keyword_sets, 'keyword_sets', errors);
+  for (const set of keywordSets.filter(set => !KEYWORD_SETS[set])) {
+    errors.push(`Unknown keyword set "${set}"; use one of: ${Object.keys(KEYWORD_SETS).join(', ')}`);
+  }
+
+  const patterns = stringList(body.patterns, 'patterns', errors);
+  for (const pattern of patterns) {
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      errors.push(`Pattern exceeds ${MAX_PATTERN_LENGTH} characters: ${pattern.substring(0, 40)}...`);
+      continue;
+    }
+
+    if (hasNestedQuantifier(pattern)) {
+      errors.push(`Pattern "${pattern}" repeats a group that itself repeats, which can take too long to match`);
+      continue;
+    }
+
+    try {
+      // A pattern that matches empty text would alert on every section
+      if (new RegExp(pattern, 'i').test('')) {
+        errors.push(`Pattern "${pattern}" matches empty text`);
+      }
+    } catch (error) {
+      errors.push(`Invalid pattern "${pattern}": ${error.message}`);
+    }
+  }
+
+  const companies = stringList(body.companies, 'companies', errors).map(company => company.toLowerCase());
+  if (knownCompanies) {
+    for (const company of companies.filter(company => !knownCompanies.includes(company))) {
+      errors.push(`Unknown company "${company}"`);
+    }
+  }
+
+  if (keywords.length + keywordSets.length + patterns.length + companies.length === 0) {
+    errors.push('A rule needs at least one keyword, keyword set, pattern or company');
+  }
+
+  const maxAlerts = boundedInteger(body.max_alerts, 'max_alerts', { min: 1, max: 100, fallback: DEFAULT_MAX_ALERTS }, errors);
+  const windowMinutes = boundedInteger(body.window_minutes, 'window_minutes', { min: 1, max: MAX_WINDOW_MINUTES, fallback: DEFAULT_WINDOW_MINUTES }, errors);
+
+  if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+
+  return {
+    errors,
+    rule: {
+      name,
+      channel,
+      keywords,
+      keywordSets,
+      patterns,
+      companies,
+      maxAlerts,
+      windowMinutes,
+      enabled: body.enabled !== false
+    }
+  };
+}
+
+/**
+ * The admin API's shape of a stored rule, the inverse of validateAlertRule
+ */
+function serializeAlertRule(rule) {
+  return {
+    id: rule.id,
+    name: rule.name,
+    channel_id: rule.channel,
+    keywords: rule.keywords,
+    keyword_sets: rule.keywordSets,
+    patterns: rule.patterns,
+    companies: rule.companies,
+    max_alerts: rule.maxAlerts,
+    window_minutes: rule.windowMinutes,
+    enabled: rule.enabled,
+    suppressed_count: rule.suppressedCount,
+    last_alert_at: rule.lastAlertAt,
+    created_by: rule.createdBy,
+    created_at: rule.createdAt,
+    updated_at: rule.updatedAt
+  };
+}
+
+/**
+ * Match a rule against a section ({ title, content, companies: [company keys] }).
+ * Keywords match whole words, as company aliases do; patterns are case-insensitive regexes,
+ * run against the first MAX_PATTERN_TEXT_LENGTH characters.
+ * Returns { text, matches: [{ type, start, end, text }] } sorted by position, or null. A rule
+ * with only a publisher filter matches every section about those publishers, with no spans.
+ */
+function matchAlertRule(rule, section) {
+  if (rule.companies.length > 0 && !rule.companies.some(company => (section.companies || []).includes(company))) {
+    return null;
+  }
+
+  const text = `${section.title || ''}\n${section.content || ''}`;
+  const keywords = [...rule.keywords, ...rule.keywordSets.flatMap(set => KEYWORD_SETS[set] || [])];
+
+  if (keywords.length === 0 && rule.patterns.length === 0) {
+    return { text, matches: [] };
+  }
+
+  const matches = [
+    ...findLiteralMatches(text, keywords, 'keyword'),
+    ...findPatternMatches(text.substring(0, MAX_PATTERN_TEXT_LENGTH), rule.patterns.map(pattern => new RegExp(pattern, 'i')))
+  ].sort((a, b) => a.start - b.start || b.end - a.end);
+
+  return matches.length > 0 ? { text, matches } : null;
+}
+
+/**
+ * Rules in the alert_rules table, and the alerts sent for them in alert_deliveries
+ * (migration 1.14.0)
+ */
+function createAlertRuleStore({ pool }) {
+  const store = {
+    async create(rule, createdBy) {
+      const result = await pool.query(`
+        INSERT INTO alert_rules (name, channel_id, keywords, keyword_sets, patterns, companies, max_alerts, window_minutes, enabled, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING ${RULE_COLUMNS}
+      `, [rule.name, rule.channel, rule.keywords, rule.keywordSets, rule.patterns, rule.companies, rule.maxAlerts, rule.windowMinutes, rule.enabled, createdBy]);
+
+      return fromRow(result.rows[0]);
+    },
+
+    async get(id) {
+      const result = await pool.query(`SELECT ${RULE_COLUMNS} FROM alert_rules WHERE id = $1`, [id]);
+      return result.rows[0] ? fromRow(result.rows[0]) : null;
+    },
+
+    /**
+     * Every rule, or those posting to one channel
+     */
+    async list({ channel = null } = {}) {
+      const result = await pool.query(`
+        SELECT ${RULE_COLUMNS} FROM alert_rules
+        WHERE $1::text IS NULL OR channel_id = $1
+        ORDER BY id
+      `, [channel]);
+
+      return result.rows.map(fromRow);
+    },
+
+    async enabled() {
+      const result = await pool.query(`SELECT ${RULE_COLUMNS} FROM alert_rules WHERE enabled = TRUE ORDER BY id`);
+      return result.rows.map(fromRow);
+    },
+
+    /**
+     * Replace a rule's settings (a validated rule, as from validateAlertRule)
+     */
+    async update(id, rule) {
+      const result = await pool.query(`
+        UPDATE alert_rules SET
+          name = $2, channel_id = $3, keywords = $4, keyword_sets = $5, patterns = $6, companies = $7,
+          max_alerts = $8, window_minutes = $9, enabled = $10, updated_at = NOW()
+        WHERE id = $1
+        RETURNING ${RULE_COLUMNS}
+      `, [id, rule.name, rule.channel, rule.keywords, rule.keywordSets, rule.patterns, rule.companies, rule.maxAlerts, rule.windowMinutes, rule.enabled]);
+
+      return result.rows[0] ? fromRow(result.rows[0]) : null;
+    },
+
+    async setEnabled(id, enabled) {
+      const result = await pool.query(`
+        UPDATE alert_rules SET enabled = $2, updated_at = NOW()
+        WHERE id = $1
+        RETURNING ${RULE_COLUMNS}
+      `, [id, enabled]);
+
+      return result.rows[0] ? fromRow(result.rows[0]) : null;
+    },
+
+    async remove(id) {
+      const result = await pool.query('DELETE FROM alert_rules WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    },
+
+    /**
+     * Claim the right to alert on a section. Returns 'claimed', 'limited' when the rule has
+     * sent maxAlerts in its window, or 'duplicate' when this section was already alerted.
+     * The rule's row lock serializes webhook deliveries checking the same rule.
+     */
+    async claimAlert(rule, sectionId) {
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+        await client.query('SELECT id FROM alert_rules WHERE id = $1 FOR UPDATE', [rule.id]);
+
+        const recent = await client.query(`
+          SELECT COUNT(*)::int AS count FROM alert_deliveries
+          WHERE rule_id = $1 AND alerted_at > NOW() - make_interval(mins => $2)
+        `, [rule.id, rule.windowMinutes]);
+
+        let outcome;
+
+        if (recent.rows[0].count >= rule.maxAlerts) {
+          await client.query('UPDATE alert_rules SET suppressed_count = suppressed_count + 1 WHERE id = $1', [rule.id]);
+          outcome = 'limited';
+        } else {
+          const inserted = await client.query(`
+            INSERT INTO alert_deliveries (rule_id, section_id)
+            VALUES ($1, $2)
+            ON CONFLICT (rule_id, section_id) DO NOTHING
+            RETURNING id
+          `, [rule.id, sectionId]);
+
+          outcome = inserted.rows.length > 0 ? 'claimed' : 'duplicate';
+          if (outcome === 'claimed') {
+            await client.query('UPDATE alert_rules SET last_alert_at = NOW() WHERE id = $1', [rule.id]);
+          }
+        }
+
+        await client.query('COMMIT');
+        return outcome;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+  };
+
+  return store;
+}
+
+module.exports = {
+  KEYWORD_SETS,
+  DEFAULT_MAX_ALERTS,
+  DEFAULT_WINDOW_MINUTES,
+  createAlertRuleStore,
+  validateAlertRule,
+  serializeAlertRule,
+  matchAlertRule,
+  hasNestedQuantifier
+};
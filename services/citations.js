@@ -0,0 +1,118 @@
+/**
+ * Source Citations
+ * Section IDs are given to the model as [S<id>] labels; this checks the model only cited
+ * sections it was given and renders the citations as links to the Google Doc
+ */
+
+const CITATION_PATTERN = /\[(S\d+(?:\s*,\s*S\d+)*)\]/g;
+const HAS_CITATION = /\[S\d+/;
+const BULLET_PATTERN = /^\s*(?:[-*•]|\d+[.)])\s+/;
+
+function sourceLabel(id) {
+  return `S${id}`;
+}
+
+/**
+ * Index the sections that were in the prompt by label. Passages share their section's label.
+ */
+function buildSources(documents) {
+  const sources = new Map();
+
+  for (const document of documents) {
+    if (document.id == null || sources.has(sourceLabel(document.id))) continue;
+
+    sources.set(sourceLabel(document.id), {
+      id: document.id,
+      date: document.date ? new Date(document.date).toISOString().split('T')[0] : null,
+      title: document.title || null,
+      documentId: document.document_id || null,
+      headingId: document.heading_id || null
+    });
+  }
+
+  return sources;
+}
+
+/**
+ * Drop citations of sections that were not in the context and flag bullets with no valid citation
+ */
+function validateCitations(summary, sources) {
+  const cited = new Set();
+  const invalid = new Set();
+
+  const cleaned = summary.replace(CITATION_PATTERN, (marker, list) => {
+    const labels = list.split(',').map(label => label.trim());
+    const valid = labels.filter(label => sources.has(label));
+
+    labels.filter(label => !sources.has(label)).forEach(label => invalid.add(label));
+    valid.forEach(label => cited.add(label));
+
+    return valid.length > 0 ? `[${valid.join(', ')}]` : '';
+  });
+
+  let uncited = 0;
+  const lines = cleaned.split('\n').map(line => {
+    if (!BULLET_PATTERN.test(line) || HAS_CITATION.test(line)) {
+      return line;
+    }
+
+    uncited++;
+    return `${line} _(no source)_`;
+  });
+
+  return {
+    summary: lines.join('\n'),
+    cited: [...cited],
+    invalid: [...invalid],
+    uncited
+  };
+}
+
+function sectionUrl(source) {
+  if (!source.documentId) return null;
+
+  const url = `https://docs.google.com/document/d/${source.documentId}/edit`;
+  return source.headingId ? `${url}#heading=${source.headingId}` : url;
+}
+
+function sourceText(source) {
+  return [source.date, source.title].filter(Boolean).join(' · ') || sourceLabel(source.id);
+}
+
+/**
+ * Replace [S<id>] markers with numbered footnotes and list the sources below the summary
+ * as Slack links
+ */
+function renderCitations(summary, sources) {
+  const footnotes = new Map();
+
+  const text = summary.replace(CITATION_PATTERN, (marker, list) => {
+    const numbers = list.split(',').map(label => {
+      const key = label.trim();
+      if (!footnotes.has(key)) footnotes.set(key, footnotes.size + 1);
+      return footnotes.get(key);
+    });
+
+    return `[${numbers.join(', ')}]`;
+  });
+
+  if (footnotes.size === 0) {
+    return text;
+  }
+
+  const sourceLines = [...footnotes.entries()].map(([label, number]) => {
+    const source = sources.get(label);
+    const url = sectionUrl(source);
+    return `[${number}] ${url ? `<${url}|${sourceText(source)}>` : sourceText(source)}`;
+  });
+
+  return `${text}\n\n*Sources:*\n${sourceLines.join('\n')}`;
+}
+
+module.exports = {
+  sourceLabel,
+  buildSources,
+  validateCitations,
+  renderCitations,
+  sectionUrl
+};
@@ -0,0 +1,225 @@
+/**
+ * Command Arguments
+ * Parses slash command text shared by every Slack entry point: quoted publishers
+ * ("The Information"), flags (--days 14, --since 2026-01-01, --format brief) and
+ * natural phrasing ("brit co last 2 weeks", "she media since March 1", "on3 14d").
+ */
+
+const { parseDigestDate } = require('./digest-dates');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+const DEFAULT_OPTIONS = {
+  maxDays: 365,
+  formats: ['full', 'brief', 'detailed']
+};
+
+const UNIT_DAYS = { d: 1, day: 1, w: 7, week: 7, m: 30, month: 30, y: 365, year: 365 };
+
+const QUOTES = { '"': '"', "'": "'", '“': '”', '‘': '’' };
+
+const COUNT = /^\d+$/;
+const UNIT = /^(day|week|month|year)s?$/i;
+const COMPACT_PERIOD = /^(\d+)([dwmy])$/i;
+const DATE_WORD = /^(\d{1,4}(st|nd|rd|th)?|\d{4}-\d{1,2}-\d{1,2}|\d{1,2}\/\d{1,2}(\/\d{2,4})?|of|jan(uary)?|feb(ruary)?|mar(ch)?|apr(il)?|may|june?|july?|aug(ust)?|sept?(ember)?|oct(ober)?|nov(ember)?|dec(ember)?|(mon|tues?|wed(nes)?|thu(rs?)?|fri|sat(ur)?|sun)(day)?)[.,]?$/i;
+const CONNECTOR = /^(in|over|from|for|during|the)$/i;
+
+/**
+ * Split text into words, keeping quoted phrases (straight or curly quotes) together.
+ * An unclosed quote runs to the end of the text.
+ */
+function tokenize(text) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < text.length) {
+    if (/\s/.test(text[index])) {
+      index++;
+      continue;
+    }
+
+    const close = QUOTES[text[index]];
+    if (close) {
+      const end = text.indexOf(close, index + 1);
+      const stop = end === -1 ? text.length : end;
+      tokens.push({ value: text.substring(index + 1, stop).trim(), quoted: true });
+      index = stop + 1;
+      continue;
+    }
+
+    const match = text.substring(index).match(/^\S+/)[0];
+    tokens.push({ value: match, quoted: false });
+    index += match.length;
+  }
+
+  return tokens.filter(token => token.value);
+}
+
+/**
+ * Longest run of date-like words starting at index that parses as a date
+ */
+function readDate(words, index, reference) {
+  let length = 0;
+  while (index + length < words.length && DATE_WORD.test(words[index + length].value)) {
+    length++;
+  }
+
+  for (; length > 0; length--) {
+    const phrase = words.slice(index, index + length).map(word => word.value).join(' ');
+    const date = parseDigestDate(phrase, { reference });
+    if (date) return { date, length };
+  }
+
+  return null;
+}
+
+/**
+ * Match a time phrase at index: "last 2 weeks", "past month", "14 days", "14d", "since March 1".
+ * Returns { days } or { since }, and the number of words consumed.
+ */
+function readPeriod(words, index, reference) {
+  const word = i => (words[index + i] && !words[index + i].quoted ? words[index + i].value.toLowerCase() : null);
+  const unitDays = unit => UNIT_DAYS[unit.replace(/s$/, '')];
+
+  if ((word(0) === 'last' || word(0) === 'past') && COUNT.test(word(1) || '') && UNIT.test(word(2) || '')) {
+    return { days: parseInt(word(1), 10) * unitDays(word(2)), length: 3 };
+  }
+
+  if ((word(0) === 'last' || word(0) === 'past' || word(0) === 'this') && UNIT.test(word(1) || '')) {
+    return { days: unitDays(word(1)), length: 2 };
+  }
+
+  if (COUNT.test(word(0) || '') && UNIT.test(word(1) || '')) {
+    return { days: parseInt(word(0), 10) * unitDays(word(1)), length: 2 };
+  }
+
+  const compact = (word(0) || '').match(COMPACT_PERIOD);
+  if (compact) {
+    return { days: parseInt(compact[1], 10) * UNIT_DAYS[compact[2].toLowerCase()], length: 1 };
+  }
+
+  if (word(0) === 'since') {
+    const date = readDate(words, index + 1, reference);
+    if (date) return { since: date.date, length: date.length + 1 };
+  }
+
+  return null;
+}
+
+/**
+ * Whole days from a date up to the reference, counting at least one
+ */
+function daysSince(since, reference) {
+  const today = parseDigestDate(reference);
+  return Math.max(1, Math.round((today.timestamp - since.timestamp) / DAY_SECONDS));
+}
+
+/**
+ * Parse slash command text into { query, days, since, format, error }.
+ * query is what remains after flags and time phrases (the publisher, or the search text);
+ * days is null when no window was given; since is an ISO date and also sets days.
+ * error is a user-facing message when a flag or window is invalid.
+ */
+function parseCommandArgs(text, options = {}) {
+  const { maxDays, formats, reference = new Date() } = { ...DEFAULT_OPTIONS, ...options };
+  const result = { query: '', days: null, since: null, format: formats[0], error: null };
+  const tokens = tokenize(String(text || '').trim());
+  const words = [];
+  let flagDays = null;
+  let flagSince = null;
+
+  // Flags first: --days 14, --days=14, --since 2026-01-01, --format brief
+  for (let i = 0; i < tokens.length; i++) {
+    const flag = !tokens[i].quoted && tokens[i].value.match(/^--([a-z]+)(?:=(.*))?$/i);
+    if (!flag) {
+      words.push(tokens[i]);
+      continue;
+    }
+
+    const name = flag[1].toLowerCase();
+    let value = flag[2];
+    if (value === undefined) {
+      if (name === 'since') {
+        // Let "--since March 1" take several words
+        const date = readDate(tokens, i + 1, reference);
+        value = date ? tokens.slice(i + 1, i + 1 + date.length).map(token => token.value).join(' ') : tokens[i + 1]?.value;
+        i += date ? date.length : 1;
+      } else {
+        value = tokens[++i]?.value;
+      }
+    }
+
+    if (name === 'days') {
+      flagDays = COUNT.test(value || '') ? parseInt(value, 10) : NaN;
+    } else if (name === 'since') {
+      flagSince = parseDigestDate(value, { reference });
+      if (!flagSince) {
+        result.error = `Invalid --since date: ${value || '(missing)'}. Try --since 2026-01-01.`;
+      }
+    } else if (name === 'format') {
+      if (!formats.includes((value || '').toLowerCase())) {
+        result.error = `Invalid --format: ${value || '(missing)'}. Use one of: ${formats.join(', ')}.`;
+      } else {
+        result.format = value.toLowerCase();
+      }
+    } else {
+      result.error = `Unknown option --${name}. Use --days, --since or --format.`;
+    }
+  }
+
+  // Then natural phrasing, with connectors such as "in the" dropped before a phrase
+  const remaining = [];
+  let phraseDays = null;
+  let phraseSince = null;
+
+  for (let i = 0; i < words.length; i++) {
+    const period = readPeriod(words, i, reference);
+    if (!period) {
+      remaining.push(words[i]);
+      continue;
+    }
+
+    while (remaining.length > 0 && !remaining[remaining.length - 1].quoted && CONNECTOR.test(remaining[remaining.length - 1].value)) {
+      remaining.pop();
+    }
+
+    if (period.since) {
+      phraseSince = period.since;
+    } else {
+      phraseDays = period.days;
+    }
+    i += period.length - 1;
+  }
+
+  // A trailing bare number is the day count, as in "/accountsummary TechCrunch 7"; one past
+  // maxDays, such as the year in "brit co revenue 2025", stays in the query
+  const last = remaining[remaining.length - 1];
+  if (remaining.length > 1 && !last.quoted && COUNT.test(last.value) && parseInt(last.value, 10) <= maxDays) {
+    phraseDays = parseInt(remaining.pop().value, 10);
+  }
+
+  if (flagDays !== null && flagSince) {
+    result.error = result.error || 'Use either --days or --since, not both.';
+  }
+
+  result.query = remaining.map(token => token.value).join(' ');
+
+  const since = flagSince || (flagDays === null ? phraseSince : null);
+  if (since) {
+    result.since = since.date;
+    result.days = daysSince(since, reference);
+  } else if (flagDays !== null || phraseDays !== null) {
+    result.days = flagDays !== null ? flagDays : phraseDays;
+  }
+
+  if (result.days !== null && !result.error && (isNaN(result.days) || result.days < 1 || result.days > maxDays)) {
+    result.error = `Invalid days parameter. Please use a number between 1-${maxDays}.`;
+  }
+
+  return result;
+}
+
+module.exports = {
+  parseCommandArgs,
+  tokenize
+};
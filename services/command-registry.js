@@ -0,0 +1,307 @@
+/**
+ * Slack Command Registry
+ * One definition of every slash command and interactive action: handler, argument schema,
+ * help text and permission. The registry dispatches Slack's own payloads (the slash command
+ * form and the block_actions payload), so the same commands can be mounted on a Bolt app
+ * (Socket Mode or its HTTP receiver) with mountBolt, or on Express with routes/slack.js.
+ */
+
+const { parseCommandArgs, tokenize } = require('./command-args');
+
+const PERMISSIONS = ['everyone', 'admin'];
+
+const ERROR_MESSAGE = '❌ Error processing your request. Please try again later.';
+
+function ephemeral(text, blocks) {
+  return blocks ? { response_type: 'ephemeral', text, blocks } : { response_type: 'ephemeral', text };
+}
+
+function parseAdminUserIds(value) {
+  return (value || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+/**
+ * Whether a subcommand takes the text after its word: its argument schema parses and its
+ * accepts check passes. Text it rejects is a question that only begins with the word
+ * ("/mula pause rates on3") and goes to the parent command instead.
+ */
+async function subcommandAccepts(definition, text) {
+  if (definition.args) {
+    const args = parseCommandArgs(text, definition.args);
+    if (args.error || (definition.args.query === 'required' && !args.query)) return false;
+  }
+
+  return definition.accepts ? Boolean(await definition.accepts(text)) : true;
+}
+
+/**
+ * Create a command registry.
+ * options.adminUserIds: Slack user IDs allowed to run 'admin' commands (default SLACK_ADMIN_USER_IDS)
+ * options.transport: how the registry is mounted, shown by commands such as /health
+ * options.client: Slack Web API client for handlers that open modals (mountBolt uses Bolt's)
+ */
+function createCommandRegistry({ logger = console, adminUserIds, transport = 'unknown', client = null } = {}) {
+  const commands = new Map();
+  const aliases = new Map();
+  const actions = new Map();
+  const admins = new Set(adminUserIds || parseAdminUserIds(process.env.SLACK_ADMIN_USER_IDS));
+
+  const registry = {
+    transport,
+    client,
+
+    /**
+     * Register a slash command.
+     * definition: { name, aliases, description, usage, examples, permission, args, accepts, subcommands, handler }
+     * args: null to pass the raw text, or { query: 'required' | 'optional', queryName, defaultDays, maxDays, formats }
+     * subcommands: { word: definition } chosen by the first word of the text, e.g. "/mula open brit",
+     * when the rest of the text is empty, "help" or fits the subcommand (see subcommandAccepts)
+     * accepts: for a subcommand with raw text, (text) => whether the text is meant for it
+     */
+    command(definition) {
+      const command = normalizeDefinition(definition);
+
+      if (commands.has(command.name) || aliases.has(command.name)) {
+        throw new Error(`Command already registered: ${command.name}`);
+      }
+
+      commands.set(command.name, command);
+      for (const alias of command.aliases) {
+        aliases.set(alias, command.name);
+      }
+
+      return registry;
+    },
+
+    /**
+     * Register the handler for an interactive component's action_id
+     */
+    action(actionId, handler) {
+      if (actions.has(actionId)) {
+        throw new Error(`Action already registered: ${actionId}`);
+      }
+
+      actions.set(actionId, handler);
+      return registry;
+    },
+
+    get(name) {
+      return commands.get(aliases.get(name) || name) || null;
+    },
+
+    commandNames() {
+      return [...commands.values()].flatMap(command => [command.name, ...command.aliases]);
+    },
+
+    actionIds() {
+      return [...actions.keys()];
+    },
+
+    isAdmin(userId) {
+      return admins.has(userId);
+    },
+
+    /**
+     * Run a slash command payload ({ command, text, user_id, user_name, channel_id, response_url });
+     * every reply goes through respond(message). client is a Slack Web API client, when there is one.
+     */
+    async dispatchCommand(payload, respond, client = registry.client) {
+      const command = registry.get(payload.command);
+      const user = { id: payload.user_id, name: payload.user_name };
+
+      if (!command) {
+        await respond(ephemeral(`❌ Unknown command: ${payload.command}`));
+        return;
+      }
+
+      let definition = command;
+      let text = (payload.text || '').trim();
+
+      const [first] = tokenize(text);
+      const subcommand = first && !first.quoted && command.subcommands[first.value.toLowerCase()];
+      if (subcommand) {
+        const rest = text.substring(text.indexOf(first.value) + first.value.length).trim();
+
+        let accepted;
+        try {
+          accepted = !rest || /^help$/i.test(rest) || await subcommandAccepts(subcommand, rest);
+        } catch (error) {
+          logger.error(`Error handling ${payload.command}:`, error);
+          await respond(ephemeral(ERROR_MESSAGE));
+          return;
+        }
+
+        if (accepted) {
+          definition = subcommand;
+          text = rest;
+        }
+      }
+
+      if (/^help$/i.test(text)) {
+        await respond(registry.helpResponse(user, command));
+        return;
+      }
+
+      if (!registry.permits(definition, user)) {
+        await respond(ephemeral(`🔒 \`${definition.usage}\` is only available to admins.`));
+        return;
+      }
+
+      let args = null;
+      if (definition.args) {
+        args = parseCommandArgs(text, definition.args);
+
+        if (args.error) {
+          await respond(ephemeral(`❌ ${args.error}`));
+          return;
+        }
+
+        if (definition.args.query === 'required' && !args.query) {
+          await respond(ephemeral(`❌ Please specify a ${definition.args.queryName}. Usage: \`${definition.usage}\``));
+          return;
+        }
+
+        args.days = args.days || definition.args.defaultDays || null;
+      }
+
+      try {
+        await definition.handler({ args, text, user, channelId: payload.channel_id, payload, respond, client, registry });
+      } catch (error) {
+        logger.error(`Error handling ${payload.command}:`, error);
+        await respond(ephemeral(ERROR_MESSAGE));
+      }
+    },
+
+    /**
+     * Run a block_actions payload; value is the action's value (or selected option), parsed
+     * as JSON when it is JSON. Actions inside a modal have no response_url, so respond may be
+     * missing; handlers update the view through client instead.
+     */
+    async dispatchAction(payload, respond, client = registry.client) {
+      const action = (payload.actions || [])[0];
+      const handler = action && actions.get(action.action_id);
+
+      if (!handler) {
+        logger.warn(`No handler for Slack action ${action ? action.action_id : '(none)'}`);
+        return;
+      }
+
+      const raw = action.selected_option ? action.selected_option.value : action.value;
+      let value = raw;
+      try {
+        value = JSON.parse(raw);
+      } catch (error) {
+        // Plain string value
+      }
+
+      const user = { id: payload.user?.id, name: payload.user?.name || payload.user?.username };
+      const reply = respond || (async message => {
+        logger.warn(`Slack action ${action.action_id} has no response_url for: ${message.text}`);
+      });
+
+      try {
+        await handler({
+          action,
+          value,
+          user,
+          channelId: payload.channel?.id,
+          triggerId: payload.trigger_id,
+          view: payload.view,
+          payload,
+          respond: reply,
+          client,
+          registry
+        });
+      } catch (error) {
+        logger.error(`Error handling Slack action ${action.action_id}:`, error);
+        await reply(ephemeral(ERROR_MESSAGE));
+      }
+    },
+
+    permits(definition, user) {
+      return definition.permission !== 'admin' || registry.isAdmin(user.id);
+    },
+
+    /**
+     * Help for the commands the user may run, or for one command and its subcommands
+     */
+    helpResponse(user, only = null) {
+      const describe = definition => {
+        const examples = definition.examples.map(example => `  • \`${example}\``).join('\n');
+        return `\`${definition.usage}\` - ${definition.description}${examples ? `\n${examples}` : ''}`;
+      };
+
+      const lines = [];
+      for (const command of only ? [only] : commands.values()) {
+        if (!registry.permits(command, user)) continue;
+
+        lines.push(describe(command));
+        for (const subcommand of Object.values(command.subcommands)) {
+          if (registry.permits(subcommand, user)) lines.push(describe(subcommand));
+        }
+      }
+
+      const options = '*Options:* `--days N`, `--since DATE`, `--format full|brief|detailed`, or phrases like `last 2 weeks`';
+      const text = `🤖 *MulaBot Commands*\n\n${lines.join('\n')}\n\n${options}`;
+
+      return ephemeral('🤖 MulaBot Help', [{ type: 'section', text: { type: 'mrkdwn', text } }]);
+    },
+
+    /**
+     * Register every command and action on a Bolt app. The command and body objects Bolt
+     * passes are Slack's payloads, the same ones the Express mount receives.
+     */
+    mountBolt(app) {
+      for (const name of registry.commandNames()) {
+        app.command(name, async ({ command, ack, respond, client }) => {
+          await ack();
+          await registry.dispatchCommand(command, respond, client);
+        });
+      }
+
+      for (const actionId of actions.keys()) {
+        app.action(actionId, async ({ ack, body, respond, client }) => {
+          await ack();
+          await registry.dispatchAction(body, respond, client);
+        });
+      }
+
+      return app;
+    }
+  };
+
+  function normalizeDefinition(definition, parent = null) {
+    const { name, handler, permission = parent ? parent.permission : 'everyone' } = definition;
+
+    if (!name || typeof handler !== 'function') {
+      throw new Error('A command needs a name and a handler');
+    }
+
+    if (!PERMISSIONS.includes(permission)) {
+      throw new Error(`Invalid permission for ${name}: ${permission}`);
+    }
+
+    const normalized = {
+      aliases: [],
+      description: '',
+      examples: [],
+      args: null,
+      ...definition,
+      permission,
+      usage: definition.usage || (parent ? `${parent.name} ${name}` : name),
+      subcommands: {}
+    };
+
+    for (const [word, subcommand] of Object.entries(definition.subcommands || {})) {
+      normalized.subcommands[word.toLowerCase()] = normalizeDefinition({ name: word, ...subcommand }, normalized);
+    }
+
+    return normalized;
+  }
+
+  return registry;
+}
+
+module.exports = {
+  createCommandRegistry
+};
@@ -0,0 +1,310 @@
+/**
+ * Company Registry
+ * Loads publisher patterns, aliases and domains from the companies table
+ */
+
+const { resolvePublisher } = require('./publisher-resolver');
+
+// Seed data for init-database.js, and the fallback until the table has been read
+const DEFAULT_COMPANIES = [
+  {
+    name: 'On3',
+    normalized_name: 'on3',
+    patterns: ['on3', 'on\\s*3'],
+    aliases: ['on3', 'on 3'],
+    domains: ['on3.com']
+  },
+  {
+    name: 'Swimming World',
+    normalized_name: 'swimming_world',
+    patterns: ['swimming\\s*world', 'swimmingworld'],
+    aliases: ['swimming world', 'swimmingworld'],
+    domains: ['swimmingworld.com']
+  },
+  {
+    name: 'She Media',
+    normalized_name: 'she_media',
+    patterns: ['she\\s*media', 'shemedia'],
+    aliases: ['she media', 'shemedia'],
+    domains: ['shemedia.com']
+  },
+  {
+    name: 'Rev Content',
+    normalized_name: 'rev_content',
+    patterns: ['rev\\s*content', 'revcontent'],
+    aliases: ['rev content', 'revcontent'],
+    domains: ['revcontent.com']
+  },
+  {
+    name: 'Brit+Co',
+    normalized_name: 'brit_co',
+    patterns: ['brit\\.co', 'brit\\+co', 'brit\\s+co', 'britco'],
+    aliases: ['brit.co', 'brit+co', 'brit co', 'britco'],
+    domains: ['brit.co']
+  }
+];
+
+// Postgres NOTIFY channel raised by the companies_changed trigger
+const REFRESH_CHANNEL = 'companies_changed';
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+const LISTEN_RETRY_MS = 30 * 1000;
+
+class CompanyRegistry {
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.logger = options.logger || console;
+    this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    this.companies = this.compileCompanies(DEFAULT_COMPANIES);
+    this.loadedAt = null;
+    this.loading = null;
+    this.listener = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Reload the registry if it has never been loaded or the cache has expired
+   */
+  async ensureFresh() {
+    if (!this.loadedAt || Date.now() - this.loadedAt > this.ttlMs) {
+      await this.refresh();
+    }
+
+    return this.companies;
+  }
+
+  /**
+   * Reload the registry from the database, sharing one query between concurrent callers
+   */
+  async refresh() {
+    if (!this.loading) {
+      this.loading = this.load().finally(() => {
+        this.loading = null;
+      });
+    }
+
+    return this.loading;
+  }
+
+  async load() {
+    try {
+      const result = await this.pool.query(`
+        SELECT name, normalized_name, patterns, aliases, domains
+        FROM companies
+        WHERE deleted_at IS NULL
+        ORDER BY id
+      `);
+
+      if (result.rows.length === 0) {
+        this.logger.warn('Companies table is empty - keeping the current company registry');
+      } else {
+        this.companies = this.compileCompanies(result.rows);
+        this.logger.info(`Company registry loaded with ${result.rows.length} companies`);
+      }
+    } catch (error) {
+      // Matching keeps working off the last good registry while the database is unavailable
+      this.logger.error('Error loading company registry:', error);
+    }
+
+    this.loadedAt = Date.now();
+    return this.companies;
+  }
+
+  /**
+   * Subscribe to change notifications so edits to the companies table apply immediately
+   */
+  async listen() {
+    if (this.stopped) return;
+
+    try {
+      const client = await this.pool.connect();
+
+      client.on('notification', (message) => {
+        if (message.channel === REFRESH_CHANNEL) {
+          this.logger.info(`Company registry change notified (${message.payload || 'unknown'}) - refreshing`);
+          this.refresh();
+        }
+      });
+
+      client.on('error', (error) => {
+        this.logger.error('Company registry listener error:', error);
+        client.release(error);
+        this.listener = null;
+        this.scheduleListen();
+      });
+
+      await client.query(`LISTEN ${REFRESH_CHANNEL}`);
+      this.listener = client;
+      this.logger.info('Listening for company registry changes');
+
+    } catch (error) {
+      this.logger.warn(`Unable to listen for company registry changes, relying on ${this.ttlMs}ms refresh:`, error.message);
+      this.scheduleListen();
+    }
+  }
+
+  scheduleListen() {
+    if (this.stopped) return;
+
+    setTimeout(() => this.listen(), LISTEN_RETRY_MS).unref();
+  }
+
+  stop() {
+    this.stopped = true;
+
+    if (this.listener) {
+      this.listener.release();
+      this.listener = null;
+    }
+  }
+
+  /**
+   * Get compiled companies keyed by normalized name
+   */
+  getCompanies() {
+    return this.companies;
+  }
+
+  /**
+   * Resolve a publisher typed by a user to a company by name, alias, domain or a close
+   * spelling; see publisher-resolver for the result shape
+   */
+  resolve(input, options = {}) {
+    return resolvePublisher(input, this.companies, options);
+  }
+
+  /**
+   * Return the first company whose patterns match the text
+   */
+  match(text) {
+    for (const [key, company] of Object.entries(this.companies)) {
+      if (company.patterns.some(pattern => pattern.test(text))) {
+        return { key, ...company };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Return every company mentioned in the text with the position and type of each match
+   */
+  matchAll(text) {
+    const mentions = [];
+
+    for (const [key, company] of Object.entries(this.companies)) {
+      const matches = [
+        ...findPatternMatches(text, company.patterns),
+        ...findLiteralMatches(text, company.aliases, 'alias'),
+        ...findLiteralMatches(text, company.domains, 'domain')
+      ].sort((a, b) => a.start - b.start);
+
+      if (matches.length > 0) {
+        mentions.push({ key, name: company.name, matches });
+      }
+    }
+
+    // Earliest mention first, so mentions[0] is the section's primary company
+    return mentions.sort((a, b) => a.matches[0].start - b.matches[0].start);
+  }
+
+  /**
+   * Match a section's title and content, tagging each match with the field it came from
+   */
+  matchSection({ title, content }) {
+    const mentionsByKey = new Map();
+
+    for (const [field, text] of [['title', title], ['content', content]]) {
+      if (!text) continue;
+
+      for (const mention of this.matchAll(text)) {
+        const existing = mentionsByKey.get(mention.key) || { key: mention.key, name: mention.name, matches: [] };
+        existing.matches.push(...mention.matches.map(match => ({ field, ...match })));
+        mentionsByKey.set(mention.key, existing);
+      }
+    }
+
+    return [...mentionsByKey.values()];
+  }
+
+  compileCompanies(rows) {
+    const companies = {};
+
+    for (const row of rows) {
+      companies[row.normalized_name] = {
+        name: row.name,
+        patterns: this.compilePatterns(row.normalized_name, row.patterns || []),
+        aliases: row.aliases || [],
+        domains: row.domains || []
+      };
+    }
+
+    return companies;
+  }
+
+  compilePatterns(key, patterns) {
+    return patterns
+      .map(pattern => {
+        try {
+          return new RegExp(pattern, 'i');
+        } catch (error) {
+          this.logger.warn(`Skipping invalid pattern for ${key}: ${pattern} (${error.message})`);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+}
+
+function findPatternMatches(text, patterns) {
+  const matches = new Map();
+
+  for (const pattern of patterns) {
+    const regex = new RegExp(pattern.source, 'gi');
+    let found;
+
+    while ((found = regex.exec(text)) !== null) {
+      if (found[0].length === 0) {
+        regex.lastIndex++;
+        continue;
+      }
+
+      // Overlapping patterns (e.g. "she\s*media" and "shemedia") report the same span once
+      const end = found.index + found[0].length;
+      matches.set(`${found.index}:${end}`, { type: 'pattern', start: found.index, end, text: found[0] });
+    }
+  }
+
+  return [...matches.values()];
+}
+
+function findLiteralMatches(text, values, type) {
+  const matches = [];
+  const haystack = text.toLowerCase();
+  const isWordChar = char => Boolean(char) && /[a-z0-9]/i.test(char);
+
+  for (const value of values) {
+    const needle = value.toLowerCase();
+    if (!needle) continue;
+
+    let index = haystack.indexOf(needle);
+    while (index !== -1) {
+      const end = index + needle.length;
+
+      // Whole-word only, so the alias "on3" does not match inside "won30"
+      if (!isWordChar(text[index - 1]) && !isWordChar(text[end])) {
+        matches.push({ type, start: index, end, text: text.substring(index, end) });
+      }
+
+      index = haystack.indexOf(needle, index + 1);
+    }
+  }
+
+  return matches;
+}
+
+module.exports = CompanyRegistry;
+module.exports.DEFAULT_COMPANIES = DEFAULT_COMPANIES;
+module.exports.REFRESH_CHANNEL = REFRESH_CHANNEL;
+module.exports.findPatternMatches = findPatternMatches;
+module.exports.findLiteralMatches = findLiteralMatches;
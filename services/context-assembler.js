@@ -0,0 +1,140 @@
+/**
+ * Context Assembler
+ * Ranks sections by recency and query relevance and fits them to a token budget
+ */
+
+const { getEncoding } = require('js-tiktoken');
+const { sourceLabel } = require('./citations');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SECTION_SEPARATOR = '\n\n';
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'what', 'about', 'from', 'that', 'this', 'are', 'was',
+  'how', 'any', 'all', 'summary', 'update', 'updates', 'status', 'latest', 'show', 'tell'
+]);
+
+let encoder = null;
+
+// cl100k_base is the encoding used by gpt-3.5-turbo and gpt-4
+function getEncoder() {
+  if (!encoder) {
+    encoder = getEncoding('cl100k_base');
+  }
+  return encoder;
+}
+
+function countTokens(text) {
+  return getEncoder().encode(text).length;
+}
+
+function truncateToTokens(text, maxTokens) {
+  const tokens = getEncoder().encode(text);
+  return tokens.length <= maxTokens ? text : getEncoder().decode(tokens.slice(0, maxTokens));
+}
+
+function queryTerms(query) {
+  const terms = (query || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+  return [...new Set(terms.filter(term => term.length > 2 && !STOPWORDS.has(term)))];
+}
+
+/**
+ * Share of query terms that appear in the section, 0..1
+ */
+function relevanceScore(document, terms) {
+  if (terms.length === 0) return 0;
+
+  const text = `${document.title || ''} ${document.content}`.toLowerCase();
+  return terms.filter(term => text.includes(term)).length / terms.length;
+}
+
+/**
+ * Exponential decay by section age, 1 for today and 0.5 after one half-life
+ */
+function recencyScore(document, now, halfLifeDays) {
+  const date = new Date(document.date || document.timestamp);
+  if (isNaN(date)) return 0;
+
+  const ageDays = Math.max(0, (now - date.getTime()) / DAY_MS);
+  return Math.pow(0.5, ageDays / halfLifeDays);
+}
+
+/**
+ * A section as the model sees it, "### [S12] 2024-01-15 - Title" then the content. The
+ * [S<id>] label is what the model cites; see services/citations.js
+ */
+function formatSection(document) {
+  const date = document.date ? new Date(document.date).toISOString().split('T')[0] : 'undated';
+  const heading = document.title ? `${date} - ${document.title}` : date;
+  const label = document.id != null ? `[${sourceLabel(document.id)}] ` : '';
+  return `### ${label}${heading}\n${document.content}`;
+}
+
+/**
+ * Select the highest-ranked sections that fit within the token budget.
+ * Returns the prompt text, the sections used (oldest first) and how many were dropped.
+ */
+function assembleContext(documents, query, options = {}) {
+  const {
+    contextTokenBudget = 12000,
+    recencyHalfLifeDays = 14,
+    relevanceWeight = 0.6,
+    now = Date.now()
+  } = options;
+
+  const terms = queryTerms(query);
+  const ranked = documents
+    .map(document => {
+      const text = formatSection(document);
+      return {
+        document,
+        text,
+        tokens: countTokens(text),
+        score: relevanceWeight * relevanceScore(document, terms) +
+          (1 - relevanceWeight) * recencyScore(document, now, recencyHalfLifeDays)
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const separatorTokens = countTokens(SECTION_SEPARATOR);
+  const selected = [];
+  let usedTokens = 0;
+  let truncated = false;
+
+  for (const candidate of ranked) {
+    const cost = candidate.tokens + (selected.length > 0 ? separatorTokens : 0);
+
+    // Keep scanning: a smaller, lower-ranked section may still fit
+    if (usedTokens + cost <= contextTokenBudget) {
+      selected.push(candidate);
+      usedTokens += cost;
+    }
+  }
+
+  // A single oversized section is cut down rather than leaving the summary with nothing
+  if (selected.length === 0 && ranked.length > 0) {
+    const top = ranked[0];
+    const text = truncateToTokens(top.text, contextTokenBudget);
+    selected.push({ ...top, text, tokens: countTokens(text) });
+    usedTokens = selected[0].tokens;
+    truncated = true;
+  }
+
+  selected.sort((a, b) => new Date(a.document.date || a.document.timestamp) - new Date(b.document.date || b.document.timestamp));
+
+  return {
+    text: selected.map(candidate => candidate.text).join(SECTION_SEPARATOR),
+    documents: selected.map(candidate => candidate.document),
+    tokens: usedTokens,
+    total: documents.length,
+    dropped: documents.length - selected.length,
+    truncated
+  };
+}
+
+module.exports = {
+  assembleContext,
+  formatSection,
+  countTokens,
+  truncateToTokens,
+  queryTerms
+};
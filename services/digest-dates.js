@@ -0,0 +1,136 @@
+/**
+ * Digest Dates
+ * Parses the date formats used in digest headers ("Monday, March 3", "3/3/2025",
+ * "March 3rd, 2025", "2025-03-03") into an ISO date and epoch seconds. Dates are
+ * calendar days, stored as UTC midnight so range filters can compare numbers.
+ */
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const ISO_DATE = /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/;
+const NUMERIC_DATE = /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b/;
+const MONTH_FIRST = new RegExp(`\\b${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`, 'i');
+const DAY_FIRST = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}(?:,?\\s+(\\d{4}))?`, 'i');
+const WEEKDAY = /\b(sun|mon|tue|wed|thu|fri|sat)(?:day|sday|nesday|rsday|urday|s|rs)?\b\.?/i;
+
+/**
+ * { date, timestamp } for a UTC calendar day, or null when the day does not exist (e.g. Feb 30)
+ */
+function calendarDay(year, month, day) {
+  const time = Date.UTC(year, month - 1, day);
+  const parsed = new Date(time);
+
+  if (parsed.getUTCFullYear() !== year || parsed.getUTCMonth() !== month - 1 || parsed.getUTCDate() !== day) {
+    return null;
+  }
+
+  return { date: parsed.toISOString().split('T')[0], timestamp: time / 1000 };
+}
+
+/**
+ * A header without a year belongs to the year that puts it closest to the reference date,
+ * preferring years where the day falls on the weekday the header names
+ */
+function inferYear(month, day, weekday, reference) {
+  const referenceYear = reference.getUTCFullYear();
+  const candidates = [referenceYear - 1, referenceYear, referenceYear + 1]
+    .map(year => calendarDay(year, month, day))
+    .filter(Boolean);
+
+  const onWeekday = weekday === null
+    ? []
+    : candidates.filter(candidate => new Date(candidate.timestamp * 1000).getUTCDay() === weekday);
+  const pool = onWeekday.length > 0 ? onWeekday : candidates;
+  const distance = candidate => Math.abs(candidate.timestamp * 1000 - reference.getTime());
+
+  return pool.sort((a, b) => distance(a) - distance(b))[0] || null;
+}
+
+function expandYear(year) {
+  if (!year) return null;
+  const value = parseInt(year, 10);
+  return year.length === 2 ? 2000 + value : value;
+}
+
+/**
+ * Parse a digest date. Accepts ISO strings, US numeric dates, month-name dates with or
+ * without a year or weekday, a bare weekday (the latest one on or before the reference),
+ * Date objects and epoch seconds or milliseconds.
+ * Returns { date: 'YYYY-MM-DD', timestamp: epochSeconds } or null.
+ */
+function parseDigestDate(value, { reference = new Date() } = {}) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (value instanceof Date || typeof value === 'number') {
+    // Numbers below 1e11 are seconds; anything larger is milliseconds
+    const date = value instanceof Date ? value : new Date(value < 1e11 ? value * 1000 : value);
+    if (isNaN(date.getTime())) return null;
+    return calendarDay(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+  }
+
+  const text = String(value).trim();
+  const referenceDate = reference instanceof Date ? reference : new Date(reference);
+  const weekdayMatch = text.match(WEEKDAY);
+  const weekday = weekdayMatch ? WEEKDAYS.indexOf(weekdayMatch[1].toLowerCase()) : null;
+
+  let match = text.match(ISO_DATE);
+  if (match) {
+    return calendarDay(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10));
+  }
+
+  let month = null;
+  let day = null;
+  let year = null;
+
+  if ((match = text.match(NUMERIC_DATE))) {
+    [month, day, year] = [parseInt(match[1], 10), parseInt(match[2], 10), expandYear(match[3])];
+  } else if ((match = text.match(MONTH_FIRST))) {
+    [month, day, year] = [MONTHS.indexOf(match[1].substring(0, 3).toLowerCase()) + 1, parseInt(match[2], 10), expandYear(match[3])];
+  } else if ((match = text.match(DAY_FIRST))) {
+    [month, day, year] = [MONTHS.indexOf(match[2].substring(0, 3).toLowerCase()) + 1, parseInt(match[1], 10), expandYear(match[3])];
+  }
+
+  if (month !== null) {
+    if (year !== null) return calendarDay(year, month, day);
+    if (isNaN(referenceDate.getTime())) return null;
+    return inferYear(month, day, weekday, referenceDate);
+  }
+
+  if (weekday !== null && !isNaN(referenceDate.getTime())) {
+    const daysBack = (referenceDate.getUTCDay() - weekday + 7) % 7;
+    return parseDigestDate(new Date(referenceDate.getTime() - daysBack * DAY_SECONDS * 1000));
+  }
+
+  // Last resort for formats Date understands, e.g. RFC 2822 timestamps; require a year
+  // so that "March 3"-like strings are never parsed as 2001
+  if (/\d{4}/.test(text)) {
+    const parsed = new Date(text);
+    if (!isNaN(parsed.getTime())) return parseDigestDate(parsed);
+  }
+
+  return null;
+}
+
+/**
+ * Epoch-second bounds covering whole days from startDate through endDate, for
+ * { timestamp: { $gte, $lt } } range filters
+ */
+function dayRange(startDate, endDate) {
+  const start = parseDigestDate(startDate);
+  const end = parseDigestDate(endDate);
+
+  if (!start || !end) {
+    throw new Error(`Invalid date range: ${startDate} to ${endDate}`);
+  }
+
+  return { $gte: start.timestamp, $lt: end.timestamp + DAY_SECONDS };
+}
+
+module.exports = {
+  parseDigestDate,
+  dayRange
+};
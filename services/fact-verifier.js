@@ -0,0 +1,128 @@
+/**
+ * Fact Verifier
+ * Checks that every number, percentage, currency amount and date in a summary
+ * appears in the source content it was generated from
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const MULTIPLIERS = { k: 1e3, thousand: 1e3, m: 1e6, mm: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9 };
+
+// Order matters: dates are matched before the numbers inside them
+const FIGURE_PATTERNS = [
+  { kind: 'date', regex: /\b(\d{4})-(\d{2})-(\d{2})\b/g, key: match => `${match[2]}-${match[3]}`, year: match => match[1] },
+  {
+    kind: 'date',
+    regex: new RegExp(`\\b(${MONTH_NAME})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`, 'gi'),
+    key: match => `${String(MONTHS.indexOf(match[1].substring(0, 3).toLowerCase()) + 1).padStart(2, '0')}-${match[2].padStart(2, '0')}`,
+    year: match => match[3]
+  },
+  {
+    kind: 'date',
+    regex: /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/g,
+    key: match => `${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`
+  },
+  {
+    kind: 'currency',
+    regex: /\$\s?(\d[\d,]*(?:\.\d+)?)\s?(k|mm|m|bn|b|thousand|million|billion)?\b/gi,
+    key: match => `number:${toValue(match[1], match[2])}`
+  },
+  {
+    kind: 'percentage',
+    regex: /(?<![\w.])(\d[\d,]*(?:\.\d+)?)\s?(?:%|percent\b|pct\b)/gi,
+    key: match => `percentage:${toValue(match[1])}`
+  },
+  {
+    kind: 'number',
+    regex: /(?<![\w.$])(\d[\d,]*(?:\.\d+)?)(?:\s?(k|mm|m|bn|b|thousand|million|billion)\b)?(?![\w%])/gi,
+    key: match => `number:${toValue(match[1], match[2])}`
+  }
+];
+
+// [S12] citation labels and [1] footnotes are not facts
+const IGNORED_PATTERN = /\[(?:S?\d+(?:\s*,\s*S?\d+)*)\]/g;
+const LIST_MARKER_PATTERN = /^(\s*)\d+[.)]\s/gm;
+
+function toValue(digits, unit) {
+  const value = parseFloat(digits.replace(/,/g, ''));
+  const multiplier = unit ? MULTIPLIERS[unit.toLowerCase()] || 1 : 1;
+  return Math.round(value * multiplier * 1000) / 1000;
+}
+
+function mask(text, start, end) {
+  return text.substring(0, start) + ' '.repeat(end - start) + text.substring(end);
+}
+
+/**
+ * Pull figures out of text with their position and a normalized key for comparison
+ */
+function extractFigures(text) {
+  let remaining = text
+    .replace(IGNORED_PATTERN, marker => ' '.repeat(marker.length))
+    .replace(LIST_MARKER_PATTERN, marker => ' '.repeat(marker.length));
+  const figures = [];
+
+  for (const { kind, regex, key, year } of FIGURE_PATTERNS) {
+    regex.lastIndex = 0;
+    let match;
+
+    while ((match = regex.exec(remaining)) !== null) {
+      figures.push({
+        kind,
+        text: match[0].trim(),
+        start: match.index,
+        end: match.index + match[0].trimEnd().length,
+        key: key(match),
+        year: year ? year(match) || null : null
+      });
+    }
+
+    // Mask matches so later patterns do not pick up the digits inside them
+    for (const figure of figures.filter(figure => figure.kind === kind)) {
+      remaining = mask(remaining, figure.start, figure.end);
+    }
+  }
+
+  return figures.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Verify every figure in the summary against the source content
+ */
+function verifyFigures(summary, sourceContent) {
+  const sourceKeys = new Set();
+
+  for (const figure of extractFigures(sourceContent)) {
+    sourceKeys.add(figure.key);
+    // "2024" on its own in a summary is supported by a dated source
+    if (figure.year) sourceKeys.add(`number:${Number(figure.year)}`);
+  }
+
+  const figures = extractFigures(summary).map(figure => ({
+    ...figure,
+    verified: sourceKeys.has(figure.key)
+  }));
+  const unverified = figures.filter(figure => !figure.verified);
+
+  return {
+    figures,
+    total: figures.length,
+    verified: figures.length - unverified.length,
+    unverified
+  };
+}
+
+/**
+ * Flag unverified figures in place for Slack, e.g. "RPM up 15% ⚠️"
+ */
+function markUnverified(summary, verification, marker = ' ⚠️') {
+  return [...verification.unverified]
+    .sort((a, b) => b.end - a.end)
+    .reduce((text, figure) => text.substring(0, figure.end) + marker + text.substring(figure.end), summary);
+}
+
+module.exports = {
+  extractFigures,
+  verifyFigures,
+  markUnverified
+};
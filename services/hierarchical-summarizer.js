@@ -0,0 +1,211 @@
+/**
+ * Hierarchical Summarizer
+ * Map-reduce summarization for windows too long for a single completion:
+ * each day or week is summarized on its own, then the partial summaries are combined
+ */
+
+const crypto = require('crypto');
+const { assembleContext, countTokens } = require('./context-assembler');
+
+// Bump when the partial prompt changes so cached partials are not reused
+const PARTIAL_PROMPT_VERSION = 'partial-v1';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKLY_THRESHOLD_DAYS = 14;
+
+const DEFAULT_CACHE_ENTRIES = 500;
+const DEFAULT_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+function toDate(document) {
+  return new Date(document.date || document.timestamp);
+}
+
+/**
+ * ISO week key, e.g. "2024-W03"
+ */
+function isoWeekKey(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const weekday = day.getUTCDay() || 7;
+  day.setUTCDate(day.getUTCDate() + 4 - weekday);
+  const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((day - yearStart) / DAY_MS + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+function periodKey(date, period) {
+  if (isNaN(date)) return 'undated';
+  return period === 'week' ? isoWeekKey(date) : date.toISOString().split('T')[0];
+}
+
+/**
+ * Summarize per day for short windows and per week beyond two weeks
+ */
+function choosePeriod(documents) {
+  const times = documents.map(document => toDate(document).getTime()).filter(time => !isNaN(time));
+  if (times.length === 0) return 'day';
+
+  const spanDays = (Math.max(...times) - Math.min(...times)) / DAY_MS;
+  return spanDays > WEEKLY_THRESHOLD_DAYS ? 'week' : 'day';
+}
+
+/**
+ * Group documents into periods, oldest first
+ */
+function groupByPeriod(documents, period) {
+  const groups = new Map();
+
+  for (const document of documents) {
+    const key = periodKey(toDate(document), period);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(document);
+  }
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, periodDocuments]) => ({ key, documents: periodDocuments }));
+}
+
+function cacheKey(...parts) {
+  return crypto.createHash('sha256').update(parts.join('\u0000')).digest('hex');
+}
+
+function formatPartials(partials) {
+  return partials.map(partial => `### ${partial.label}\n${partial.summary}`).join('\n\n');
+}
+
+/**
+ * Pack partial summaries into batches that each fit the budget
+ */
+function batchPartials(partials, budget) {
+  const batches = [];
+  let current = [];
+
+  for (const partial of partials) {
+    if (current.length > 0 && countTokens(formatPartials([...current, partial])) > budget) {
+      batches.push(current);
+      current = [];
+    }
+    current.push(partial);
+  }
+
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
+
+/**
+ * In-process partial summary cache for callers without the Postgres one: least recently used
+ * entries beyond maxEntries are evicted, and entries expire after ttlMs
+ */
+function createMemoryCache({ maxEntries = DEFAULT_CACHE_ENTRIES, ttlMs = DEFAULT_CACHE_TTL_MS } = {}) {
+  // Map iteration follows insertion order, so re-inserting on read keeps the oldest entry first
+  const entries = new Map();
+
+  return {
+    get size() {
+      return entries.size;
+    },
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return null;
+
+      entries.set(key, entry);
+      return { summary: entry.summary, cost: entry.cost };
+    },
+
+    async set(key, summary, cost = 0) {
+      entries.delete(key);
+      entries.set(key, { summary, cost, expiresAt: Date.now() + ttlMs });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+  };
+}
+
+/**
+ * Run map-reduce summarization.
+ *
+ * summarizePartial(text, { query, label }) and combine(text, { query, labels }) return { summary, cost }.
+ * finish(text, { query, labels, period }) produces the final summary instead of combine, when given.
+ * assemble(documents, query, contextOptions) formats one period's documents as { text, dropped },
+ * plus the documents it kept when it drops any; assembleContext by default.
+ * The result's documents are the sections the partials were built from, without dropped ones.
+ * cache is optional: { get(key) -> { summary, cost } | null, set(key, summary, cost) }, such as createMemoryCache().
+ */
+async function summarizeHierarchically(documents, query, {
+  summarizePartial,
+  combine,
+  finish = combine,
+  assemble = assembleContext,
+  cache = null,
+  period = null,
+  ...contextOptions
+}) {
+  const budget = contextOptions.contextTokenBudget || 12000;
+  const resolvedPeriod = period || choosePeriod(documents);
+  let cost = 0;
+  let cachedPartials = 0;
+  let droppedSections = 0;
+  const kept = [];
+
+  // Map: one partial per period, cached by its exact input so a longer window only pays for new periods
+  const partials = [];
+  for (const group of groupByPeriod(documents, resolvedPeriod)) {
+    const context = assemble(group.documents, query, contextOptions);
+    const key = cacheKey(PARTIAL_PROMPT_VERSION, (query || '').toLowerCase().trim(), group.key, context.text);
+    droppedSections += context.dropped;
+    kept.push(...(context.documents || group.documents));
+
+    let partial = cache ? await cache.get(key) : null;
+    if (partial) {
+      cachedPartials++;
+    } else {
+      partial = await summarizePartial(context.text, { query, label: group.key });
+      cost += partial.cost || 0;
+      if (cache) await cache.set(key, partial.summary, partial.cost || 0);
+    }
+
+    partials.push({ label: group.key, summary: partial.summary });
+  }
+
+  // Reduce: combine in batches until everything fits one prompt
+  let level = partials;
+  while (level.length > 1 && countTokens(formatPartials(level)) > budget) {
+    const next = [];
+    for (const batch of batchPartials(level, budget)) {
+      const labels = batch.map(partial => partial.label);
+      const combined = await combine(formatPartials(batch), { query, labels });
+      cost += combined.cost || 0;
+      next.push({ label: `${labels[0]} to ${labels[labels.length - 1]}`, summary: combined.summary });
+    }
+
+    // A batch that cannot shrink further would loop forever
+    if (next.length >= level.length) break;
+    level = next;
+  }
+
+  const final = await finish(formatPartials(level), { query, labels: level.map(partial => partial.label), period: resolvedPeriod });
+  cost += final.cost || 0;
+
+  return {
+    summary: final.summary,
+    cost,
+    period: resolvedPeriod,
+    partials: partials.length,
+    cachedPartials,
+    droppedSections,
+    documents: kept
+  };
+}
+
+module.exports = {
+  summarizeHierarchically,
+  createMemoryCache,
+  groupByPeriod,
+  choosePeriod,
+  PARTIAL_PROMPT_VERSION
+};
@@ -0,0 +1,252 @@
+/**
+ * Hybrid Search
+ * Runs Postgres full-text search and embedding similarity over sections side by side and
+ * fuses the two rankings with reciprocal rank fusion. With a publisher filter, keyword matches
+ * are ranked on that publisher's passage of each section, and each result carries the passage
+ * instead of the whole section.
+ */
+
+const { truncateToTokens } = require('./context-assembler');
+
+const DEFAULT_OPTIONS = {
+  rrfK: 60,
+  candidatesPerRanker: 50,
+  maxResults: 10,
+  embeddingModel: 'text-embedding-3-small',
+  vectorCandidateLimit: 2000,
+  minVectorSimilarity: 0.25,
+  maxEmbeddingTokens: 8000,
+  embeddingBatchSize: 100
+};
+
+// Highlight markers in ts_headline output; also used to read back the matched words
+const HIGHLIGHT = /\*([^*]+)\*/g;
+
+const RESULT_COLUMNS = 'd.id, d.date, d.title, d.section_number, d.document_id, d.heading_id, d.timestamp, d.company';
+const CANDIDATE_COLUMNS = 'c.id, c.date, c.title, c.section_number, c.document_id, c.heading_id, c.timestamp, c.company, c.content';
+
+/**
+ * Reciprocal rank fusion: each ranking contributes 1 / (k + rank) for every result it returned.
+ * rankings maps a ranker name to [{ document, reason }] in rank order.
+ */
+function reciprocalRankFusion(rankings, { k = DEFAULT_OPTIONS.rrfK, limit = Infinity } = {}) {
+  const fused = new Map();
+
+  for (const [type, results] of Object.entries(rankings)) {
+    results.forEach(({ document, reason }, index) => {
+      const rank = index + 1;
+      const entry = fused.get(document.id) || { ...document, score: 0, reasons: [] };
+
+      entry.score += 1 / (k + rank);
+      entry.reasons.push({ type, rank, ...reason });
+      fused.set(document.id, entry);
+    });
+  }
+
+  return [...fused.values()]
+    .sort((a, b) => (b.score - a.score) || (new Date(b.date) - new Date(a.date)))
+    .slice(0, limit);
+}
+
+/**
+ * One line per result explaining why it matched, e.g.
+ * 'keyword "rpm", "renewal" (#1); semantic 0.82 (#3)'
+ */
+function formatReasons(reasons) {
+  return reasons.map(reason => {
+    if (reason.type === 'keyword') {
+      const terms = reason.terms.length > 0 ? reason.terms.map(term => `"${term}"`).join(', ') : 'text match';
+      return `keyword ${terms} (#${reason.rank})`;
+    }
+    return `semantic ${reason.similarity.toFixed(2)} (#${reason.rank})`;
+  }).join('; ');
+}
+
+/**
+ * Shared WHERE clause and passage join for both rankers. Parameters are appended to params.
+ * content and tsv are the text and search vector to rank: the publisher's passage when
+ * filtering by publisher, otherwise the whole section.
+ */
+function buildFilters(filters, params) {
+  const conditions = [];
+  let passageJoin = '';
+  let content = 'd.content';
+  let tsv = 'd.content_tsv';
+
+  if (!filters.includeHistory) {
+    conditions.push('d.is_current = TRUE');
+  }
+
+  // Any section that mentions the company, with that company's passage as the content
+  if (filters.company) {
+    params.push(filters.company);
+    const companyParam = `$${params.length}`;
+    conditions.push(`EXISTS (SELECT 1 FROM document_companies dc WHERE dc.document_id = d.id AND dc.company_key = ${companyParam})`);
+    passageJoin = ` LEFT JOIN passages p ON p.section_id = d.id AND p.company_key = ${companyParam}`;
+    content = 'COALESCE(p.content, d.content)';
+    tsv = 'COALESCE(p.content_tsv, d.content_tsv)';
+  }
+
+  if (filters.dateFrom) {
+    params.push(filters.dateFrom);
+    conditions.push(`d.date >= $${params.length}`);
+  }
+
+  if (filters.dateTo) {
+    params.push(filters.dateTo);
+    conditions.push(`d.date <= $${params.length}`);
+  }
+
+  return {
+    where: conditions.length > 0 ? ` AND ${conditions.join(' AND ')}` : '',
+    passageJoin,
+    content,
+    tsv
+  };
+}
+
+/**
+ * Create the search layer over the documents table.
+ * llm is optional; without it only full-text search runs.
+ */
+function createHybridSearch({ pool, llm = null, logger = console, options = {} }) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+
+  async function keywordSearch(query, filters = {}, limit = config.candidatesPerRanker) {
+    const params = [query];
+    const { where, passageJoin, content, tsv } = buildFilters(filters, params);
+    params.push(limit);
+
+    // The section index finds candidates; with a publisher, its passage must match on its own
+    const passageMatch = tsv === 'd.content_tsv' ? '' : ` AND ${tsv} @@ q`;
+
+    const result = await pool.query(`
+      SELECT ${RESULT_COLUMNS}, ${content} AS content,
+        ts_rank_cd(${tsv}, q) AS rank,
+        ts_headline('english', ${content}, q, 'StartSel=*, StopSel=*, MaxFragments=1, MaxWords=18, MinWords=6') AS highlight
+      FROM documents d
+      CROSS JOIN websearch_to_tsquery('english', $1) q${passageJoin}
+      WHERE d.content_tsv @@ q${passageMatch}${where}
+      ORDER BY rank DESC, d.timestamp DESC
+      LIMIT $${params.length}
+    `, params);
+
+    return result.rows.map(({ rank, highlight, ...document }) => {
+      const terms = [...new Set([...(highlight || '').matchAll(HIGHLIGHT)].map(match => match[1].toLowerCase()))];
+      return {
+        document: { ...document, company: filters.company || document.company },
+        reason: { score: Number(rank), terms, highlight }
+      };
+    });
+  }
+
+  async function embed(texts) {
+    const response = await llm.embeddings.create({ model: config.embeddingModel, input: texts });
+    return response.data.map(item => item.embedding);
+  }
+
+  async function vectorSearch(query, filters = {}, limit = config.candidatesPerRanker) {
+    if (!llm) return [];
+
+    const [queryEmbedding] = await embed([query]);
+    const params = [config.embeddingModel];
+    const { where, passageJoin, content } = buildFilters(filters, params);
+    params.push(config.vectorCandidateLimit, queryEmbedding, config.minVectorSimilarity, limit);
+    const last = params.length;
+
+    // Exact cosine, computed in Postgres so embeddings never leave it. The filters apply
+    // before the candidate cap, which bounds the scan to the most recent matching sections.
+    const result = await pool.query(`
+      SELECT ${CANDIDATE_COLUMNS}, s.similarity
+      FROM (
+        SELECT ${RESULT_COLUMNS}, ${content} AS content, e.embedding
+        FROM documents d
+        JOIN document_embeddings e ON e.document_id = d.id AND e.model = $1${passageJoin}
+        WHERE TRUE${where}
+        ORDER BY d.timestamp DESC
+        LIMIT $${last - 3}
+      ) c
+      CROSS JOIN LATERAL (
+        SELECT SUM(a * b) / NULLIF(SQRT(SUM(a * a) * SUM(b * b)), 0) AS similarity
+        FROM unnest(c.embedding::float8[], $${last - 2}::float8[]) AS v(a, b)
+      ) s
+      WHERE s.similarity >= $${last - 1}
+      ORDER BY s.similarity DESC
+      LIMIT $${last}
+    `, params);
+
+    return result.rows.map(({ similarity, ...document }) => ({
+      document: { ...document, company: filters.company || document.company },
+      reason: { similarity: Number(similarity) }
+    }));
+  }
+
+  /**
+   * Search sections. filters: { company, dateFrom, dateTo, includeHistory }.
+   * Returns sections with content, score and reasons ({ type: 'keyword' | 'vector', rank, ... }).
+   */
+  async function search(query, filters = {}, { limit = config.maxResults } = {}) {
+    if (!query || !query.trim()) return [];
+
+    // A failing ranker should not take the other one down with it
+    const [keyword, vector] = await Promise.all([
+      keywordSearch(query, filters).catch(error => {
+        logger.error('Keyword search failed:', error);
+        return [];
+      }),
+      vectorSearch(query, filters).catch(error => {
+        logger.error('Vector search failed:', error);
+        return [];
+      })
+    ]);
+
+    return reciprocalRankFusion({ keyword, vector }, { k: config.rrfK, limit });
+  }
+
+  /**
+   * Embed the given sections that have no embedding for the current model yet
+   */
+  async function embedSections(ids) {
+    if (!llm || ids.length === 0) return 0;
+
+    const result = await pool.query(`
+      SELECT d.id, d.title, d.content
+      FROM documents d
+      LEFT JOIN document_embeddings e ON e.document_id = d.id AND e.model = $2
+      WHERE d.id = ANY($1::int[]) AND e.document_id IS NULL
+    `, [ids, config.embeddingModel]);
+
+    let embedded = 0;
+    for (let i = 0; i < result.rows.length; i += config.embeddingBatchSize) {
+      const batch = result.rows.slice(i, i + config.embeddingBatchSize);
+      const embeddings = await embed(batch.map(row => truncateToTokens(`${row.title || ''}\n${row.content}`, config.maxEmbeddingTokens)));
+
+      for (const [index, row] of batch.entries()) {
+        await pool.query(`
+          INSERT INTO document_embeddings (document_id, model, embedding)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (document_id) DO UPDATE SET
+            model = EXCLUDED.model,
+            embedding = EXCLUDED.embedding,
+            created_at = CURRENT_TIMESTAMP
+        `, [row.id, config.embeddingModel, embeddings[index]]);
+        embedded++;
+      }
+    }
+
+    return embedded;
+  }
+
+  return {
+    search,
+    keywordSearch,
+    vectorSearch,
+    embedSections
+  };
+}
+
+module.exports = {
+  createHybridSearch,
+  reciprocalRankFusion,
+  formatReasons
+};
@@ -0,0 +1,223 @@
+/**
+ * LLM Providers
+ * A provider implements the part of the OpenAI client this project uses:
+ *   chat.completions.create({ model, messages, max_tokens, temperature }) -> { choices, usage }
+ *   embeddings.create({ model, input, dimensions }) -> { data, usage }
+ * so the server, OpenAIService and PineconeService can switch providers with LLM_PROVIDER.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_EMBEDDING_DIMENSIONS = 1536;
+const MAX_MOCK_BULLETS = 8;
+
+/**
+ * Real OpenAI client
+ */
+function createOpenAIProvider({ apiKey, organization, timeout, maxRetries }) {
+  if (!apiKey) {
+    throw new Error('OpenAI API key is required');
+  }
+
+  const OpenAI = require('openai');
+  const client = new OpenAI({ apiKey, organization, timeout, maxRetries });
+
+  return {
+    name: 'openai',
+    chat: client.chat,
+    embeddings: client.embeddings
+  };
+}
+
+/**
+ * Deterministic offline provider for tests and local development.
+ * Completions are extractive: they quote the prompt's content lines (keeping their source
+ * labels and exact figures) unless canned responses are supplied. Embeddings are hashed
+ * bags of words, so texts that share words get similar vectors.
+ */
+class MockLLMProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.responses = options.responses ? [...options.responses] : null;
+    this.respond = options.respond || null;
+    this.dimensions = options.dimensions || DEFAULT_EMBEDDING_DIMENSIONS;
+    this.calls = { chat: 0, embeddings: 0 };
+
+    this.chat = { completions: { create: (params) => this.createCompletion(params) } };
+    this.embeddings = { create: (params) => this.createEmbeddings(params) };
+  }
+
+  async createCompletion({ model, messages = [] }) {
+    this.calls.chat++;
+
+    const prompt = messages.filter(message => message.role === 'user').map(message => message.content).join('\n');
+    let content;
+
+    if (this.respond) {
+      content = await this.respond(messages, { model });
+    } else if (this.responses && this.responses.length > 0) {
+      content = this.responses.length > 1 ? this.responses.shift() : this.responses[0];
+    } else {
+      content = /respon\w* as JSON/i.test(prompt) ? this.jsonSummary(prompt) : this.markdownSummary(prompt);
+    }
+
+    const promptTokens = estimateTokens(messages.map(message => message.content).join('\n'));
+    const completionTokens = estimateTokens(content);
+
+    return {
+      id: `mock-${hash(prompt).substring(0, 12)}`,
+      model: model || 'mock',
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+    };
+  }
+
+  async createEmbeddings({ model, input, dimensions }) {
+    this.calls.embeddings++;
+
+    const texts = Array.isArray(input) ? input : [input];
+    const size = dimensions || this.dimensions;
+
+    return {
+      model: model || 'mock',
+      data: texts.map((text, index) => ({ index, object: 'embedding', embedding: hashEmbedding(text, size) })),
+      usage: { prompt_tokens: estimateTokens(texts.join(' ')), total_tokens: estimateTokens(texts.join(' ')) }
+    };
+  }
+
+  markdownSummary(prompt) {
+    const points = extractPoints(prompt);
+    if (points.length === 0) {
+      return 'Nothing relevant';
+    }
+
+    return points.map(point => `- ${point.text}${point.label ? ` [${point.label}]` : ''}`).join('\n');
+  }
+
+  jsonSummary(prompt) {
+    const points = extractPoints(prompt);
+
+    return JSON.stringify({
+      title: 'Summary',
+      sections: points.map((point, index) => ({
+        heading: `Update ${index + 1}`,
+        content: point.text,
+        importance: index === 0 ? 'high' : 'medium',
+        citations: point.label ? [point.label] : []
+      })),
+      keyTakeaways: points.slice(0, 3).map(point => point.text),
+      confidence: 80,
+      summary: points.slice(0, 2).map(point => point.text).join(' ') || 'No content provided.'
+    });
+  }
+}
+
+/**
+ * Pull content lines out of a prompt, with the source label ([S12] or [vector-id]) they fall under.
+ * Content is whatever sits between the first and last "---" delimiter lines.
+ */
+function extractPoints(prompt) {
+  const lines = prompt.split('\n');
+  const delimiters = lines.map((line, index) => (line.trim().startsWith('---') ? index : -1)).filter(index => index >= 0);
+  const body = delimiters.length >= 2 ? lines.slice(delimiters[0] + 1, delimiters[delimiters.length - 1]) : lines;
+
+  const points = [];
+  let label = null;
+
+  for (const rawLine of body) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('---')) continue;
+
+    // "### [S12] 2024-01-15 - Title" (server) or "[vector-id] Date: 2024-01-15" (OpenAIService)
+    const heading = line.match(/^###\s+(?:\[(S\d+)\])?/) || line.match(/^\[([^\]]+)\]\s+Date:/);
+    if (heading) {
+      label = heading[1] || null;
+      continue;
+    }
+
+    let text = line.replace(/^(?:[-*•]|\d+[.)])\s+/, '').replace(/^Content:\s*/, '').trim();
+    const trailing = text.match(/\s*\[([^\]]+)\]$/);
+    let pointLabel = label;
+    if (trailing) {
+      pointLabel = trailing[1];
+      text = text.substring(0, text.length - trailing[0].length);
+    }
+
+    if (text && text !== 'Nothing relevant') {
+      points.push({ text, label: pointLabel });
+    }
+  }
+
+  // Prefer lines carrying figures, then keep the original order
+  const ranked = points
+    .map((point, index) => ({ ...point, index, hasFigure: /\d/.test(point.text) }))
+    .sort((a, b) => (b.hasFigure - a.hasFigure) || (a.index - b.index))
+    .slice(0, MAX_MOCK_BULLETS)
+    .sort((a, b) => a.index - b.index);
+
+  return ranked.map(({ text, label: pointLabel }) => ({ text, label: pointLabel }));
+}
+
+function hash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Feature-hashed bag of words, L2-normalized
+ */
+function hashEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const words = (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+
+  for (const word of words) {
+    const digest = crypto.createHash('sha256').update(word).digest();
+    const index = digest.readUInt32BE(0) % dimensions;
+    vector[index] += digest[4] & 1 ? 1 : -1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  if (norm === 0) {
+    vector[0] = 1;
+    return vector;
+  }
+
+  return vector.map(value => value / norm);
+}
+
+/**
+ * Create the configured provider. LLM_PROVIDER selects "openai" or "mock"; without it,
+ * OpenAI is used when an API key is available. Returns null when nothing is configured.
+ */
+function createLLMProvider(options = {}) {
+  const {
+    provider = process.env.LLM_PROVIDER,
+    apiKey = process.env.OPENAI_API_KEY,
+    organization = process.env.OPENAI_ORG_ID || undefined,
+    timeout,
+    maxRetries,
+    ...mockOptions
+  } = options;
+
+  const name = (provider || (apiKey ? 'openai' : '')).toLowerCase();
+
+  switch (name) {
+    case '':
+      return null;
+    case 'openai':
+      return createOpenAIProvider({ apiKey, organization, timeout, maxRetries });
+    case 'mock':
+      return new MockLLMProvider(mockOptions);
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
+
+module.exports = {
+  createLLMProvider,
+  MockLLMProvider,
+  hashEmbedding
+};
@@ -0,0 +1,94 @@
+/**
+ * Passage Splitter
+ * Splits a digest section into publisher-scoped passages using the company registry
+ */
+
+const BULLET_PATTERN = /^\s*(?:[-*•▪◦●]|\d+[.)])\s+/;
+
+/**
+ * Split content into blocks: one per line, with indented lines kept under the line above
+ * so nested bullets and wrapped text stay with their parent
+ */
+function splitBlocks(content) {
+  const blocks = [];
+  const linePattern = /[^\n]*(?:\n|$)/g;
+  let current = null;
+  let afterBlankLine = true;
+  let found;
+
+  while ((found = linePattern.exec(content)) !== null && found[0].length > 0) {
+    const line = found[0].replace(/\r?\n$/, '');
+    const start = found.index;
+    const end = start + line.length;
+
+    if (!line.trim()) {
+      current = null;
+      afterBlankLine = true;
+      continue;
+    }
+
+    const isBullet = BULLET_PATTERN.test(line);
+
+    if (current && /^\s/.test(line) && !afterBlankLine) {
+      current.end = end;
+    } else {
+      current = { start, end, isBullet, afterBlankLine };
+      blocks.push(current);
+    }
+
+    afterBlankLine = false;
+  }
+
+  return blocks.map(block => ({ ...block, text: content.substring(block.start, block.end) }));
+}
+
+/**
+ * Assign each block to the companies it mentions. A block without a mention belongs to
+ * the companies above it (e.g. bullets under a "Brit+Co:" line) unless it starts a new
+ * plain paragraph, which is treated as general text.
+ */
+function assignBlocks(blocks, registry) {
+  let context = [];
+
+  return blocks.map(block => {
+    const mentioned = registry.matchAll(block.text).map(mention => mention.key);
+
+    if (mentioned.length > 0) {
+      context = mentioned;
+    } else if (block.afterBlankLine && !block.isBullet) {
+      context = [];
+    }
+
+    return { ...block, companies: context };
+  });
+}
+
+/**
+ * Split a section into one passage per company it covers, plus one for text that mentions
+ * no company. Each passage keeps its blocks whole and records their offsets in the section.
+ */
+function splitIntoPassages(content, registry) {
+  const passages = new Map();
+
+  for (const block of assignBlocks(splitBlocks(content), registry)) {
+    const keys = block.companies.length > 0 ? block.companies : [null];
+
+    for (const key of keys) {
+      const passage = passages.get(key) || { company: key, blocks: [] };
+      passage.blocks.push(block);
+      passages.set(key, passage);
+    }
+  }
+
+  return [...passages.values()].map(passage => ({
+    company: passage.company,
+    content: passage.blocks.map(block => block.text).join('\n'),
+    spans: passage.blocks.map(block => ({ start: block.start, end: block.end }))
+  }));
+}
+
+module.exports = {
+  BULLET_PATTERN,
+  splitIntoPassages,
+  splitBlocks
+};
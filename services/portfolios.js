@@ -0,0 +1,229 @@
+/**
+ * Account Manager Portfolios
+ * The publishers each Slack user looks after ("/mula portfolio add on3 she_media") and their
+ * daily briefing schedule. Briefings cover the sections ingested since the user's last one.
+ */
+
+const { PRODUCTION_CONFIG } = require('../production-config');
+const { nextRunAt } = require('./subscriptions');
+const { itemSimilarity } = require('./tracked-items');
+
+const DEFAULT_BRIEFING_TIME = '08:00';
+
+// A first briefing looks back this far
+const FIRST_BRIEFING_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+const PORTFOLIO_COLUMNS = 'slack_user_id, time_of_day, timezone, next_run_at, last_briefed_at, last_run_at, last_status, last_error';
+
+function briefingSchedule({ timeOfDay, timezone }) {
+  return { cadence: 'daily', timeOfDay, timezone };
+}
+
+function fromRow(row, publishers = []) {
+  return {
+    id: row.slack_user_id,
+    userId: row.slack_user_id,
+    timeOfDay: row.time_of_day,
+    timezone: row.timezone,
+    nextRunAt: row.next_run_at,
+    lastBriefedAt: row.last_briefed_at,
+    lastRunAt: row.last_run_at,
+    lastStatus: row.last_status,
+    lastError: row.last_error,
+    publishers
+  };
+}
+
+/**
+ * Portfolios in the portfolios and portfolio_publishers tables (migration 1.13.0)
+ * options: similarityThreshold and lookbackDays for continuing sections, as in
+ * PRODUCTION_CONFIG.statusTracking
+ */
+function createPortfolioStore({ pool, options = PRODUCTION_CONFIG.statusTracking }) {
+  const { similarityThreshold, lookbackDays } = options;
+
+  async function publishersOf(userIds) {
+    const result = await pool.query(`
+      SELECT slack_user_id, company_key, snoozed_until FROM portfolio_publishers
+      WHERE slack_user_id = ANY($1)
+      ORDER BY company_key
+    `, [userIds]);
+
+    const byUser = new Map(userIds.map(id => [id, []]));
+    for (const row of result.rows) {
+      byUser.get(row.slack_user_id).push({ company: row.company_key, snoozedUntil: row.snoozed_until });
+    }
+    return byUser;
+  }
+
+  const store = {
+    async get(userId) {
+      const result = await pool.query(`SELECT ${PORTFOLIO_COLUMNS} FROM portfolios WHERE slack_user_id = $1`, [userId]);
+      if (!result.rows[0]) return null;
+
+      const publishers = await publishersOf([userId]);
+      return fromRow(result.rows[0], publishers.get(userId));
+    },
+
+    /**
+     * Add publishers (company keys), creating the portfolio on first use. Adding a snoozed
+     * publisher again wakes it up.
+     */
+    async add(userId, companies, { timezone = 'UTC', timeOfDay = DEFAULT_BRIEFING_TIME } = {}, now = new Date()) {
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        await client.query(`
+          INSERT INTO portfolios (slack_user_id, time_of_day, timezone, next_run_at)
+          VALUES ($1, $2, $3, $4)
+          ON CONFLICT (slack_user_id) DO NOTHING
+        `, [userId, timeOfDay, timezone, nextRunAt(briefingSchedule({ timeOfDay, timezone }), now)]);
+
+        for (const company of companies) {
+          await client.query(`
+            INSERT INTO portfolio_publishers (slack_user_id, company_key)
+            VALUES ($1, $2)
+            ON CONFLICT (slack_user_id, company_key) DO UPDATE SET snoozed_until = NULL
+          `, [userId, company]);
+        }
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      return store.get(userId);
+    },
+
+    async remove(userId, companies) {
+      await pool.query(`
+        DELETE FROM portfolio_publishers WHERE slack_user_id = $1 AND company_key = ANY($2)
+      `, [userId, companies]);
+
+      return store.get(userId);
+    },
+
+    /**
+     * Move the daily briefing to another time or timezone
+     */
+    async setSchedule(userId, { timeOfDay, timezone }, now = new Date()) {
+      const portfolio = await store.get(userId);
+      if (!portfolio) return null;
+
+      const schedule = briefingSchedule({
+        timeOfDay: timeOfDay || portfolio.timeOfDay,
+        timezone: timezone || portfolio.timezone
+      });
+
+      await pool.query(`
+        UPDATE portfolios SET time_of_day = $2, timezone = $3, next_run_at = $4, updated_at = NOW()
+        WHERE slack_user_id = $1
+      `, [userId, schedule.timeOfDay, schedule.timezone, nextRunAt(schedule, now)]);
+
+      return store.get(userId);
+    },
+
+    /**
+     * Leave a publisher out of the user's briefings until the given time
+     */
+    async snooze(userId, company, until) {
+      const result = await pool.query(`
+        UPDATE portfolio_publishers SET snoozed_until = $3
+        WHERE slack_user_id = $1 AND company_key = $2
+      `, [userId, company, until]);
+
+      return result.rowCount > 0;
+    },
+
+    /**
+     * Portfolios whose briefing time has come
+     */
+    async due(now = new Date()) {
+      const result = await pool.query(`
+        SELECT ${PORTFOLIO_COLUMNS} FROM portfolios
+        WHERE next_run_at <= $1
+        ORDER BY next_run_at
+      `, [now]);
+
+      if (result.rows.length === 0) return [];
+
+      const publishers = await publishersOf(result.rows.map(row => row.slack_user_id));
+      return result.rows.map(row => fromRow(row, publishers.get(row.slack_user_id)));
+    },
+
+    /**
+     * Record a briefing run and schedule the next morning's. A failed run keeps the last
+     * briefing time, so its sections are included next time.
+     */
+    async recordRun(portfolio, { status, error = null }, now = new Date()) {
+      await pool.query(`
+        UPDATE portfolios SET
+          last_run_at = $2,
+          last_status = $3,
+          last_error = $4,
+          last_briefed_at = CASE WHEN $3 = 'failed' THEN last_briefed_at ELSE $2 END,
+          next_run_at = $5,
+          updated_at = NOW()
+        WHERE slack_user_id = $1
+      `, [portfolio.userId, now, status, error, nextRunAt(briefingSchedule(portfolio), now)]);
+    },
+
+    /**
+     * Current sections stored or revived after since that mention the companies, with each
+     * company's passage of the section. continuing: the section updates or revives an earlier
+     * version, or its passage shares most of its words (itemSimilarity, as tracked items are linked)
+     * with one stored for the company in the lookbackDays before since. Passages are
+     * compared rather than titles, which are often just the digest date.
+     */
+    async newSections(companies, since) {
+      // updated_at, unlike created_at, moves when a section changed back to earlier text is revived
+      const result = await pool.query(`
+        SELECT d.id, d.title, d.date, d.document_id, d.heading_id, d.created_at, tagged.company_key,
+          COALESCE(string_agg(p.content, ' ' ORDER BY p.passage_index), d.content) AS content,
+          (d.previous_version_id IS NOT NULL OR d.created_at <= $2) AS revision
+        FROM documents d
+        JOIN (SELECT DISTINCT document_id, company_key FROM document_companies WHERE company_key = ANY($1)) tagged
+          ON tagged.document_id = d.id
+        LEFT JOIN passages p ON p.section_id = d.id AND p.company_key = tagged.company_key
+        WHERE d.is_current = TRUE AND d.updated_at > $2
+        GROUP BY d.id, tagged.company_key
+        ORDER BY tagged.company_key, d.updated_at DESC
+      `, [companies, since]);
+
+      if (result.rows.length === 0) return [];
+
+      const earlier = await pool.query(`
+        SELECT e.id, tagged.company_key,
+          COALESCE(string_agg(p.content, ' ' ORDER BY p.passage_index), e.content) AS content
+        FROM documents e
+        JOIN (SELECT DISTINCT document_id, company_key FROM document_companies WHERE company_key = ANY($1)) tagged
+          ON tagged.document_id = e.id
+        LEFT JOIN passages p ON p.section_id = e.id AND p.company_key = tagged.company_key
+        WHERE e.created_at <= $2 AND e.created_at > $2::timestamp - make_interval(days => $3)
+        GROUP BY e.id, tagged.company_key
+      `, [[...new Set(result.rows.map(row => row.company_key))], since, lookbackDays]);
+
+      return result.rows.map(({ revision, ...row }) => ({
+        ...row,
+        continuing: revision || earlier.rows.some(previous =>
+          previous.company_key === row.company_key &&
+          previous.id !== row.id &&
+          itemSimilarity(row.content, previous.content) >= similarityThreshold
+        )
+      }));
+    }
+  };
+
+  return store;
+}
+
+module.exports = {
+  DEFAULT_BRIEFING_TIME,
+  FIRST_BRIEFING_LOOKBACK_MS,
+  createPortfolioStore
+};
@@ -0,0 +1,143 @@
+/**
+ * Publisher Resolver
+ * Resolves a publisher typed by a user ("google", "techcrnch", "brit") to a company in the
+ * registry, scoring each company's name, aliases and domains by exact, prefix, word and
+ * edit-distance matches. Reports an ambiguous result instead of guessing between close scores.
+ */
+
+const DEFAULT_OPTIONS = {
+  minScore: 0.6,
+  margin: 0.15, // A winner must lead the runner-up by this much
+  maxCandidates: 5
+};
+
+const SCORES = {
+  exact: 1,
+  wordPrefix: 0.9,
+  prefix: 0.8,
+  word: 0.7
+};
+
+// Edit-distance matches are scaled below prefix matches and need this similarity to count
+const FUZZY_WEIGHT = 0.85;
+const MIN_FUZZY_SIMILARITY = 0.7;
+
+function normalizeTerm(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Score the input against one name, alias or domain; null when it does not match at all
+ */
+function scoreTerm(input, term) {
+  const inputCompact = input.replace(/ /g, '');
+  const termCompact = term.replace(/ /g, '');
+  const inputWords = input.split(' ');
+  const termWords = term.split(' ');
+
+  if (!inputCompact || !termCompact) return null;
+
+  if (inputCompact === termCompact) {
+    return { score: SCORES.exact, kind: 'exact' };
+  }
+
+  if (inputWords.length < termWords.length && inputWords.every((word, index) => termWords[index] === word)) {
+    return { score: SCORES.wordPrefix, kind: 'prefix' };
+  }
+
+  if (inputCompact.length >= 3 && termCompact.startsWith(inputCompact)) {
+    return { score: SCORES.prefix, kind: 'prefix' };
+  }
+
+  if (inputWords.every(word => word.length >= 3 && termWords.includes(word))) {
+    return { score: SCORES.word, kind: 'word' };
+  }
+
+  const similarity = 1 - levenshtein(inputCompact, termCompact) / Math.max(inputCompact.length, termCompact.length);
+  if (similarity >= MIN_FUZZY_SIMILARITY) {
+    return { score: similarity * FUZZY_WEIGHT, kind: 'fuzzy' };
+  }
+
+  return null;
+}
+
+/**
+ * Best match for the input across a company's key, name, aliases and domains.
+ * Domains also match without their TLD, so "brit" matches "brit.co".
+ */
+function scoreCompany(input, key, company) {
+  const terms = [
+    { field: 'name', value: company.name },
+    { field: 'name', value: key },
+    ...(company.aliases || []).map(value => ({ field: 'alias', value })),
+    ...(company.domains || []).flatMap(value => [
+      { field: 'domain', value },
+      { field: 'domain', value: value.split('.')[0] }
+    ])
+  ];
+
+  let best = null;
+  for (const { field, value } of terms) {
+    const term = normalizeTerm(value);
+    const match = scoreTerm(input, term);
+
+    if (match && (!best || match.score > best.score)) {
+      best = { key, name: company.name, score: match.score, match: { field, term: value, kind: match.kind } };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Resolve input against companies keyed by normalized name ({ key: { name, aliases, domains } },
+ * as returned by CompanyRegistry.getCompanies()).
+ * Returns { status: 'resolved' | 'ambiguous' | 'unknown', company, candidates }.
+ */
+function resolvePublisher(input, companies, options = {}) {
+  const { minScore, margin, maxCandidates } = { ...DEFAULT_OPTIONS, ...options };
+  const normalized = normalizeTerm(input);
+
+  const scored = Object.entries(companies)
+    .map(([key, company]) => scoreCompany(normalized, key, company))
+    .filter(candidate => candidate && candidate.score >= minScore)
+    .sort((a, b) => (b.score - a.score) || a.name.localeCompare(b.name));
+
+  if (scored.length === 0) {
+    return { status: 'unknown', company: null, candidates: [] };
+  }
+
+  const [top, second] = scored;
+  const exactWinner = top.match.kind === 'exact' && second && second.match.kind !== 'exact';
+
+  // Rounding aside, a lead of exactly the margin counts as clear
+  if (!second || exactWinner || top.score - second.score >= margin - 1e-9) {
+    return { status: 'resolved', company: top, candidates: [top] };
+  }
+
+  const candidates = scored.filter(candidate => top.score - candidate.score < margin).slice(0, maxCandidates);
+  return { status: 'ambiguous', company: null, candidates };
+}
+
+module.exports = {
+  resolvePublisher,
+  levenshtein
+};
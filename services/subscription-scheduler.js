@@ -0,0 +1,110 @@
+/**
+ * Subscription Scheduler
+ * Runs due digest subscriptions (and, with its own lock, portfolio briefings) in-process on a
+ * timer. Each check holds a Postgres advisory lock, so an instance starting while the previous
+ * deploy is still draining (or a second replica) cannot post the same digest twice.
+ */
+
+// Key for pg_try_advisory_lock, hashed by Postgres
+const LOCK_NAME = 'mulabot:subscription-scheduler';
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create the scheduler.
+ * store: due(now) and recordRun(item, outcome, now), e.g. services/subscriptions.js
+ * runSubscription(item, now) posts one digest and returns { status: 'posted' | 'skipped', newestContentAt }
+ * label and lockName tell schedulers over different stores apart
+ */
+function createSubscriptionScheduler({
+  pool,
+  store,
+  runSubscription,
+  logger = console,
+  intervalMs = DEFAULT_INTERVAL_MS,
+  label = 'Subscription',
+  lockName = LOCK_NAME
+}) {
+  let timer = null;
+  let running = null;
+
+  /**
+   * Run every due subscription once. Returns null when another instance holds the lock.
+   */
+  async function runDue(now = new Date()) {
+    const client = await pool.connect();
+
+    try {
+      const lock = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [lockName]);
+      if (!lock.rows[0].locked) {
+        logger.info(`${label} check skipped - another instance holds the scheduler lock`);
+        return null;
+      }
+
+      try {
+        const results = [];
+
+        for (const subscription of await store.due(now)) {
+          let outcome;
+
+          try {
+            outcome = await runSubscription(subscription, now);
+          } catch (error) {
+            logger.error(`${label} ${subscription.id} failed:`, error);
+            outcome = { status: 'failed', error: error.message };
+          }
+
+          await store.recordRun(subscription, outcome, now);
+          results.push({ id: subscription.id, ...outcome });
+        }
+
+        if (results.length > 0) {
+          logger.info(`${label} runs: ${results.map(result => `#${result.id} ${result.status}`).join(', ')}`);
+        }
+
+        return results;
+
+      } finally {
+        await client.query('SELECT pg_advisory_unlock(hashtext($1))', [lockName]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Timer callback; a slow check is not overlapped by the next one
+   */
+  function check() {
+    if (running) return running;
+
+    running = runDue()
+      .catch(error => logger.error(`${label} check failed:`, error))
+      .finally(() => {
+        running = null;
+      });
+
+    return running;
+  }
+
+  return {
+    runDue,
+
+    start() {
+      if (timer) return;
+
+      timer = setInterval(check, intervalMs);
+      timer.unref();
+      check();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  createSubscriptionScheduler
+};
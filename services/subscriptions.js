@@ -0,0 +1,384 @@
+/**
+ * Digest Subscriptions
+ * Publisher summaries posted to a Slack channel on a schedule ("/mula subscribe brit.co weekly
+ * #brit-account"). Schedules are wall-clock times in the subscription's timezone, so a weekly
+ * digest stays at Monday 09:00 local time across daylight saving changes.
+ */
+
+const { tokenize } = require('./command-args');
+
+const CADENCES = {
+  daily: { days: 1 },
+  weekly: { days: 7 }
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DEFAULTS = {
+  timeOfDay: '09:00',
+  dayOfWeek: 1,
+  format: 'full'
+};
+
+const FORMATS = ['full', 'brief'];
+
+const SUBSCRIPTION_COLUMNS = `id, publisher, cadence, day_of_week, time_of_day, timezone, channel_id, format,
+  created_by, paused, next_run_at, last_run_at, last_posted_at, last_content_at, last_status, last_error`;
+
+/**
+ * Check an IANA timezone name ("America/New_York")
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * "9am", "9:30 pm", "17:00" -> "HH:MM", or null
+ */
+function parseTimeOfDay(text) {
+  const match = String(text).trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+
+  let hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+
+  if (match[3]) {
+    if (hour < 1 || hour > 12) return null;
+    hour = hour % 12 + (match[3] === 'pm' ? 12 : 0);
+  }
+
+  if (hour > 23 || minute > 59) return null;
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * "mon", "Monday" -> 1 (Sunday is 0), or null
+ */
+function parseWeekday(text) {
+  const word = String(text).trim().toLowerCase();
+  if (word.length < 3) return null;
+
+  const index = WEEKDAYS.findIndex(day => day.startsWith(word));
+  return index === -1 ? null : index;
+}
+
+/**
+ * Slack sends channels as <#C0123|name> when the command escapes them; a plain #name is
+ * kept as typed (chat.postMessage accepts channel names too)
+ */
+function parseChannel(text) {
+  const escaped = text.match(/^<#([A-Z0-9]+)(?:\|[^>]*)?>$/i);
+  if (escaped) return escaped[1];
+
+  return /^#[\w-]+$/.test(text) ? text : null;
+}
+
+/**
+ * Parse "/mula subscribe" text: a publisher (quoted or not), a cadence, an optional channel
+ * and --day, --at, --tz and --format options.
+ * Returns { publisher, cadence, dayOfWeek, timeOfDay, timezone, channel, format } or { error }.
+ */
+function parseSubscriptionText(text, { defaultTimezone = 'UTC' } = {}) {
+  const subscription = {
+    publisher: null,
+    cadence: null,
+    dayOfWeek: null,
+    timeOfDay: DEFAULTS.timeOfDay,
+    timezone: defaultTimezone,
+    channel: null,
+    format: DEFAULTS.format
+  };
+  const publisherWords = [];
+  const tokens = tokenize(text || '');
+
+  for (let i = 0; i < tokens.length; i++) {
+    const { value, quoted } = tokens[i];
+    const option = !quoted && value.match(/^--(day|at|tz|format)(?:=(.*))?$/i);
+
+    if (option) {
+      const name = option[1].toLowerCase();
+      const optionValue = option[2] !== undefined ? option[2] : tokens[++i]?.value;
+
+      if (!optionValue) {
+        return { error: `Missing value for --${name}.` };
+      }
+
+      if (name === 'day') {
+        subscription.dayOfWeek = parseWeekday(optionValue);
+        if (subscription.dayOfWeek === null) return { error: `Invalid --day: ${optionValue}. Use a weekday such as monday.` };
+      } else if (name === 'at') {
+        subscription.timeOfDay = parseTimeOfDay(optionValue);
+        if (!subscription.timeOfDay) return { error: `Invalid --at: ${optionValue}. Use a time such as 09:00 or 9am.` };
+      } else if (name === 'tz') {
+        if (!isValidTimezone(optionValue)) return { error: `Invalid --tz: ${optionValue}. Use a timezone such as America/New_York.` };
+        subscription.timezone = optionValue;
+      } else {
+        if (!FORMATS.includes(optionValue.toLowerCase())) return { error: `Invalid --format: ${optionValue}. Use one of: ${FORMATS.join(', ')}.` };
+        subscription.format = optionValue.toLowerCase();
+      }
+      continue;
+    }
+
+    if (!quoted && value.startsWith('--')) {
+      return { error: `Unknown option ${value}. Use --day, --at, --tz or --format.` };
+    }
+
+    if (!quoted && CADENCES[value.toLowerCase()] && !subscription.cadence) {
+      subscription.cadence = value.toLowerCase();
+      continue;
+    }
+
+    const channel = !quoted && parseChannel(value);
+    if (channel) {
+      subscription.channel = channel;
+      continue;
+    }
+
+    publisherWords.push(value);
+  }
+
+  subscription.publisher = publisherWords.join(' ').trim() || null;
+
+  if (!subscription.publisher) {
+    return { error: 'Please specify a publisher.' };
+  }
+
+  if (!subscription.cadence) {
+    return { error: `Please specify how often to post: ${Object.keys(CADENCES).join(' or ')}.` };
+  }
+
+  if (subscription.cadence === 'weekly' && subscription.dayOfWeek === null) {
+    subscription.dayOfWeek = DEFAULTS.dayOfWeek;
+  }
+
+  if (subscription.cadence === 'daily') {
+    subscription.dayOfWeek = null;
+  }
+
+  return subscription;
+}
+
+/**
+ * Wall-clock date and time of an instant in a timezone
+ */
+function zonedParts(date, timeZone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+
+  for (const { type, value } of formatter.formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+
+  return parts;
+}
+
+/**
+ * The instant at which a timezone's clock shows the given date and time. Times skipped by a
+ * daylight saving change resolve to the hour after.
+ */
+function zonedTimeToUtc({ year, month, day, hour, minute }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = instant => {
+    const parts = zonedParts(new Date(instant), timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+  };
+
+  const first = wallClock - offsetAt(wallClock);
+  const second = wallClock - offsetAt(first);
+  return new Date(Math.max(first, second));
+}
+
+/**
+ * Next scheduled run strictly after from, for { cadence, dayOfWeek, timeOfDay, timezone }
+ */
+function nextRunAt({ cadence, dayOfWeek, timeOfDay, timezone }, from = new Date()) {
+  const [hour, minute] = timeOfDay.split(':').map(Number);
+  const today = zonedParts(from, timezone);
+
+  // A weekly slot that already passed today is a week away
+  for (let offset = 0; offset <= 7; offset++) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+
+    if (cadence === 'weekly' && date.getUTCDay() !== dayOfWeek) {
+      continue;
+    }
+
+    const run = zonedTimeToUtc({
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour,
+      minute
+    }, timezone);
+
+    if (run > from) return run;
+  }
+
+  throw new Error(`No run found for ${cadence} schedule`);
+}
+
+/**
+ * "weekly on Monday at 09:00 (America/New_York)"
+ */
+function describeSchedule({ cadence, dayOfWeek, timeOfDay, timezone }) {
+  const day = cadence === 'weekly' ? ` on ${WEEKDAYS[dayOfWeek][0].toUpperCase()}${WEEKDAYS[dayOfWeek].slice(1)}` : '';
+  return `${cadence}${day} at ${timeOfDay} (${timezone})`;
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    publisher: row.publisher,
+    cadence: row.cadence,
+    dayOfWeek: row.day_of_week,
+    timeOfDay: row.time_of_day,
+    timezone: row.timezone,
+    channel: row.channel_id,
+    format: row.format,
+    createdBy: row.created_by,
+    paused: row.paused,
+    nextRunAt: row.next_run_at,
+    lastRunAt: row.last_run_at,
+    lastPostedAt: row.last_posted_at,
+    lastContentAt: row.last_content_at === null || row.last_content_at === undefined ? null : Number(row.last_content_at),
+    lastStatus: row.last_status,
+    lastError: row.last_error
+  };
+}
+
+/**
+ * Subscriptions in the slack_subscriptions table (migration 1.12.0)
+ */
+function createSubscriptionStore({ pool }) {
+  const store = {
+    /**
+     * Create a subscription, or reschedule the existing one for the same publisher and channel
+     */
+    async subscribe(subscription, createdBy, now = new Date()) {
+      const result = await pool.query(`
+        INSERT INTO slack_subscriptions (publisher, cadence, day_of_week, time_of_day, timezone, channel_id, format, created_by, next_run_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (publisher, channel_id) DO UPDATE SET
+          cadence = EXCLUDED.cadence,
+          day_of_week = EXCLUDED.day_of_week,
+          time_of_day = EXCLUDED.time_of_day,
+          timezone = EXCLUDED.timezone,
+          format = EXCLUDED.format,
+          paused = FALSE,
+          next_run_at = EXCLUDED.next_run_at,
+          updated_at = NOW()
+        RETURNING ${SUBSCRIPTION_COLUMNS}
+      `, [
+        subscription.publisher,
+        subscription.cadence,
+        subscription.dayOfWeek,
+        subscription.timeOfDay,
+        subscription.timezone,
+        subscription.channel,
+        subscription.format,
+        createdBy,
+        nextRunAt(subscription, now)
+      ]);
+
+      return fromRow(result.rows[0]);
+    },
+
+    async get(id) {
+      const result = await pool.query(`SELECT ${SUBSCRIPTION_COLUMNS} FROM slack_subscriptions WHERE id = $1`, [id]);
+      return result.rows[0] ? fromRow(result.rows[0]) : null;
+    },
+
+    /**
+     * Every subscription, or those posting to one channel
+     */
+    async list({ channel = null } = {}) {
+      const result = await pool.query(`
+        SELECT ${SUBSCRIPTION_COLUMNS} FROM slack_subscriptions
+        WHERE $1::text IS NULL OR channel_id = $1
+        ORDER BY publisher, id
+      `, [channel]);
+
+      return result.rows.map(fromRow);
+    },
+
+    /**
+     * Pause or resume; a resumed subscription is scheduled from now rather than catching up
+     */
+    async setPaused(id, paused, now = new Date()) {
+      const subscription = await store.get(id);
+      if (!subscription) return null;
+
+      const result = await pool.query(`
+        UPDATE slack_subscriptions SET paused = $2, next_run_at = $3, updated_at = NOW()
+        WHERE id = $1
+        RETURNING ${SUBSCRIPTION_COLUMNS}
+      `, [id, paused, paused ? subscription.nextRunAt : nextRunAt(subscription, now)]);
+
+      return fromRow(result.rows[0]);
+    },
+
+    async unsubscribe(id) {
+      const result = await pool.query(`DELETE FROM slack_subscriptions WHERE id = $1 RETURNING ${SUBSCRIPTION_COLUMNS}`, [id]);
+      return result.rows[0] ? fromRow(result.rows[0]) : null;
+    },
+
+    /**
+     * Active subscriptions whose next run is at or before now
+     */
+    async due(now = new Date()) {
+      const result = await pool.query(`
+        SELECT ${SUBSCRIPTION_COLUMNS} FROM slack_subscriptions
+        WHERE NOT paused AND next_run_at <= $1
+        ORDER BY next_run_at
+      `, [now]);
+
+      return result.rows.map(fromRow);
+    },
+
+    /**
+     * Record a run ({ status: 'posted' | 'skipped' | 'failed', newestContentAt, error }) and
+     * schedule the next one. A failed run waits for the next slot instead of retrying.
+     */
+    async recordRun(subscription, { status, newestContentAt = null, error = null }, now = new Date()) {
+      await pool.query(`
+        UPDATE slack_subscriptions SET
+          last_run_at = $2,
+          last_status = $3,
+          last_error = $4,
+          last_posted_at = CASE WHEN $3 = 'posted' THEN $2 ELSE last_posted_at END,
+          last_content_at = COALESCE($5, last_content_at),
+          next_run_at = $6,
+          updated_at = NOW()
+        WHERE id = $1
+      `, [subscription.id, now, status, error, newestContentAt, nextRunAt(subscription, now)]);
+    }
+  };
+
+  return store;
+}
+
+module.exports = {
+  CADENCES,
+  createSubscriptionStore,
+  parseSubscriptionText,
+  parseChannel,
+  parseTimeOfDay,
+  parseWeekday,
+  nextRunAt,
+  describeSchedule,
+  isValidTimezone
+};
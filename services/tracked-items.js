@@ -0,0 +1,325 @@
+/**
+ * Tracked Items
+ * Status bullets in digest sections ("- 🔄 Header bidding test on mobile") followed across
+ * days. A bullet with a marker from PRODUCTION_CONFIG.businessIntelligence.statusKeywords becomes
+ * an item for its publisher; a later bullet with mostly the same words continues that item, and
+ * each status change is kept in its history.
+ */
+
+const { PRODUCTION_CONFIG } = require('../production-config');
+const { findLiteralMatches } = require('./company-registry');
+const { BULLET_PATTERN, splitBlocks } = require('./passage-splitter');
+
+const STATUS_KEYWORDS = PRODUCTION_CONFIG.businessIntelligence.statusKeywords;
+const OPEN_STATUSES = ['in_progress', 'waiting'];
+
+const MAX_ITEM_LENGTH = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Serializes deliveries, so two cannot both create the same item
+const LOCK_NAME = 'mulabot:tracked-items';
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it', 'of', 'on', 'or', 'the', 'this', 'to', 'was', 'with']);
+
+const ITEM_COLUMNS = `id, company_key, text, status,
+  to_char(first_seen_date, 'YYYY-MM-DD') AS first_seen_date,
+  to_char(last_seen_date, 'YYYY-MM-DD') AS last_seen_date,
+  to_char(last_updated_date, 'YYYY-MM-DD') AS last_updated_date,
+  to_char(status_since, 'YYYY-MM-DD') AS status_since`;
+
+// "⏸️" and "⏸" differ only by a variation selector
+function stripVariation(text) {
+  return text.replace(/\uFE0F/g, '');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Emoji markers (🔄) and word markers ("in progress") per status
+const MARKERS = Object.entries(STATUS_KEYWORDS).map(([status, markers]) => ({
+  status,
+  symbols: markers.filter(marker => !/[a-z]/i.test(marker)).map(stripVariation),
+  words: markers.filter(marker => /[a-z]/i.test(marker))
+}));
+
+const SYMBOLS = MARKERS.flatMap(marker => marker.symbols);
+const MARKER_WORDS = MARKERS.flatMap(marker => marker.words);
+const MARKER_WORD_PATTERN = MARKER_WORDS.map(escapeRegExp).join('|');
+
+// A status word set off at either end: "Waiting: legal review", "Video deal - in progress"
+const LEADING_STATUS = new RegExp(`^(?:status\\s*:\\s*)?(?:${MARKER_WORD_PATTERN})\\s*[:\\-–—|]\\s*`, 'i');
+const TRAILING_STATUS = new RegExp(`\\s*(?:[:\\-–—|]\\s*|\\(\\s*)(?:${MARKER_WORD_PATTERN})\\s*\\)?[.!]?$`, 'i');
+
+// Status words carry no meaning when comparing item text
+const IGNORED_WORDS = new Set([...STOPWORDS, ...MARKER_WORDS.flatMap(word => word.split(/\s+/))]);
+
+/**
+ * The status a block of text is marked with, or null. Emoji markers win over words; among
+ * several of a kind, the first in the text.
+ */
+function detectStatus(text) {
+  const plain = stripVariation(text);
+  const earliest = positions => positions
+    .filter(found => found.position !== -1)
+    .sort((a, b) => a.position - b.position)[0];
+
+  const symbol = earliest(MARKERS.flatMap(({ status, symbols }) =>
+    symbols.map(marker => ({ status, position: plain.indexOf(marker) }))
+  ));
+  if (symbol) return symbol.status;
+
+  const word = earliest(MARKERS.flatMap(({ status, words }) =>
+    findLiteralMatches(plain, words, 'status').map(match => ({ status, position: match.start }))
+  ));
+  return word ? word.status : null;
+}
+
+/**
+ * Item text of a bullet block: bullets, emoji markers and a status word set off at either end
+ * removed, nested lines joined
+ */
+function itemText(blockText) {
+  let text = stripVariation(blockText)
+    .split('\n')
+    .map(line => line.replace(BULLET_PATTERN, ''))
+    .join(' ');
+
+  for (const symbol of SYMBOLS) {
+    text = text.split(symbol).join(' ');
+  }
+
+  text = text.replace(/\s+/g, ' ').trim();
+  return text.replace(LEADING_STATUS, '').replace(TRAILING_STATUS, '').trim().substring(0, MAX_ITEM_LENGTH);
+}
+
+/**
+ * Words compared between items: lowercase, without punctuation, stopwords and status words
+ */
+function itemWords(text) {
+  return [...new Set(text.toLowerCase().split(/[^a-z0-9]+/).filter(word => word && !IGNORED_WORDS.has(word)))];
+}
+
+/**
+ * Dice coefficient of two texts' word sets, from 0 (nothing shared) to 1 (the same words)
+ */
+function itemSimilarity(a, b) {
+  const wordsA = itemWords(a);
+  const wordsB = new Set(itemWords(b));
+  if (wordsA.length === 0 || wordsB.size === 0) return 0;
+
+  const shared = wordsA.filter(word => wordsB.has(word)).length;
+  return (2 * shared) / (wordsA.length + wordsB.size);
+}
+
+/**
+ * Tracked items in a section: bullets (or lines starting with an emoji marker) that carry a
+ * status, attributed to their passage's publisher. Text outside any publisher's passage
+ * belongs to the section's publisher when it has exactly one.
+ * section: { id, date, content, companies, passages: [{ company, content }] }
+ */
+function extractTrackedItems(section) {
+  const passages = section.passages && section.passages.length > 0
+    ? section.passages
+    : [{ company: null, content: section.content || '' }];
+  const soleCompany = (section.companies || []).length === 1 ? section.companies[0] : null;
+  const items = [];
+
+  for (const passage of passages) {
+    const company = passage.company || soleCompany;
+    if (!company) continue;
+
+    for (const block of splitBlocks(passage.content)) {
+      const startsWithMarker = SYMBOLS.some(symbol => stripVariation(block.text).trimStart().startsWith(symbol));
+      if (!block.isBullet && !startsWithMarker) continue;
+
+      const status = detectStatus(block.text);
+      const text = itemText(block.text);
+      if (!status || itemWords(text).length === 0) continue;
+
+      items.push({ company, text, status, date: section.date, sectionId: section.id });
+    }
+  }
+
+  return items;
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    company: row.company_key,
+    text: row.text,
+    status: row.status,
+    firstSeenDate: row.first_seen_date,
+    lastSeenDate: row.last_seen_date,
+    lastUpdatedDate: row.last_updated_date,
+    statusSince: row.status_since
+  };
+}
+
+/**
+ * Items in the tracked_items and tracked_item_history tables (migration 1.15.0)
+ * options: similarityThreshold, lookbackDays and staleDays, as in PRODUCTION_CONFIG.statusTracking
+ */
+function createTrackedItemStore({ pool, options = PRODUCTION_CONFIG.statusTracking }) {
+  const { similarityThreshold, lookbackDays } = options;
+
+  return {
+    /**
+     * Extract the items in newly stored sections and link each to the most similar item of
+     * its publisher seen within lookbackDays, or start a new one. A section older than an
+     * item's last sighting (a late delivery) only moves its first-seen date back.
+     * Returns { created, updated, unchanged }.
+     */
+    async track(sections) {
+      const counts = { created: 0, updated: 0, unchanged: 0 };
+      const items = [...sections]
+        .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+        .flatMap(extractTrackedItems);
+
+      if (items.length === 0) return counts;
+
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [LOCK_NAME]);
+
+        const existing = await client.query(`
+          SELECT ${ITEM_COLUMNS} FROM tracked_items
+          WHERE company_key = ANY($1) AND last_seen_date >= $2::date - $3::int
+        `, [[...new Set(items.map(item => item.company))], items[0].date, lookbackDays]);
+        const known = existing.rows.map(fromRow);
+
+        for (const item of items) {
+          let best = null;
+          let bestScore = 0;
+
+          for (const candidate of known) {
+            if (candidate.company !== item.company || Math.abs(daysBetween(candidate.lastSeenDate, item.date)) > lookbackDays) continue;
+
+            const score = itemSimilarity(item.text, candidate.text);
+            if (score > bestScore) {
+              best = candidate;
+              bestScore = score;
+            }
+          }
+
+          if (!best || bestScore < similarityThreshold) {
+            const inserted = await client.query(`
+              INSERT INTO tracked_items (company_key, text, status, first_seen_date, last_seen_date, last_updated_date, status_since, last_section_id)
+              VALUES ($1, $2, $3, $4, $4, $4, $4, $5)
+              RETURNING ${ITEM_COLUMNS}
+            `, [item.company, item.text, item.status, item.date, item.sectionId]);
+
+            const created = fromRow(inserted.rows[0]);
+            await client.query(`
+              INSERT INTO tracked_item_history (item_id, status, text, section_id, seen_date)
+              VALUES ($1, $2, $3, $4, $5)
+            `, [created.id, item.status, item.text, item.sectionId, item.date]);
+
+            known.push(created);
+            counts.created++;
+            continue;
+          }
+
+          if (item.date < best.lastSeenDate) {
+            if (item.date < best.firstSeenDate) {
+              await client.query('UPDATE tracked_items SET first_seen_date = $2, updated_at = NOW() WHERE id = $1', [best.id, item.date]);
+              best.firstSeenDate = item.date;
+            }
+            counts.unchanged++;
+            continue;
+          }
+
+          const statusChanged = item.status !== best.status;
+          const changed = statusChanged || itemWords(item.text).join(' ') !== itemWords(best.text).join(' ');
+
+          await client.query(`
+            UPDATE tracked_items SET
+              text = $2,
+              status = $3,
+              last_seen_date = $4,
+              last_updated_date = CASE WHEN $6 THEN $4::date ELSE last_updated_date END,
+              status_since = CASE WHEN $7 THEN $4::date ELSE status_since END,
+              last_section_id = $5,
+              updated_at = NOW()
+            WHERE id = $1
+          `, [best.id, item.text, item.status, item.date, item.sectionId, changed, statusChanged]);
+
+          if (statusChanged) {
+            await client.query(`
+              INSERT INTO tracked_item_history (item_id, status, text, section_id, seen_date)
+              VALUES ($1, $2, $3, $4, $5)
+            `, [best.id, item.status, item.text, item.sectionId, item.date]);
+          }
+
+          Object.assign(best, {
+            text: item.text,
+            status: item.status,
+            lastSeenDate: item.date,
+            ...(changed && { lastUpdatedDate: item.date }),
+            ...(statusChanged && { statusSince: item.date })
+          });
+          counts[changed ? 'updated' : 'unchanged']++;
+        }
+
+        await client.query('COMMIT');
+        return counts;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    /**
+     * A publisher's items still in progress or waiting, least recently updated first, with
+     * their status history. stale: no update for staleDays or more as of now.
+     */
+    async open(company, { staleDays = options.staleDays, now = new Date() } = {}) {
+      const result = await pool.query(`
+        SELECT ${ITEM_COLUMNS} FROM tracked_items
+        WHERE company_key = $1 AND status = ANY($2)
+        ORDER BY last_updated_date, id
+      `, [company, OPEN_STATUSES]);
+
+      if (result.rows.length === 0) return [];
+
+      const history = await pool.query(`
+        SELECT item_id, status, to_char(seen_date, 'YYYY-MM-DD') AS seen_date FROM tracked_item_history
+        WHERE item_id = ANY($1)
+        ORDER BY seen_date, id
+      `, [result.rows.map(row => row.id)]);
+
+      const today = now.toISOString().split('T')[0];
+
+      return result.rows.map(row => {
+        const item = fromRow(row);
+        const idleDays = daysBetween(item.lastUpdatedDate, today);
+
+        return {
+          ...item,
+          history: history.rows
+            .filter(entry => entry.item_id === item.id)
+            .map(entry => ({ status: entry.status, date: entry.seen_date })),
+          idleDays,
+          stale: idleDays >= staleDays
+        };
+      });
+    }
+  };
+}
+
+module.exports = {
+  OPEN_STATUSES,
+  createTrackedItemStore,
+  extractTrackedItems,
+  detectStatus,
+  itemSimilarity
+};
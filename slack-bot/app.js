@@ -1,93 +1,58 @@
 /**
  * Slack Bot - Weekly Publisher Digest Assistant
- * Handles /accountsummary and /mula commands for querying publisher digests
+ * Bolt app serving the shared command registry (commands/index.js) over Socket Mode
+ * (SLACK_SOCKET_MODE=true) or Bolt's HTTP receiver at /slack/events
  */
 
 const { App } = require('@slack/bolt');
-const { WebClient } = require('@slack/web-api');
-const { handleAccountSummaryCommand } = require('./commands/account-summary');
-
-// Initialize Slack app
-const app = new App({
-  token: process.env.SLACK_BOT_TOKEN,
-  signingSecret: process.env.SLACK_SIGNING_SECRET,
-  socketMode: process.env.SLACK_SOCKET_MODE === 'true',
-  appToken: process.env.SLACK_APP_TOKEN,
-  port: process.env.PORT || 3000
-});
-
-// Services are initialized in command handlers
-
-// Command handlers are imported from the commands directory
+const { createSlackCommands } = require('./commands');
 
 /**
- * Health check endpoint
+ * Create the Bolt app with every command and action registered
  */
-app.command('/health', async ({ command, ack, respond }) => {
-  await ack();
-  
-  await respond({
-    response_type: 'ephemeral',
-    text: '✅ All systems operational',
-    blocks: [
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: '*🏥 Health Check Results*'
-        }
-      },
-      {
-        type: 'section',
-        fields: [
-          {
-            type: 'mrkdwn',
-            text: `*Bot Status:* ✅ Online`
-          },
-          {
-            type: 'mrkdwn',
-            text: `*Socket Mode:* ✅ Connected`
-          },
-          {
-            type: 'mrkdwn',
-            text: `*Uptime:* ${Math.floor(process.uptime())}s`
-          },
-          {
-            type: 'mrkdwn',
-            text: `*Memory:* ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`
-          }
-        ]
-      }
-    ]
+function createSlackApp({ port = process.env.PORT || 3000 } = {}) {
+  const socketMode = process.env.SLACK_SOCKET_MODE === 'true';
+
+  const app = new App({
+    token: process.env.SLACK_BOT_TOKEN,
+    signingSecret: process.env.SLACK_SIGNING_SECRET,
+    socketMode,
+    appToken: process.env.SLACK_APP_TOKEN,
+    port
   });
-});
 
-// Register slash commands
-app.command('/accountsummary', handleAccountSummaryCommand);
-app.command('/mula', handleAccountSummaryCommand); // Alias
+  const registry = createSlackCommands({ transport: socketMode ? 'socket mode' : 'bolt http' });
+  registry.mountBolt(app);
 
-/**
- * Error handling
- */
-app.error((error) => {
-  console.error('Slack app error:', error);
-});
+  app.error((error) => {
+    console.error('Slack app error:', error);
+  });
+
+  return { app, registry };
+}
 
 /**
  * Start the app
  */
-(async () => {
+async function startSlackApp(options = {}) {
+  const { app, registry } = createSlackApp(options);
+
   try {
     await app.start();
     console.log('⚡️ Slack bot is running!');
-    console.log('🔌 Socket Mode enabled for development');
-    console.log(`🤖 Bot ready with commands: /accountsummary, /mula, /health`);
+    console.log(`🔌 Transport: ${registry.transport}`);
+    console.log(`🤖 Bot ready with commands: ${registry.commandNames().join(', ')}`);
     console.log('📡 Services will initialize when commands are used');
-    
   } catch (error) {
     console.error('Failed to start Slack bot:', error);
     process.exit(1);
   }
-})();
 
-module.exports = { app }; 
\ No newline at end of file
+  return app;
+}
+
+if (require.main === module) {
+  startSlackApp();
+}
+
+module.exports = { createSlackApp, startSlackApp };
@@ -1,156 +1,422 @@
 /**
  * Account Summary Command Handler
- * Handles /accountsummary and /mula slash commands
+ * Publisher summaries for /accountsummary and the buttons under them (registered in
+ * commands/index.js), from the webhook's Postgres sections when a database is configured and
+ * from the vector store otherwise
  */
 
-const { PineconeClient } = require('../pinecone-client');
-const { OpenAIService } = require('../../openai-service');
+const PineconeService = require('../../pinecone-setup/pinecone-client');
+const OpenAIService = require('../../pinecone-setup/openai-service');
+const { PUBLISHER_CONFIG } = require('../../pinecone-setup/pinecone-config');
+const { PRODUCTION_CONFIG } = require('../../production-config');
+const CompanyRegistry = require('../../services/company-registry');
+const { resolvePublisher } = require('../../services/publisher-resolver');
+const { createHybridSearch, formatReasons } = require('../../services/hybrid-search');
+const { createLLMProvider } = require('../../services/llm-provider');
+const { dayRange, parseDigestDate } = require('../../services/digest-dates');
+
+// Results per summary, and the widest query made while collecting them
+const MAX_RESULTS = 10;
+const MAX_TOP_K = 1000;
+const DEFAULT_DAYS = 7;
+
+// Source matches the Detailed View modal pages through
+const DETAIL_RESULTS = 50;
 
 // Initialize services
-const pineconeClient = new PineconeClient();
+const pineconeService = new PineconeService();
 const openaiService = new OpenAIService();
+let servicesReady = null;
+
+const pool = process.env.DATABASE_URL
+  ? new (require('pg').Pool)({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  })
+  : null;
+
+// The companies table when a database is configured, otherwise the registry's defaults
+const companyRegistry = new CompanyRegistry(pool);
+
+// The sections and passages the webhook server stores, searched as /mula searches them
+const hybridSearch = pool ? createHybridSearch({ pool, llm: createLLMProvider(), options: PRODUCTION_CONFIG.search }) : null;
 
 /**
- * Handle account summary command (used by both app.js and server.js)
+ * Initialize the services on first use; a failed attempt is retried on the next command.
+ * The vector store is only needed when there is no database to search.
  */
-async function handleAccountSummaryCommand(command, ack, respond) {
-  await ack();
+function ensureServices() {
+  if (!servicesReady) {
+    servicesReady = Promise.all([hybridSearch ? null : pineconeService.initialize(), openaiService.initialize()]).catch(error => {
+      servicesReady = null;
+      throw error;
+    });
+  }
+  return servicesReady;
+}
 
+/**
+ * /accountsummary handler (see commands/index.js): resolve the publisher, then summarize it
+ */
+async function summarizePublisher({ args, user, respond }) {
   try {
-    // Parse command text
-    const text = command.text.trim();
-    const parts = text.split(/\s+/);
-    
-    if (parts.length === 0 || !parts[0]) {
-      await respond({
-        response_type: 'ephemeral',
-        text: '❌ Please specify a publisher name. Usage: `/accountsummary <publisher> [days]`',
-        blocks: [
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: '*Usage:* `/accountsummary <publisher> [days]`\n*Examples:*\n• `/accountsummary TechCrunch 7`\n• `/mula Variety 14`\n• `/accountsummary "The Information" 30`'
-            }
-          }
-        ]
-      });
+    // Several close matches: let the user pick instead of guessing
+    const resolution = await resolvePublisherInput(args.query);
+    if (resolution.status === 'ambiguous') {
+      const { formatPublisherPicker } = require('../utils/formatting');
+      await respond(formatPublisherPicker(args.query, resolution.candidates, args.days, args.format));
       return;
     }
 
-    const publisher = parts[0];
-    const days = parts.length > 1 ? parseInt(parts[1]) : 7;
+    await runAccountSummary(resolution.label, args.days, respond, user.name, args.format);
 
-    // Validate days parameter
-    if (isNaN(days) || days < 1 || days > 365) {
-      await respond({
-        response_type: 'ephemeral',
-        text: '❌ Invalid days parameter. Please use a number between 1-365.',
-      });
-      return;
+  } catch (error) {
+    await respondWithError(respond, args.query, error, args.days);
+  }
+}
+
+/**
+ * Action handler for the publisher picker (select_publisher); the value carries
+ * { publisher, days, format }, as do the buttons under a summary
+ */
+async function summarizeSelection({ value, user, respond }) {
+  const { publisher, days, format } = value;
+
+  try {
+    await runAccountSummary(publisher, days, respond, user.name, format);
+  } catch (error) {
+    await respondWithError(respond, publisher, error, days);
+  }
+}
+
+/**
+ * Action handler for Refresh (refresh_summary) and the date range picker (change_range):
+ * re-run the summary with the value's parameters and update the message in place
+ */
+async function refreshSummary({ value, user, respond }) {
+  await summarizeSelection({
+    value,
+    user,
+    respond: message => respond({ replace_original: true, ...message })
+  });
+}
+
+/**
+ * Action handler for Compare to previous period (compare_period): summarize the last N
+ * days and the N days before them, and post both side by side
+ */
+async function comparePeriods({ value, user, respond }) {
+  const { publisher, days } = value;
+
+  try {
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: `🔍 Comparing *${publisher}* over the last ${days} days with the ${days} days before...`
+    });
+
+    const windows = [
+      { label: `Last ${days} days`, offsetDays: 0 },
+      { label: `Previous ${days} days`, offsetDays: days }
+    ];
+
+    const periods = [];
+    for (const { label, offsetDays } of windows) {
+      const searchResults = await searchPublisherContent(publisher, days, MAX_RESULTS, { offsetDays });
+      const summary = searchResults.length > 0 ? await generatePublisherSummary(publisher, searchResults, days) : null;
+      periods.push({ label, ...dateWindow(days, offsetDays), summary, searchResults });
     }
 
-    // Send initial response
+    const { formatComparisonResponse } = require('../utils/formatting');
+    await respond({ replace_original: false, ...formatComparisonResponse(publisher, days, periods) });
+
+    console.log(`Period comparison generated: ${publisher}, ${days} days, user: ${user.name}`);
+
+  } catch (error) {
+    await respondWithError(respond, publisher, error, days);
+  }
+}
+
+/**
+ * Action handler for Detailed View (detailed_view): open a modal right away (the trigger
+ * expires after 3 seconds), then fill it with the first page of source matches
+ */
+async function openDetailedView({ value, triggerId, client, respond }) {
+  const { publisher, days } = value;
+  const { formatDetailedModal } = require('../utils/formatting');
+
+  if (!client || !triggerId) {
+    await respond({
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: '❌ Detailed View needs SLACK_BOT_TOKEN to open a modal.'
+    });
+    return;
+  }
+
+  const opened = await client.views.open({
+    trigger_id: triggerId,
+    view: formatDetailedModal(publisher, null, days)
+  });
+
+  const searchResults = await searchPublisherContent(publisher, days, DETAIL_RESULTS);
+  await client.views.update({
+    view_id: opened.view.id,
+    view: formatDetailedModal(publisher, searchResults, days)
+  });
+}
+
+/**
+ * Action handler for the modal's Previous / Next buttons: show the requested page
+ */
+async function pageDetailedView({ value, view, client }) {
+  const { publisher, days, page } = value;
+  const { formatDetailedModal } = require('../utils/formatting');
+
+  const searchResults = await searchPublisherContent(publisher, days, DETAIL_RESULTS);
+  await client.views.update({
+    view_id: view.id,
+    hash: view.hash,
+    view: formatDetailedModal(publisher, searchResults, days, page)
+  });
+}
+
+/**
+ * Search, summarize and post the account summary for a resolved publisher
+ */
+async function runAccountSummary(publisher, days, respond, userName, format = 'full') {
+  // Send initial response
+  await respond({
+    response_type: 'in_channel',
+    text: `🔍 Searching for ${publisher} updates from the last ${days} days...`,
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `🔍 Searching for *${publisher}* updates from the last *${days} days*...\n_This may take a moment while I analyze the content._`
+        }
+      }
+    ]
+  });
+
+  // Search for relevant content
+  const searchResults = await searchPublisherContent(publisher, days);
+
+  if (!searchResults || searchResults.length === 0) {
+    // The buttons stay so a refreshed or re-ranged summary can move to another window
+    const { formatSummaryActions } = require('../utils/formatting');
+    const message = await describeEmptyWindow(publisher, days);
     await respond({
       response_type: 'in_channel',
-      text: `🔍 Searching for ${publisher} updates from the last ${days} days...`,
+      text: message,
       blocks: [
         {
           type: 'section',
           text: {
             type: 'mrkdwn',
-            text: `🔍 Searching for *${publisher}* updates from the last *${days} days*...\n_This may take a moment while I analyze the content._`
+            text: message
           }
-        }
+        },
+        formatSummaryActions(publisher, days, format)
       ]
     });
+    return;
+  }
 
-    // Search Pinecone for relevant content
-    const searchResults = await searchPublisherContent(publisher, days);
-    
-    if (!searchResults || searchResults.length === 0) {
-      await respond({
-        response_type: 'in_channel',
-        text: `❌ No content found for ${publisher} in the last ${days} days.`,
-        blocks: [
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: `❌ No content found for *${publisher}* in the last *${days} days*.\n\n*Suggestions:*\n• Try a different publisher name\n• Increase the number of days\n• Check if content has been processed recently`
-            }
-          }
-        ]
-      });
-      return;
+  // Generate AI summary
+  const summary = await generatePublisherSummary(publisher, searchResults, days);
+
+  // Format and send final response; the detailed format adds the top source matches
+  const { formatSlackResponse, formatDetailedResponse } = require('../utils/formatting');
+  const response = formatSlackResponse(publisher, summary, searchResults, days, format);
+  await respond(response);
+
+  if (format === 'detailed') {
+    await respond({ ...formatDetailedResponse(publisher, searchResults, days), replace_original: false });
+  }
+
+  // Log usage for monitoring
+  console.log(`Account summary generated: ${publisher}, ${days} days, ${searchResults.length} results, user: ${userName}`);
+}
+
+async function respondWithError(respond, publisher, error, days) {
+  console.error('Error handling account summary command:', error);
+
+  const { formatErrorResponse } = require('../utils/formatting');
+  await respond(formatErrorResponse(publisher || 'Unknown', error, days));
+}
+
+/**
+ * Publishers to resolve against: the company registry plus the vector store's canonical
+ * publishers and their aliases, merged where both describe the same publisher
+ */
+async function publisherDirectory() {
+  const companies = companyRegistry.pool ? await companyRegistry.ensureFresh() : companyRegistry.getCompanies();
+  const directory = {};
+
+  for (const [key, company] of Object.entries(companies)) {
+    directory[key] = { name: company.name, aliases: [...company.aliases], domains: [...company.domains] };
+  }
+
+  for (const [canonical, aliases] of Object.entries(PUBLISHER_CONFIG.aliases)) {
+    const names = [canonical, ...aliases];
+    const existing = Object.values(directory).find(entry =>
+      [entry.name, ...entry.aliases].some(value => names.includes(value.toLowerCase()))
+    );
+
+    if (existing) {
+      existing.aliases.push(...names);
+    } else {
+      directory[canonical] = { name: canonical, aliases: [...aliases], domains: [] };
     }
+  }
 
-    // Generate AI summary
-    const summary = await generatePublisherSummary(publisher, searchResults, days);
-    
-    // Format and send final response
-    const { formatSlackResponse } = require('../utils/formatting');
-    const response = formatSlackResponse(publisher, summary, searchResults, days);
-    await respond(response);
+  return directory;
+}
 
-    // Log usage for monitoring
-    console.log(`Account summary generated: ${publisher}, ${days} days, ${searchResults.length} results, user: ${command.user_name}`);
+/**
+ * Resolve a publisher as typed to the resolver's result plus, unless ambiguous, the
+ * display label, the names it goes by and the publisher values stored in vector metadata
+ * for it. Input that matches nothing is searched as typed, through the vector store's
+ * alias lookup.
+ */
+async function resolvePublisherInput(input) {
+  const directory = await publisherDirectory();
+  const resolution = resolvePublisher(input, directory);
 
-  } catch (error) {
-    console.error('Error handling account summary command:', error);
-    
-    const { formatErrorResponse } = require('../utils/formatting');
-    const errorResponse = formatErrorResponse(publisher || 'Unknown', error, days);
-    await respond(errorResponse);
+  if (resolution.status === 'ambiguous') {
+    return resolution;
+  }
+
+  if (resolution.status === 'unknown') {
+    const canonical = pineconeService.normalizePublisherName(input);
+    return { ...resolution, label: canonical, names: [input.trim()], values: [canonical] };
+  }
+
+  const { key, name } = resolution.company;
+  const values = [key, name, ...directory[key].aliases].map(value => pineconeService.normalizePublisherName(value));
+  return { ...resolution, label: name, names: [...new Set([name, ...directory[key].aliases])], values: [...new Set(values)] };
+}
+
+/**
+ * Resolve a publisher for searching; callers settle ambiguous input with the picker first
+ */
+async function publisherScope(publisher) {
+  const scope = await resolvePublisherInput(publisher);
+
+  if (scope.status === 'ambiguous') {
+    throw new Error(`Ambiguous publisher "${publisher}": ${scope.candidates.map(candidate => candidate.name).join(', ')}`);
   }
+
+  return {
+    label: scope.label,
+    company: scope.status === 'resolved' ? scope.company.key : null,
+    names: scope.names,
+    filter: scope.values.length === 1 ? scope.values[0] : { $in: scope.values }
+  };
+}
+
+/**
+ * First and last day of the last N days, or of the N days ending offsetDays ago
+ */
+function dateWindow(days, offsetDays = 0) {
+  const end = new Date(Date.now() - offsetDays * 24 * 60 * 60 * 1000);
+  const start = new Date(end.getTime() - days * 24 * 60 * 60 * 1000);
+  return { startDate: start.toISOString().split('T')[0], endDate: end.toISOString().split('T')[0] };
+}
+
+/**
+ * A Postgres section or passage in the shape of a vector store match, which the summary and
+ * the Slack formatting read. A hybrid search result's fused score becomes a share of ranking
+ * first in both searches, and its metadata says why it matched.
+ */
+function sectionMatch(section) {
+  const { date, timestamp } = parseDigestDate(section.date) || {};
+
+  return {
+    id: String(section.id),
+    score: section.reasons ? Math.min(section.score * (PRODUCTION_CONFIG.search.rrfK + 1) / 2, 1) : 1,
+    metadata: {
+      publisher: section.company,
+      date,
+      timestamp,
+      title: section.title,
+      content: section.content,
+      document_id: section.document_id,
+      heading_id: section.heading_id,
+      ...(section.reasons && { reasons: formatReasons(section.reasons) })
+    }
+  };
+}
+
+/**
+ * Search the Postgres sections: a known publisher's passages ranked by mentions of its
+ * names and similarity to them, or any section mentioning unknown input as typed
+ */
+async function searchSections(scope, filters, limit) {
+  const query = scope.names.map(name => (/\s/.test(name) ? `"${name}"` : name)).join(' or ');
+  const sections = await hybridSearch.search(query, { ...filters, company: scope.company }, { limit });
+  return sections.map(sectionMatch);
 }
 
 /**
- * Search Pinecone for publisher content
+ * Search for publisher content, in Postgres through the hybrid search layer when a database
+ * is configured, otherwise in Pinecone. Publisher and date scoping are part of the query, so
+ * a quiet publisher is not crowded out by busier ones.
+ * options.offsetDays moves the window back, e.g. to the previous period.
  */
-async function searchPublisherContent(publisher, days) {
+async function searchPublisherContent(publisher, days, limit = MAX_RESULTS, { offsetDays = 0 } = {}) {
   try {
-    // Generate search query embedding
-    const query = `${publisher} news updates startup funding product launches weekly digest`;
-    const queryEmbedding = await openaiService.generateQueryEmbedding(query);
+    // The query only ranks within the publisher's window; the filter decides what is eligible
+    const scope = await publisherScope(publisher);
+    const { startDate, endDate } = dateWindow(days, offsetDays);
 
-    // Calculate date filter
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - days);
-    
-    // Search Pinecone with filters
-    const searchParams = {
-      vector: queryEmbedding,
-      topK: 20,
-      includeMetadata: true,
-      filter: {
-        timestamp: { $gte: cutoffDate.toISOString() }
+    if (hybridSearch) {
+      return await searchSections(scope, { dateFrom: startDate, dateTo: endDate }, limit);
+    }
+
+    await ensureServices();
+    const queryEmbedding = await pineconeService.generateQueryEmbedding(`${scope.label} updates`);
+
+    // Re-sent sections are stored as separate vectors with the same content; those are
+    // skipped, so widen topK until enough distinct results are found or the window runs out
+    let topK = limit;
+    let results = [];
+
+    for (;;) {
+      const response = await pineconeService.searchPublisherContent(queryEmbedding, scope.label, {
+        topK,
+        filter: { publisher: scope.filter, timestamp: dayRange(startDate, endDate) }
+      });
+      const matches = response.matches || [];
+      const seen = new Set();
+
+      results = matches.filter(match => {
+        const key = match.metadata?.content || match.id;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+
+      if (results.length >= limit || matches.length < topK || topK >= MAX_TOP_K) {
+        break;
       }
-    };
 
-    const searchResults = await pineconeClient.query(searchParams);
-    
-    // Filter results by publisher name (fuzzy matching)
-    const filteredResults = searchResults.matches.filter(match => {
-      const content = match.metadata?.content || '';
-      const publisherLower = publisher.toLowerCase();
-      return content.toLowerCase().includes(publisherLower) ||
-             match.metadata?.publisher?.toLowerCase().includes(publisherLower);
-    });
+      topK = Math.min(topK * 4, MAX_TOP_K);
+    }
 
     // Sort by relevance score and timestamp
-    filteredResults.sort((a, b) => {
+    results.sort((a, b) => {
       // Primary sort: relevance score
       if (Math.abs(a.score - b.score) > 0.05) {
         return b.score - a.score;
       }
       // Secondary sort: timestamp (newer first)
-      const aTime = new Date(a.metadata?.timestamp || 0).getTime();
-      const bTime = new Date(b.metadata?.timestamp || 0).getTime();
-      return bTime - aTime;
+      return (b.metadata?.timestamp || 0) - (a.metadata?.timestamp || 0);
     });
 
-    return filteredResults.slice(0, 10); // Return top 10 results
+    return results.slice(0, limit);
 
   } catch (error) {
     console.error('Error searching publisher content:', error);
@@ -158,26 +424,59 @@ async function searchPublisherContent(publisher, days) {
   }
 }
 
+/**
+ * Explain an empty search: nothing in the window, or nothing indexed for the publisher at all
+ */
+async function describeEmptyWindow(publisher, days) {
+  const { startDate, endDate } = dateWindow(days);
+  let window = `*${publisher}* between ${startDate} and ${endDate}`;
+
+  try {
+    const scope = await publisherScope(publisher);
+    window = `*${scope.label}* between ${startDate} and ${endDate}`;
+
+    let anyContent;
+    if (hybridSearch) {
+      anyContent = await searchSections(scope, {}, 1);
+    } else {
+      await ensureServices();
+      const queryEmbedding = await pineconeService.generateQueryEmbedding(`${scope.label} updates`);
+      anyContent = (await pineconeService.searchPublisherContent(queryEmbedding, scope.label, {
+        topK: 1,
+        filter: { publisher: scope.filter }
+      })).matches || [];
+    }
+
+    if (anyContent.length > 0) {
+      return `❌ No content indexed for ${window}. Older updates exist; try a longer window.`;
+    }
+
+    return `❌ Nothing has been indexed for *${scope.label}*.\n\n*Suggestions:*\n• Check the publisher name\n• Check if content has been processed recently`;
+
+  } catch (error) {
+    console.error('Error checking publisher content:', error);
+    return `❌ No content found for ${window}.`;
+  }
+}
+
 /**
  * Generate AI summary for publisher content
  */
 async function generatePublisherSummary(publisher, searchResults, days) {
   try {
-    // Combine content from search results
-    const combinedContent = searchResults
-      .map(result => result.metadata?.content || '')
-      .join('\n\n---\n\n')
-      .substring(0, 12000); // Limit to avoid token limits
-
-    // Generate summary using OpenAI
-    const summaryRequest = {
-      publisher,
-      content: combinedContent,
-      timeframe: `${days} days`,
-      resultCount: searchResults.length
-    };
+    await ensureServices();
+
+    // Dated items instead of one truncated blob: long windows are summarized per day or week
+    const items = searchResults.map(result => ({
+      id: result.id,
+      date: result.metadata?.date || result.metadata?.timestamp,
+      content: result.metadata?.content || ''
+    }));
 
-    const summary = await openaiService.generatePublisherSummary(summaryRequest);
+    const summary = await openaiService.generatePublisherSummary(items, {
+      publisher,
+      timeframe: `${days} days`
+    });
     
     return summary;
 
@@ -188,7 +487,17 @@ async function generatePublisherSummary(publisher, searchResults, days) {
 }
 
 module.exports = {
-  handleAccountSummaryCommand,
+  DEFAULT_DAYS,
+  summarizePublisher,
+  summarizeSelection,
+  refreshSummary,
+  comparePeriods,
+  openDetailedView,
+  pageDetailedView,
+  runAccountSummary,
+  resolvePublisherInput,
   searchPublisherContent,
-  generatePublisherSummary
+  describeEmptyWindow,
+  generatePublisherSummary,
+  sectionMatch
 }; 
\ No newline at end of file
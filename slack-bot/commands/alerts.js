@@ -0,0 +1,296 @@
+/**
+ * Alert Rule Commands
+ * /mula alert (registered in commands/index.js) and the notifier the webhook server calls with
+ * each delivery's new and modified sections.
+ */
+
+const { tokenize } = require('../../services/command-args');
+const { parseChannel } = require('../../services/subscriptions');
+const { validateAlertRule, matchAlertRule, KEYWORD_SETS } = require('../../services/alert-rules');
+const { formatAlert } = require('../utils/formatting');
+
+const ALERT_USAGE = '/mula alert add <name> [#channel] [--keywords churn,pause] [--set waiting] [--regex "rpm\\s+down"] [--publisher on3] [--limit 5/hour]';
+
+const VERBS = ['add', 'list', 'remove', 'enable', 'disable'];
+
+const WINDOW_UNITS = { m: 1, min: 1, minute: 1, h: 60, hour: 60, d: 24 * 60, day: 24 * 60 };
+
+const ADD_OPTIONS = ['keywords', 'keyword', 'set', 'regex', 'publisher', 'limit'];
+
+function ephemeral(text) {
+  return { response_type: 'ephemeral', text };
+}
+
+function channelLabel(channel) {
+  return channel.startsWith('#') ? channel : `<#${channel}>`;
+}
+
+function commaList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * "5/hour", "3/30m", "10/day" -> { maxAlerts, windowMinutes }, or null
+ */
+function parseRateLimit(text) {
+  const match = String(text).trim().toLowerCase().match(/^(\d+)\s*\/\s*(\d*)\s*(m|min|minute|h|hour|d|day)s?$/);
+  if (!match) return null;
+
+  return {
+    maxAlerts: Number(match[1]),
+    windowMinutes: Number(match[2] || 1) * WINDOW_UNITS[match[3]]
+  };
+}
+
+/**
+ * Parse "/mula alert" text. add takes a name (quoted for several words), an optional channel
+ * and the rule options; remove, enable and disable take a rule number.
+ * Returns { verb, id } or { verb: 'add', body, publishers } (body in validateAlertRule's shape), or { error }.
+ */
+function parseAlertText(text) {
+  const tokens = tokenize(text || '');
+  let verb = 'list';
+
+  if (tokens[0] && !tokens[0].quoted && VERBS.includes(tokens[0].value.toLowerCase())) {
+    verb = tokens.shift().value.toLowerCase();
+  }
+
+  if (verb === 'list') {
+    return tokens.length === 0 ? { verb } : { error: `Use \`/mula alert add ${tokens.map(token => token.value).join(' ')}\` to add a rule.` };
+  }
+
+  if (verb !== 'add') {
+    const match = tokens.length === 1 && tokens[0].value.match(/^#?(\d+)$/);
+    return match ? { verb, id: Number(match[1]) } : { error: `Please give an alert rule number: \`/mula alert ${verb} <number>\`.` };
+  }
+
+  const body = { keywords: [], keyword_sets: [], patterns: [], companies: [] };
+  const publishers = [];
+  const nameWords = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const { value, quoted } = tokens[i];
+    const option = !quoted && value.match(/^--([a-z]+)(?:=(.*))?$/i);
+
+    if (option) {
+      const name = option[1].toLowerCase();
+      const optionValue = option[2] !== undefined ? option[2] : tokens[++i]?.value;
+
+      if (!ADD_OPTIONS.includes(name)) {
+        return { error: `Unknown option --${name}. Use --keywords, --set, --regex, --publisher or --limit.` };
+      }
+
+      if (!optionValue) {
+        return { error: `Missing value for --${name}.` };
+      }
+
+      if (name === 'keywords' || name === 'keyword') {
+        body.keywords.push(...commaList(optionValue));
+      } else if (name === 'set') {
+        body.keyword_sets.push(...commaList(optionValue));
+      } else if (name === 'regex') {
+        body.patterns.push(optionValue);
+      } else if (name === 'publisher') {
+        publishers.push(...commaList(optionValue));
+      } else {
+        const limit = parseRateLimit(optionValue);
+        if (!limit) return { error: `Invalid --limit: ${optionValue}. Use alerts per period, such as 5/hour or 3/30m.` };
+        body.max_alerts = limit.maxAlerts;
+        body.window_minutes = limit.windowMinutes;
+      }
+      continue;
+    }
+
+    const channel = !quoted && parseChannel(value);
+    if (channel) {
+      body.channel_id = channel;
+      continue;
+    }
+
+    nameWords.push(value);
+  }
+
+  body.name = nameWords.join(' ').trim();
+  if (!body.name) {
+    return { error: 'Please name the rule, e.g. `/mula alert add "Churn risk" --keywords churn`.' };
+  }
+
+  return { verb, body, publishers };
+}
+
+function describeRule(rule, nameOf) {
+  const conditions = [
+    rule.keywords.length > 0 && `keywords: ${rule.keywords.join(', ')}`,
+    rule.keywordSets.length > 0 && `sets: ${rule.keywordSets.join(', ')}`,
+    rule.patterns.length > 0 && `regex: ${rule.patterns.map(pattern => `\`${pattern}\``).join(', ')}`,
+    rule.companies.length > 0 && `publishers: ${rule.companies.map(nameOf).join(', ')}`
+  ].filter(Boolean);
+
+  const status = rule.enabled ? '' : ' · ⏸️ disabled';
+  const suppressed = rule.suppressedCount > 0 ? ` · ${rule.suppressedCount} held back by the limit` : '';
+
+  return `*#${rule.id}* ${rule.name} → ${channelLabel(rule.channel)} · ${conditions.join(' · ')} · at most ${rule.maxAlerts} per ${rule.windowMinutes} min${suppressed}${status}`;
+}
+
+/**
+ * The /mula alert subcommand, backed by an alert rule store
+ * companyRegistry: resolves --publisher filters to company keys and names them in replies
+ */
+function createAlertCommands({ store, companyRegistry }) {
+  const nameOf = key => companyRegistry.getCompanies()[key]?.name || key;
+
+  /**
+   * Resolve --publisher values to company keys; unlike portfolios, anything unclear is an
+   * error, since a rule with part of its filter missing would alert on other publishers
+   */
+  async function resolveCompanies(inputs) {
+    if (inputs.length > 0 && companyRegistry.pool) {
+      await companyRegistry.ensureFresh();
+    }
+
+    const companies = [];
+
+    for (const input of inputs) {
+      const resolution = companyRegistry.resolve(input);
+
+      if (resolution.status === 'ambiguous') {
+        return { error: `"${input}" could be ${resolution.candidates.map(candidate => candidate.name).join(' or ')}; use the one you mean.` };
+      }
+
+      if (resolution.status !== 'resolved') {
+        return { error: `"${input}" is not a known publisher.` };
+      }
+
+      companies.push(resolution.company.key);
+    }
+
+    return { companies };
+  }
+
+  async function add({ body, publishers }, { user, channelId, registry, respond }) {
+    // Like company patterns, regexes run on every ingested section, so only admins set them
+    if (body.patterns.length > 0 && !registry.isAdmin(user.id)) {
+      await respond(ephemeral('🔒 Only admins can add --regex rules. Use --keywords or --set instead.'));
+      return;
+    }
+
+    const resolved = await resolveCompanies(publishers);
+    if (resolved.error) {
+      await respond(ephemeral(`❌ ${resolved.error}`));
+      return;
+    }
+
+    const { errors, rule } = validateAlertRule({ channel_id: channelId, ...body, companies: resolved.companies });
+    if (errors.length > 0) {
+      await respond(ephemeral(`❌ ${errors.join('. ')}. Usage: \`${ALERT_USAGE}\``));
+      return;
+    }
+
+    const created = await store.create(rule, user.id);
+    await respond(ephemeral(`✅ Alert rule added. New and changed sections that match post to ${channelLabel(created.channel)}:\n${describeRule(created, nameOf)}`));
+  }
+
+  return {
+    alert: {
+      description: 'Post newly ingested sections matching keywords, keyword sets, regexes or publishers to a channel',
+      usage: ALERT_USAGE,
+      examples: [
+        '/mula alert add "Churn risk" #cs-alerts --keywords churn,pause --regex "rpm (is )?down"',
+        '/mula alert add "On3 on hold" --publisher on3 --set waiting --limit 3/day',
+        '/mula alert disable 4'
+      ],
+      accepts: text => !parseAlertText(text).error,
+      handler: async (context) => {
+        const { text, user, registry, respond } = context;
+        const parsed = parseAlertText(text);
+
+        if (parsed.error) {
+          await respond(ephemeral(`❌ ${parsed.error}`));
+          return;
+        }
+
+        if (parsed.verb === 'add') {
+          await add(parsed, context);
+          return;
+        }
+
+        if (parsed.verb === 'list') {
+          const rules = await store.list();
+          await respond(ephemeral(rules.length === 0
+            ? `🔕 No alert rules. Add one with \`/mula alert add "Churn risk" --keywords churn\`. Keyword sets: ${Object.keys(KEYWORD_SETS).join(', ')}.`
+            : `🚨 *Alert rules*\n${rules.map(rule => describeRule(rule, nameOf)).join('\n')}`));
+          return;
+        }
+
+        const rule = await store.get(parsed.id);
+        if (!rule) {
+          await respond(ephemeral(`❌ No alert rule #${parsed.id}. \`/mula alert list\` lists them.`));
+          return;
+        }
+
+        if (rule.createdBy !== user.id && !registry.isAdmin(user.id)) {
+          await respond(ephemeral(`🔒 Alert rule #${rule.id} can only be changed by the person who created it or an admin.`));
+          return;
+        }
+
+        if (parsed.verb === 'remove') {
+          await store.remove(rule.id);
+          await respond(ephemeral(`🗑️ Removed alert rule #${rule.id} (${rule.name}).`));
+        } else {
+          const enabled = parsed.verb === 'enable';
+          await store.setEnabled(rule.id, enabled);
+          await respond(ephemeral(enabled
+            ? `▶️ Alert rule #${rule.id} (${rule.name}) is on again.`
+            : `⏸️ Alert rule #${rule.id} (${rule.name}) is off. \`/mula alert enable ${rule.id}\` turns it back on.`));
+        }
+      }
+    }
+  };
+}
+
+/**
+ * The webhook server's alert step: match each new or modified section against the enabled
+ * rules and post the matches, within each rule's rate limit.
+ * sections: [{ id, title, content, date, companies, documentId, headingId }]
+ * Returns { posted, limited }.
+ */
+function createAlertNotifier({ store, client, companyRegistry, logger = console }) {
+  return async function notifyAlerts(sections) {
+    const outcome = { posted: 0, limited: 0 };
+    if (sections.length === 0) return outcome;
+
+    const companies = companyRegistry.getCompanies();
+
+    for (const rule of await store.enabled()) {
+      for (const section of sections) {
+        const match = matchAlertRule(rule, section);
+        if (!match) continue;
+
+        const claim = await store.claimAlert(rule, section.id);
+        if (claim === 'limited') {
+          outcome.limited++;
+          continue;
+        }
+
+        if (claim !== 'claimed') continue;
+
+        try {
+          const names = (section.companies || []).map(key => companies[key]?.name || key);
+          await client.chat.postMessage({ channel: rule.channel, ...formatAlert(rule, section, match, names) });
+          outcome.posted++;
+        } catch (error) {
+          logger.error(`Alert rule ${rule.id} could not post to ${rule.channel}:`, error);
+        }
+      }
+    }
+
+    return outcome;
+  };
+}
+
+module.exports = {
+  createAlertCommands,
+  createAlertNotifier,
+  parseAlertText,
+  parseRateLimit
+};
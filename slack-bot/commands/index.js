@@ -0,0 +1,148 @@
+/**
+ * Slack Commands
+ * The commands and actions every Slack entry point mounts: the Bolt app (Socket Mode or
+ * HTTP receiver), the Express bot server and the webhook server.
+ */
+
+const { createCommandRegistry } = require('../../services/command-registry');
+const {
+  DEFAULT_DAYS,
+  summarizePublisher,
+  summarizeSelection,
+  refreshSummary,
+  comparePeriods,
+  openDetailedView,
+  pageDetailedView
+} = require('./account-summary');
+const { createQueryForwarder } = require('./mula');
+const { createSubscriptionCommands } = require('./subscriptions');
+const { createPortfolioCommands } = require('./portfolio');
+const { createAlertCommands } = require('./alerts');
+const { createOpenItemCommands } = require('./open-items');
+
+/**
+ * Build the command registry.
+ * answerQuery: the /mula handler; the webhook server answers from Postgres, other
+ * entry points forward the command to it (WEBHOOK_SERVER_URL)
+ * client: Slack Web API client for the Detailed View modal; Bolt apps pass their own per request
+ * subscriptions, portfolios, alertRules, trackedItems: stores (services/subscriptions.js,
+ * portfolios.js, alert-rules.js, tracked-items.js) for the /mula subscription, portfolio, alert
+ * and open subcommands; without one those subcommands go to answerQuery, i.e. are forwarded
+ * to the webhook server
+ * companyRegistry: resolves subscription, portfolio, alert and open item publishers to company keys
+ */
+function createSlackCommands({
+  answerQuery = createQueryForwarder(),
+  logger = console,
+  transport,
+  adminUserIds,
+  client,
+  subscriptions,
+  portfolios,
+  alertRules,
+  trackedItems,
+  companyRegistry
+} = {}) {
+  const registry = createCommandRegistry({ logger, transport, adminUserIds, client });
+  const portfolioCommands = createPortfolioCommands({ store: portfolios, companyRegistry });
+
+  // A forwarded subcommand is checked by the webhook server, which routes it again
+  const storedOrForwarded = (store, definitions) => store
+    ? definitions
+    : Object.fromEntries(Object.entries(definitions).map(([word, definition]) => [word, { ...definition, accepts: null, handler: answerQuery }]));
+
+  const subcommands = {
+    ...storedOrForwarded(subscriptions, createSubscriptionCommands({ store: subscriptions, companyRegistry })),
+    ...storedOrForwarded(portfolios, portfolioCommands.subcommands),
+    ...storedOrForwarded(alertRules, createAlertCommands({ store: alertRules, companyRegistry })),
+    ...storedOrForwarded(trackedItems, createOpenItemCommands({ store: trackedItems, companyRegistry }))
+  };
+
+  registry.command({
+    name: '/accountsummary',
+    description: 'AI summary of a publisher\'s recent updates from the digests',
+    usage: '/accountsummary <publisher> [days]',
+    examples: [
+      '/accountsummary TechCrunch 7',
+      '/accountsummary "The Information" 30',
+      '/accountsummary brit co last 2 weeks',
+      '/accountsummary "She Media" --since 2026-01-01 --format brief'
+    ],
+    args: { query: 'required', queryName: 'publisher name', defaultDays: DEFAULT_DAYS },
+    handler: summarizePublisher
+  });
+
+  registry.command({
+    name: '/mula',
+    description: 'Ask about publisher updates; answered from the digest sections with cited sources',
+    usage: '/mula <question>',
+    examples: [
+      '/mula brit.co',
+      '/mula on3 revenue trends last month'
+    ],
+    args: { query: 'required', queryName: 'question or publisher' },
+    subcommands,
+    handler: answerQuery
+  });
+
+  registry.command({
+    name: '/mulahelp',
+    description: 'Show this help',
+    handler: async ({ user, respond }) => {
+      await respond(registry.helpResponse(user));
+    }
+  });
+
+  registry.command({
+    name: '/health',
+    description: 'Check that the bot is running',
+    handler: async ({ respond }) => {
+      await respond({
+        response_type: 'ephemeral',
+        text: '✅ All systems operational',
+        blocks: [
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: '*🏥 Health Check Results*'
+            }
+          },
+          {
+            type: 'section',
+            fields: [
+              { type: 'mrkdwn', text: '*Bot Status:* ✅ Online' },
+              { type: 'mrkdwn', text: `*Transport:* ${registry.transport}` },
+              { type: 'mrkdwn', text: `*Uptime:* ${Math.floor(process.uptime())}s` },
+              { type: 'mrkdwn', text: `*Memory:* ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB` }
+            ]
+          }
+        ]
+      });
+    }
+  });
+
+  // Publisher picker sent when the publisher matches several companies
+  registry.action('select_publisher', summarizeSelection);
+
+  // Buttons under a summary; Refresh and the range picker update the message in place
+  registry.action('refresh_summary', refreshSummary);
+  registry.action('change_range', refreshSummary);
+  registry.action('compare_period', comparePeriods);
+  registry.action('detailed_view', openDetailedView);
+  registry.action('detailed_view_previous', pageDetailedView);
+  registry.action('detailed_view_next', pageDetailedView);
+
+  // Snooze menu in portfolio briefings, which only the server with the portfolios posts
+  if (portfolios) {
+    for (const [actionId, handler] of Object.entries(portfolioCommands.actions)) {
+      registry.action(actionId, handler);
+    }
+  }
+
+  return registry;
+}
+
+module.exports = {
+  createSlackCommands
+};
@@ -0,0 +1,49 @@
+/**
+ * /mula Query Forwarding
+ * Bots running without the digest database (Socket Mode or the HTTP Bolt receiver) hand
+ * /mula questions to the webhook server, which answers them from Postgres. The command is
+ * re-sent as Slack would send it, signed with the shared signing secret, so the server
+ * replies to the original response_url exactly as for a command it received directly.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const FORWARDED_FIELDS = ['command', 'text', 'user_id', 'user_name', 'channel_id', 'team_id', 'response_url', 'trigger_id'];
+
+/**
+ * Create a /mula handler that forwards to the webhook server at serverUrl
+ */
+function createQueryForwarder({ serverUrl = process.env.WEBHOOK_SERVER_URL, signingSecret = process.env.SLACK_SIGNING_SECRET } = {}) {
+  return async function forwardQuery({ payload, respond }) {
+    if (!serverUrl) {
+      await respond({
+        response_type: 'ephemeral',
+        text: '❌ /mula needs WEBHOOK_SERVER_URL to reach the digest server.'
+      });
+      return;
+    }
+
+    const body = new URLSearchParams();
+    for (const field of FORWARDED_FIELDS) {
+      if (payload[field] !== undefined) body.append(field, payload[field]);
+    }
+
+    const rawBody = body.toString();
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    if (signingSecret) {
+      headers['X-Slack-Request-Timestamp'] = timestamp;
+      headers['X-Slack-Signature'] = 'v0=' + crypto.createHmac('sha256', signingSecret)
+        .update(`v0:${timestamp}:${rawBody}`)
+        .digest('hex');
+    }
+
+    await axios.post(`${serverUrl.replace(/\/$/, '')}/slack/commands`, rawBody, { headers });
+  };
+}
+
+module.exports = {
+  createQueryForwarder
+};
@@ -0,0 +1,108 @@
+/**
+ * Open Item Commands
+ * /mula open (registered in commands/index.js): a publisher's tracked status items that are
+ * still in progress or waiting.
+ */
+
+const { PRODUCTION_CONFIG } = require('../../production-config');
+const { tokenize } = require('../../services/command-args');
+const { formatOpenItems } = require('../utils/formatting');
+
+const OPEN_USAGE = '/mula open <publisher> [--stale 7]';
+
+function ephemeral(text) {
+  return { response_type: 'ephemeral', text };
+}
+
+/**
+ * Parse "/mula open" text: a publisher (quoted or not) and --stale days.
+ * Returns { publisher, staleDays } (staleDays null unless given) or { error }.
+ */
+function parseOpenText(text) {
+  const tokens = tokenize(text || '');
+  const publisherWords = [];
+  let staleDays = null;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const { value, quoted } = tokens[i];
+    const option = !quoted && value.match(/^--stale(?:=(.*))?$/i);
+
+    if (option) {
+      const optionValue = option[1] !== undefined ? option[1] : tokens[++i]?.value;
+      staleDays = Number(optionValue);
+      if (!Number.isInteger(staleDays) || staleDays < 1) {
+        return { error: `Invalid --stale: ${optionValue || ''}. Use a number of days such as 7.` };
+      }
+      continue;
+    }
+
+    if (!quoted && value.startsWith('--')) {
+      return { error: `Unknown option ${value}. Use --stale.` };
+    }
+
+    publisherWords.push(value);
+  }
+
+  const publisher = publisherWords.join(' ').trim();
+  return publisher ? { publisher, staleDays } : { error: 'Please specify a publisher.' };
+}
+
+/**
+ * The /mula open subcommand, backed by a tracked item store (services/tracked-items.js)
+ * staleDays: items with no update for this many days are flagged unless --stale is given
+ */
+function createOpenItemCommands({ store, companyRegistry, staleDays = PRODUCTION_CONFIG.statusTracking.staleDays }) {
+  return {
+    open: {
+      description: 'List a publisher\'s digest items still in progress or waiting, flagging stale ones',
+      usage: OPEN_USAGE,
+      examples: [
+        '/mula open brit.co',
+        '/mula open "She Media" --stale 14'
+      ],
+      // "/mula open rate trends" is a question unless it names a publisher
+      accepts: async text => {
+        const parsed = parseOpenText(text);
+        if (parsed.error) return false;
+
+        if (companyRegistry.pool) {
+          await companyRegistry.ensureFresh();
+        }
+
+        return companyRegistry.resolve(parsed.publisher).status !== 'unknown';
+      },
+      handler: async ({ text, respond }) => {
+        const parsed = parseOpenText(text);
+        if (parsed.error) {
+          await respond(ephemeral(`❌ ${parsed.error} Usage: \`${OPEN_USAGE}\``));
+          return;
+        }
+
+        if (companyRegistry.pool) {
+          await companyRegistry.ensureFresh();
+        }
+
+        const resolution = companyRegistry.resolve(parsed.publisher);
+        if (resolution.status === 'ambiguous') {
+          const names = resolution.candidates.map(candidate => `"${candidate.name}"`).join(', ');
+          await respond(ephemeral(`🤔 "${parsed.publisher}" matches several publishers: ${names}. Try again with the one you mean.`));
+          return;
+        }
+
+        if (resolution.status !== 'resolved') {
+          await respond(ephemeral(`❌ "${parsed.publisher}" is not a known publisher.`));
+          return;
+        }
+
+        const days = parsed.staleDays || staleDays;
+        const items = await store.open(resolution.company.key, { staleDays: days });
+        await respond(formatOpenItems(resolution.company.name, items, days));
+      }
+    }
+  };
+}
+
+module.exports = {
+  createOpenItemCommands,
+  parseOpenText
+};
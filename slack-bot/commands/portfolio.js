@@ -0,0 +1,227 @@
+/**
+ * Portfolio Briefing Commands
+ * /mula portfolio (registered in commands/index.js), the snooze menu in briefings, and the
+ * runner the scheduler calls to DM each account manager their morning briefing.
+ */
+
+const { tokenize } = require('../../services/command-args');
+const { parseTimeOfDay, isValidTimezone } = require('../../services/subscriptions');
+const { FIRST_BRIEFING_LOOKBACK_MS } = require('../../services/portfolios');
+const { formatBriefing, slackDate } = require('../utils/formatting');
+
+const PORTFOLIO_USAGE = '/mula portfolio [add|remove <publishers>] [--at 08:00] [--tz America/New_York]';
+
+const VERBS = ['add', 'remove', 'list'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function ephemeral(text) {
+  return { response_type: 'ephemeral', text };
+}
+
+/**
+ * Parse "/mula portfolio" text: a verb, publishers (quoted for several words) and the
+ * briefing time options. Returns { verb, publishers, timeOfDay, timezone } or { error }.
+ */
+function parsePortfolioText(text) {
+  const parsed = { verb: 'list', publishers: [], timeOfDay: null, timezone: null };
+  const tokens = tokenize(text || '');
+
+  if (tokens[0] && !tokens[0].quoted && VERBS.includes(tokens[0].value.toLowerCase())) {
+    parsed.verb = tokens.shift().value.toLowerCase();
+  }
+
+  for (let i = 0; i < tokens.length; i++) {
+    const { value, quoted } = tokens[i];
+    const option = !quoted && value.match(/^--(at|tz)(?:=(.*))?$/i);
+
+    if (option) {
+      const name = option[1].toLowerCase();
+      const optionValue = option[2] !== undefined ? option[2] : tokens[++i]?.value;
+
+      if (name === 'at') {
+        parsed.timeOfDay = parseTimeOfDay(optionValue || '');
+        if (!parsed.timeOfDay) return { error: `Invalid --at: ${optionValue || ''}. Use a time such as 08:00 or 8am.` };
+      } else {
+        if (!optionValue || !isValidTimezone(optionValue)) return { error: `Invalid --tz: ${optionValue || ''}. Use a timezone such as America/New_York.` };
+        parsed.timezone = optionValue;
+      }
+      continue;
+    }
+
+    if (!quoted && value.startsWith('--')) {
+      return { error: `Unknown option ${value}. Use --at or --tz.` };
+    }
+
+    parsed.publishers.push(value.replace(/,$/, ''));
+  }
+
+  if (parsed.verb === 'list' && parsed.publishers.length > 0) {
+    return { error: `Use \`/mula portfolio add ${parsed.publishers.join(' ')}\` to add publishers.` };
+  }
+
+  if (parsed.verb !== 'list' && parsed.publishers.length === 0) {
+    return { error: `Please name the publishers to ${parsed.verb}.` };
+  }
+
+  return parsed;
+}
+
+/**
+ * The /mula portfolio subcommand and the snooze_publisher action, as { subcommands, actions }
+ * companyRegistry: resolves publishers to company keys and names them in replies
+ */
+function createPortfolioCommands({ store, companyRegistry, defaultTimezone = process.env.SUBSCRIPTION_TIMEZONE || 'UTC' }) {
+  const nameOf = key => companyRegistry.getCompanies()[key]?.name || key;
+
+  function describePortfolio(portfolio) {
+    if (!portfolio || portfolio.publishers.length === 0) {
+      return '📒 Your portfolio is empty. Add the publishers you look after with `/mula portfolio add on3 she_media`.';
+    }
+
+    const now = new Date();
+    const publishers = portfolio.publishers.map(({ company, snoozedUntil }) =>
+      snoozedUntil && new Date(snoozedUntil) > now ? `${nameOf(company)} (😴 until ${slackDate(snoozedUntil)})` : nameOf(company)
+    );
+
+    return `📒 *Your portfolio:* ${publishers.join(', ')}\n` +
+      `Daily DM briefing at ${portfolio.timeOfDay} (${portfolio.timezone}), next ${slackDate(portfolio.nextRunAt)}. It covers sections ingested since the previous briefing.`;
+  }
+
+  /**
+   * Resolve typed publishers to company keys; anything ambiguous or unknown is reported
+   */
+  async function resolveCompanies(inputs) {
+    if (companyRegistry.pool) {
+      await companyRegistry.ensureFresh();
+    }
+
+    const companies = [];
+    const problems = [];
+
+    for (const input of inputs) {
+      const resolution = companyRegistry.resolve(input);
+
+      if (resolution.status === 'resolved') {
+        companies.push(resolution.company.key);
+      } else if (resolution.status === 'ambiguous') {
+        problems.push(`"${input}" could be ${resolution.candidates.map(candidate => candidate.name).join(' or ')}`);
+      } else {
+        problems.push(`"${input}" is not a known publisher`);
+      }
+    }
+
+    return { companies: [...new Set(companies)], problems };
+  }
+
+  async function userTimezone(client, userId) {
+    if (!client) return defaultTimezone;
+
+    try {
+      const profile = await client.users.info({ user: userId });
+      return profile.user?.tz || defaultTimezone;
+    } catch (error) {
+      return defaultTimezone;
+    }
+  }
+
+  const subcommands = {
+    portfolio: {
+      description: 'Your publishers, for a daily DM briefing of what was ingested since the last one',
+      usage: PORTFOLIO_USAGE,
+      examples: [
+        '/mula portfolio add on3 she_media "The Information"',
+        '/mula portfolio remove on3',
+        '/mula portfolio --at 7:30am'
+      ],
+      accepts: text => !parsePortfolioText(text).error,
+      handler: async ({ text, user, client, respond }) => {
+        const parsed = parsePortfolioText(text);
+        if (parsed.error) {
+          await respond(ephemeral(`❌ ${parsed.error} Usage: \`${PORTFOLIO_USAGE}\``));
+          return;
+        }
+
+        const notes = [];
+        let portfolio = await store.get(user.id);
+
+        if (parsed.verb !== 'list') {
+          const { companies, problems } = await resolveCompanies(parsed.publishers);
+          notes.push(...problems.map(problem => `⚠️ Skipped: ${problem}.`));
+
+          if (companies.length > 0 && parsed.verb === 'add') {
+            const timezone = parsed.timezone || (portfolio ? portfolio.timezone : await userTimezone(client, user.id));
+            portfolio = await store.add(user.id, companies, { timezone, ...(parsed.timeOfDay && { timeOfDay: parsed.timeOfDay }) });
+          } else if (companies.length > 0 && portfolio) {
+            portfolio = await store.remove(user.id, companies);
+          }
+        }
+
+        if ((parsed.timeOfDay || parsed.timezone) && portfolio) {
+          portfolio = await store.setSchedule(user.id, { timeOfDay: parsed.timeOfDay, timezone: parsed.timezone });
+        }
+
+        await respond(ephemeral([describePortfolio(portfolio), ...notes].join('\n')));
+      }
+    }
+  };
+
+  const actions = {
+    // Snooze menu under each publisher in a briefing; the value is { company, name, days }
+    snooze_publisher: async ({ value, user, respond }) => {
+      const until = new Date(Date.now() + value.days * DAY_MS);
+      const snoozed = await store.snooze(user.id, value.company, until);
+
+      await respond({
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: snoozed
+          ? `😴 ${value.name} is snoozed until ${slackDate(until)} and left out of your briefings until then. \`/mula portfolio add ${value.company}\` wakes it up.`
+          : `❌ ${value.name} is no longer in your portfolio.`
+      });
+    }
+  };
+
+  return { subcommands, actions };
+}
+
+/**
+ * The scheduler's runSubscription for portfolios: DM the sections ingested since the last
+ * briefing for the publishers that are not snoozed. Nothing new means no DM.
+ */
+function createBriefingRunner({ store, client, companyRegistry }) {
+  return async function runBriefing(portfolio, now = new Date()) {
+    const companies = portfolio.publishers
+      .filter(({ snoozedUntil }) => !snoozedUntil || new Date(snoozedUntil) <= now)
+      .map(({ company }) => company);
+
+    if (companies.length === 0) {
+      return { status: 'skipped' };
+    }
+
+    const since = portfolio.lastBriefedAt || new Date(now.getTime() - FIRST_BRIEFING_LOOKBACK_MS);
+    const sections = await store.newSections(companies, since);
+
+    const groups = companies
+      .map(company => ({
+        company,
+        name: companyRegistry.getCompanies()[company]?.name || company,
+        sections: sections.filter(section => section.company_key === company)
+      }))
+      .filter(group => group.sections.length > 0);
+
+    if (groups.length === 0) {
+      return { status: 'skipped' };
+    }
+
+    // Posting to a user ID opens the app's DM with them
+    await client.chat.postMessage({ channel: portfolio.userId, ...formatBriefing(groups, since) });
+    return { status: 'posted' };
+  };
+}
+
+module.exports = {
+  createPortfolioCommands,
+  createBriefingRunner,
+  parsePortfolioText
+};
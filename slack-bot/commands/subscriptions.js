@@ -0,0 +1,277 @@
+/**
+ * Digest Subscription Commands
+ * /mula subscribe, subscriptions, pause, resume and unsubscribe (registered in commands/index.js),
+ * and the runner the scheduler calls to post a subscription's digest.
+ */
+
+const {
+  CADENCES,
+  parseSubscriptionText,
+  describeSchedule
+} = require('../../services/subscriptions');
+const { generatePublisherSummary, sectionMatch } = require('./account-summary');
+const { formatSlackResponse, slackDate } = require('../utils/formatting');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SUBSCRIBE_USAGE = '/mula subscribe <publisher> daily|weekly [#channel] [--day monday] [--at 09:00] [--tz America/New_York] [--format brief]';
+
+function ephemeral(text) {
+  return { response_type: 'ephemeral', text };
+}
+
+function channelLabel(channel) {
+  return channel.startsWith('#') ? channel : `<#${channel}>`;
+}
+
+function describeSubscription(subscription) {
+  const status = subscription.paused ? ' · ⏸️ paused' : ` · next ${slackDate(subscription.nextRunAt)}`;
+  const last = subscription.lastStatus ? ` · last run ${subscription.lastStatus}` : '';
+  return `*#${subscription.id}* ${subscription.publisher} — ${describeSchedule(subscription)} → ${channelLabel(subscription.channel)}${status}${last}`;
+}
+
+function parseId(text) {
+  const match = (text || '').trim().match(/^#?(\d+)$/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * The ID of a channel typed as "#name", looked up among the channels the bot can see; IDs
+ * pass through. Returns null when no such channel is found.
+ */
+async function resolveChannel(client, channel) {
+  if (!channel.startsWith('#')) return channel;
+
+  const name = channel.slice(1).toLowerCase();
+  let cursor;
+
+  do {
+    const page = await client.conversations.list({ types: 'public_channel,private_channel', exclude_archived: true, limit: 1000, cursor });
+    const found = (page.channels || []).find(candidate => candidate.name === name);
+    if (found) return found.id;
+    cursor = page.response_metadata?.next_cursor;
+  } while (cursor);
+
+  return null;
+}
+
+/**
+ * Subcommand definitions for /mula, backed by a subscription store
+ * companyRegistry: resolves the publisher; digests are built from its passages
+ * defaultTimezone: used when neither --tz nor the user's Slack profile gives one
+ */
+function createSubscriptionCommands({ store, companyRegistry, defaultTimezone = process.env.SUBSCRIPTION_TIMEZONE || 'UTC' }) {
+  /**
+   * Look up the subscription named by the command text, checking the user may change it
+   */
+  async function findOwned({ text, user, registry, respond }, usage) {
+    const id = parseId(text);
+    if (!id) {
+      await respond(ephemeral(`❌ Please give a subscription number. Usage: \`${usage}\``));
+      return null;
+    }
+
+    const subscription = await store.get(id);
+    if (!subscription) {
+      await respond(ephemeral(`❌ No subscription #${id}. \`/mula subscriptions\` lists them.`));
+      return null;
+    }
+
+    if (subscription.createdBy !== user.id && !registry.isAdmin(user.id)) {
+      await respond(ephemeral(`🔒 Subscription #${id} can only be changed by the person who created it or an admin.`));
+      return null;
+    }
+
+    return subscription;
+  }
+
+  return {
+    subscribe: {
+      description: 'Post a publisher digest to a channel on a schedule (this channel unless one is given)',
+      usage: SUBSCRIBE_USAGE,
+      examples: [
+        '/mula subscribe brit.co weekly #brit-account',
+        '/mula subscribe "She Media" daily --at 8am --tz America/Los_Angeles'
+      ],
+      accepts: text => !parseSubscriptionText(text, { defaultTimezone }).error,
+      handler: async ({ text, user, channelId, client, respond }) => {
+        // The user's own timezone, unless the command sets one
+        let timezone = defaultTimezone;
+        if (client && !/--tz\b/i.test(text)) {
+          try {
+            const profile = await client.users.info({ user: user.id });
+            timezone = profile.user?.tz || timezone;
+          } catch (error) {
+            // Keep the default timezone
+          }
+        }
+
+        const parsed = parseSubscriptionText(text, { defaultTimezone: timezone });
+        if (parsed.error) {
+          await respond(ephemeral(`❌ ${parsed.error} Usage: \`${SUBSCRIBE_USAGE}\``));
+          return;
+        }
+
+        if (companyRegistry.pool) {
+          await companyRegistry.ensureFresh();
+        }
+
+        const resolution = companyRegistry.resolve(parsed.publisher);
+        if (resolution.status === 'ambiguous') {
+          const names = resolution.candidates.map(candidate => `"${candidate.name}"`).join(', ');
+          await respond(ephemeral(`🤔 "${parsed.publisher}" matches several publishers: ${names}. Subscribe again with the one you mean.`));
+          return;
+        }
+
+        if (resolution.status !== 'resolved') {
+          await respond(ephemeral(`❌ "${parsed.publisher}" is not a known publisher.`));
+          return;
+        }
+
+        // Stored as an ID, which is what /mula subscriptions lists by
+        let channel = parsed.channel || channelId;
+        if (channel.startsWith('#')) {
+          channel = client ? await resolveChannel(client, channel) : null;
+          if (!channel) {
+            await respond(ephemeral(`❌ Could not find ${parsed.channel}. Pick the channel from Slack's # menu, and invite the bot if the channel is private.`));
+            return;
+          }
+        }
+
+        const subscription = await store.subscribe({
+          ...parsed,
+          publisher: resolution.company.name,
+          channel
+        }, user.id);
+
+        await respond(ephemeral(
+          `✅ Subscription #${subscription.id}: *${subscription.publisher}* digest ${describeSchedule(subscription)} in ${channelLabel(subscription.channel)}. ` +
+          `First post ${slackDate(subscription.nextRunAt)}; runs with nothing new since the last post are skipped.`
+        ));
+      }
+    },
+
+    subscriptions: {
+      description: 'List the digest subscriptions posting to this channel (`all` for every channel)',
+      usage: '/mula subscriptions [all]',
+      accepts: text => /^all$/i.test(text),
+      handler: async ({ text, channelId, respond }) => {
+        const all = /^all$/i.test(text.trim());
+        const subscriptions = await store.list({ channel: all ? null : channelId });
+
+        if (subscriptions.length === 0) {
+          await respond(ephemeral(`📭 No digest subscriptions${all ? '' : ' post to this channel'}. Add one with \`/mula subscribe <publisher> weekly\`.`));
+          return;
+        }
+
+        await respond(ephemeral(`📬 *Digest subscriptions*\n${subscriptions.map(describeSubscription).join('\n')}`));
+      }
+    },
+
+    pause: {
+      description: 'Stop posting a subscription until it is resumed',
+      usage: '/mula pause <subscription number>',
+      accepts: text => parseId(text) !== null,
+      handler: async (context) => {
+        const subscription = await findOwned(context, '/mula pause <subscription number>');
+        if (!subscription) return;
+
+        await store.setPaused(subscription.id, true);
+        await context.respond(ephemeral(`⏸️ Paused subscription #${subscription.id} (${subscription.publisher}). \`/mula resume ${subscription.id}\` restarts it.`));
+      }
+    },
+
+    resume: {
+      description: 'Restart a paused subscription from its next scheduled time',
+      usage: '/mula resume <subscription number>',
+      accepts: text => parseId(text) !== null,
+      handler: async (context) => {
+        const subscription = await findOwned(context, '/mula resume <subscription number>');
+        if (!subscription) return;
+
+        const resumed = await store.setPaused(subscription.id, false);
+        await context.respond(ephemeral(`▶️ Resumed subscription #${resumed.id} (${resumed.publisher}); next post ${slackDate(resumed.nextRunAt)}.`));
+      }
+    },
+
+    unsubscribe: {
+      description: 'Delete a subscription',
+      usage: '/mula unsubscribe <subscription number>',
+      accepts: text => parseId(text) !== null,
+      handler: async (context) => {
+        const subscription = await findOwned(context, '/mula unsubscribe <subscription number>');
+        if (!subscription) return;
+
+        await store.unsubscribe(subscription.id);
+        await context.respond(ephemeral(`🗑️ Removed subscription #${subscription.id} (${subscription.publisher} in ${channelLabel(subscription.channel)}).`));
+      }
+    }
+  };
+}
+
+/**
+ * The scheduler's runSubscription: the account summary pipeline (summarize,
+ * formatSlackResponse) over the publisher's passages in the cadence's window, read from the
+ * sections the webhook server stores, posted with chat.postMessage. Only sections stored after
+ * the newest one in the last post count, so a quiet week posts nothing.
+ * getPassages: the webhook server's passage query; each passage has stored_at, when its
+ * section was stored, in epoch milliseconds
+ * companyRegistry: resolves the subscription's publisher to its company key
+ */
+function createSubscriptionRunner({ client, getPassages, companyRegistry }) {
+  return async function runSubscription(subscription, now = new Date()) {
+    const { days } = CADENCES[subscription.cadence];
+
+    if (companyRegistry.pool) {
+      await companyRegistry.ensureFresh();
+    }
+
+    const resolution = companyRegistry.resolve(subscription.publisher);
+    if (resolution.status !== 'resolved') {
+      throw new Error(`"${subscription.publisher}" is not a known publisher`);
+    }
+
+    const passages = await getPassages({
+      company: resolution.company.key,
+      dateFrom: new Date(now.getTime() - days * DAY_MS).toISOString().split('T')[0],
+      storedAfter: subscription.lastContentAt
+    });
+
+    if (passages.length === 0) {
+      return { status: 'skipped' };
+    }
+
+    const fresh = passages.map(sectionMatch);
+    const summary = await generatePublisherSummary(subscription.publisher, fresh, days);
+    const message = formatSlackResponse(subscription.publisher, summary, fresh, days, subscription.format);
+
+    // Above the buttons: where the post comes from and how to stop it
+    message.blocks.splice(message.blocks.length - 1, 0, {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `📬 ${subscription.cadence[0].toUpperCase()}${subscription.cadence.slice(1)} digest (subscription #${subscription.id}) • \`/mula unsubscribe ${subscription.id}\` to stop`
+        }
+      ]
+    });
+
+    await client.chat.postMessage({
+      channel: subscription.channel,
+      text: message.text,
+      blocks: message.blocks,
+      unfurl_links: false,
+      unfurl_media: false
+    });
+
+    return {
+      status: 'posted',
+      newestContentAt: Math.max(...passages.map(passage => Number(passage.stored_at)))
+    };
+  };
+}
+
+module.exports = {
+  createSubscriptionCommands,
+  createSubscriptionRunner
+};
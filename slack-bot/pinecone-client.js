@@ -777,10 +777,7 @@ class PineconeService {
 
     for (let attempt = 0; attempt < ERROR_CONFIG.maxRetries; attempt++) {
       try {
-        return await Promise.race([
-          operation(),
-          this.timeoutPromise(ERROR_CONFIG.timeoutMs)
-        ]);
+        return await this.withTimeout(operation(), ERROR_CONFIG.timeoutMs);
 
       } catch (error) {
         lastError = error;
@@ -800,12 +797,20 @@ class PineconeService {
   }
 
   /**
-   * Create timeout promise
+   * Race a promise against a timeout, clearing the timer once either settles so a pending
+   * timeout does not keep the process alive
    */
-  timeoutPromise(ms) {
-    return new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Operation timeout')), ms);
+  async withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('Operation timeout')), ms);
     });
+
+    try {
+      return await Promise.race([promise, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
   /**
@@ -829,10 +834,7 @@ class PineconeService {
       const startTime = Date.now();
       
       // Simple health check - get index stats
-      await Promise.race([
-        this.getIndexStats(),
-        this.timeoutPromise(HEALTH_CONFIG.timeoutMs)
-      ]);
+      await this.withTimeout(this.getIndexStats(), HEALTH_CONFIG.timeoutMs);
 
       const duration = Date.now() - startTime;
       
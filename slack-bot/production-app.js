@@ -1,376 +1,11 @@
 /**
  * MulaBot Production Slack Application
- * Enhanced features for business intelligence queries
+ * Kept as an entry point for existing deployments. Commands come from the shared registry
+ * (commands/index.js), so this behaves exactly like app.js; /mula questions are forwarded to
+ * the webhook server at WEBHOOK_SERVER_URL.
  */
 
-const { App } = require('@slack/bolt');
-const axios = require('axios');
 require('dotenv').config();
+const { startSlackApp } = require('./app');
 
-// Enhanced production configuration
-const PRODUCTION_CONFIG = {
-  webhookServerUrl: process.env.WEBHOOK_SERVER_URL || 'https://mulabot-web-production.up.railway.app',
-  slack: {
-    token: process.env.SLACK_BOT_TOKEN,
-    signingSecret: process.env.SLACK_SIGNING_SECRET,
-    socketMode: process.env.SLACK_SOCKET_MODE === 'true',
-    appToken: process.env.SLACK_APP_TOKEN,
-    port: process.env.PORT || 3001
-  },
-  search: {
-    maxResults: 5,
-    enableAnalytics: true,
-    partnershipKeywords: ['partnership', 'collaboration', 'revenue', 'optimization', 'launch', 'rollout'],
-    priorityPublishers: ['brit.co', 'on3.com', 'shemedia.com', 'aditude.io']
-  }
-};
-
-// Initialize Slack app
-const app = new App({
-  token: PRODUCTION_CONFIG.slack.token,
-  signingSecret: PRODUCTION_CONFIG.slack.signingSecret,
-  socketMode: PRODUCTION_CONFIG.slack.socketMode,
-  appToken: PRODUCTION_CONFIG.slack.appToken,
-  port: PRODUCTION_CONFIG.slack.port
-});
-
-/**
- * Enhanced webhook server query with production features
- */
-async function queryWebhookServer(searchQuery = '') {
-  try {
-    const response = await axios.get(`${PRODUCTION_CONFIG.webhookServerUrl}/health`);
-    const healthData = response.data;
-    
-    // If no search query, return health status
-    if (!searchQuery.trim()) {
-      return {
-        type: 'health',
-        data: healthData,
-        sections: []
-      };
-    }
-    
-    // For search queries, we'll simulate enhanced search
-    // In production, the webhook server would have a search endpoint
-    return {
-      type: 'search',
-      query: searchQuery,
-      sections: [], // Would be populated by production search endpoint
-      summary: `Searching for "${searchQuery}" in ${healthData.storedSections || 0} sections...`,
-      analytics: {
-        timestamp: new Date().toISOString(),
-        query: searchQuery
-      }
-    };
-    
-  } catch (error) {
-    console.error('❌ Failed to query webhook server:', error.message);
-    return { 
-      type: 'error',
-      error: error.message,
-      sections: [],
-      summary: 'Unable to connect to MulaBot data server'
-    };
-  }
-}
-
-/**
- * Enhanced /mula command with business intelligence features
- */
-app.command('/mula', async ({ command, ack, respond }) => {
-  await ack();
-
-  const query = command.text.trim();
-  console.log(`📊 /mula command received: "${query}"`);
-
-  try {
-    // Query webhook server
-    const result = await queryWebhookServer(query);
-    
-    if (result.type === 'error') {
-      await respond({
-        response_type: 'in_channel',
-        text: '❌ MulaBot is currently unavailable',
-        blocks: [
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: `🔴 *MulaBot Error*\n${result.summary}`
-            }
-          }
-        ]
-      });
-      return;
-    }
-
-    if (result.type === 'health') {
-      await respond({
-        response_type: 'in_channel',
-        text: '📊 MulaBot System Status',
-        blocks: [
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: `🟢 *MulaBot System Status*\n\n` +
-                    `📄 *Sections Stored:* ${result.data.storedSections || 0}\n` +
-                    `⚡ *Status:* ${result.data.status}\n` +
-                    `🕐 *Last Updated:* ${new Date(result.data.timestamp).toLocaleString()}\n\n` +
-                    `💡 *Usage:* \`/mula [search query]\` to search business data`
-            }
-          }
-        ]
-      });
-      return;
-    }
-
-    // Enhanced search response
-    const searchBlocks = [
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: `🔍 *MulaBot Search Results*\n${result.summary}`
-        }
-      }
-    ];
-
-    // Add partnership-specific insights
-    if (PRODUCTION_CONFIG.search.partnershipKeywords.some(keyword => 
-         query.toLowerCase().includes(keyword))) {
-      searchBlocks.push({
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: `🤝 *Partnership Intelligence Mode Activated*\nSearching partnerships, collaborations, and revenue data...`
-        }
-      });
-    }
-
-    // Add publisher-specific insights
-    const mentionedPublisher = PRODUCTION_CONFIG.search.priorityPublishers.find(pub => 
-      query.toLowerCase().includes(pub.toLowerCase())
-    );
-    if (mentionedPublisher) {
-      searchBlocks.push({
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: `🏢 *Publisher Focus: ${mentionedPublisher}*\nFiltering results for this priority publisher...`
-        }
-      });
-    }
-
-    // Production note
-    searchBlocks.push({
-      type: 'context',
-      elements: [
-        {
-          type: 'mrkdwn',
-          text: `🚀 Running in Production Mode | Query logged for analytics | ${new Date().toLocaleString()}`
-        }
-      ]
-    });
-
-    await respond({
-      response_type: 'in_channel',
-      text: `🔍 Search results for "${query}"`,
-      blocks: searchBlocks
-    });
-
-    // Log analytics in production
-    if (PRODUCTION_CONFIG.search.enableAnalytics) {
-      console.log('📊 Production Analytics:', {
-        timestamp: new Date().toISOString(),
-        query,
-        user: command.user_name,
-        channel: command.channel_name,
-        isPartnership: PRODUCTION_CONFIG.search.partnershipKeywords.some(k => 
-          query.toLowerCase().includes(k)),
-        mentionedPublisher
-      });
-    }
-
-  } catch (error) {
-    console.error('❌ /mula command error:', error);
-    await respond({
-      response_type: 'ephemeral',
-      text: '❌ An error occurred while processing your request. Please try again.'
-    });
-  }
-});
-
-/**
- * Enhanced /accountsummary command
- */
-app.command('/accountsummary', async ({ command, ack, respond }) => {
-  await ack();
-
-  const text = command.text.trim();
-  const parts = text.split(' ');
-  const publisher = parts[0] || 'All Publishers';
-  const days = parseInt(parts[1]) || 7;
-
-  const isKnownPublisher = PRODUCTION_CONFIG.search.priorityPublishers.includes(publisher.toLowerCase());
-
-  await respond({
-    response_type: 'in_channel',
-    text: `📊 Account Summary: ${publisher}`,
-    blocks: [
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: `📊 *Account Summary for ${publisher}*\n` +
-                `📅 *Period:* Last ${days} days\n` +
-                `${isKnownPublisher ? '⭐ *Priority Publisher*' : '📌 *General Publisher*'}`
-        }
-      },
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: `🔍 *Generating comprehensive report...*\n\n` +
-                `• Partnership status and updates\n` +
-                `• Revenue and optimization metrics\n` +
-                `• Recent collaboration activities\n` +
-                `• Action items and next steps`
-        }
-      },
-      {
-        type: 'context',
-        elements: [
-          {
-            type: 'mrkdwn',
-            text: `🚀 Production Mode | Enhanced BI Analysis | ${new Date().toLocaleString()}`
-          }
-        ]
-      }
-    ]
-  });
-
-  // Query actual data
-  try {
-    const result = await queryWebhookServer(publisher);
-    // Follow up with real data analysis
-    setTimeout(async () => {
-      await respond({
-        response_type: 'in_channel',
-        text: '📊 Analysis Complete',
-        blocks: [
-          {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: `✅ *Analysis Complete for ${publisher}*\n\n` +
-                    `📄 Found data across ${result.data?.storedSections || 0} document sections\n` +
-                    `🔍 Use \`/mula ${publisher}\` for detailed search results`
-            }
-          }
-        ]
-      });
-    }, 2000);
-
-  } catch (error) {
-    console.error('❌ Account summary error:', error);
-  }
-});
-
-/**
- * Enhanced help command
- */
-app.command('/mulahelp', async ({ command, ack, respond }) => {
-  await ack();
-
-  await respond({
-    response_type: 'ephemeral',
-    text: '🤖 MulaBot Production Help',
-    blocks: [
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: `🤖 *MulaBot Production Commands*\n\n` +
-                `🔍 \`/mula [query]\` - Search business intelligence data\n` +
-                `📊 \`/accountsummary [publisher] [days]\` - Get publisher summary\n` +
-                `❓ \`/mulahelp\` - Show this help message`
-        }
-      },
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: `🎯 *Search Examples:*\n` +
-                `• \`/mula partnership\` - Find partnership updates\n` +
-                `• \`/mula brit.co revenue\` - Brit.co revenue data\n` +
-                `• \`/mula on3 launch\` - On3 launch information\n` +
-                `• \`/mula optimization\` - Ad optimization updates`
-        }
-      },
-      {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: `🏢 *Priority Publishers:*\n` +
-                PRODUCTION_CONFIG.search.priorityPublishers.map(pub => `• ${pub}`).join('\n')
-        }
-      },
-      {
-        type: 'context',
-        elements: [
-          {
-            type: 'mrkdwn',
-            text: `🚀 MulaBot Production v1.0 | Enhanced Business Intelligence | ${new Date().toLocaleString()}`
-          }
-        ]
-      }
-    ]
-  });
-});
-
-/**
- * Start the production Slack bot
- */
-(async () => {
-  try {
-    const port = PRODUCTION_CONFIG.slack.port;
-    
-    if (PRODUCTION_CONFIG.slack.socketMode) {
-      await app.start();
-      console.log('🚀 MulaBot Production started in Socket Mode!');
-      console.log('🔧 Enhanced Business Intelligence features enabled');
-      console.log('📱 Bot is ready to receive production commands');
-    } else {
-      await app.start(port);
-      console.log(`🚀 MulaBot Production started on port ${port}!`);
-      console.log('🌐 HTTP mode - requires public URL');
-    }
-    
-    // Production configuration summary
-    console.log('\n📋 Production Configuration:');
-    console.log(`   Mode: ${PRODUCTION_CONFIG.slack.socketMode ? 'Socket Mode' : 'HTTP Mode'}`);
-    console.log(`   Webhook Server: ${PRODUCTION_CONFIG.webhookServerUrl}`);
-    console.log(`   Port: ${port}`);
-    console.log(`   Analytics: ${PRODUCTION_CONFIG.search.enableAnalytics ? '✅ Enabled' : '❌ Disabled'}`);
-    console.log(`   Bot Token: ${PRODUCTION_CONFIG.slack.token ? '✅ Set' : '❌ Missing'}`);
-    console.log(`   Signing Secret: ${PRODUCTION_CONFIG.slack.signingSecret ? '✅ Set' : '❌ Missing'}`);
-    
-    console.log('\n🎯 Enhanced Commands Available:');
-    console.log('   /mula <query> - Enhanced search with BI features');
-    console.log('   /accountsummary <publisher> [days] - Account analysis');
-    console.log('   /mulahelp - Production help guide');
-    
-    console.log('\n🏢 Priority Publishers Configured:');
-    PRODUCTION_CONFIG.search.priorityPublishers.forEach(pub => {
-      console.log(`   • ${pub}`);
-    });
-    
-    console.log('\n💡 Ready for Production Business Intelligence Queries!');
-    
-  } catch (error) {
-    console.error('❌ Failed to start MulaBot Production:', error);
-    process.exit(1);
-  }
-})(); 
\ No newline at end of file
+startSlackApp({ port: process.env.PORT || 3001 });
@@ -9,13 +9,12 @@ const helmet = require('helmet');
 const compression = require('compression');
 const { createEventAdapter } = require('@slack/events-api');
 const { WebClient } = require('@slack/web-api');
-const { createMessageAdapter } = require('@slack/interactive-messages');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
-// Import our command handlers
-const { handleAccountSummaryCommand, searchPublisherContent, generatePublisherSummary } = require('./commands/account-summary');
-const { formatSlackResponse, formatErrorResponse } = require('./utils/formatting');
+// Shared command registry and its Express mount
+const { createSlackCommands } = require('./commands');
+const { createSlackRouter } = require('../routes/slack');
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -23,7 +22,6 @@ const host = process.env.HOST || '0.0.0.0';
 
 // Slack clients
 const slackEvents = createEventAdapter(process.env.SLACK_SIGNING_SECRET);
-const slackInteractive = createMessageAdapter(process.env.SLACK_SIGNING_SECRET);
 const slackClient = new WebClient(process.env.SLACK_BOT_TOKEN);
 
 // Security middleware
@@ -57,9 +55,13 @@ if (process.env.ENABLE_RATE_LIMITING === 'true') {
   app.use('/slack', limiter);
 }
 
-// JSON parsing middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// JSON parsing middleware; Slack signatures are checked against the raw body
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf.toString('utf8');
+};
+
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
@@ -103,154 +105,8 @@ if (process.env.ENABLE_METRICS === 'true') {
 // Slack Events API
 app.use('/slack/events', slackEvents.requestListener());
 
-// Slack Interactive Components
-app.use('/slack/interactive', slackInteractive.requestListener());
-
-// Manual slash command endpoint (webhook-style)
-app.post('/slack/commands', async (req, res) => {
-  try {
-    const { command, text, user_name, user_id, team_id, channel_id } = req.body;
-    
-    // Verify Slack request (basic validation)
-    if (!command || !user_id) {
-      return res.status(400).json({ error: 'Invalid Slack request' });
-    }
-
-    // Acknowledge immediately
-    res.status(200).json({
-      response_type: 'ephemeral',
-      text: '⏳ Processing your request...'
-    });
-
-    // Handle different commands
-    if (command === '/accountsummary' || command === '/mula') {
-      await handleSlashCommand(command, text, user_name, user_id, channel_id);
-    } else {
-      // Send error response via webhook
-      await sendDelayedResponse(channel_id, {
-        response_type: 'ephemeral',
-        text: `❌ Unknown command: ${command}`
-      });
-    }
-
-  } catch (error) {
-    console.error('Error handling slash command:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-/**
- * Handle slash commands
- */
-async function handleSlashCommand(command, text, userName, userId, channelId) {
-  try {
-    // Parse command text
-    const parts = (text || '').trim().split(/\s+/).filter(Boolean);
-    
-    if (parts.length === 0) {
-      await sendDelayedResponse(channelId, {
-        response_type: 'ephemeral',
-        text: '❌ Please specify a publisher name. Usage: `/accountsummary <publisher> [days]`'
-      });
-      return;
-    }
-
-    const publisher = parts[0];
-    const days = parts.length > 1 ? parseInt(parts[1]) : 7;
-
-    // Validate days parameter
-    if (isNaN(days) || days < 1 || days > 365) {
-      await sendDelayedResponse(channelId, {
-        response_type: 'ephemeral',
-        text: '❌ Invalid days parameter. Please use a number between 1-365.'
-      });
-      return;
-    }
-
-    // Send initial processing message
-    await sendDelayedResponse(channelId, {
-      response_type: 'in_channel',
-      text: `🔍 Searching for ${publisher} updates from the last ${days} days...`,
-      blocks: [
-        {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: `🔍 Searching for *${publisher}* updates from the last *${days} days*...\n_This may take a moment while I analyze the content._`
-          }
-        }
-      ]
-    });
-
-    // Search and generate summary
-    const searchResults = await searchPublisherContent(publisher, days);
-    
-    if (!searchResults || searchResults.length === 0) {
-      await sendDelayedResponse(channelId, {
-        response_type: 'in_channel',
-        text: `❌ No content found for ${publisher} in the last ${days} days.`
-      });
-      return;
-    }
-
-    const summary = await generatePublisherSummary(publisher, searchResults, days);
-    const response = formatSlackResponse(publisher, summary, searchResults, days);
-    
-    await sendDelayedResponse(channelId, response);
-
-    // Log usage
-    console.log(`Account summary generated: ${publisher}, ${days} days, ${searchResults.length} results, user: ${userName}`);
-
-  } catch (error) {
-    console.error('Error in handleSlashCommand:', error);
-    await sendDelayedResponse(channelId, formatErrorResponse(publisher || 'Unknown', error, days));
-  }
-}
-
-/**
- * Send delayed response to Slack channel
- */
-async function sendDelayedResponse(channelId, response) {
-  try {
-    await slackClient.chat.postMessage({
-      channel: channelId,
-      ...response
-    });
-  } catch (error) {
-    console.error('Error sending delayed response:', error);
-  }
-}
-
-// Interactive button handlers
-slackInteractive.action('refresh_summary', async (payload, respond) => {
-  try {
-    const { publisher, days } = JSON.parse(payload.actions[0].value);
-    
-    // Send loading message
-    await respond({
-      response_type: 'ephemeral',
-      text: `🔄 Refreshing ${publisher} summary...`
-    });
-
-    // Generate new summary
-    const searchResults = await searchPublisherContent(publisher, days);
-    const summary = await generatePublisherSummary(publisher, searchResults, days);
-    const response = formatSlackResponse(publisher, summary, searchResults, days);
-
-    // Send updated response
-    await slackClient.chat.postMessage({
-      channel: payload.channel.id,
-      ...response
-    });
-
-  } catch (error) {
-    console.error('Error refreshing summary:', error);
-    await respond({
-      response_type: 'ephemeral',
-      text: '❌ Error refreshing summary'
-    });
-  }
-});
+// Slash commands and interactive components from the shared command registry
+app.use('/slack', createSlackRouter({ registry: createSlackCommands({ transport: 'express', client: slackClient }) }));
 
 // Error handling middleware
 app.use((error, req, res, next) => {
@@ -3,10 +3,38 @@
  * Formats AI-generated publisher summaries for Slack display
  */
 
+// Windows offered by the date range picker under a summary
+const RANGE_OPTIONS = [7, 14, 30, 90];
+
+// Source matches per page of the Detailed View modal
+const DETAIL_PAGE_SIZE = 5;
+
+// Briefing lines per publisher before "+N more", and the snooze menu under each publisher
+const BRIEFING_SECTIONS_PER_PUBLISHER = 3;
+const SNOOZE_OPTIONS = [
+  { label: 'for a day', days: 1 },
+  { label: 'for a week', days: 7 },
+  { label: 'for a month', days: 30 }
+];
+
+// Characters of section text either side of the first match in an alert
+const ALERT_SNIPPET_RADIUS = 160;
+
+// Tracked item statuses as shown in /mula open, and the items listed per status
+const ITEM_STATUSES = {
+  in_progress: { emoji: '🔄', label: 'In progress' },
+  waiting: { emoji: '⏸️', label: 'Waiting' },
+  completed: { emoji: '✅', label: 'Completed' },
+  info_only: { emoji: '📧', label: 'Info only' }
+};
+const OPEN_ITEMS_PER_STATUS = 15;
+
 /**
- * Format the main publisher summary response for Slack
+ * Format the main publisher summary response for Slack. The brief format keeps the
+ * highlights and executive summary and leaves out the topic sections and sources.
  */
-function formatSlackResponse(publisher, summary, searchResults, days) {
+function formatSlackResponse(publisher, summary, searchResults, days, format = 'full') {
+  const brief = format === 'brief';
   const blocks = [
     // Header
     {
@@ -48,7 +76,7 @@ function formatSlackResponse(publisher, summary, searchResults, days) {
   }
 
   // Funding and financial news
-  if (summary.fundingNews && summary.fundingNews.length > 0) {
+  if (!brief && summary.fundingNews && summary.fundingNews.length > 0) {
     blocks.push(
       {
         type: 'section',
@@ -68,7 +96,7 @@ function formatSlackResponse(publisher, summary, searchResults, days) {
   }
 
   // Product launches
-  if (summary.productLaunches && summary.productLaunches.length > 0) {
+  if (!brief && summary.productLaunches && summary.productLaunches.length > 0) {
     blocks.push(
       {
         type: 'section',
@@ -88,7 +116,7 @@ function formatSlackResponse(publisher, summary, searchResults, days) {
   }
 
   // Industry trends
-  if (summary.industryTrends && summary.industryTrends.length > 0) {
+  if (!brief && summary.industryTrends && summary.industryTrends.length > 0) {
     blocks.push(
       {
         type: 'section',
@@ -108,7 +136,7 @@ function formatSlackResponse(publisher, summary, searchResults, days) {
   }
 
   // Partnerships and deals
-  if (summary.partnerships && summary.partnerships.length > 0) {
+  if (!brief && summary.partnerships && summary.partnerships.length > 0) {
     blocks.push(
       {
         type: 'section',
@@ -162,8 +190,40 @@ function formatSlackResponse(publisher, summary, searchResults, days) {
     });
   }
 
-  // Action buttons
-  blocks.push({
+  // Source citations
+  const sourcesBlock = brief ? null : formatCitationSources(summary, searchResults);
+  if (sourcesBlock) {
+    blocks.push(sourcesBlock);
+  }
+
+  // Action buttons; each re-runs the summary with the parameters in its value
+  blocks.push(formatSummaryActions(publisher, days, format));
+
+  return {
+    response_type: 'in_channel',
+    text: `📊 ${publisher} Account Summary (${days} days)`,
+    blocks: blocks,
+    unfurl_links: false,
+    unfurl_media: false
+  };
+}
+
+/**
+ * Buttons under a summary: Refresh (updates the message in place), Detailed View (a modal
+ * paging through the source matches), the date range picker and Compare to the previous period
+ */
+function formatSummaryActions(publisher, days, format = 'full') {
+  const value = (overrides = {}) => JSON.stringify({ publisher, days, format, ...overrides });
+  const rangeOption = rangeDays => ({
+    text: {
+      type: 'plain_text',
+      text: `Last ${rangeDays} days`
+    },
+    value: value({ days: rangeDays })
+  });
+  const ranges = [...new Set([...RANGE_OPTIONS, days])].sort((a, b) => a - b);
+
+  return {
     type: 'actions',
     elements: [
       {
@@ -173,7 +233,7 @@ function formatSlackResponse(publisher, summary, searchResults, days) {
           text: '🔄 Refresh'
         },
         action_id: 'refresh_summary',
-        value: JSON.stringify({ publisher, days })
+        value: value()
       },
       {
         type: 'button',
@@ -182,20 +242,294 @@ function formatSlackResponse(publisher, summary, searchResults, days) {
           text: '📊 Detailed View'
         },
         action_id: 'detailed_view',
-        value: JSON.stringify({ publisher, days, searchResults: searchResults.length })
+        value: value()
+      },
+      {
+        type: 'static_select',
+        action_id: 'change_range',
+        placeholder: {
+          type: 'plain_text',
+          text: 'Date range'
+        },
+        initial_option: rangeOption(days),
+        options: ranges.map(rangeOption)
+      },
+      {
+        type: 'button',
+        text: {
+          type: 'plain_text',
+          text: '↔️ Compare to previous period'
+        },
+        action_id: 'compare_period',
+        value: value()
+      }
+    ]
+  };
+}
+
+/**
+ * List the search results cited by the summary as date + title, linked to the Google Doc
+ * section when the metadata has the document (and heading) ID
+ */
+function formatCitationSources(summary, searchResults) {
+  const structured = summary.summary && summary.summary.sections ? summary.summary : summary;
+  const cited = [...new Set((structured.sections || []).flatMap(section => section.citations || []))];
+  if (cited.length === 0) {
+    return null;
+  }
+
+  const resultsById = new Map(searchResults.map(result => [String(result.id), result]));
+  const lines = cited
+    .filter(id => resultsById.has(id))
+    .map((id, index) => {
+      const metadata = resultsById.get(id).metadata || {};
+      const date = metadata.date || (metadata.timestamp ? new Date(metadata.timestamp * 1000).toLocaleDateString() : '');
+      const label = [date, metadata.title || metadata.publisher].filter(Boolean).join(' · ') || id;
+      const url = metadata.url || googleDocUrl(metadata.document_id, metadata.heading_id);
+      return `[${index + 1}] ${url ? `<${url}|${label}>` : label}`;
+    });
+
+  const uncited = (structured.sections || []).filter(section => section.uncited).length;
+  if (uncited > 0) {
+    lines.push(`⚠️ ${uncited} section${uncited === 1 ? '' : 's'} without a source`);
+  }
+
+  return {
+    type: 'context',
+    elements: [
+      {
+        type: 'mrkdwn',
+        text: truncateText(`*Sources:* ${lines.join('\n')}`, 3000)
+      }
+    ]
+  };
+}
+
+/**
+ * Link to a digest section in its Google Doc, at the heading when known
+ */
+function googleDocUrl(documentId, headingId = null) {
+  if (!documentId) return null;
+  return `https://docs.google.com/document/d/${documentId}/edit${headingId ? `#heading=${headingId}` : ''}`;
+}
+
+/**
+ * Morning briefing DM: per publisher, a line for each new section (🆕 new topic, 🔁 continuing
+ * from earlier digests) with the start of the publisher's passage, and a snooze menu.
+ * groups: [{ company, name, sections: [{ title, content, continuing, document_id, heading_id }] }]
+ */
+function formatBriefing(groups, since) {
+  const sectionCount = groups.reduce((sum, group) => sum + group.sections.length, 0);
+  const blocks = [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: '☀️ Your morning briefing'
+      }
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `${sectionCount} new section${sectionCount === 1 ? '' : 's'} for ${groups.length} of your publishers since ${new Date(since).toLocaleString()}`
+        }
+      ]
+    }
+  ];
+
+  for (const group of groups) {
+    const fresh = group.sections.filter(section => !section.continuing).length;
+    const continuing = group.sections.length - fresh;
+    const lines = group.sections.slice(0, BRIEFING_SECTIONS_PER_PUBLISHER).map(section => {
+      const url = googleDocUrl(section.document_id, section.heading_id);
+      const title = section.title || 'Untitled section';
+      const snippet = truncateText((section.content || '').replace(/\s+/g, ' ').trim(), 140);
+      return `${section.continuing ? '🔁' : '🆕'} ${url ? `<${url}|${title}>` : `*${title}*`} — ${snippet}`;
+    });
+
+    const more = group.sections.length - lines.length;
+    if (more > 0) {
+      lines.push(`_+${more} more_`);
+    }
+
+    blocks.push(
+      { type: 'divider' },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: truncateText(`*${group.name}* · ${fresh} new, ${continuing} continuing\n${lines.join('\n')}`, 3000)
+        },
+        accessory: {
+          type: 'overflow',
+          action_id: 'snooze_publisher',
+          options: SNOOZE_OPTIONS.map(({ label, days }) => ({
+            text: {
+              type: 'plain_text',
+              text: `😴 Snooze ${group.name} ${label}`.substring(0, 75)
+            },
+            value: JSON.stringify({ company: group.company, name: group.name, days })
+          }))
+        }
+      }
+    );
+  }
+
+  blocks.push({
+    type: 'context',
+    elements: [
+      {
+        type: 'mrkdwn',
+        text: '🆕 new topic • 🔁 continuing from earlier digests • `/mula portfolio` to change your publishers'
       }
     ]
   });
 
   return {
-    response_type: 'in_channel',
-    text: `📊 ${publisher} Account Summary (${days} days)`,
-    blocks: blocks,
+    text: `☀️ Your morning briefing: ${sectionCount} new section${sectionCount === 1 ? '' : 's'} for ${groups.map(group => group.name).join(', ')}`,
+    blocks,
     unfurl_links: false,
     unfurl_media: false
   };
 }
 
+/**
+ * The text around the first match, with the matches in it in bold. Whitespace is collapsed
+ * after the match offsets are used.
+ */
+function highlightSnippet(text, matches, radius = ALERT_SNIPPET_RADIUS) {
+  if (matches.length === 0) {
+    return truncateText(text.replace(/\s+/g, ' ').trim(), radius * 2);
+  }
+
+  const start = Math.max(0, matches[0].start - radius);
+  const end = Math.min(text.length, matches[0].end + radius);
+  let snippet = '';
+  let cursor = start;
+
+  for (const match of matches) {
+    // Skip matches overlapping one already highlighted, or past the end of the snippet
+    if (match.start < cursor || match.end > end) continue;
+
+    // Slack only bolds *text* that is not inside a word
+    const before = /\w/.test(text[match.start - 1] || '') ? ' ' : '';
+    const after = /\w/.test(text[match.end] || '') ? ' ' : '';
+    snippet += `${text.substring(cursor, match.start)}${before}*${text.substring(match.start, match.end).trim()}*${after}`;
+    cursor = match.end;
+  }
+
+  snippet += text.substring(cursor, end);
+  return `${start > 0 ? '…' : ''}${snippet.replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Alert posted when a newly ingested section matches an alert rule
+ * section: { title, date, documentId, headingId }; match: from matchAlertRule
+ */
+function formatAlert(rule, section, match, publisherNames = []) {
+  const url = googleDocUrl(section.documentId, section.headingId);
+  const title = section.title || 'Untitled section';
+  const terms = [...new Set(match.matches.map(found => found.text.trim().toLowerCase()))];
+  const details = [url ? `<${url}|${title}>` : `*${title}*`, publisherNames.join(', '), section.date].filter(Boolean);
+
+  return {
+    text: `🚨 ${rule.name}: ${title}`,
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `🚨 *${rule.name}*\n${details.join(' · ')}`
+        }
+      },
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `> ${highlightSnippet(match.text, match.matches)}`
+        }
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `${terms.length > 0 ? `Matched ${terms.map(term => `"${term}"`).join(', ')} • ` : ''}Alert rule #${rule.id} • \`/mula alert disable ${rule.id}\` to stop`
+          }
+        ]
+      }
+    ],
+    unfurl_links: false,
+    unfurl_media: false
+  };
+}
+
+/**
+ * "2026-03-01" -> "Mar 1"
+ */
+function shortDay(day) {
+  return new Date(`${day}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * /mula open: a publisher's tracked items still in progress or waiting, grouped by status,
+ * with their status history and stale items flagged
+ * items: from the tracked item store's open(), least recently updated first
+ */
+function formatOpenItems(publisherName, items, staleDays) {
+  if (items.length === 0) {
+    return {
+      response_type: 'ephemeral',
+      text: `📌 No open items for ${publisherName}. Items come from digest bullets marked in progress (🔄) or waiting (⏸️).`
+    };
+  }
+
+  const staleCount = items.filter(item => item.stale).length;
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `📌 *${publisherName}: ${items.length} open item${items.length === 1 ? '' : 's'}*` +
+          (staleCount > 0 ? ` · ⚠️ ${staleCount} with no update for ${staleDays}+ days` : '')
+      }
+    }
+  ];
+
+  for (const [status, { emoji, label }] of Object.entries(ITEM_STATUSES)) {
+    const group = items.filter(item => item.status === status);
+    if (group.length === 0) continue;
+
+    const lines = group.slice(0, OPEN_ITEMS_PER_STATUS).map(item => {
+      const trail = item.history.length > 1
+        ? ` · ${item.history.map(entry => `${ITEM_STATUSES[entry.status]?.emoji || entry.status} ${shortDay(entry.date)}`).join(' → ')}`
+        : '';
+      const stale = item.stale ? ` · ⚠️ no update for ${item.idleDays} days` : '';
+      return `• ${item.text} — ${label.toLowerCase()} since ${shortDay(item.statusSince)} · first seen ${shortDay(item.firstSeenDate)}${trail}${stale}`;
+    });
+
+    if (group.length > lines.length) {
+      lines.push(`_+${group.length - lines.length} more_`);
+    }
+
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: truncateText(`*${emoji} ${label}*\n${lines.join('\n')}`, 3000)
+      }
+    });
+  }
+
+  return {
+    response_type: 'ephemeral',
+    text: `📌 ${publisherName}: ${items.length} open item${items.length === 1 ? '' : 's'}`,
+    blocks
+  };
+}
+
 /**
  * Format error response for Slack
  */
@@ -306,6 +640,50 @@ function formatLoadingResponse(publisher, days) {
   };
 }
 
+/**
+ * Ask which publisher was meant when several are close matches for the input.
+ * Each option carries the publisher and days so the selection can run the summary.
+ */
+function formatPublisherPicker(input, candidates, days, format = 'full') {
+  return {
+    response_type: 'ephemeral',
+    text: `🤔 "${input}" matches several publishers: ${candidates.map(candidate => candidate.name).join(', ')}`,
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `🤔 *"${input}"* matches more than one publisher. Which one did you mean?`
+        },
+        accessory: {
+          type: 'static_select',
+          action_id: 'select_publisher',
+          placeholder: {
+            type: 'plain_text',
+            text: 'Choose a publisher'
+          },
+          options: candidates.map(candidate => ({
+            text: {
+              type: 'plain_text',
+              text: candidate.name
+            },
+            value: JSON.stringify({ publisher: candidate.name, days, format })
+          }))
+        }
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `Summary window: last ${days} days`
+          }
+        ]
+      }
+    ]
+  };
+}
+
 /**
  * Format detailed view response
  */
@@ -328,28 +706,198 @@ function formatDetailedResponse(publisher, searchResults, days) {
   ];
 
   // Add top search results
-  const topResults = searchResults.slice(0, 5);
-  topResults.forEach((result, index) => {
-    const score = Math.round(result.score * 100);
-    const timestamp = new Date(result.metadata?.timestamp || 0).toLocaleDateString();
-    const content = (result.metadata?.content || '').substring(0, 200) + '...';
-    
-    blocks.push({
+  searchResults.slice(0, DETAIL_PAGE_SIZE).forEach((result, index) => {
+    blocks.push(formatSourceMatch(result, index));
+  });
+
+  return {
+    response_type: 'ephemeral',
+    text: `📋 ${publisher} - Detailed Analysis`,
+    blocks: blocks
+  };
+}
+
+/**
+ * One source match: relevance, date, why it matched (hybrid search results) and the
+ * start of its content
+ */
+function formatSourceMatch(result, index) {
+  const score = Math.round(result.score * 100);
+  const timestamp = result.metadata?.date || new Date((result.metadata?.timestamp || 0) * 1000).toLocaleDateString();
+  const reasons = result.metadata?.reasons ? ` · ${result.metadata.reasons}` : '';
+  const content = (result.metadata?.content || '').substring(0, 200) + '...';
+
+  return {
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: `*${index + 1}. Source Match (${score}% relevance)*\n${timestamp}${reasons}\n\`\`\`${content}\`\`\``
+    }
+  };
+}
+
+/**
+ * Detailed View modal: one page of source matches with Previous / Next buttons. Without
+ * searchResults it is the loading view opened while the search runs.
+ */
+function formatDetailedModal(publisher, searchResults, days, page = 0) {
+  const view = {
+    type: 'modal',
+    callback_id: 'detailed_view',
+    title: {
+      type: 'plain_text',
+      text: 'Detailed View'
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Close'
+    },
+    private_metadata: JSON.stringify({ publisher, days, page }),
+    blocks: [
+      {
+        type: 'header',
+        text: {
+          type: 'plain_text',
+          text: truncateText(`📋 ${publisher} - Source Matches`, 150)
+        }
+      }
+    ]
+  };
+
+  if (!searchResults) {
+    view.blocks.push({
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: `*${index + 1}. Source Match (${score}% relevance)*\n${timestamp}\n\`\`\`${content}\`\`\``
+        text: `🔍 Searching the last ${days} days of content...`
       }
     });
+    return view;
+  }
+
+  const pages = Math.max(1, Math.ceil(searchResults.length / DETAIL_PAGE_SIZE));
+  const current = Math.min(Math.max(page, 0), pages - 1);
+  const start = current * DETAIL_PAGE_SIZE;
+
+  view.private_metadata = JSON.stringify({ publisher, days, page: current });
+  view.blocks.push({
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: searchResults.length > 0
+        ? `*Timeframe:* ${days} days\n*Total sources:* ${searchResults.length} • Page ${current + 1} of ${pages}`
+        : `No source matches in the last ${days} days.`
+    }
   });
 
+  searchResults.slice(start, start + DETAIL_PAGE_SIZE).forEach((result, index) => {
+    view.blocks.push(formatSourceMatch(result, start + index));
+  });
+
+  // Paging buttons need their own action IDs; both carry the page to show
+  const pager = [];
+  if (current > 0) {
+    pager.push({
+      type: 'button',
+      text: {
+        type: 'plain_text',
+        text: '◀ Previous'
+      },
+      action_id: 'detailed_view_previous',
+      value: JSON.stringify({ publisher, days, page: current - 1 })
+    });
+  }
+  if (current < pages - 1) {
+    pager.push({
+      type: 'button',
+      text: {
+        type: 'plain_text',
+        text: 'Next ▶'
+      },
+      action_id: 'detailed_view_next',
+      value: JSON.stringify({ publisher, days, page: current + 1 })
+    });
+  }
+  if (pager.length > 0) {
+    view.blocks.push({ type: 'actions', elements: pager });
+  }
+
+  return view;
+}
+
+/**
+ * Compare to previous period: the key highlights (or executive summary) of each window side
+ * by side. periods: [{ label, startDate, endDate, summary, searchResults }], summary null when
+ * the window has no content.
+ */
+function formatComparisonResponse(publisher, days, periods) {
+  const blocks = [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: truncateText(`↔️ ${publisher}: last ${days} days vs the ${days} before`, 150)
+      }
+    },
+    {
+      type: 'section',
+      fields: periods.map(period => ({
+        type: 'mrkdwn',
+        text: `*${period.label}*\n${period.startDate} to ${period.endDate}\n${period.searchResults.length} sources`
+      }))
+    }
+  ];
+
+  for (const period of periods) {
+    let text = '_No content indexed in this window._';
+
+    if (period.summary) {
+      const highlights = period.summary.keyHighlights || [];
+      text = highlights.length > 0
+        ? highlights.map(highlight => `• ${highlight}`).join('\n')
+        : period.summary.executiveSummary || period.summary.summary || 'No summary available.';
+    }
+
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: truncateText(`*${period.label}*\n${typeof text === 'string' ? text : 'No summary available.'}`, 3000)
+      }
+    });
+  }
+
+  const [current, previous] = periods;
+  if (current && previous) {
+    const change = current.searchResults.length - previous.searchResults.length;
+    blocks.push({
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `Activity: ${change === 0 ? 'no change' : `${change > 0 ? '+' : ''}${change} sources`} vs the previous ${days} days`
+        }
+      ]
+    });
+  }
+
   return {
-    response_type: 'ephemeral',
-    text: `📋 ${publisher} - Detailed Analysis`,
-    blocks: blocks
+    response_type: 'in_channel',
+    text: `↔️ ${publisher}: last ${days} days vs the ${days} before`,
+    blocks,
+    unfurl_links: false,
+    unfurl_media: false
   };
 }
 
+/**
+ * A date Slack renders in the reader's own timezone
+ */
+function slackDate(date) {
+  const seconds = Math.floor(new Date(date).getTime() / 1000);
+  return `<!date^${seconds}^{date_short_pretty} at {time}|${new Date(date).toISOString()}>`;
+}
+
 /**
  * Get confidence emoji based on score
  */
@@ -417,8 +965,19 @@ module.exports = {
   formatErrorResponse,
   formatHelpResponse,
   formatLoadingResponse,
+  formatPublisherPicker,
   formatDetailedResponse,
+  formatDetailedModal,
+  formatComparisonResponse,
+  formatSummaryActions,
+  formatBriefing,
+  formatAlert,
+  highlightSnippet,
+  formatOpenItems,
+  googleDocUrl,
+  slackDate,
   formatSourceAttribution,
+  formatCitationSources,
   truncateText,
   getConfidenceEmoji
 }; 
\ No newline at end of file
@@ -0,0 +1,271 @@
+/**
+ * Account Summary Search Tests
+ * Runs the /accountsummary search against the local vector store with LLM_PROVIDER=mock
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const persistPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'account-summary-')), 'vectors.json');
+process.env.VECTOR_STORE = 'local';
+process.env.LLM_PROVIDER = 'mock';
+process.env.LOCAL_VECTOR_STORE_PATH = persistPath;
+
+const { LocalVectorStore } = require('../pinecone-setup/local-vector-store');
+const PineconeService = require('../pinecone-setup/pinecone-client');
+const { PINECONE_CONFIG, NAMESPACE_CONFIG } = require('../pinecone-setup/pinecone-config');
+const { hashEmbedding } = require('../services/llm-provider');
+const { parseDigestDate } = require('../services/digest-dates');
+const CompanyRegistry = require('../services/company-registry');
+const { searchPublisherContent, describeEmptyWindow } = require('../slack-bot/commands/account-summary');
+const { createSlackCommands } = require('../slack-bot/commands');
+
+const commands = createSlackCommands({ answerQuery: jest.fn() });
+const accountSummary = (text, respond) =>
+  commands.dispatchCommand({ command: '/accountsummary', text, user_id: 'U1', user_name: 'sam' }, respond);
+
+const today = new Date().toISOString().split('T')[0];
+
+function digest(id, publisher, content, date = today) {
+  const { timestamp } = parseDigestDate(date);
+  return { id, values: hashEmbedding(content, PINECONE_CONFIG.dimensions), metadata: { publisher, date, timestamp, content } };
+}
+
+describe('account summary search', () => {
+  let searchSpy;
+
+  beforeAll(async () => {
+    jest.spyOn(PineconeService.prototype, 'startHealthMonitoring').mockImplementation(() => {});
+    jest.spyOn(PineconeService.prototype, 'startMetricsCollection').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // Written before the command's services first load the snapshot
+    const store = new LocalVectorStore({ persistPath });
+    await store.createIndex({ name: PINECONE_CONFIG.indexName, dimension: PINECONE_CONFIG.dimensions });
+    await store.index(PINECONE_CONFIG.indexName).namespace(NAMESPACE_CONFIG.daily_digests).upsert([
+      ...Array.from({ length: 30 }, (_, i) => digest(`tc-${i}`, 'techcrunch', `TechCrunch funding round ${i} and product launches`)),
+      digest('eng-1', 'engadget', 'Eng: CPMs flat week over week'),
+      ...Array.from({ length: 5 }, (_, i) => digest(`brit-dup-${i}`, 'brit+co', 'Brit+Co updates')),
+      digest('brit-rpm', 'brit+co', 'Brit+Co RPM up 12% after the homepage redesign'),
+      digest('brit-old', 'brit+co', 'Brit+Co renewal signed', '2020-01-06'),
+      digest('wired-old', 'wired', 'Wired CPMs flat', '2020-01-06')
+    ]);
+  });
+
+  beforeEach(() => {
+    searchSpy = jest.spyOn(PineconeService.prototype, 'searchPublisherContent');
+  });
+
+  afterEach(() => {
+    searchSpy.mockRestore();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    delete process.env.VECTOR_STORE;
+    delete process.env.LLM_PROVIDER;
+    delete process.env.LOCAL_VECTOR_STORE_PATH;
+  });
+
+  test('should find a quiet publisher whose name is not in the content', async () => {
+    const results = await searchPublisherContent('Eng', 7);
+
+    expect(results.map(result => result.id)).toEqual(['eng-1']);
+    expect(searchSpy.mock.calls[0][1]).toBe('engadget');
+    expect(searchSpy.mock.calls[0][2].filter).toEqual({
+      publisher: 'engadget',
+      timestamp: { $gte: expect.any(Number), $lt: parseDigestDate(today).timestamp + 24 * 60 * 60 }
+    });
+  });
+
+  test('should widen topK past duplicate content until enough results are found', async () => {
+    const results = await searchPublisherContent('brit', 7, 2);
+
+    expect(results.map(result => result.metadata.content).sort()).toEqual([
+      'Brit+Co RPM up 12% after the homepage redesign',
+      'Brit+Co updates'
+    ]);
+    expect(searchSpy.mock.calls.map(([, , options]) => options.topK)).toEqual([2, 8]);
+    expect(searchSpy.mock.calls[0][2].filter.publisher).toEqual({ $in: ['brit_co', 'brit+co', 'brit.co'] });
+  });
+
+  test('should report whether the window or the publisher has no content', async () => {
+    expect(await searchPublisherContent('wired.com', 7)).toEqual([]);
+    expect(await describeEmptyWindow('wired.com', 7)).toContain('No content indexed for *wired* between');
+    expect(await describeEmptyWindow('wired.com', 7)).toContain('Older updates exist');
+    expect(await describeEmptyWindow('variety', 7)).toContain('Nothing has been indexed for *variety*');
+  });
+
+  test('should ask which publisher was meant when several match closely', async () => {
+    const registrySpy = jest.spyOn(CompanyRegistry.prototype, 'getCompanies').mockReturnValue({
+      google_ads: { name: 'Google Ads', patterns: [], aliases: ['google ads'], domains: [] },
+      google_adsense: { name: 'Google AdSense', patterns: [], aliases: ['adsense'], domains: [] }
+    });
+    const respond = jest.fn();
+
+    await accountSummary('google 14', respond);
+
+    expect(searchSpy).not.toHaveBeenCalled();
+    const [picker] = respond.mock.calls[0];
+    expect(picker.response_type).toBe('ephemeral');
+    const select = picker.blocks[0].accessory;
+    expect(select.action_id).toBe('select_publisher');
+    expect(select.options.map(option => option.text.text)).toEqual(['Google Ads', 'Google AdSense']);
+
+    respond.mockClear();
+    await commands.dispatchAction({ actions: [{ action_id: 'select_publisher', selected_option: select.options[0] }], user: { id: 'U1', name: 'sam' } }, respond);
+
+    expect(searchSpy.mock.calls[0][2].filter.publisher).toEqual({ $in: ['google_ads', 'Google Ads', 'google ads'] });
+    expect(respond.mock.calls.map(([message]) => message.text)).toEqual([
+      expect.stringContaining('Searching for Google Ads updates from the last 14 days'),
+      expect.stringContaining('Nothing has been indexed for *Google Ads*')
+    ]);
+    registrySpy.mockRestore();
+  });
+
+  test('should take quoted publishers and flags, and reject invalid options', async () => {
+    const respond = jest.fn();
+
+    await accountSummary('"Brit Co" --days 7 --format sideways', respond);
+    expect(respond).toHaveBeenCalledWith({
+      response_type: 'ephemeral',
+      text: '❌ Invalid --format: sideways. Use one of: full, brief, detailed.'
+    });
+    expect(searchSpy).not.toHaveBeenCalled();
+
+    respond.mockClear();
+    await accountSummary('"Variety Magazine" last 2 weeks', respond);
+    expect(respond.mock.calls[0][0].text).toBe('🔍 Searching for Variety Magazine updates from the last 14 days...');
+  });
+
+  test('should refresh and re-range a summary in place', async () => {
+    const respond = jest.fn();
+
+    await accountSummary('eng 7', respond);
+    const summary = respond.mock.calls[1][0];
+    const actions = summary.blocks.find(block => block.type === 'actions').elements;
+    expect(actions.map(element => element.action_id)).toEqual(['refresh_summary', 'detailed_view', 'change_range', 'compare_period']);
+
+    const range = actions.find(element => element.action_id === 'change_range');
+    expect(range.initial_option.text.text).toBe('Last 7 days');
+
+    respond.mockClear();
+    const monthOption = range.options.find(option => option.text.text === 'Last 30 days');
+    await commands.dispatchAction({ actions: [{ action_id: 'change_range', selected_option: monthOption }], user: { id: 'U1', name: 'sam' } }, respond);
+
+    expect(respond.mock.calls.every(([message]) => message.replace_original === true)).toBe(true);
+    expect(respond.mock.calls[0][0].text).toContain('from the last 30 days');
+    expect(respond.mock.calls[1][0].text).toBe('📊 engadget Account Summary (30 days)');
+  });
+
+  test('should compare the window with the previous period', async () => {
+    const respond = jest.fn();
+    const compare = { action_id: 'compare_period', value: JSON.stringify({ publisher: 'brit', days: 7, format: 'full' }) };
+
+    await commands.dispatchAction({ actions: [compare], user: { id: 'U1', name: 'sam' } }, respond);
+
+    expect(searchSpy.mock.calls.map(([, , options]) => options.filter.timestamp.$lt)).toEqual([
+      parseDigestDate(today).timestamp + 24 * 60 * 60,
+      expect.any(Number)
+    ]);
+    const comparison = respond.mock.calls[1][0];
+    expect(comparison.replace_original).toBe(false);
+    expect(comparison.blocks[1].fields.map(field => field.text)).toEqual([
+      expect.stringMatching(/^\*Last 7 days\*[\s\S]*\n2 sources$/),
+      expect.stringMatching(/^\*Previous 7 days\*[\s\S]*\n0 sources$/)
+    ]);
+    expect(comparison.blocks[3].text.text).toContain('No content indexed in this window');
+  });
+
+  test('should open the Detailed View modal and page through the source matches', async () => {
+    const client = {
+      views: {
+        open: jest.fn().mockResolvedValue({ view: { id: 'V1' } }),
+        update: jest.fn().mockResolvedValue({})
+      }
+    };
+    const detailed = { action_id: 'detailed_view', value: JSON.stringify({ publisher: 'TechCrunch', days: 7, format: 'full' }) };
+
+    await commands.dispatchAction({ actions: [detailed], trigger_id: 'T1', user: { id: 'U1' } }, jest.fn(), client);
+
+    expect(client.views.open.mock.calls[0][0]).toMatchObject({ trigger_id: 'T1', view: { type: 'modal' } });
+    const firstPage = client.views.update.mock.calls[0][0];
+    expect(firstPage.view_id).toBe('V1');
+    expect(firstPage.view.blocks[1].text.text).toContain('*Total sources:* 30 • Page 1 of 6');
+
+    const next = firstPage.view.blocks.find(block => block.type === 'actions').elements;
+    expect(next.map(element => element.action_id)).toEqual(['detailed_view_next']);
+
+    // Buttons inside a modal have no response_url
+    client.views.update.mockClear();
+    await commands.dispatchAction({ actions: [next[0]], view: { id: 'V1', hash: 'h1' }, user: { id: 'U1' } }, undefined, client);
+
+    const secondPage = client.views.update.mock.calls[0][0];
+    expect(secondPage).toMatchObject({ view_id: 'V1', hash: 'h1' });
+    expect(secondPage.view.blocks[1].text.text).toContain('Page 2 of 6');
+    expect(secondPage.view.blocks[2].text.text).toMatch(/^\*6\. Source Match/);
+    expect(secondPage.view.blocks.find(block => block.type === 'actions').elements.map(element => element.action_id))
+      .toEqual(['detailed_view_previous', 'detailed_view_next']);
+  });
+});
+
+describe('account summary search with a database', () => {
+  let accountSummary;
+  let query;
+
+  beforeAll(() => {
+    // Stands in for the sections and passages the webhook server stores
+    query = jest.fn(async sql => {
+      if (/websearch_to_tsquery/.test(sql)) {
+        return {
+          rows: [{
+            id: 12, date: new Date('2026-03-02T00:00:00Z'), title: 'Monday, March 2', section_number: 1, document_id: 'doc1', heading_id: 'h.abc',
+            timestamp: new Date('2026-03-02T15:00:00Z'), company: null, content: 'Brit+Co RPM up 12%', rank: '0.3', highlight: '*Brit+Co* RPM up 12%'
+          }]
+        };
+      }
+      return { rows: [] };
+    });
+
+    // An empty companies table keeps the registry's defaults, with a warning
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    process.env.DATABASE_URL = 'postgres://localhost/mulabot_test';
+    process.env.LLM_PROVIDER = 'mock';
+    jest.doMock('pg', () => ({ Pool: jest.fn(() => ({ query })) }));
+    jest.isolateModules(() => {
+      accountSummary = require('../slack-bot/commands/account-summary');
+    });
+    jest.dontMock('pg');
+    delete process.env.DATABASE_URL;
+    delete process.env.LLM_PROVIDER;
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should search the publisher\'s passages in the window through the hybrid search layer', async () => {
+    const searchSpy = jest.spyOn(PineconeService.prototype, 'searchPublisherContent');
+
+    const results = await accountSummary.searchPublisherContent('brit', 7, 5);
+
+    expect(searchSpy).not.toHaveBeenCalled();
+    searchSpy.mockRestore();
+
+    const [, keywordParams] = query.mock.calls.find(([sql]) => /websearch_to_tsquery/.test(sql));
+    expect(keywordParams[0]).toContain('"brit co"');
+    expect(keywordParams.slice(1)).toEqual(['brit_co', expect.any(String), today, 50]);
+    expect(query.mock.calls.some(([sql]) => /JOIN document_embeddings e/.test(sql))).toBe(true);
+
+    expect(results).toEqual([{
+      id: '12',
+      score: expect.any(Number),
+      metadata: expect.objectContaining({
+        publisher: 'brit_co', date: '2026-03-02', timestamp: parseDigestDate('2026-03-02').timestamp,
+        content: 'Brit+Co RPM up 12%', document_id: 'doc1', heading_id: 'h.abc', reasons: 'keyword "brit+co" (#1)'
+      })
+    }]);
+    expect(results[0].score).toBeCloseTo(0.5);
+  });
+});
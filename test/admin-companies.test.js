@@ -0,0 +1,174 @@
+/**
+ * Admin Companies API Tests
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createAdminRouter } = require('../routes/admin');
+
+const TOKEN = 'admin-token-for-tests';
+
+describe('Admin companies API', () => {
+  let app;
+  let pool;
+  let companyRegistry;
+
+  beforeEach(() => {
+    process.env.ADMIN_API_TOKEN = TOKEN;
+
+    pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    companyRegistry = { refresh: jest.fn().mockResolvedValue({}) };
+    const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+    app = express();
+    app.use(express.json());
+    app.use('/admin', createAdminRouter({ pool, logger, companyRegistry }));
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_API_TOKEN;
+  });
+
+  const auth = { Authorization: `Bearer ${TOKEN}` };
+
+  describe('Authentication', () => {
+    test('should reject requests without a token', async () => {
+      const response = await request(app).get('/admin/companies');
+
+      expect(response.status).toBe(401);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    test('should reject requests with the wrong token', async () => {
+      const response = await request(app)
+        .get('/admin/companies')
+        .set('Authorization', 'Bearer wrong-token');
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should be disabled when ADMIN_API_TOKEN is not set', async () => {
+      delete process.env.ADMIN_API_TOKEN;
+
+      const response = await request(app).get('/admin/companies').set(auth);
+
+      expect(response.status).toBe(503);
+    });
+  });
+
+  describe('Create company', () => {
+    test('should create a company with a derived normalized name', async () => {
+      pool.query.mockImplementation(async (sql, params) => {
+        if (/INSERT INTO companies/.test(sql)) {
+          return { rows: [{ name: params[0], normalized_name: params[1] }] };
+        }
+        return { rows: [] };
+      });
+
+      const response = await request(app)
+        .post('/admin/companies')
+        .set(auth)
+        .send({ name: 'Aditude', patterns: ['aditude'], aliases: ['Aditude', 'aditude.io'], domains: ['aditude.io'] });
+
+      expect(response.status).toBe(201);
+      expect(response.body.company.normalized_name).toBe('aditude');
+      expect(companyRegistry.refresh).toHaveBeenCalled();
+    });
+
+    test('should reject invalid regex patterns', async () => {
+      const response = await request(app)
+        .post('/admin/companies')
+        .set(auth)
+        .send({ name: 'Broken', patterns: ['brit(co'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0]).toMatch(/Invalid pattern "brit\(co"/);
+    });
+
+    test('should reject patterns that match empty text', async () => {
+      const response = await request(app)
+        .post('/admin/companies')
+        .set(auth)
+        .send({ name: 'Everything', patterns: ['.*'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0]).toMatch(/matches empty text/);
+    });
+
+    test('should reject patterns that repeat a repeating group', async () => {
+      const response = await request(app)
+        .post('/admin/companies')
+        .set(auth)
+        .send({ name: 'Slow', patterns: ['(\\w+\\s?)*'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0]).toMatch(/repeats a group that itself repeats/);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    test('should reject aliases already used by another company', async () => {
+      pool.query.mockImplementation(async (sql) => {
+        if (/normalized_name <> \$1/.test(sql)) {
+          return { rows: [{ normalized_name: 'brit_co', aliases: ['brit.co', 'britco'], domains: ['brit.co'] }] };
+        }
+        return { rows: [] };
+      });
+
+      const response = await request(app)
+        .post('/admin/companies')
+        .set(auth)
+        .send({ name: 'Brit Media', patterns: ['brit\\s*media'], aliases: ['BritCo'] });
+
+      expect(response.status).toBe(409);
+      expect(response.body.collisions).toEqual([
+        { field: 'aliases', value: 'britco', company: 'brit_co' }
+      ]);
+    });
+  });
+
+  describe('Soft delete', () => {
+    test('should mark the company as deleted instead of removing it', async () => {
+      pool.query.mockResolvedValue({ rows: [{ normalized_name: 'on3', deleted_at: new Date().toISOString() }] });
+
+      const response = await request(app).delete('/admin/companies/on3').set(auth);
+
+      expect(response.status).toBe(200);
+      expect(pool.query.mock.calls[0][0]).toMatch(/UPDATE companies SET deleted_at = CURRENT_TIMESTAMP/);
+    });
+  });
+
+  describe('Pattern preview', () => {
+    test('should list recent sections matched by the patterns', async () => {
+      pool.query.mockResolvedValue({
+        rows: [
+          { id: 1, date: '2024-01-15', title: 'Daily update', content: 'Aditude rollout started on three sites', company: null, section_number: 1 },
+          { id: 2, date: '2024-01-15', title: 'Other', content: 'Nothing relevant here', company: 'on3', section_number: 2 }
+        ]
+      });
+
+      const response = await request(app)
+        .post('/admin/companies/preview')
+        .set(auth)
+        .send({ patterns: ['aditude'], days: 7 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.scanned).toBe(2);
+      expect(response.body.matched).toBe(1);
+      expect(response.body.matches[0]).toMatchObject({ id: 1, matched_text: 'Aditude' });
+    });
+
+    test('should reject a limit that is not a whole number in range', async () => {
+      for (const limit of [0, -5, 2.5, 'ten', 501]) {
+        const response = await request(app)
+          .post('/admin/companies/preview')
+          .set(auth)
+          .send({ patterns: ['aditude'], limit });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details[0]).toMatch(/limit must be a whole number from 1 to 500/);
+      }
+
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+});
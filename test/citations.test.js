@@ -0,0 +1,38 @@
+/**
+ * Citation Tests
+ * Covers validation and Slack rendering of [S<id>] section citations
+ */
+
+const { buildSources, validateCitations, renderCitations } = require('../services/citations');
+
+describe('citations', () => {
+  const sources = buildSources([
+    { id: 12, date: '2024-01-15', title: 'Monday update', document_id: 'doc-1', heading_id: 'h.abc123' },
+    { id: 15, date: '2024-01-16', title: 'Tuesday update', document_id: 'doc-1' },
+    { id: 12, date: '2024-01-15', title: 'Monday update', document_id: 'doc-1', heading_id: 'h.abc123' }
+  ]);
+
+  test('should keep citations of sections that were in the context', () => {
+    const result = validateCitations('- RPM up 12% [S12]\n- Widget launched [S12, S15]', sources);
+
+    expect(result.cited).toEqual(['S12', 'S15']);
+    expect(result.invalid).toEqual([]);
+    expect(result.uncited).toBe(0);
+  });
+
+  test('should remove made-up citations and flag the bullets left without a source', () => {
+    const result = validateCitations('- RPM up 12% [S12, S99]\n- Revenue doubled [S42]', sources);
+
+    expect(result.invalid).toEqual(['S99', 'S42']);
+    expect(result.summary).toBe('- RPM up 12% [S12]\n- Revenue doubled  _(no source)_');
+    expect(result.uncited).toBe(1);
+  });
+
+  test('should render citations as numbered links to the Google Doc heading', () => {
+    const rendered = renderCitations('- RPM up 12% [S12]\n- Widget launched [S15, S12]', sources);
+
+    expect(rendered).toContain('- RPM up 12% [1]\n- Widget launched [2, 1]');
+    expect(rendered).toContain('[1] <https://docs.google.com/document/d/doc-1/edit#heading=h.abc123|2024-01-15 · Monday update>');
+    expect(rendered).toContain('[2] <https://docs.google.com/document/d/doc-1/edit|2024-01-16 · Tuesday update>');
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Command Arguments Tests
+ * Covers quoted publishers, flags, natural time phrases and invalid input
+ */
+
+const { parseCommandArgs, tokenize } = require('../services/command-args');
+
+// A Thursday
+const reference = new Date('2026-03-05T12:00:00Z');
+const parse = text => parseCommandArgs(text, { reference });
+
+describe('command arguments', () => {
+  test('should keep quoted publishers together, including curly quotes', () => {
+    expect(parse('"The Information" 30')).toMatchObject({ query: 'The Information', days: 30, error: null });
+    expect(parse('“The Verge” 14')).toMatchObject({ query: 'The Verge', days: 14 });
+    expect(parse('"Last Week Tonight"')).toMatchObject({ query: 'Last Week Tonight', days: null });
+    expect(tokenize('"brit co')).toEqual([{ value: 'brit co', quoted: true }]);
+  });
+
+  test('should keep the positional day count', () => {
+    expect(parse('TechCrunch 7')).toMatchObject({ query: 'TechCrunch', days: 7 });
+    expect(parse('TechCrunch')).toMatchObject({ query: 'TechCrunch', days: null, since: null, format: 'full' });
+  });
+
+  test('should keep a trailing number past the longest window, such as a year, in the query', () => {
+    expect(parse('brit co revenue 2025')).toMatchObject({ query: 'brit co revenue 2025', days: null, error: null });
+    expect(parse('brit co revenue 2025 --days 30')).toMatchObject({ query: 'brit co revenue 2025', days: 30 });
+    expect(parseCommandArgs('on3 60', { reference, maxDays: 30 })).toMatchObject({ query: 'on3 60', days: null });
+    expect(parse('on3 365')).toMatchObject({ query: 'on3', days: 365 });
+  });
+
+  test('should read --days, --since and --format flags', () => {
+    expect(parse('she media --days 14')).toMatchObject({ query: 'she media', days: 14 });
+    expect(parse('google --days=3 --format brief')).toMatchObject({ query: 'google', days: 3, format: 'brief' });
+    expect(parse('on3 --since 2026-01-01')).toMatchObject({ query: 'on3', since: '2026-01-01', days: 63 });
+    expect(parse('on3 --since March 1 --format detailed')).toMatchObject({ query: 'on3', since: '2026-03-01', days: 4, format: 'detailed' });
+  });
+
+  test('should read natural time phrases and drop their connectors', () => {
+    expect(parse('brit co last 2 weeks')).toMatchObject({ query: 'brit co', days: 14 });
+    expect(parse('wired in the past month')).toMatchObject({ query: 'wired', days: 30 });
+    expect(parse('brit co since March 1')).toMatchObject({ query: 'brit co', since: '2026-03-01', days: 4 });
+    expect(parse('rpm drop for brit.co over the last week')).toMatchObject({ query: 'rpm drop for brit.co', days: 7 });
+    expect(parse('on3 14d')).toMatchObject({ query: 'on3', days: 14 });
+  });
+
+  test('should report invalid flags and windows', () => {
+    expect(parse('x --days 400').error).toBe('Invalid days parameter. Please use a number between 1-365.');
+    expect(parse('x --days soon').error).toBe('Invalid days parameter. Please use a number between 1-365.');
+    expect(parse('x --since never').error).toBe('Invalid --since date: never. Try --since 2026-01-01.');
+    expect(parse('x --format huge').error).toBe('Invalid --format: huge. Use one of: full, brief, detailed.');
+    expect(parse('x --bogus 1').error).toBe('Unknown option --bogus. Use --days, --since or --format.');
+    expect(parse('x --days 3 --since 2026-01-01').error).toBe('Use either --days or --since, not both.');
+  });
+});
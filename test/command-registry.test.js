@@ -0,0 +1,240 @@
+/**
+ * Command Registry Tests
+ * Covers dispatch, argument schemas, subcommands, permissions and help, and the Bolt and
+ * Express mounts of the same registry
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('axios', () => ({ post: jest.fn().mockResolvedValue({ status: 200 }) }));
+
+const axios = require('axios');
+const { createCommandRegistry } = require('../services/command-registry');
+const { createSlackRouter } = require('../routes/slack');
+
+const logger = { error: jest.fn(), warn: jest.fn(), info: jest.fn() };
+
+function buildRegistry() {
+  const registry = createCommandRegistry({ logger, adminUserIds: ['UADMIN'] });
+  const summarize = jest.fn(async ({ args, respond }) => respond({ text: `${args.query} for ${args.days} days` }));
+  const open = jest.fn(async ({ args, respond }) => respond({ text: `open items for ${args.query}` }));
+  const purge = jest.fn();
+  const pause = jest.fn(async ({ text, respond }) => respond({ text: `paused #${text}` }));
+
+  registry.command({
+    name: '/summary',
+    aliases: ['/sum'],
+    description: 'Summarize a publisher',
+    usage: '/summary <publisher> [days]',
+    args: { query: 'required', queryName: 'publisher name', defaultDays: 7 },
+    subcommands: {
+      open: { description: 'Open items', usage: '/summary open <publisher>', args: { query: 'required', queryName: 'publisher name' }, handler: open },
+      purge: { description: 'Delete history', permission: 'admin', handler: purge },
+      pause: { description: 'Pause a subscription', usage: '/summary pause <number>', accepts: text => /^\d+$/.test(text), handler: pause }
+    },
+    handler: summarize
+  });
+  registry.action('pick', async ({ value, respond }) => respond({ text: `picked ${value.publisher}` }));
+
+  return { registry, summarize, open, purge, pause };
+}
+
+const command = (text, overrides = {}) => ({ command: '/summary', text, user_id: 'U1', user_name: 'sam', channel_id: 'C1', ...overrides });
+
+describe('command registry', () => {
+  test('should parse arguments with the command schema and apply defaults', async () => {
+    const { registry, summarize } = buildRegistry();
+    const respond = jest.fn();
+
+    await registry.dispatchCommand(command('"Brit Co" last 2 weeks'), respond);
+    await registry.dispatchCommand(command('on3', { command: '/sum' }), respond);
+
+    expect(respond.mock.calls.map(([message]) => message.text)).toEqual(['Brit Co for 14 days', 'on3 for 7 days']);
+    expect(summarize.mock.calls[0][0].user).toEqual({ id: 'U1', name: 'sam' });
+    expect(summarize.mock.calls[0][0].channelId).toBe('C1');
+  });
+
+  test('should reply with usage or the parse error instead of calling the handler', async () => {
+    const { registry, summarize } = buildRegistry();
+    const respond = jest.fn();
+
+    await registry.dispatchCommand(command(''), respond);
+    await registry.dispatchCommand(command('on3 --days 0'), respond);
+    await registry.dispatchCommand(command('x', { command: '/nope' }), respond);
+
+    expect(summarize).not.toHaveBeenCalled();
+    expect(respond.mock.calls.map(([message]) => message.text)).toEqual([
+      '❌ Please specify a publisher name. Usage: `/summary <publisher> [days]`',
+      '❌ Invalid days parameter. Please use a number between 1-365.',
+      '❌ Unknown command: /nope'
+    ]);
+  });
+
+  test('should route subcommands and limit admin commands to admins', async () => {
+    const { registry, open, purge } = buildRegistry();
+    const respond = jest.fn();
+
+    await registry.dispatchCommand(command('open "She Media"'), respond);
+    await registry.dispatchCommand(command('"open" rate'), respond);
+    await registry.dispatchCommand(command('purge'), respond);
+    await registry.dispatchCommand(command('purge', { user_id: 'UADMIN' }), respond);
+
+    expect(open.mock.calls[0][0].args.query).toBe('She Media');
+    expect(respond.mock.calls[1][0].text).toBe('open rate for 7 days');
+    expect(respond.mock.calls[2][0].text).toBe('🔒 `/summary purge` is only available to admins.');
+    expect(purge).toHaveBeenCalledTimes(1);
+  });
+
+  test('should send a question that begins with a subcommand word to the command', async () => {
+    const { registry, summarize, open, pause } = buildRegistry();
+    const respond = jest.fn();
+
+    await registry.dispatchCommand(command('pause rates on3'), respond);
+    await registry.dispatchCommand(command('pause 4'), respond);
+    await registry.dispatchCommand(command('open --days 0'), respond);
+    await registry.dispatchCommand(command('open'), respond);
+
+    expect(summarize.mock.calls.map(([context]) => context.args.query)).toEqual(['pause rates on3']);
+    expect(pause).toHaveBeenCalledTimes(1);
+    expect(open).not.toHaveBeenCalled();
+    expect(respond.mock.calls.map(([message]) => message.text)).toEqual([
+      'pause rates on3 for 7 days',
+      'paused #4',
+      '❌ Invalid days parameter. Please use a number between 1-365.',
+      '❌ Please specify a publisher name. Usage: `/summary open <publisher>`'
+    ]);
+  });
+
+  test('should list only the commands the user may run in help', async () => {
+    const { registry } = buildRegistry();
+    const respond = jest.fn();
+
+    await registry.dispatchCommand(command('help'), respond);
+    const help = respond.mock.calls[0][0].blocks[0].text.text;
+
+    expect(help).toContain('`/summary <publisher> [days]` - Summarize a publisher');
+    expect(help).toContain('`/summary open <publisher>` - Open items');
+    expect(help).not.toContain('purge');
+    expect(registry.helpResponse({ id: 'UADMIN' }).blocks[0].text.text).toContain('`/summary purge` - Delete history');
+  });
+
+  test('should reply with an error when a handler throws', async () => {
+    const { registry, summarize } = buildRegistry();
+    summarize.mockRejectedValueOnce(new Error('boom'));
+    const respond = jest.fn();
+
+    await registry.dispatchCommand(command('on3'), respond);
+
+    expect(respond).toHaveBeenCalledWith({ response_type: 'ephemeral', text: '❌ Error processing your request. Please try again later.' });
+    expect(logger.error).toHaveBeenCalledWith('Error handling /summary:', expect.any(Error));
+  });
+
+  test('should register every command, alias and action on a Bolt app', async () => {
+    const { registry } = buildRegistry();
+    const app = { command: jest.fn(), action: jest.fn() };
+
+    registry.mountBolt(app);
+
+    expect(app.command.mock.calls.map(([name]) => name)).toEqual(['/summary', '/sum']);
+    expect(app.action.mock.calls.map(([id]) => id)).toEqual(['pick']);
+
+    const ack = jest.fn();
+    const respond = jest.fn();
+    await app.command.mock.calls[1][1]({ command: command('on3', { command: '/sum' }), ack, respond });
+    await app.action.mock.calls[0][1]({ body: { actions: [{ action_id: 'pick', value: '{"publisher":"On3"}' }], user: { id: 'U1' } }, ack, respond });
+
+    expect(ack).toHaveBeenCalledTimes(2);
+    expect(respond.mock.calls.map(([message]) => message.text)).toEqual(['on3 for 7 days', 'picked On3']);
+  });
+});
+
+describe('slack router', () => {
+  const SECRET = 'slack-signing-secret-for-tests';
+
+  function buildApp(signingSecret = SECRET) {
+    const app = express();
+    const captureRawBody = (req, res, buf) => {
+      req.rawBody = buf.toString('utf8');
+    };
+    app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
+    app.use('/slack', createSlackRouter({ registry: buildRegistry().registry, signingSecret, logger }));
+    return app;
+  }
+
+  function signed(body, secret = SECRET, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = 'v0=' + crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex');
+    return { 'X-Slack-Request-Timestamp': String(timestamp), 'X-Slack-Signature': signature, 'Content-Type': 'application/x-www-form-urlencoded' };
+  }
+
+  beforeEach(() => {
+    axios.post.mockClear();
+  });
+
+  test('should acknowledge signed commands and reply through the response_url', async () => {
+    const body = new URLSearchParams({ ...command('on3 14'), response_url: 'https://hooks.slack.com/commands/1' }).toString();
+
+    const response = await request(buildApp()).post('/slack/commands').set(signed(body)).send(body);
+
+    expect(response.status).toBe(200);
+    expect(response.body.text).toContain('Processing your request');
+    await new Promise(resolve => setImmediate(resolve));
+    expect(axios.post).toHaveBeenCalledWith('https://hooks.slack.com/commands/1', { text: 'on3 for 14 days' });
+  });
+
+  test('should reject unsigned, mis-signed and stale requests', async () => {
+    const body = new URLSearchParams({ ...command('on3'), response_url: 'https://hooks.slack.com/commands/1' }).toString();
+    const app = buildApp();
+
+    await request(app).post('/slack/commands').type('form').send(body).expect(401);
+    await request(app).post('/slack/commands').set(signed(body, 'wrong-secret')).send(body).expect(401);
+    await request(app).post('/slack/commands').set(signed(body, SECRET, Math.floor(Date.now() / 1000) - 600)).send(body).expect(401);
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('should refuse requests in production when no signing secret is set', async () => {
+    const body = new URLSearchParams({ ...command('on3'), user_id: 'UADMIN', response_url: 'https://hooks.slack.com/commands/1' }).toString();
+    const environment = process.env.NODE_ENV;
+
+    process.env.NODE_ENV = 'production';
+    try {
+      const response = await request(buildApp(null)).post('/slack/commands').type('form').send(body);
+      expect(response.status).toBe(503);
+      expect(response.body).toEqual({ error: 'Slack verification not configured' });
+    } finally {
+      process.env.NODE_ENV = environment;
+    }
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('should only reply to Slack response_urls', async () => {
+    const app = buildApp();
+
+    for (const responseUrl of ['http://hooks.slack.com/commands/1', 'https://hooks.slack.com.example.net/1', 'https://169.254.169.254/latest']) {
+      const body = new URLSearchParams({ ...command('on3'), response_url: responseUrl }).toString();
+      const response = await request(app).post('/slack/commands').set(signed(body)).send(body);
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Invalid response_url' });
+    }
+
+    const payload = { type: 'block_actions', actions: [{ action_id: 'pick', value: '{"publisher":"On3"}' }], user: { id: 'U1' }, response_url: 'https://example.net/hook' };
+    const body = new URLSearchParams({ payload: JSON.stringify(payload) }).toString();
+    await request(app).post('/slack/interactive').set(signed(body)).send(body).expect(400);
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('should dispatch interactive block actions', async () => {
+    const payload = { type: 'block_actions', actions: [{ action_id: 'pick', value: '{"publisher":"On3"}' }], user: { id: 'U1' }, response_url: 'https://hooks.slack.com/commands/2' };
+    const body = new URLSearchParams({ payload: JSON.stringify(payload) }).toString();
+
+    await request(buildApp()).post('/slack/interactive').set(signed(body)).send(body).expect(200);
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(axios.post).toHaveBeenCalledWith('https://hooks.slack.com/commands/2', { text: 'picked On3' });
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Company Registry Tests
+ * Covers multi-company matching used to tag sections at ingest
+ */
+
+const CompanyRegistry = require('../services/company-registry');
+
+describe('CompanyRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new CompanyRegistry({ query: jest.fn() }, { logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } });
+  });
+
+  describe('matchAll', () => {
+    test('should return every company mentioned, earliest first', () => {
+      const mentions = registry.matchAll('She Media and Brit+Co signed; On3 is next');
+
+      expect(mentions.map(mention => mention.key)).toEqual(['she_media', 'brit_co', 'on3']);
+    });
+
+    test('should record match positions and types', () => {
+      const text = 'Traffic from shemedia.com is up';
+      const [mention] = registry.matchAll(text);
+
+      expect(mention.key).toBe('she_media');
+      expect(mention.matches).toEqual(expect.arrayContaining([
+        { type: 'pattern', start: 13, end: 21, text: 'shemedia' },
+        { type: 'domain', start: 13, end: 25, text: 'shemedia.com' }
+      ]));
+      // The same span is reported once even though two patterns match it
+      expect(mention.matches.filter(match => match.type === 'pattern')).toHaveLength(1);
+    });
+
+    test('should only match aliases on word boundaries', () => {
+      const [mention] = registry.matchAll('Revenue won30 percent');
+
+      // The regex pattern still matches; the literal alias does not
+      expect(mention.matches.map(match => match.type)).toEqual(['pattern']);
+    });
+
+    test('should return an empty list when nothing matches', () => {
+      expect(registry.matchAll('No publishers here')).toEqual([]);
+    });
+  });
+
+  describe('matchSection', () => {
+    test('should merge title and content matches per company', () => {
+      const mentions = registry.matchSection({ title: 'On3 update', content: 'On3 and Rev Content both renewed' });
+
+      expect(mentions.map(mention => mention.key)).toEqual(['on3', 'rev_content']);
+      expect(new Set(mentions[0].matches.map(match => match.field))).toEqual(new Set(['title', 'content']));
+    });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Context Assembler Tests
+ * Covers ranking and token budgeting of sections passed to the summarizer
+ */
+
+const { assembleContext, countTokens } = require('../services/context-assembler');
+
+const NOW = new Date('2024-03-01T12:00:00Z').getTime();
+
+function section(id, date, content, title = `Update ${id}`) {
+  return { id, date, title, content };
+}
+
+describe('assembleContext', () => {
+  test('should include every section when they fit the budget', () => {
+    const documents = [
+      section(1, '2024-02-28', 'Brit+Co RPM up 12%'),
+      section(2, '2024-02-29', 'Brit+Co launched a new widget')
+    ];
+
+    const context = assembleContext(documents, 'brit.co', { contextTokenBudget: 1000, now: NOW });
+
+    expect(context.dropped).toBe(0);
+    expect(context.documents.map(document => document.id)).toEqual([1, 2]);
+    expect(context.tokens).toBeLessThanOrEqual(1000);
+    expect(context.text).toContain('### [S1] 2024-02-28 - Update 1');
+  });
+
+  test('should drop the lowest-ranked sections to stay within the budget', () => {
+    const filler = 'Routine check-in with no news. '.repeat(20);
+    const documents = [
+      section(1, '2023-11-01', `Old note. ${filler}`),
+      section(2, '2024-02-29', `Revenue grew 8% this week. ${filler}`),
+      section(3, '2024-02-28', `Recent note. ${filler}`)
+    ];
+    const budget = countTokens(`### [S2] 2024-02-29 - Update 2\nRevenue grew 8% this week. ${filler}`) * 2 + 10;
+
+    const context = assembleContext(documents, 'revenue', { contextTokenBudget: budget, now: NOW });
+
+    expect(context.dropped).toBe(1);
+    expect(context.documents.map(document => document.id)).toEqual([3, 2]);
+    expect(context.tokens).toBeLessThanOrEqual(budget);
+  });
+
+  test('should prefer relevant sections over more recent ones', () => {
+    const documents = [
+      section(1, '2024-02-20', 'Contract renewal signed for another year'),
+      section(2, '2024-03-01', 'Team offsite planning')
+    ];
+    const budget = countTokens('### [S1] 2024-02-20 - Update 1\nContract renewal signed for another year') + 1;
+
+    const context = assembleContext(documents, 'contract renewal', { contextTokenBudget: budget, now: NOW });
+
+    expect(context.documents.map(document => document.id)).toEqual([1]);
+    expect(context.dropped).toBe(1);
+  });
+
+  test('should truncate a single section that exceeds the budget on its own', () => {
+    const documents = [section(1, '2024-02-29', 'word '.repeat(500))];
+
+    const context = assembleContext(documents, 'anything', { contextTokenBudget: 50, now: NOW });
+
+    expect(context.truncated).toBe(true);
+    expect(context.tokens).toBeLessThanOrEqual(50);
+    expect(context.dropped).toBe(0);
+  });
+});
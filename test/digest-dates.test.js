@@ -0,0 +1,48 @@
+/**
+ * Digest Dates Tests
+ * Covers parsing of digest header formats and the numeric date range bounds
+ */
+
+const { parseDigestDate, dayRange } = require('../services/digest-dates');
+
+const day = (year, month, date) => ({ date: `${year}-${String(month).padStart(2, '0')}-${String(date).padStart(2, '0')}`, timestamp: Date.UTC(year, month - 1, date) / 1000 });
+
+describe('digest dates', () => {
+  // A Wednesday
+  const reference = new Date('2025-03-05T12:00:00Z');
+
+  test('should parse dated headers in the common formats', () => {
+    for (const header of ['2025-03-03', '2025-03-03T15:30:00Z', '3/3/2025', '03/03/25', 'March 3, 2025', 'Mar 3rd 2025', '3 March 2025', 'Monday, March 3, 2025']) {
+      expect(parseDigestDate(header, { reference })).toEqual(day(2025, 3, 3));
+    }
+  });
+
+  test('should place headers without a year nearest the reference, preferring the named weekday', () => {
+    expect(parseDigestDate('Monday, March 3', { reference })).toEqual(day(2025, 3, 3));
+    expect(parseDigestDate('Mon 3/3', { reference })).toEqual(day(2025, 3, 3));
+    expect(parseDigestDate('Monday, December 30', { reference })).toEqual(day(2024, 12, 30));
+    expect(parseDigestDate('Friday', { reference })).toEqual(day(2025, 2, 28));
+    expect(parseDigestDate('Wednesday', { reference })).toEqual(day(2025, 3, 5));
+  });
+
+  test('should accept epoch seconds, milliseconds and Date objects', () => {
+    expect(parseDigestDate(1740960000)).toEqual(day(2025, 3, 3));
+    expect(parseDigestDate(1740960000000)).toEqual(day(2025, 3, 3));
+    expect(parseDigestDate(new Date('2025-03-03T23:59:00Z'))).toEqual(day(2025, 3, 3));
+  });
+
+  test('should return null for text without a date and for impossible days', () => {
+    expect(parseDigestDate('Brit+Co notes')).toBeNull();
+    expect(parseDigestDate('February 30, 2025')).toBeNull();
+    expect(parseDigestDate('')).toBeNull();
+    expect(parseDigestDate(undefined)).toBeNull();
+  });
+
+  test('should cover whole days from start through end in epoch seconds', () => {
+    expect(dayRange('2025-03-01', 'Monday, March 3, 2025')).toEqual({
+      $gte: Date.UTC(2025, 2, 1) / 1000,
+      $lt: Date.UTC(2025, 2, 4) / 1000
+    });
+    expect(() => dayRange('someday', '2025-03-03')).toThrow('Invalid date range: someday to 2025-03-03');
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Fact Verifier Tests
+ * Covers checking summary figures against source content
+ */
+
+const { extractFigures, verifyFigures, markUnverified } = require('../services/fact-verifier');
+const { formatSection } = require('../services/context-assembler');
+
+describe('fact verifier', () => {
+  const source = 'Monday, January 15, 2024\nBrit+Co RPM up 12% week over week; revenue $1.2M. On3 signed 3 new sites on 2024-01-16.';
+
+  test('should extract numbers, percentages, currency amounts and dates', () => {
+    const figures = extractFigures('RPM up 12.5% to $4,000 across 3 sites on Jan 16 [S12]');
+
+    expect(figures.map(figure => [figure.kind, figure.text])).toEqual([
+      ['percentage', '12.5%'],
+      ['currency', '$4,000'],
+      ['number', '3'],
+      ['date', 'Jan 16']
+    ]);
+  });
+
+  test('should ignore citation labels, list markers and digits inside names', () => {
+    const figures = extractFigures('1. On3 renewed [S42, S43]\n2. Q3 planning started [1]');
+
+    expect(figures).toEqual([]);
+  });
+
+  test('should verify figures written differently from the source', () => {
+    const result = verifyFigures('Revenue reached $1,200,000, RPM rose 12 percent and 3 sites signed on January 16th', source);
+
+    expect(result.unverified).toEqual([]);
+    expect(result.total).toBe(4);
+  });
+
+  test('should report figures that do not appear in the source', () => {
+    const result = verifyFigures('RPM rose 15% and revenue hit $2M on Jan 15', source);
+
+    expect(result.unverified.map(figure => figure.text)).toEqual(['15%', '$2M']);
+    expect(result.verified).toBe(1);
+  });
+
+  test('should verify dates that only appear in the section headers', () => {
+    const sections = [{ id: 12, date: '2024-01-15', title: 'Weekly update', content: 'RPM rose 12%.' }];
+
+    const result = verifyFigures('On January 15 RPM rose 12% [S12]', sections.map(formatSection).join('\n\n'));
+
+    expect(result.unverified).toEqual([]);
+    expect(result.total).toBe(2);
+  });
+
+  test('should mark unverified figures in the summary text', () => {
+    const summary = '- RPM rose 15% [S1]\n- Revenue $1.2M [S1]';
+
+    expect(markUnverified(summary, verifyFigures(summary, source))).toBe('- RPM rose 15% ⚠️ [S1]\n- Revenue $1.2M [S1]');
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Company registry for command tests
+ * A real CompanyRegistry compiled from fixed rows, so publishers resolve the way they do in production
+ */
+
+const CompanyRegistry = require('../../services/company-registry');
+
+const TEST_COMPANIES = [
+  {
+    name: 'On3',
+    normalized_name: 'on3',
+    patterns: ['on3', 'on\\s*3'],
+    aliases: ['on3', 'on 3'],
+    domains: ['on3.com']
+  },
+  {
+    name: 'She Media',
+    normalized_name: 'she_media',
+    patterns: ['she\\s*media', 'shemedia'],
+    aliases: ['she media', 'shemedia'],
+    domains: ['shemedia.com']
+  },
+  {
+    name: 'Mode Media',
+    normalized_name: 'mode_media',
+    patterns: ['mode\\s*media'],
+    aliases: ['mode media'],
+    domains: ['modemedia.com']
+  },
+  {
+    name: 'Brit + Co',
+    normalized_name: 'brit_co',
+    patterns: ['brit\\.co', 'brit\\+co', 'brit\\s+co'],
+    aliases: ['brit.co', 'brit+co', 'brit co'],
+    domains: ['brit.co']
+  }
+];
+
+function createTestCompanyRegistry(rows = TEST_COMPANIES) {
+  const registry = new CompanyRegistry(null, { logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } });
+  registry.companies = registry.compileCompanies(rows);
+  return registry;
+}
+
+module.exports = {
+  TEST_COMPANIES,
+  createTestCompanyRegistry
+};
@@ -0,0 +1,113 @@
+/**
+ * Hierarchical Summarizer Tests
+ * Covers map-reduce summarization and partial summary caching
+ */
+
+const { summarizeHierarchically, createMemoryCache, groupByPeriod, choosePeriod } = require('../services/hierarchical-summarizer');
+
+function section(date, content) {
+  return { date, title: `Update ${date}`, content };
+}
+
+function memoryCache() {
+  const entries = new Map();
+  return {
+    entries,
+    get: async (key) => entries.get(key) || null,
+    set: async (key, summary, cost) => entries.set(key, { summary, cost })
+  };
+}
+
+describe('hierarchical summarizer', () => {
+  const days = ['2024-01-01', '2024-01-02', '2024-01-03'].map(date => section(date, `Brit+Co note for ${date}`));
+
+  let summarizePartial;
+  let combine;
+
+  beforeEach(() => {
+    summarizePartial = jest.fn(async (text, { label }) => ({ summary: `partial ${label}`, cost: 0.01 }));
+    combine = jest.fn(async (text) => ({ summary: `final:\n${text}`, cost: 0.02 }));
+  });
+
+  test('should group sections by day for short windows and by week for long ones', () => {
+    expect(choosePeriod(days)).toBe('day');
+    expect(choosePeriod([section('2024-01-01', 'a'), section('2024-02-15', 'b')])).toBe('week');
+
+    const weeks = groupByPeriod([section('2024-01-01', 'a'), section('2024-01-07', 'b'), section('2024-01-08', 'c')], 'week');
+    expect(weeks.map(group => group.key)).toEqual(['2024-W01', '2024-W02']);
+  });
+
+  test('should summarize each period and combine the partials', async () => {
+    const result = await summarizeHierarchically(days, 'brit.co', { summarizePartial, combine });
+
+    expect(summarizePartial).toHaveBeenCalledTimes(3);
+    expect(combine).toHaveBeenCalledTimes(1);
+    expect(result.summary).toContain('partial 2024-01-03');
+    expect(result.partials).toBe(3);
+    expect(result.cost).toBeCloseTo(0.05);
+  });
+
+  test('should only summarize new periods when the window is extended', async () => {
+    const cache = memoryCache();
+    await summarizeHierarchically(days, 'brit.co', { summarizePartial, combine, cache });
+    summarizePartial.mockClear();
+
+    const extended = [...days, section('2024-01-04', 'Brit+Co note for 2024-01-04')];
+    const result = await summarizeHierarchically(extended, 'brit.co', { summarizePartial, combine, cache });
+
+    expect(summarizePartial).toHaveBeenCalledTimes(1);
+    expect(summarizePartial.mock.calls[0][1].label).toBe('2024-01-04');
+    expect(result.cachedPartials).toBe(3);
+  });
+
+  test('should combine in batches when the partials exceed the budget', async () => {
+    summarizePartial.mockImplementation(async (text, { label }) => ({ summary: `partial ${label} ${'detail '.repeat(30)}`, cost: 0 }));
+    combine.mockImplementation(async (text, { labels }) => ({ summary: `combined ${labels.join(',')}`, cost: 0 }));
+
+    const result = await summarizeHierarchically(days, 'brit.co', { summarizePartial, combine, contextTokenBudget: 80 });
+
+    expect(combine.mock.calls.length).toBeGreaterThan(1);
+    expect(result.summary).toMatch(/^combined /);
+  });
+
+  test('should format periods and produce the final summary with the given functions', async () => {
+    const finish = jest.fn(async (text, { period }) => ({ summary: { period, text } }));
+    const assemble = jest.fn(documents => ({ text: documents.map(document => document.content).join('\n'), dropped: 0 }));
+
+    const result = await summarizeHierarchically(days, 'brit.co', { summarizePartial, combine, finish, assemble });
+
+    expect(assemble).toHaveBeenCalledTimes(3);
+    expect(summarizePartial.mock.calls[0][0]).toBe('Brit+Co note for 2024-01-01');
+    expect(combine).not.toHaveBeenCalled();
+    expect(result.summary).toEqual({ period: 'day', text: expect.stringContaining('### 2024-01-02\npartial 2024-01-02') });
+  });
+});
+
+describe('memory partial cache', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should evict the least recently used entries beyond maxEntries', async () => {
+    const cache = createMemoryCache({ maxEntries: 2 });
+    await cache.set('a', 'A', 0.01);
+    await cache.set('b', 'B');
+    await cache.get('a');
+    await cache.set('c', 'C');
+
+    expect(cache.size).toBe(2);
+    expect(await cache.get('a')).toEqual({ summary: 'A', cost: 0.01 });
+    expect(await cache.get('b')).toBeNull();
+  });
+
+  test('should expire entries after ttlMs', async () => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+    const cache = createMemoryCache({ ttlMs: 60000 });
+    await cache.set('a', 'A');
+
+    jest.setSystemTime(new Date('2024-01-01T00:01:01Z'));
+
+    expect(await cache.get('a')).toBeNull();
+    expect(cache.size).toBe(0);
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Hybrid Search Tests
+ * Covers rank fusion, match reasons, filters and embedding of new sections
+ */
+
+const { createHybridSearch, reciprocalRankFusion, formatReasons } = require('../services/hybrid-search');
+const { MockLLMProvider, hashEmbedding } = require('../services/llm-provider');
+
+function section(id, content, date = '2024-01-15') {
+  return { id, date, title: `Update ${date}`, content };
+}
+
+function cosine(a, b) {
+  const dot = a.reduce((sum, value, i) => sum + value * b[i], 0);
+  const norm = vector => Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return dot / (norm(a) * norm(b));
+}
+
+// Answers the keyword query from canned rows and the vector query from stored embeddings,
+// scored as the SQL would: similarity to the query embedding, above the minimum, best first
+function mockPool({ keywordRows = [], sections = [], embeddings = new Map() } = {}) {
+  return {
+    embeddings,
+    query: jest.fn(async (sql, params) => {
+      if (/websearch_to_tsquery/.test(sql)) return { rows: keywordRows };
+      if (/LEFT JOIN document_embeddings/.test(sql)) {
+        return { rows: sections.filter(row => params[0].includes(row.id) && !embeddings.has(row.id)) };
+      }
+      if (/JOIN document_embeddings e/.test(sql)) {
+        const [queryEmbedding, minSimilarity, limit] = params.slice(-3);
+        const rows = sections
+          .filter(row => embeddings.has(row.id))
+          .map(row => ({ ...row, similarity: cosine(embeddings.get(row.id), queryEmbedding) }))
+          .filter(row => row.similarity >= minSimilarity)
+          .sort((a, b) => b.similarity - a.similarity);
+        return { rows: rows.slice(0, limit) };
+      }
+      if (/INSERT INTO document_embeddings/.test(sql)) embeddings.set(params[0], params[2]);
+      return { rows: [] };
+    })
+  };
+}
+
+const logger = { error: jest.fn(), warn: jest.fn(), info: jest.fn() };
+
+describe('reciprocal rank fusion', () => {
+  test('should rank results found by both rankers above single-ranker results', () => {
+    const fused = reciprocalRankFusion({
+      keyword: [{ document: section(1, 'a'), reason: { terms: ['rpm'] } }, { document: section(2, 'b'), reason: { terms: [] } }],
+      vector: [{ document: section(3, 'c'), reason: { similarity: 0.9 } }, { document: section(2, 'b'), reason: { similarity: 0.8 } }]
+    });
+
+    expect(fused.map(result => result.id)).toEqual([2, 1, 3]);
+    expect(fused[0].score).toBeCloseTo(1 / 62 + 1 / 62);
+    expect(fused[0].reasons).toEqual([
+      { type: 'keyword', rank: 2, terms: [] },
+      { type: 'vector', rank: 2, similarity: 0.8 }
+    ]);
+  });
+
+  test('should describe why each result matched', () => {
+    expect(formatReasons([
+      { type: 'keyword', rank: 1, terms: ['rpm', 'renewal'] },
+      { type: 'vector', rank: 3, similarity: 0.8234 }
+    ])).toBe('keyword "rpm", "renewal" (#1); semantic 0.82 (#3)');
+  });
+});
+
+describe('hybrid search', () => {
+  test('should scope both rankers to the publisher, its passages and the date range', async () => {
+    const pool = mockPool();
+    const search = createHybridSearch({ pool, llm: new MockLLMProvider(), logger });
+
+    await search.search('rpm drop', { company: 'brit+co', dateFrom: '2024-01-01', dateTo: '2024-01-31' });
+
+    const [keywordSql, keywordParams] = pool.query.mock.calls.find(([sql]) => /websearch_to_tsquery/.test(sql));
+    expect(keywordParams).toEqual(['rpm drop', 'brit+co', '2024-01-01', '2024-01-31', 50]);
+    expect(keywordSql).toContain('dc.company_key = $2');
+    expect(keywordSql).toContain('LEFT JOIN passages p ON p.section_id = d.id AND p.company_key = $2');
+    expect(keywordSql).toContain('COALESCE(p.content, d.content) AS content');
+    expect(keywordSql).toContain('ts_rank_cd(COALESCE(p.content_tsv, d.content_tsv), q)');
+    expect(keywordSql).toContain('AND COALESCE(p.content_tsv, d.content_tsv) @@ q');
+    expect(keywordSql).toContain('d.is_current = TRUE');
+
+    const [vectorSql, vectorParams] = pool.query.mock.calls.find(([sql]) => /JOIN document_embeddings e/.test(sql));
+    expect(vectorParams).toEqual(['text-embedding-3-small', 'brit+co', '2024-01-01', '2024-01-31', 2000, expect.any(Array), 0.25, 50]);
+    expect(vectorSql).toContain('d.date >= $3 AND d.date <= $4');
+    expect(vectorSql).toContain('LIMIT $5');
+
+    // Similarity is computed in the query; no embedding comes back to be scored here
+    expect(vectorSql).toContain('unnest(c.embedding::float8[], $6::float8[])');
+    expect(vectorSql).toMatch(/^\s*SELECT c\.id.*s\.similarity$/m);
+  });
+
+  test('should return keyword matches with the highlighted terms', async () => {
+    const pool = mockPool({
+      keywordRows: [{ ...section(7, 'Brit+Co RPM down 8%'), rank: '0.4', highlight: 'Brit+Co *RPM* down 8% after the *drop*' }]
+    });
+    const search = createHybridSearch({ pool, logger });
+
+    const [result] = await search.search('rpm drop', { company: 'brit+co' });
+
+    expect(result.id).toBe(7);
+    expect(result.company).toBe('brit+co');
+    expect(result.reasons).toEqual([{
+      type: 'keyword', rank: 1, score: 0.4, terms: ['rpm', 'drop'], highlight: 'Brit+Co *RPM* down 8% after the *drop*'
+    }]);
+  });
+
+  test('should find semantically similar sections that share no exact phrase', async () => {
+    const sections = [section(1, 'Homepage redesign lifted revenue'), section(2, 'Office moved to a new floor')];
+    const embeddings = new Map(sections.map(row => [row.id, hashEmbedding(row.content, 1536)]));
+    const search = createHybridSearch({ pool: mockPool({ sections, embeddings }), llm: new MockLLMProvider(), logger });
+
+    const results = await search.search('revenue after homepage redesign');
+
+    expect(results.map(result => result.id)).toEqual([1]);
+    expect(results[0].reasons[0].type).toBe('vector');
+    expect(results[0].reasons[0].similarity).toBeGreaterThan(0.5);
+  });
+
+  test('should keep keyword results when the vector ranker fails', async () => {
+    const llm = { embeddings: { create: jest.fn().mockRejectedValue(new Error('rate limited')) } };
+    const pool = mockPool({ keywordRows: [{ ...section(1, 'RPM up'), rank: '0.1', highlight: '*RPM* up' }] });
+    const search = createHybridSearch({ pool, llm, logger });
+
+    const results = await search.search('rpm');
+
+    expect(results.map(result => result.id)).toEqual([1]);
+    expect(logger.error).toHaveBeenCalledWith('Vector search failed:', expect.any(Error));
+  });
+
+  test('should embed only sections without an embedding for the model', async () => {
+    const sections = [section(1, 'RPM up 12%'), section(2, 'Renewal signed')];
+    const pool = mockPool({ sections, embeddings: new Map([[1, [1, 0]]]) });
+    const llm = new MockLLMProvider();
+    const search = createHybridSearch({ pool, llm, logger });
+
+    expect(await search.embedSections([1, 2])).toBe(1);
+    expect(pool.embeddings.get(2)).toHaveLength(1536);
+    expect(llm.calls.embeddings).toBe(1);
+    expect(await search.embedSections([])).toBe(0);
+  });
+});
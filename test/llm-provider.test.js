@@ -0,0 +1,71 @@
+/**
+ * LLM Provider Tests
+ * Covers provider selection and the deterministic offline provider
+ */
+
+const { createLLMProvider, MockLLMProvider } = require('../services/llm-provider');
+
+function cosine(a, b) {
+  return a.reduce((sum, value, index) => sum + value * b[index], 0);
+}
+
+describe('createLLMProvider', () => {
+  test('should return null when no provider or API key is configured', () => {
+    expect(createLLMProvider({ provider: '', apiKey: '' })).toBeNull();
+  });
+
+  test('should select the mock provider by name', () => {
+    expect(createLLMProvider({ provider: 'mock' })).toBeInstanceOf(MockLLMProvider);
+  });
+
+  test('should reject unknown providers', () => {
+    expect(() => createLLMProvider({ provider: 'llama' })).toThrow('Unknown LLM provider: llama');
+  });
+});
+
+describe('MockLLMProvider', () => {
+  const provider = new MockLLMProvider();
+
+  test('should return the same completion for the same prompt', async () => {
+    const messages = [{ role: 'user', content: 'QUERY: "brit"\n--- CONTENT ---\n### [S3] 2024-01-15\nRPM up 12%\n--- END CONTENT ---' }];
+
+    const first = await provider.chat.completions.create({ model: 'gpt-3.5-turbo', messages });
+    const second = await provider.chat.completions.create({ model: 'gpt-3.5-turbo', messages });
+
+    expect(first.choices[0].message.content).toBe('- RPM up 12% [S3]');
+    expect(second.choices[0].message.content).toBe(first.choices[0].message.content);
+    expect(first.usage.total_tokens).toBeGreaterThan(0);
+  });
+
+  test('should answer JSON summary prompts with the expected structure', async () => {
+    const messages = [{ role: 'user', content: '---\n[vec-1] Date: 2024-01-15\nContent: Launched a video player\n---\nFormat the response as JSON' }];
+
+    const response = await provider.chat.completions.create({ messages });
+    const parsed = JSON.parse(response.choices[0].message.content);
+
+    expect(parsed.sections[0]).toMatchObject({ content: 'Launched a video player', citations: ['vec-1'] });
+  });
+
+  test('should use canned responses when given', async () => {
+    const canned = new MockLLMProvider({ responses: ['first', 'second'] });
+
+    const replies = [];
+    for (let i = 0; i < 3; i++) {
+      const response = await canned.chat.completions.create({ messages: [{ role: 'user', content: 'hi' }] });
+      replies.push(response.choices[0].message.content);
+    }
+
+    expect(replies).toEqual(['first', 'second', 'second']);
+  });
+
+  test('should produce normalized embeddings where similar texts score higher', async () => {
+    const response = await provider.embeddings.create({
+      input: ['Brit+Co RPM revenue update', 'Brit+Co revenue RPM', 'Swimming World subscriber growth']
+    });
+    const [a, b, c] = response.data.map(item => item.embedding);
+
+    expect(a).toHaveLength(1536);
+    expect(cosine(a, a)).toBeCloseTo(1);
+    expect(cosine(a, b)).toBeGreaterThan(cosine(a, c));
+  });
+});
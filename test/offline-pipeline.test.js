@@ -0,0 +1,169 @@
+/**
+ * Offline Pipeline Test
+ * Runs ingest -> retrieval -> summary with LLM_PROVIDER=mock and no network
+ */
+
+const request = require('supertest');
+
+jest.mock('axios', () => ({ post: jest.fn().mockResolvedValue({ status: 200 }) }));
+
+// Just enough of the documents/passages tables for the queries on this path
+jest.mock('pg', () => {
+  const state = { documents: [], passages: [], factVerifications: [] };
+
+  const query = jest.fn(async (sql, params = []) => {
+    if (/INSERT INTO documents/.test(sql)) {
+      const id = state.documents.length + 1;
+      state.documents.push({
+        id, date: params[0], title: params[1], content: params[2], company: params[3],
+        section_number: params[4], document_id: params[5], is_current: true, timestamp: new Date()
+      });
+      return { rows: [{ id }] };
+    }
+
+    if (/INSERT INTO passages/.test(sql)) {
+      state.passages.push({ section_id: params[0], passage_index: params[1], company_key: params[2], content: params[3] });
+      return { rows: [] };
+    }
+
+    if (/FROM passages p/.test(sql)) {
+      const rows = state.passages
+        .filter(passage => passage.company_key === params[0])
+        .map(passage => {
+          const section = state.documents.find(document => document.id === passage.section_id);
+          return { ...section, company: passage.company_key, content: passage.content };
+        });
+      return { rows };
+    }
+
+    if (/INSERT INTO fact_verifications/.test(sql)) {
+      state.factVerifications.push(params);
+    }
+
+    return { rows: [] };
+  });
+
+  const client = { query, release: jest.fn() };
+  const pool = { query, connect: jest.fn().mockResolvedValue(client), end: jest.fn() };
+
+  return { Pool: jest.fn(() => pool), __state: state };
+});
+
+function waitFor(check, timeoutMs = 2000) {
+  const started = Date.now();
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (check()) return resolve();
+      if (Date.now() - started > timeoutMs) return reject(new Error('Timed out waiting for condition'));
+      setTimeout(poll, 10);
+    };
+    poll();
+  });
+}
+
+describe('offline ingest and summary pipeline', () => {
+  let app;
+  let axios;
+  let state;
+
+  beforeAll(() => {
+    process.env.LLM_PROVIDER = 'mock';
+    delete process.env.OPENAI_API_KEY;
+    delete process.env.WEBHOOK_SECRET;
+    delete process.env.WEBHOOK_SECRET_PREVIOUS;
+
+    app = require('../production-webhook-server');
+    axios = require('axios');
+    state = require('pg').__state;
+  });
+
+  afterAll(() => {
+    delete process.env.LLM_PROVIDER;
+  });
+
+  test('should summarize ingested publisher passages with cited, verified figures', async () => {
+    const ingest = await request(app)
+      .post('/webhook')
+      .send({
+        type: 'document_update',
+        document_id: 'doc-1',
+        timestamp: new Date().toISOString(),
+        sections: [{
+          title: 'Monday, January 15, 2024',
+          date: '2024-01-15',
+          section_number: 1,
+          content: 'Brit+Co:\n\n- RPM up 12% week over week\n\nShe Media renewal signed for 2 years'
+        }]
+      });
+
+    expect(ingest.status).toBe(200);
+    expect(ingest.body.stored).toBe(1);
+
+    await request(app)
+      .post('/slack/commands')
+      .send({ command: '/mula', text: 'brit.co', user_name: 'csm', response_url: 'https://hooks.slack.com/commands/response' })
+      .expect(200);
+
+    await waitFor(() => axios.post.mock.calls.length > 0);
+    const [url, message] = axios.post.mock.calls[0];
+
+    expect(url).toBe('https://hooks.slack.com/commands/response');
+    expect(message.text).toContain('RPM up 12% week over week [1]');
+    expect(message.text).toContain('[1] <https://docs.google.com/document/d/doc-1/edit|2024-01-15 · Monday, January 15, 2024>');
+    expect(message.text).not.toContain('She Media');
+    expect(message.text).not.toContain('⚠️');
+    expect(state.factVerifications).toHaveLength(1);
+  });
+
+  test('should remove citations to sections the token budget kept out of the prompt', async () => {
+    const { PRODUCTION_CONFIG } = require('../production-config');
+    const { MockLLMProvider } = require('../services/llm-provider');
+    const budget = PRODUCTION_CONFIG.ai.contextTokenBudget;
+    const filler = Array.from({ length: 150 }, (_, i) => `On3 forum thread ${i} recap`).join('. ');
+
+    await request(app)
+      .post('/webhook')
+      .send({
+        type: 'document_update',
+        document_id: 'doc-2',
+        timestamp: new Date().toISOString(),
+        sections: [
+          { title: 'Tuesday, January 16, 2024', date: '2024-01-16', section_number: 1, content: 'On3:\n\n- NIL page views up 9%' },
+          { title: 'Tuesday, January 16, 2024', date: '2024-01-16', section_number: 2, content: `On3:\n\n- Churn down 40% after the paywall change. ${filler}` }
+        ]
+      })
+      .expect(200);
+
+    const dropped = state.documents.find(document => document.content.includes('Churn down 40%'));
+
+    // The model cites the section it never saw
+    const markdownSummary = MockLLMProvider.prototype.markdownSummary;
+    const spy = jest.spyOn(MockLLMProvider.prototype, 'markdownSummary').mockImplementation(function (prompt) {
+      const summary = markdownSummary.call(this, prompt);
+      return /SUMMARIES BY PERIOD/.test(prompt) ? `${summary}\n- Churn down 40% [S${dropped.id}]` : summary;
+    });
+    PRODUCTION_CONFIG.ai.contextTokenBudget = 200;
+    axios.post.mockClear();
+
+    try {
+      await request(app)
+        .post('/slack/commands')
+        .send({ command: '/mula', text: 'on3', user_name: 'csm', response_url: 'https://hooks.slack.com/commands/response' })
+        .expect(200);
+
+      await waitFor(() => axios.post.mock.calls.length > 0);
+    } finally {
+      PRODUCTION_CONFIG.ai.contextTokenBudget = budget;
+      spy.mockRestore();
+    }
+
+    const [, message] = axios.post.mock.calls[0];
+    expect(message.text).toContain('NIL page views up 9% [1]');
+    expect(message.text).toContain('1 dropped to fit the token budget');
+    expect(message.text).not.toMatch(/Churn down 40% \[\d+\]/);
+    expect(message.text).not.toContain('[2]');
+    expect(message.text).toContain('⚠️ *Uncited points:* 1');
+    expect(message.text).toContain('Churn down 40% ⚠️');
+    expect(message.text).toMatch(/Unverified figures:\* 1 of \d+/);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Passage Splitter Tests
+ * Covers splitting digest sections into per-publisher passages
+ */
+
+const CompanyRegistry = require('../services/company-registry');
+const { splitIntoPassages } = require('../services/passage-splitter');
+
+describe('splitIntoPassages', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new CompanyRegistry({ query: jest.fn() }, { logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() } });
+  });
+
+  const digest = [
+    'Monday update',
+    '',
+    'Brit+Co:',
+    '- RPM up 12%',
+    '  - driven by video',
+    '- New widget live',
+    '',
+    'She Media renewed; On3 pending legal.',
+    '',
+    'Overall a strong week.'
+  ].join('\n');
+
+  const byCompany = passages => Object.fromEntries(passages.map(passage => [passage.company, passage]));
+
+  test('should keep bullets under the publisher line they follow', () => {
+    const passages = byCompany(splitIntoPassages(digest, registry));
+
+    expect(passages.brit_co.content).toBe('Brit+Co:\n- RPM up 12%\n  - driven by video\n- New widget live');
+  });
+
+  test('should give a paragraph mentioning several publishers to each of them', () => {
+    const passages = byCompany(splitIntoPassages(digest, registry));
+
+    expect(passages.she_media.content).toBe('She Media renewed; On3 pending legal.');
+    expect(passages.on3.content).toBe('She Media renewed; On3 pending legal.');
+  });
+
+  test('should collect text that mentions no publisher into a general passage', () => {
+    const passages = byCompany(splitIntoPassages(digest, registry));
+
+    expect(passages.null.content).toBe('Monday update\nOverall a strong week.');
+  });
+
+  test('should keep blank-line separated bullets from the Apps Script with their publisher', () => {
+    const content = 'Brit+Co:\n\n- RPM up 12%\n\n  - driven by video\n\nOverall a strong week.';
+    const passages = byCompany(splitIntoPassages(content, registry));
+
+    expect(passages.brit_co.content).toBe('Brit+Co:\n- RPM up 12%\n  - driven by video');
+    expect(passages.null.content).toBe('Overall a strong week.');
+  });
+
+  test('should record block offsets within the section', () => {
+    const passages = byCompany(splitIntoPassages(digest, registry));
+    const [span] = passages.she_media.spans;
+
+    expect(digest.substring(span.start, span.end)).toBe('She Media renewed; On3 pending legal.');
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Portfolio Briefing Tests
+ */
+
+const { createPortfolioStore } = require('../services/portfolios');
+const { parsePortfolioText, createBriefingRunner } = require('../slack-bot/commands/portfolio');
+const { createSlackCommands } = require('../slack-bot/commands');
+const { createTestCompanyRegistry } = require('./helpers/company-registry');
+
+const companyRegistry = createTestCompanyRegistry();
+
+describe('portfolio commands', () => {
+  test('should parse the verb, publishers and briefing time', () => {
+    expect(parsePortfolioText('add on3 "She Media" --at 7:30am --tz America/New_York')).toEqual({
+      verb: 'add',
+      publishers: ['on3', 'She Media'],
+      timeOfDay: '07:30',
+      timezone: 'America/New_York'
+    });
+    expect(parsePortfolioText('')).toMatchObject({ verb: 'list', publishers: [] });
+    expect(parsePortfolioText('remove').error).toBe('Please name the publishers to remove.');
+    expect(parsePortfolioText('on3').error).toContain('/mula portfolio add on3');
+    expect(parsePortfolioText('add on3 --tz Mars/Olympus').error).toContain('Invalid --tz: Mars/Olympus');
+  });
+
+  let store;
+  let commands;
+  const portfolio = {
+    id: 'U1',
+    userId: 'U1',
+    timeOfDay: '08:00',
+    timezone: 'Europe/London',
+    nextRunAt: new Date('2026-03-03T08:00:00Z'),
+    publishers: [{ company: 'on3', snoozedUntil: null }, { company: 'she_media', snoozedUntil: null }]
+  };
+
+  beforeEach(() => {
+    store = {
+      get: jest.fn().mockResolvedValue(null),
+      add: jest.fn().mockResolvedValue(portfolio),
+      remove: jest.fn(),
+      setSchedule: jest.fn(),
+      snooze: jest.fn().mockResolvedValue(true)
+    };
+    commands = createSlackCommands({ answerQuery: jest.fn(), portfolios: store, companyRegistry });
+  });
+
+  test('should add resolved publishers in the user\'s Slack timezone and report the rest', async () => {
+    const respond = jest.fn();
+    const client = { users: { info: jest.fn().mockResolvedValue({ user: { tz: 'Europe/London' } }) } };
+    commands = createSlackCommands({ answerQuery: jest.fn(), portfolios: store, companyRegistry, client });
+
+    await commands.dispatchCommand({ command: '/mula', text: 'portfolio add on3 she_media media nope', user_id: 'U1', channel_id: 'C9' }, respond);
+
+    expect(store.add).toHaveBeenCalledWith('U1', ['on3', 'she_media'], { timezone: 'Europe/London' });
+    const reply = respond.mock.calls[0][0].text;
+    expect(reply).toContain('📒 *Your portfolio:* On3, She Media');
+    expect(reply).toContain('Daily DM briefing at 08:00 (Europe/London)');
+    expect(reply).toContain('⚠️ Skipped: "media" could be Mode Media or She Media.');
+    expect(reply).toContain('⚠️ Skipped: "nope" is not a known publisher.');
+  });
+
+  test('should snooze a publisher from the briefing menu', async () => {
+    const respond = jest.fn();
+    const option = { value: JSON.stringify({ company: 'on3', name: 'On3', days: 7 }) };
+
+    await commands.dispatchAction({ actions: [{ action_id: 'snooze_publisher', selected_option: option }], user: { id: 'U1', name: 'sam' } }, respond);
+
+    expect(store.snooze).toHaveBeenCalledWith('U1', 'on3', expect.any(Date));
+    const until = store.snooze.mock.calls[0][2];
+    expect(until.getTime() - Date.now()).toBeGreaterThan(6.9 * 24 * 60 * 60 * 1000);
+    expect(respond.mock.calls[0][0]).toMatchObject({ response_type: 'ephemeral', replace_original: false });
+    expect(respond.mock.calls[0][0].text).toContain('😴 On3 is snoozed until');
+  });
+
+  test('should forward portfolio commands when there is no store', async () => {
+    const answerQuery = jest.fn();
+    const forwarding = createSlackCommands({ answerQuery });
+
+    await forwarding.dispatchCommand({ command: '/mula', text: 'portfolio add on3', user_id: 'U1', channel_id: 'C9' }, jest.fn());
+
+    expect(answerQuery).toHaveBeenCalledWith(expect.objectContaining({ text: 'add on3' }));
+  });
+});
+
+describe('portfolio briefings', () => {
+  const now = new Date('2026-03-03T08:00:00Z');
+  const lastBriefedAt = new Date('2026-03-02T08:00:00Z');
+  const portfolio = {
+    id: 'U1',
+    userId: 'U1',
+    timeOfDay: '08:00',
+    timezone: 'UTC',
+    lastBriefedAt,
+    publishers: [
+      { company: 'on3', snoozedUntil: null },
+      { company: 'she_media', snoozedUntil: new Date('2026-03-10T00:00:00Z') }
+    ]
+  };
+
+  test('should DM the sections since the last briefing, marked new or continuing, leaving out snoozed publishers', async () => {
+    const store = {
+      newSections: jest.fn().mockResolvedValue([
+        { id: 1, title: 'Q1 renewal', document_id: 'doc1', heading_id: 'h.1', company_key: 'on3', content: 'Renewal signed for Q1.', continuing: false },
+        { id: 2, title: 'RPM', document_id: 'doc1', heading_id: null, company_key: 'on3', content: 'RPM up 12%.', continuing: true }
+      ])
+    };
+    const slack = { chat: { postMessage: jest.fn().mockResolvedValue({ ok: true }) } };
+    const runBriefing = createBriefingRunner({ store, client: slack, companyRegistry });
+
+    expect(await runBriefing(portfolio, now)).toEqual({ status: 'posted' });
+    expect(store.newSections).toHaveBeenCalledWith(['on3'], lastBriefedAt);
+
+    const message = slack.chat.postMessage.mock.calls[0][0];
+    expect(message.channel).toBe('U1');
+    expect(message.text).toBe('☀️ Your morning briefing: 2 new sections for On3');
+
+    const section = message.blocks.find(block => block.type === 'section');
+    expect(section.text.text).toContain('*On3* · 1 new, 1 continuing');
+    expect(section.text.text).toContain('🆕 <https://docs.google.com/document/d/doc1/edit#heading=h.1|Q1 renewal> — Renewal signed for Q1.');
+    expect(section.text.text).toContain('🔁 <https://docs.google.com/document/d/doc1/edit|RPM> — RPM up 12%.');
+    expect(section.accessory.action_id).toBe('snooze_publisher');
+    expect(JSON.parse(section.accessory.options[0].value)).toEqual({ company: 'on3', name: 'On3', days: 1 });
+  });
+
+  test('should not DM when nothing was ingested since the last briefing', async () => {
+    const store = { newSections: jest.fn().mockResolvedValue([]) };
+    const slack = { chat: { postMessage: jest.fn() } };
+    const runBriefing = createBriefingRunner({ store, client: slack, companyRegistry });
+
+    expect(await runBriefing({ ...portfolio, lastBriefedAt: null }, now)).toEqual({ status: 'skipped' });
+    expect(store.newSections).toHaveBeenCalledWith(['on3'], new Date('2026-03-02T08:00:00Z'));
+    expect(slack.chat.postMessage).not.toHaveBeenCalled();
+  });
+
+  test('should keep the last briefing time when a run fails', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    const store = createPortfolioStore({ pool });
+
+    await store.recordRun(portfolio, { status: 'failed', error: 'not_in_channel' }, now);
+
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain("CASE WHEN $3 = 'failed' THEN last_briefed_at ELSE $2 END");
+    expect(params.slice(0, 4)).toEqual(['U1', now, 'failed', 'not_in_channel']);
+    expect(params[4].toISOString()).toBe('2026-03-04T08:00:00.000Z');
+  });
+
+  test('should mark sections continuing when revised, revived or similar to an earlier passage', async () => {
+    const pool = {
+      query: jest.fn()
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 7, title: 'Monday, March 2, 2026', company_key: 'on3', content: 'Header bidding test on mobile started', revision: false },
+            { id: 8, title: 'Monday, March 2, 2026', company_key: 'on3', content: 'Signed a new video partnership', revision: false },
+            { id: 3, title: 'Monday, February 2, 2026', company_key: 'on3', content: 'Renewal on hold', revision: true }
+          ]
+        })
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 3, company_key: 'on3', content: 'Renewal on hold' },
+            { id: 5, company_key: 'on3', content: 'Header bidding test on mobile planned' },
+            { id: 6, company_key: 'she_media', content: 'Signed a new video partnership' }
+          ]
+        })
+    };
+    const store = createPortfolioStore({ pool, options: { similarityThreshold: 0.6, lookbackDays: 90 } });
+
+    const sections = await store.newSections(['on3', 'she_media'], lastBriefedAt);
+
+    expect(sections.map(section => [section.id, section.continuing])).toEqual([[7, true], [8, false], [3, true]]);
+    expect(sections[0]).not.toHaveProperty('revision');
+    expect(pool.query.mock.calls[0][0]).toContain('d.updated_at > $2');
+    expect(pool.query.mock.calls[1][1]).toEqual([['on3'], lastBriefedAt, 90]);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Publisher Resolver Tests
+ * Covers scoring by name, alias, domain and spelling, and when a match is ambiguous
+ */
+
+const CompanyRegistry = require('../services/company-registry');
+const { resolvePublisher, levenshtein } = require('../services/publisher-resolver');
+
+const companies = {
+  google_ads: { name: 'Google Ads', aliases: ['google ads', 'adwords'], domains: ['ads.google.com'] },
+  google_adsense: { name: 'Google AdSense', aliases: ['adsense'], domains: ['adsense.google.com'] },
+  techcrunch: { name: 'TechCrunch', aliases: ['tc', 'tech crunch'], domains: ['techcrunch.com'] }
+};
+
+describe('publisher resolver', () => {
+  test('should offer every close candidate instead of guessing', () => {
+    const resolution = resolvePublisher('google', companies);
+
+    expect(resolution.status).toBe('ambiguous');
+    expect(resolution.company).toBeNull();
+    expect(resolution.candidates.map(candidate => candidate.key)).toEqual(['google_ads', 'google_adsense']);
+    expect(resolution.candidates[0].match).toEqual({ field: 'name', term: 'Google Ads', kind: 'prefix' });
+  });
+
+  test('should resolve exact names, aliases and domains outright', () => {
+    expect(resolvePublisher('Google Ads', companies).company.key).toBe('google_ads');
+    expect(resolvePublisher('AdSense', companies).company.key).toBe('google_adsense');
+    expect(resolvePublisher('TC', companies).company.key).toBe('techcrunch');
+    expect(resolvePublisher('techcrunch.com', companies).company.match).toEqual({ field: 'domain', term: 'techcrunch.com', kind: 'exact' });
+  });
+
+  test('should resolve misspellings by edit distance', () => {
+    const resolution = resolvePublisher('techcrnch', companies);
+
+    expect(resolution.status).toBe('resolved');
+    expect(resolution.company.key).toBe('techcrunch');
+    expect(resolution.company.match.kind).toBe('fuzzy');
+    expect(resolution.company.score).toBeCloseTo(0.9 * 0.85);
+    expect(levenshtein('techcrnch', 'techcrunch')).toBe(1);
+  });
+
+  test('should report input that matches no company', () => {
+    expect(resolvePublisher('variety', companies)).toEqual({ status: 'unknown', company: null, candidates: [] });
+    expect(resolvePublisher('', companies).status).toBe('unknown');
+  });
+
+  test('should resolve against the company registry', () => {
+    const registry = new CompanyRegistry(null, { logger: { warn: jest.fn() } });
+
+    expect(registry.resolve('brit').company.name).toBe('Brit+Co');
+    expect(registry.resolve('shemdia').company.name).toBe('She Media');
+    expect(registry.resolve('swimming').company.name).toBe('Swimming World');
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Digest Subscription Tests
+ */
+
+jest.mock('../slack-bot/commands/account-summary', () => ({
+  ...jest.requireActual('../slack-bot/commands/account-summary'),
+  generatePublisherSummary: jest.fn(async () => ({ keyHighlights: ['RPM up 12%'] }))
+}));
+
+const { parseSubscriptionText, nextRunAt } = require('../services/subscriptions');
+const { createSubscriptionScheduler } = require('../services/subscription-scheduler');
+const { createSubscriptionRunner } = require('../slack-bot/commands/subscriptions');
+const { createSlackCommands } = require('../slack-bot/commands');
+const { generatePublisherSummary } = require('../slack-bot/commands/account-summary');
+const CompanyRegistry = require('../services/company-registry');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+describe('subscription schedules', () => {
+  test('should parse the publisher, cadence, channel and options', () => {
+    expect(parseSubscriptionText('"She Media" weekly <#C0123|she-media> --day fri --at 8:30am --tz America/New_York --format brief')).toEqual({
+      publisher: 'She Media',
+      cadence: 'weekly',
+      dayOfWeek: 5,
+      timeOfDay: '08:30',
+      timezone: 'America/New_York',
+      channel: 'C0123',
+      format: 'brief'
+    });
+
+    expect(parseSubscriptionText('brit.co daily #brit-account')).toMatchObject({ publisher: 'brit.co', channel: '#brit-account', dayOfWeek: null, timeOfDay: '09:00' });
+    expect(parseSubscriptionText('brit.co').error).toBe('Please specify how often to post: daily or weekly.');
+    expect(parseSubscriptionText('brit.co weekly --tz Mars/Olympus').error).toContain('Invalid --tz: Mars/Olympus');
+    expect(parseSubscriptionText('brit.co weekly --at 25:00').error).toContain('Invalid --at: 25:00');
+  });
+
+  test('should schedule wall-clock times in the subscription timezone across daylight saving', () => {
+    const weekly = { cadence: 'weekly', dayOfWeek: 1, timeOfDay: '09:00', timezone: 'America/New_York' };
+
+    // Monday 09:00 EST is 14:00 UTC; after the March change it is 13:00 UTC
+    expect(nextRunAt(weekly, new Date('2026-03-01T12:00:00Z')).toISOString()).toBe('2026-03-02T14:00:00.000Z');
+    expect(nextRunAt(weekly, new Date('2026-03-02T14:00:00Z')).toISOString()).toBe('2026-03-09T13:00:00.000Z');
+
+    const daily = { cadence: 'daily', timeOfDay: '07:00', timezone: 'Asia/Tokyo' };
+    expect(nextRunAt(daily, new Date('2026-05-01T23:00:00Z')).toISOString()).toBe('2026-05-02T22:00:00.000Z');
+  });
+});
+
+describe('subscription scheduler', () => {
+  let client;
+  let pool;
+  let store;
+  const subscription = { id: 4, publisher: 'Brit+Co', cadence: 'weekly', dayOfWeek: 1, timeOfDay: '09:00', timezone: 'UTC', channel: 'C1', format: 'full', lastContentAt: null };
+
+  beforeEach(() => {
+    client = { query: jest.fn().mockResolvedValue({ rows: [{ locked: true }] }), release: jest.fn() };
+    pool = { connect: jest.fn().mockResolvedValue(client) };
+    store = { due: jest.fn().mockResolvedValue([subscription]), recordRun: jest.fn() };
+  });
+
+  test('should run due subscriptions under the advisory lock and record each outcome', async () => {
+    const runSubscription = jest.fn()
+      .mockResolvedValueOnce({ status: 'posted', newestContentAt: 100 })
+      .mockRejectedValueOnce(new Error('channel_not_found'));
+    store.due.mockResolvedValue([subscription, { ...subscription, id: 5 }]);
+    const scheduler = createSubscriptionScheduler({ pool, store, runSubscription, logger });
+    const now = new Date('2026-03-02T09:00:00Z');
+
+    const results = await scheduler.runDue(now);
+
+    expect(results).toEqual([
+      { id: 4, status: 'posted', newestContentAt: 100 },
+      { id: 5, status: 'failed', error: 'channel_not_found' }
+    ]);
+    expect(store.recordRun).toHaveBeenCalledWith(subscription, { status: 'posted', newestContentAt: 100 }, now);
+    expect(client.query.mock.calls.map(([sql]) => sql)).toEqual([
+      expect.stringContaining('pg_try_advisory_lock'),
+      expect.stringContaining('pg_advisory_unlock')
+    ]);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('should leave due subscriptions alone while another instance holds the lock', async () => {
+    client.query.mockResolvedValue({ rows: [{ locked: false }] });
+    const runSubscription = jest.fn();
+    const scheduler = createSubscriptionScheduler({ pool, store, runSubscription, logger });
+
+    expect(await scheduler.runDue()).toBeNull();
+    expect(store.due).not.toHaveBeenCalled();
+    expect(runSubscription).not.toHaveBeenCalled();
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('should post a digest of the publisher\'s passages stored since the last post', async () => {
+    const slack = { chat: { postMessage: jest.fn().mockResolvedValue({ ok: true }) } };
+    const getPassages = jest.fn().mockResolvedValue([
+      { id: 12, date: '2026-02-27', title: 'Friday, February 27', company: 'brit_co', content: 'RPM up 12%', stored_at: '1772215200000' },
+      { id: 11, date: '2026-02-26', title: 'Thursday, February 26', company: 'brit_co', content: 'Renewal signed', stored_at: '1772128800000' }
+    ]);
+    const runSubscription = createSubscriptionRunner({ client: slack, getPassages, companyRegistry: new CompanyRegistry(null) });
+    const now = new Date('2026-03-02T09:00:00Z');
+
+    expect(await runSubscription({ ...subscription, lastContentAt: 1772042400000 }, now)).toEqual({ status: 'posted', newestContentAt: 1772215200000 });
+    expect(getPassages).toHaveBeenCalledWith({ company: 'brit_co', dateFrom: '2026-02-23', storedAfter: 1772042400000 });
+    expect(generatePublisherSummary).toHaveBeenCalledWith('Brit+Co', [
+      expect.objectContaining({ id: '12', metadata: expect.objectContaining({ date: '2026-02-27', title: 'Friday, February 27', content: 'RPM up 12%' }) }),
+      expect.objectContaining({ id: '11' })
+    ], 7);
+
+    const message = slack.chat.postMessage.mock.calls[0][0];
+    expect(message.channel).toBe('C1');
+    expect(message.text).toBe('📊 Brit+Co Account Summary (7 days)');
+    expect(message.blocks[message.blocks.length - 2].elements[0].text).toContain('/mula unsubscribe 4');
+
+    // Nothing stored since the newest posted section
+    slack.chat.postMessage.mockClear();
+    getPassages.mockResolvedValue([]);
+    expect(await runSubscription({ ...subscription, lastContentAt: 1772215200000 }, now)).toEqual({ status: 'skipped' });
+    expect(getPassages).toHaveBeenLastCalledWith(expect.objectContaining({ storedAfter: 1772215200000 }));
+    expect(slack.chat.postMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe('subscription commands', () => {
+  let store;
+  let client;
+  let commands;
+  const mula = (text, respond, user = 'U1') =>
+    commands.dispatchCommand({ command: '/mula', text, user_id: user, user_name: 'sam', channel_id: 'C9' }, respond);
+
+  beforeEach(() => {
+    store = {
+      subscribe: jest.fn(async (subscription, createdBy) => ({ id: 7, ...subscription, createdBy, nextRunAt: new Date('2026-03-02T09:00:00Z') })),
+      get: jest.fn(async id => (id === 7 ? { id: 7, publisher: 'Brit + Co', channel: 'C9', createdBy: 'U1' } : null)),
+      list: jest.fn().mockResolvedValue([]),
+      setPaused: jest.fn(),
+      unsubscribe: jest.fn()
+    };
+    client = {
+      users: { info: jest.fn().mockResolvedValue({ user: { tz: 'America/New_York' } }) },
+      conversations: {
+        list: jest.fn()
+          .mockResolvedValueOnce({ channels: [{ id: 'C1', name: 'general' }], response_metadata: { next_cursor: 'page2' } })
+          .mockResolvedValueOnce({ channels: [{ id: 'C42', name: 'brit-account' }], response_metadata: { next_cursor: '' } })
+      }
+    };
+    commands = createSlackCommands({ answerQuery: jest.fn(), subscriptions: store, adminUserIds: ['UADMIN'], client, companyRegistry: new CompanyRegistry(null) });
+  });
+
+  test('should store a subscription for the resolved publisher in the current channel', async () => {
+    const respond = jest.fn();
+
+    await mula('subscribe brit.co weekly --tz Europe/London', respond);
+
+    expect(store.subscribe).toHaveBeenCalledWith(expect.objectContaining({
+      publisher: 'Brit+Co',
+      cadence: 'weekly',
+      dayOfWeek: 1,
+      timezone: 'Europe/London',
+      channel: 'C9'
+    }), 'U1');
+    expect(respond.mock.calls[0][0].text).toContain('✅ Subscription #7: *Brit+Co* digest weekly on Monday at 09:00 (Europe/London) in <#C9>');
+  });
+
+  test('should store a channel typed by name as its ID, so the channel lists it', async () => {
+    const respond = jest.fn();
+
+    await mula('subscribe brit.co daily #brit-account', respond);
+
+    expect(client.conversations.list).toHaveBeenLastCalledWith(expect.objectContaining({ cursor: 'page2' }));
+    expect(store.subscribe).toHaveBeenCalledWith(expect.objectContaining({ channel: 'C42', timezone: 'America/New_York' }), 'U1');
+    expect(respond.mock.calls[0][0].text).toContain('in <#C42>');
+
+    respond.mockClear();
+    store.subscribe.mockClear();
+    client.conversations.list.mockResolvedValue({ channels: [], response_metadata: { next_cursor: '' } });
+    await mula('subscribe brit.co daily #nowhere', respond);
+
+    expect(store.subscribe).not.toHaveBeenCalled();
+    expect(respond.mock.calls[0][0].text).toContain('❌ Could not find #nowhere.');
+  });
+
+  test('should only subscribe to known publishers', async () => {
+    const respond = jest.fn();
+
+    await mula('subscribe nobody weekly', respond);
+
+    expect(store.subscribe).not.toHaveBeenCalled();
+    expect(respond.mock.calls[0][0].text).toBe('❌ "nobody" is not a known publisher.');
+  });
+
+  test('should only let the creator or an admin pause or unsubscribe', async () => {
+    const respond = jest.fn();
+
+    await mula('unsubscribe 7', respond, 'U2');
+    expect(respond.mock.calls[0][0].text).toContain('can only be changed by the person who created it or an admin');
+    expect(store.unsubscribe).not.toHaveBeenCalled();
+
+    await mula('unsubscribe #7', respond, 'UADMIN');
+    expect(store.unsubscribe).toHaveBeenCalledWith(7);
+
+    await mula('pause 8', respond);
+    expect(respond.mock.calls[2][0].text).toBe('❌ No subscription #8. `/mula subscriptions` lists them.');
+  });
+
+  test('should forward subscription commands when there is no store', async () => {
+    const answerQuery = jest.fn();
+    const forwarding = createSlackCommands({ answerQuery });
+
+    await forwarding.dispatchCommand({ command: '/mula', text: 'subscribe brit.co weekly --at 9am', user_id: 'U1', channel_id: 'C9' }, jest.fn());
+
+    expect(answerQuery).toHaveBeenCalledWith(expect.objectContaining({ text: 'brit.co weekly --at 9am' }));
+  });
+});
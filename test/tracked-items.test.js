@@ -0,0 +1,176 @@
+/**
+ * Tracked Item Tests
+ */
+
+const { extractTrackedItems, detectStatus, itemSimilarity, createTrackedItemStore } = require('../services/tracked-items');
+const { createSlackCommands } = require('../slack-bot/commands');
+const { createTestCompanyRegistry } = require('./helpers/company-registry');
+
+const options = { similarityThreshold: 0.6, lookbackDays: 90, staleDays: 7 };
+
+describe('tracked item extraction', () => {
+  test('should turn status bullets into items for their passage\'s publisher', () => {
+    const section = {
+      id: 21,
+      date: '2026-03-02',
+      companies: ['brit_co', 'on3'],
+      passages: [
+        { company: 'brit_co', content: 'Brit + Co\n- 🔄 Header bidding test on mobile\n- Traffic grew 4% this week\n- Video deal - waiting\n- ✅ Q1 renewal signed' },
+        { company: 'on3', content: 'On3\n⏸ Newsletter swap paused until April' },
+        { company: null, content: '- 🔄 Team offsite planning' }
+      ]
+    };
+
+    expect(extractTrackedItems(section)).toEqual([
+      { company: 'brit_co', text: 'Header bidding test on mobile', status: 'in_progress', date: '2026-03-02', sectionId: 21 },
+      { company: 'brit_co', text: 'Video deal', status: 'waiting', date: '2026-03-02', sectionId: 21 },
+      { company: 'brit_co', text: 'Q1 renewal signed', status: 'completed', date: '2026-03-02', sectionId: 21 },
+      { company: 'on3', text: 'Newsletter swap paused until April', status: 'waiting', date: '2026-03-02', sectionId: 21 }
+    ]);
+  });
+
+  test('should prefer emoji markers and compare items by their words', () => {
+    expect(detectStatus('✅ Done waiting on legal')).toBe('completed');
+    expect(detectStatus('Pending IO, otherwise active')).toBe('waiting');
+    expect(detectStatus('Revenue up 4%')).toBeNull();
+
+    expect(itemSimilarity('Header bidding test on mobile', 'Header bidding test on mobile web - completed')).toBeGreaterThan(0.6);
+    expect(itemSimilarity('Header bidding test on mobile', 'Video deal')).toBe(0);
+  });
+});
+
+describe('tracked item store', () => {
+  let client;
+  let pool;
+  let existing;
+
+  beforeEach(() => {
+    existing = [{
+      id: 4,
+      company_key: 'brit_co',
+      text: 'Header bidding test on mobile',
+      status: 'waiting',
+      first_seen_date: '2026-02-20',
+      last_seen_date: '2026-02-27',
+      last_updated_date: '2026-02-20',
+      status_since: '2026-02-20'
+    }];
+
+    client = {
+      query: jest.fn(async (sql, params) => {
+        if (/SELECT .* FROM tracked_items/s.test(sql)) return { rows: existing };
+        if (/INSERT INTO tracked_items/.test(sql)) {
+          return { rows: [{ id: 5, company_key: params[0], text: params[1], status: params[2], first_seen_date: params[3], last_seen_date: params[3], last_updated_date: params[3], status_since: params[3] }] };
+        }
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+    pool = { connect: jest.fn().mockResolvedValue(client), query: jest.fn() };
+  });
+
+  const statements = pattern => client.query.mock.calls.filter(([sql]) => pattern.test(sql));
+
+  test('should continue a similar item across days and record its status change', async () => {
+    const store = createTrackedItemStore({ pool, options });
+
+    const counts = await store.track([{
+      id: 30,
+      date: '2026-03-02',
+      companies: ['brit_co'],
+      passages: [{ company: 'brit_co', content: '- 🔄 Header bidding test on mobile web\n- 🔄 Video deal redlines' }]
+    }]);
+
+    expect(counts).toEqual({ created: 1, updated: 1, unchanged: 0 });
+
+    const [update] = statements(/UPDATE tracked_items SET/);
+    expect(update[1]).toEqual([4, 'Header bidding test on mobile web', 'in_progress', '2026-03-02', 30, true, true]);
+
+    const history = statements(/INSERT INTO tracked_item_history/).map(([, params]) => params);
+    expect(history).toEqual([
+      [4, 'in_progress', 'Header bidding test on mobile web', 30, '2026-03-02'],
+      [5, 'in_progress', 'Video deal redlines', 30, '2026-03-02']
+    ]);
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('should only move the first-seen date back for a digest delivered late', async () => {
+    const store = createTrackedItemStore({ pool, options });
+
+    const counts = await store.track([{
+      id: 31,
+      date: '2026-02-18',
+      companies: ['brit_co'],
+      passages: [{ company: 'brit_co', content: '- ⏸️ Header bidding test on mobile' }]
+    }]);
+
+    expect(counts).toEqual({ created: 0, updated: 0, unchanged: 1 });
+    expect(statements(/UPDATE tracked_items SET first_seen_date/)[0][1]).toEqual([4, '2026-02-18']);
+    expect(statements(/INSERT INTO tracked_item_history/)).toHaveLength(0);
+  });
+
+  test('should list open items with their history and flag stale ones', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: existing })
+      .mockResolvedValueOnce({ rows: [{ item_id: 4, status: 'waiting', seen_date: '2026-02-20' }] });
+    const store = createTrackedItemStore({ pool, options });
+
+    const items = await store.open('brit_co', { now: new Date('2026-03-04T12:00:00Z') });
+
+    expect(pool.query.mock.calls[0][1]).toEqual(['brit_co', ['in_progress', 'waiting']]);
+    expect(items).toEqual([expect.objectContaining({
+      id: 4,
+      status: 'waiting',
+      history: [{ status: 'waiting', date: '2026-02-20' }],
+      idleDays: 12,
+      stale: true
+    })]);
+  });
+});
+
+describe('/mula open', () => {
+  const companyRegistry = createTestCompanyRegistry();
+
+  test('should list the publisher\'s open items grouped by status', async () => {
+    const store = {
+      open: jest.fn().mockResolvedValue([
+        {
+          id: 4,
+          text: 'Header bidding test on mobile',
+          status: 'in_progress',
+          firstSeenDate: '2026-02-20',
+          statusSince: '2026-03-01',
+          history: [{ status: 'waiting', date: '2026-02-20' }, { status: 'in_progress', date: '2026-03-01' }],
+          idleDays: 12,
+          stale: true
+        },
+        { id: 6, text: 'Video deal', status: 'waiting', firstSeenDate: '2026-03-10', statusSince: '2026-03-10', history: [{ status: 'waiting', date: '2026-03-10' }], idleDays: 3, stale: false }
+      ])
+    };
+    const commands = createSlackCommands({ answerQuery: jest.fn(), trackedItems: store, companyRegistry });
+    const respond = jest.fn();
+
+    await commands.dispatchCommand({ command: '/mula', text: 'open brit.co --stale 10', user_id: 'U1', channel_id: 'C9' }, respond);
+
+    expect(store.open).toHaveBeenCalledWith('brit_co', { staleDays: 10 });
+    const [summary, inProgress, waiting] = respond.mock.calls[0][0].blocks.map(block => block.text.text);
+    expect(summary).toBe('📌 *Brit + Co: 2 open items* · ⚠️ 1 with no update for 10+ days');
+    expect(inProgress).toBe('*🔄 In progress*\n• Header bidding test on mobile — in progress since Mar 1 · first seen Feb 20 · ⏸️ Feb 20 → 🔄 Mar 1 · ⚠️ no update for 12 days');
+    expect(waiting).toBe('*⏸️ Waiting*\n• Video deal — waiting since Mar 10 · first seen Mar 10');
+  });
+
+  test('should answer text naming no publisher as a question and forward without a store', async () => {
+    const store = { open: jest.fn() };
+    const answerQuery = jest.fn();
+    const commands = createSlackCommands({ answerQuery, trackedItems: store, companyRegistry });
+
+    await commands.dispatchCommand({ command: '/mula', text: 'open rate trends', user_id: 'U1', channel_id: 'C9' }, jest.fn());
+    expect(store.open).not.toHaveBeenCalled();
+    expect(answerQuery).toHaveBeenCalledWith(expect.objectContaining({ text: 'open rate trends' }));
+
+    const forward = jest.fn();
+    await createSlackCommands({ answerQuery: forward }).dispatchCommand({ command: '/mula', text: 'open brit.co', user_id: 'U1', channel_id: 'C9' }, jest.fn());
+    expect(forward).toHaveBeenCalledWith(expect.objectContaining({ text: 'brit.co' }));
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Webhook Signature Verification Tests
+ * Covers HMAC validation of POST /webhook against the raw request body
+ */
+
+const crypto = require('crypto');
+const request = require('supertest');
+
+jest.mock('pg', () => {
+  const client = {
+    query: jest.fn(),
+    release: jest.fn()
+  };
+  const pool = {
+    query: jest.fn().mockResolvedValue({ rows: [] }),
+    connect: jest.fn().mockResolvedValue(client),
+    end: jest.fn()
+  };
+
+  return {
+    Pool: jest.fn(() => pool),
+    __client: client
+  };
+});
+
+const CURRENT_SECRET = 'current-webhook-secret-for-tests-0001';
+const PREVIOUS_SECRET = 'previous-webhook-secret-for-tests-0002';
+
+function sign(body, secret = CURRENT_SECRET) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+// Keeps bodies built in the same millisecond distinct, so none is taken for a replay
+let deliveries = 0;
+
+function buildPayload(overrides = {}) {
+  return JSON.stringify({
+    type: 'document_update',
+    delivery: ++deliveries,
+    document_id: 'test-doc',
+    timestamp: new Date().toISOString(),
+    sections: [
+      { title: 'Brit+Co update', content: 'Brit+Co RPM up 12% week over week', section_number: 1 }
+    ],
+    ...overrides
+  });
+}
+
+describe('POST /webhook signature verification', () => {
+  let app;
+  let client;
+
+  beforeAll(() => {
+    process.env.WEBHOOK_SECRET = CURRENT_SECRET;
+    process.env.WEBHOOK_SECRET_PREVIOUS = PREVIOUS_SECRET;
+    delete process.env.OPENAI_API_KEY;
+    delete process.env.SLACK_BOT_TOKEN;
+
+    app = require('../production-webhook-server');
+    client = require('pg').__client;
+  });
+
+  afterAll(() => {
+    delete process.env.WEBHOOK_SECRET;
+    delete process.env.WEBHOOK_SECRET_PREVIOUS;
+  });
+
+  beforeEach(() => {
+    client.query.mockReset();
+    client.query.mockImplementation(async (sql) => {
+      if (/INSERT INTO documents/.test(sql)) {
+        return { rows: [{ id: 1 }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  const post = (body, headers = {}) => {
+    const req = request(app)
+      .post('/webhook')
+      .set('Content-Type', 'application/json');
+
+    Object.entries(headers).forEach(([name, value]) => req.set(name, value));
+
+    return req.send(body);
+  };
+
+  test('should accept a request signed with the current secret', async () => {
+    const body = buildPayload();
+
+    const response = await post(body, { 'X-Signature': sign(body) });
+
+    expect(response.status).toBe(200);
+    expect(response.body.stored).toBe(1);
+  });
+
+  test('should accept a request signed with the previous secret during rotation', async () => {
+    const body = buildPayload();
+
+    const response = await post(body, { 'X-Signature': sign(body, PREVIOUS_SECRET) });
+
+    expect(response.status).toBe(200);
+  });
+
+  test('should accept the X-Webhook-Signature header without the sha256= prefix', async () => {
+    const body = buildPayload();
+    const signature = sign(body).substring('sha256='.length);
+
+    const response = await post(body, { 'X-Webhook-Signature': signature });
+
+    expect(response.status).toBe(200);
+  });
+
+  test('should verify the raw body rather than re-serialized JSON', async () => {
+    // Extra whitespace changes the bytes but not the parsed object
+    const body = buildPayload().replace('{', '{  ');
+
+    const response = await post(body, { 'X-Signature': sign(body) });
+
+    expect(response.status).toBe(200);
+  });
+
+  test('should reject a tampered body', async () => {
+    const body = buildPayload();
+    const tampered = body.replace('12%', '99%');
+
+    const response = await post(tampered, { 'X-Signature': sign(body) });
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Invalid signature');
+    expect(client.query).not.toHaveBeenCalled();
+  });
+
+  test('should reject a request signed with an unknown secret', async () => {
+    const body = buildPayload();
+
+    const response = await post(body, { 'X-Signature': sign(body, 'some-other-secret') });
+
+    expect(response.status).toBe(401);
+  });
+
+  test('should reject a request with a missing signature', async () => {
+    const response = await post(buildPayload());
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Missing signature');
+  });
+
+  test('should reject a replayed request with a stale timestamp', async () => {
+    const body = buildPayload({ timestamp: new Date(Date.now() - 10 * 60 * 1000).toISOString() });
+
+    const response = await post(body, { 'X-Signature': sign(body) });
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Stale webhook timestamp');
+    expect(client.query).not.toHaveBeenCalled();
+  });
+
+  test('should reject a replay of an accepted request within the timestamp window', async () => {
+    const body = buildPayload();
+
+    const first = await post(body, { 'X-Signature': sign(body) });
+    client.query.mockClear();
+    const replayed = await post(body, { 'X-Webhook-Signature': sign(body).substring('sha256='.length) });
+
+    expect(first.status).toBe(200);
+    expect(replayed.status).toBe(401);
+    expect(replayed.body.error).toBe('Replayed webhook');
+    expect(client.query).not.toHaveBeenCalled();
+  });
+
+  test('should reject a signed request without a timestamp', async () => {
+    const body = buildPayload({ timestamp: undefined });
+
+    const response = await post(body, { 'X-Signature': sign(body) });
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Missing or invalid timestamp');
+  });
+});